@@ -4,15 +4,47 @@
  */
 
 const App = {
+    // Dashboard search, filters, sorting and paging; saved between sessions
+    dashboardState: null,
+    // Ids of the invoices checked in the dashboard list, kept across pages
+    selectedIds: new Set(),
+
     /**
      * Initialize the application
      */
-    init() {
+    async init() {
+        await Storage.init();
+        // Set after init so a refusal at startup is reported once, below
+        Storage.onReadOnly = (e) => alert(e.message);
+        Storage.onExternalChange = () => this.handleExternalChange();
+        this.applyLanguage();
+        this.dashboardState = this.loadDashboardState();
         this.setupEventListeners();
+
+        const readOnly = Storage.getReadOnlyError();
+        if (readOnly) {
+            this.loadDashboard();
+            alert(I18n.t('app.readOnly', { message: readOnly.message }));
+            return;
+        }
+
+        await Storage.purgeExpiredTrash();
+        const generated = await this.runRecurringProfiles();
         this.loadDashboard();
+        if (generated > 0) {
+            alert(I18n.plural('app.recurringGenerated', generated));
+        }
         console.log('Invoicer initialized v' + (typeof APP_VERSION !== 'undefined' ? APP_VERSION : '1.0'));
     },
 
+    /**
+     * Show the UI in the language chosen in settings
+     */
+    applyLanguage() {
+        I18n.setLanguage(Storage.getSettings().language);
+        I18n.translatePage();
+    },
+
     /**
      * Set up global event listeners
      */
@@ -26,6 +58,26 @@ const App = {
             this.loadEditor(); // No ID = create new
         });
 
+        document.getElementById('nav-quotes').addEventListener('click', () => {
+            this.loadQuotes();
+        });
+
+        document.getElementById('nav-clients').addEventListener('click', () => {
+            this.loadClients();
+        });
+
+        document.getElementById('nav-catalog').addEventListener('click', () => {
+            this.loadCatalog();
+        });
+
+        document.getElementById('nav-recurring').addEventListener('click', () => {
+            this.loadRecurring();
+        });
+
+        document.getElementById('nav-reports').addEventListener('click', () => {
+            this.loadReports();
+        });
+
         document.getElementById('nav-settings').addEventListener('click', () => {
             this.loadSettings();
         });
@@ -39,14 +91,74 @@ const App = {
             this.handleSearch(e.target.value);
         });
 
-        // Invoice List Actions (Event Delegation)
-        document.getElementById('invoice-list').addEventListener('click', (e) => {
+        Object.values(UI.elements.dashboard.filters).forEach(input => {
+            input.addEventListener('change', () => this.handleFilterChange());
+        });
+
+        document.getElementById('btn-clear-filters').addEventListener('click', () => {
+            this.dashboardState.filters = Model.createInvoiceFilters();
+            this.dashboardState.page = 1;
+            this.refreshDashboard();
+        });
+
+        document.getElementById('invoice-table').querySelector('thead').addEventListener('click', (e) => {
+            const btn = e.target.closest('.sort-header');
+            if (btn) this.handleSort(btn.dataset.sort);
+        });
+
+        document.getElementById('pager-size').addEventListener('change', (e) => {
+            this.dashboardState.pageSize = parseInt(e.target.value, 10) || 25;
+            this.dashboardState.page = 1;
+            this.refreshDashboard();
+        });
+
+        document.getElementById('btn-page-prev').addEventListener('click', () => {
+            this.dashboardState.page--;
+            this.refreshDashboard();
+        });
+
+        document.getElementById('btn-page-next').addEventListener('click', () => {
+            this.dashboardState.page++;
+            this.refreshDashboard();
+        });
+
+        // Bulk export
+        document.getElementById('btn-bulk-export').addEventListener('click', () => {
+            UI.showBulkExportPanel();
+            this.updateBulkExportCount();
+        });
+
+        // Selection and bulk actions
+        document.getElementById('select-all-invoices').addEventListener('change', (e) => {
+            this.handleSelectAll(e.target.checked);
+        });
+
+        document.getElementById('bulk-actions').addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-bulk-action]');
+            if (btn) this.handleBulkAction(btn.dataset.bulkAction);
+        });
+
+        const bulkExportPanel = document.getElementById('bulk-export-panel');
+        bulkExportPanel.addEventListener('change', () => this.updateBulkExportCount());
+        bulkExportPanel.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleBulkExport();
+        });
+
+        document.getElementById('btn-cancel-bulk-export').addEventListener('click', () => {
+            UI.hideBulkExportPanel();
+        });
+
+        // Invoice and Quote List Actions (Event Delegation)
+        const handleListClick = (e) => {
             const btn = e.target.closest('button');
             if (!btn) return;
 
             const id = btn.dataset.id;
             if (btn.classList.contains('edit-invoice')) {
                 this.loadEditor(id);
+            } else if (btn.classList.contains('convert-quote')) {
+                this.handleConvertQuote(id);
             } else if (btn.classList.contains('delete-invoice')) {
                 this.handleDelete(id);
             } else if (btn.classList.contains('print-invoice')) {
@@ -58,11 +170,213 @@ const App = {
                 const invoice = Storage.getInvoice(id);
                 if (invoice) this.handleExportODS(invoice);
             }
+        };
+        document.getElementById('invoice-list').addEventListener('click', handleListClick);
+        document.getElementById('quote-list').addEventListener('click', handleListClick);
+
+        document.getElementById('invoice-list').addEventListener('change', (e) => {
+            if (e.target.classList.contains('select-invoice')) {
+                this.handleSelectInvoice(e.target.dataset.id, e.target.checked);
+            }
+        });
+
+        // Quote Actions
+        document.getElementById('btn-new-quote').addEventListener('click', () => {
+            this.loadEditor(null, 'quote');
+        });
+
+        document.getElementById('search-quotes').addEventListener('input', () => {
+            this.loadQuotes();
+        });
+
+        // Trash Actions
+        document.getElementById('btn-view-trash').addEventListener('click', () => {
+            this.loadTrash();
+        });
+
+        document.getElementById('btn-empty-trash').addEventListener('click', async () => {
+            const ids = Storage.getTrash().map(inv => inv.id);
+            if (ids.length && confirm(I18n.plural('trash.confirmEmpty', ids.length))) {
+                await Storage.purgeInvoices(ids);
+                this.loadTrash();
+            }
+        });
+
+        document.getElementById('trash-list').addEventListener('click', async (e) => {
+            const btn = e.target.closest('button');
+            if (!btn) return;
+
+            const id = btn.dataset.id;
+            if (btn.classList.contains('restore-invoice')) {
+                if (await Storage.restoreInvoice(id)) {
+                    this.loadTrash();
+                } else {
+                    alert(I18n.t('trash.restoreFailed'));
+                }
+            } else if (btn.classList.contains('purge-invoice')) {
+                if (confirm(I18n.t('trash.confirmPurge'))) {
+                    await Storage.purgeInvoices([id]);
+                    this.loadTrash();
+                }
+            }
+        });
+
+        // Client Address Book Actions
+        document.getElementById('btn-new-client').addEventListener('click', () => {
+            UI.showClientForm();
+        });
+
+        document.getElementById('btn-cancel-client').addEventListener('click', () => {
+            UI.hideClientForm();
+        });
+
+        document.getElementById('client-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSaveClient();
+        });
+
+        document.getElementById('client-form-payment-terms').addEventListener('input', (e) => {
+            UI.updatePaymentTermsFields(e.currentTarget);
+        });
+
+        document.getElementById('search-clients').addEventListener('input', () => {
+            this.loadClients();
+        });
+
+        document.getElementById('client-list').addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            if (!btn) return;
+
+            const client = Storage.getClient(btn.dataset.id);
+            if (!client) return;
+            if (btn.classList.contains('edit-client')) {
+                UI.showClientForm(client);
+            } else if (btn.classList.contains('invoice-client')) {
+                this.loadEditor();
+                UI.fillClientFields(client);
+                this.applyClientPaymentTerms(client);
+            } else if (btn.classList.contains('delete-client')) {
+                this.handleDeleteClient(client.id);
+            }
+        });
+
+        // Report Actions
+        ['report-period', 'report-client-rank', 'report-aging-date'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.loadReports());
+        });
+
+        document.getElementById('view-reports').addEventListener('click', (e) => {
+            const btn = e.target.closest('.export-report');
+            if (btn) this.handleExportReport(btn.dataset.report, btn.dataset.format);
+        });
+
+        // Recurring Actions
+        document.getElementById('btn-cancel-recurring').addEventListener('click', () => {
+            UI.hideRecurringForm();
+        });
+
+        document.getElementById('recurring-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSaveRecurring();
+        });
+
+        document.getElementById('btn-close-recurring-preview').addEventListener('click', () => {
+            UI.hideRecurringPreview();
+        });
+
+        document.getElementById('recurring-list').addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            if (!btn) return;
+
+            const profile = Storage.getRecurringProfile(btn.dataset.id);
+            if (!profile) return;
+            if (btn.classList.contains('edit-recurring')) {
+                UI.showRecurringForm(profile);
+            } else if (btn.classList.contains('toggle-recurring')) {
+                this.handleToggleRecurring(profile);
+            } else if (btn.classList.contains('preview-recurring')) {
+                UI.hideRecurringForm();
+                UI.showRecurringPreview(profile);
+            } else if (btn.classList.contains('delete-recurring')) {
+                this.handleDeleteRecurring(profile.id);
+            }
+        });
+
+        // Catalog Actions
+        document.getElementById('btn-new-catalog-item').addEventListener('click', () => {
+            UI.showCatalogForm();
+        });
+
+        document.getElementById('btn-cancel-catalog-item').addEventListener('click', () => {
+            UI.hideCatalogForm();
+        });
+
+        document.getElementById('catalog-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSaveCatalogItem();
+        });
+
+        document.getElementById('search-catalog').addEventListener('input', () => {
+            this.loadCatalog();
+        });
+
+        document.getElementById('catalog-list').addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            if (!btn) return;
+
+            const item = Storage.getCatalogItem(btn.dataset.id);
+            if (!item) return;
+            if (btn.classList.contains('edit-catalog-item')) {
+                UI.showCatalogForm(item);
+            } else if (btn.classList.contains('delete-catalog-item')) {
+                this.handleDeleteCatalogItem(item.id);
+            }
+        });
+
+        document.getElementById('btn-export-catalog').addEventListener('click', () => {
+            this.handleExportCatalog();
+        });
+
+        document.getElementById('btn-import-catalog').addEventListener('click', () => {
+            UI.elements.catalog.importFile.click();
+        });
+
+        document.getElementById('catalog-import-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.handleImportCatalog(file);
+        });
+
+        // Editor Client Autocomplete
+        document.getElementById('client-name').addEventListener('input', (e) => {
+            this.handleClientInput(e.target);
+        });
+
+        document.getElementById('client-name').addEventListener('blur', () => {
+            UI.hideSuggestions();
+        });
+
+        // mousedown fires before the input's blur, so the pick isn't lost
+        document.getElementById('autocomplete-list').addEventListener('mousedown', (e) => {
+            const option = e.target.closest('li');
+            if (!option) return;
+            e.preventDefault();
+            UI.selectSuggestion(parseInt(option.dataset.index, 10));
+        });
+
+        document.getElementById('invoice-form').addEventListener('keydown', (e) => {
+            if (UI.handleSuggestionKey(e)) {
+                e.preventDefault();
+            }
         });
 
         // Editor Actions
         document.getElementById('btn-cancel').addEventListener('click', () => {
-            this.loadDashboard();
+            if (Model.isQuote(UI._document)) {
+                this.loadQuotes();
+            } else {
+                this.loadDashboard();
+            }
         });
 
         document.getElementById('invoice-form').addEventListener('submit', (e) => {
@@ -86,6 +400,133 @@ const App = {
             this.handleExportODS(formData);
         });
 
+        document.getElementById('btn-make-recurring').addEventListener('click', () => {
+            this.handleMakeRecurring(UI.elements.editor.id.value);
+        });
+
+        // Credit Notes
+        document.getElementById('btn-credit-note').addEventListener('click', () => {
+            const invoice = Storage.getInvoice(UI.elements.editor.id.value);
+            if (!invoice) return;
+            if (!Model.isBilled(invoice)) {
+                alert(I18n.t('creditNote.sentOnly'));
+                return;
+            }
+            UI.showCreditNotePanel(invoice, Storage.getCreditNotes(invoice.id));
+        });
+
+        document.getElementById('credit-note-all').addEventListener('change', (e) => {
+            UI.elements.creditNote.lines.querySelectorAll('.credit-note-line').forEach(box => {
+                box.checked = e.target.checked;
+            });
+        });
+
+        document.getElementById('btn-cancel-credit-note').addEventListener('click', () => {
+            UI.hideCreditNotePanel();
+        });
+
+        document.getElementById('btn-create-credit-note').addEventListener('click', () => {
+            this.handleCreateCreditNote();
+        });
+
+        // Quotes
+        document.getElementById('btn-convert-quote').addEventListener('click', () => {
+            this.handleConvertQuote(UI.elements.editor.id.value);
+        });
+
+        // Revision History
+        document.getElementById('btn-invoice-history').addEventListener('click', () => {
+            const id = UI.elements.editor.id.value;
+            if (!id) {
+                alert(I18n.t('editor.saveForHistory'));
+                return;
+            }
+            UI.renderHistory(Storage.getRevisions(id));
+        });
+
+        document.getElementById('btn-close-history').addEventListener('click', () => {
+            UI.hideHistory();
+        });
+
+        document.getElementById('history-list').addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            if (!btn) return;
+
+            const revision = Storage.getRevision(btn.dataset.id);
+            if (!revision) return;
+            if (btn.classList.contains('view-revision')) {
+                UI.showRevision(revision);
+            } else if (btn.classList.contains('restore-revision')) {
+                this.handleRestoreRevision(revision);
+            }
+        });
+
+        document.getElementById('btn-history-compare').addEventListener('click', () => {
+            const from = Storage.getRevision(UI.elements.history.compareFrom.value);
+            const to = Storage.getRevision(UI.elements.history.compareTo.value);
+            if (from && to) {
+                UI.showRevisionDiff(from, to, Model.diffInvoices(from.snapshot, to.snapshot));
+            }
+        });
+
+        // Backup & Restore
+        document.getElementById('btn-export-backup').addEventListener('click', () => {
+            this.handleExportBackup();
+        });
+
+        document.getElementById('btn-export-upgrade-backup').addEventListener('click', () => {
+            this.handleExportUpgradeBackup();
+        });
+
+        document.getElementById('btn-import-backup').addEventListener('click', () => {
+            UI.elements.backup.importFile.click();
+        });
+
+        document.getElementById('backup-import-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.handleImportBackup(file);
+        });
+
+        document.getElementById('btn-cancel-restore').addEventListener('click', () => {
+            this._pendingRestore = null;
+            UI.hideRestorePanel();
+        });
+
+        document.getElementById('btn-confirm-restore').addEventListener('click', () => {
+            this.handleRestoreBackup();
+        });
+
+        // Spreadsheet import
+        document.getElementById('btn-import-spreadsheet').addEventListener('click', () => {
+            UI.elements.import.file.click();
+        });
+
+        document.getElementById('import-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.handleImportSpreadsheet(file);
+        });
+
+        document.querySelectorAll('.btn-cancel-import').forEach(button => {
+            button.addEventListener('click', () => {
+                this._pendingImport = null;
+                UI.hideImportPanel();
+            });
+        });
+
+        document.getElementById('btn-import-preview').addEventListener('click', () => {
+            this.handleImportPreview();
+        });
+
+        document.getElementById('btn-import-back').addEventListener('click', () => {
+            UI.showImportStep('mapping');
+        });
+
+        document.getElementById('btn-confirm-import').addEventListener('click', () => {
+            this.handleConfirmImport();
+        });
+
         // Settings Actions
         document.getElementById('settings-form').addEventListener('submit', (e) => {
             e.preventDefault();
@@ -102,7 +543,7 @@ const App = {
                     UI.renderSettings(settings); // Update preview
                 } catch (err) {
                     console.error('Logo upload failed', err);
-                    alert('Failed to load image. Please try another file.');
+                    alert(I18n.t('settings.logoFailed'));
                 }
             }
         });
@@ -113,12 +554,12 @@ const App = {
             if (!file) return;
 
             if (!file.name.toLowerCase().endsWith('.cdr')) {
-                alert('Please upload a .cdr (CorelDRAW) file.');
+                alert(I18n.t('settings.cdrOnly'));
                 return;
             }
 
             if (file.size > 2 * 1024 * 1024) {
-                if (!confirm('This CDR file is larger than 2MB. Large files may cause storage issues. Continue?')) {
+                if (!confirm(I18n.t('settings.cdrLarge'))) {
                     e.target.value = '';
                     return;
                 }
@@ -128,135 +569,1213 @@ const App = {
                 const base64 = await UI.handleLogoUpload(file);
                 this._pendingCDR = { data: base64, name: file.name };
                 document.getElementById('cdr-logo-info').classList.remove('hidden');
-                document.getElementById('cdr-logo-filename').textContent = 'File: ' + file.name;
+                document.getElementById('cdr-logo-filename').textContent = I18n.t('settings.cdrFile', { name: file.name });
             } catch (err) {
                 console.error('CDR upload failed', err);
-                alert('Failed to read CDR file.');
+                alert(I18n.t('settings.cdrFailed'));
+            }
+        });
+
+        // Download CDR
+        document.getElementById('btn-download-cdr').addEventListener('click', () => {
+            const settings = Storage.getSettings();
+            const cdrData = (this._pendingCDR && this._pendingCDR.data) || settings.logoOriginalCDR;
+            const cdrName = (this._pendingCDR && this._pendingCDR.name) || settings.logoOriginalCDRName || 'logo.cdr';
+
+            if (!cdrData) return;
+
+            const link = document.createElement('a');
+            link.href = cdrData;
+            link.download = cdrName;
+            link.click();
+        });
+
+        // Clear CDR
+        document.getElementById('btn-clear-cdr').addEventListener('click', () => {
+            this._pendingCDR = null;
+            this._clearCDR = true;
+            document.getElementById('cdr-logo-info').classList.add('hidden');
+            document.getElementById('settings-cdr-logo').value = '';
+        });
+
+        document.getElementById('btn-clear-logo').addEventListener('click', () => {
+            const settings = Storage.getSettings();
+            settings.logo = null;
+            // We don't save immediately, just update UI context.
+            // Actually, better to update the form state visually.
+            // Since renderSettings takes an object, we can pass the modified one.
+            // But we need to store this pending change somewhere or just rely on what's in the "session"
+            // if we were strictly MVC. For simplicity, we'll update the UI and let saveSettings handle the final persistence
+            // but we need a way to know the logo was cleared if we don't persist it here.
+            // Easier approach: Update the UI elements directly or persist to a temp state?
+            // Let's just update the UI elements to show empty. The save logic needs to know though.
+            // For now, we'll update the Storage settings temporarily or assume the user hits save?
+            // Let's just clear the input and preview.
+            // The save handler needs to read the current state.
+            // Since we don't have a "getSettingsFromForm" method in UI,
+            // we'll actually modify the storage settings object in memory if we want to persist it on save?
+            // Or better, let's just save it to a temp variable?
+            // Simplest for this architecture: Just update the UI and clear the file input.
+            // But wait, how does handleSaveSettings know?
+            // Let's assume handleSaveSettings reads values.
+            // Logo is special. Let's store the draft logo in a property on App or just directly update Storage?
+            // No, standard pattern is "Save" commits changes.
+            // We'll attach the draft logo to the form element data-attribute or similar?
+            // Or simply: The preview image src IS the data source for the save operation if we want to be clever.
+            
+            // Let's update the UI preview to hidden.
+            const preview = document.getElementById('settings-logo-preview');
+            preview.src = '';
+            preview.classList.add('hidden');
+            document.getElementById('logo-placeholder').classList.remove('hidden');
+            document.getElementById('btn-clear-logo').classList.add('hidden');
+            document.getElementById('settings-logo').value = ''; // clear input
+        });
+
+        // Tax Category Editor
+        document.getElementById('btn-add-tax-category').addEventListener('click', () => {
+            const block = UI.addTaxCategoryBlock();
+            UI.addTaxComponentRow(block);
+            block.querySelector('.tax-category-id').focus();
+        });
+
+        document.getElementById('settings-tax-categories').addEventListener('click', (e) => {
+            const block = e.target.closest('.tax-category');
+            if (e.target.closest('.add-tax-component')) {
+                UI.addTaxComponentRow(block);
+            } else if (e.target.closest('.remove-tax-component')) {
+                e.target.closest('.tax-component').remove();
+            } else if (e.target.closest('.remove-tax-category')) {
+                block.remove();
+                UI.refreshDefaultTaxCategoryOptions();
+            }
+        });
+
+        document.getElementById('settings-tax-categories').addEventListener('input', (e) => {
+            if (e.target.classList.contains('tax-category-id') || e.target.classList.contains('tax-category-name')) {
+                UI.refreshDefaultTaxCategoryOptions();
             }
         });
 
-        // Download CDR
-        document.getElementById('btn-download-cdr').addEventListener('click', () => {
-            const settings = Storage.getSettings();
-            const cdrData = (this._pendingCDR && this._pendingCDR.data) || settings.logoOriginalCDR;
-            const cdrName = (this._pendingCDR && this._pendingCDR.name) || settings.logoOriginalCDRName || 'logo.cdr';
+        document.getElementById('settings-payment-terms').addEventListener('input', (e) => {
+            UI.updatePaymentTermsFields(e.currentTarget);
+        });
+
+        // Line Items Management
+        document.getElementById('btn-add-item').addEventListener('click', () => {
+            this.addLineItem();
+        });
+
+        // Catalog suggestions while typing an item code
+        document.getElementById('line-items-body').addEventListener('input', (e) => {
+            if (e.target.classList.contains('item-name')) {
+                this.handleItemNameInput(e.target);
+            }
+        });
+
+        document.getElementById('line-items-body').addEventListener('focusout', (e) => {
+            if (e.target.classList.contains('item-name')) {
+                UI.hideSuggestions();
+            }
+        });
+
+        document.getElementById('line-items-body').addEventListener('click', (e) => {
+            if (e.target.closest('.remove-item')) {
+                const row = e.target.closest('tr');
+                row.remove();
+                this.updateRealtimeTotals();
+            }
+        });
+
+        document.getElementById('invoice-status').addEventListener('change', (e) => {
+            UI._manualStatus = e.target.value;
+            this.updateRealtimeTotals();
+        });
+
+        // Payments
+        document.getElementById('btn-add-payment').addEventListener('click', () => {
+            const row = UI.addPaymentRow(Model.createPayment());
+            row.querySelector('.payment-amount').focus();
+        });
+
+        document.getElementById('btn-pay-balance').addEventListener('click', () => {
+            const invoiceData = UI.getFormData();
+            if (invoiceData.balanceDue <= 0) {
+                alert(I18n.t('editor.noBalance'));
+                return;
+            }
+            UI.addPaymentRow(Model.createPayment(invoiceData.balanceDue));
+            this.updateRealtimeTotals();
+        });
+
+        document.getElementById('payments-body').addEventListener('click', (e) => {
+            if (e.target.closest('.remove-payment')) {
+                e.target.closest('tr').remove();
+                this.updateRealtimeTotals();
+            }
+        });
+
+        // Real-time Calculations + Auto-resize textareas
+        const form = document.getElementById('invoice-form');
+        form.addEventListener('input', (e) => {
+            if (
+                e.target.classList.contains('item-qty') ||
+                e.target.classList.contains('item-rate') ||
+                e.target.classList.contains('item-discount') ||
+                e.target.classList.contains('item-tax-category') ||
+                e.target.classList.contains('payment-amount') ||
+                e.target.id === 'invoice-discount' ||
+                e.target.id === 'invoice-currency'
+            ) {
+                this.updateRealtimeTotals();
+            }
+            if (e.target.id === 'invoice-date' || e.target.closest('#invoice-payment-terms')) {
+                this.updateDueDate();
+            }
+            // Auto-resize line item textareas
+            if (e.target.tagName === 'TEXTAREA' && (e.target.classList.contains('item-name') || e.target.classList.contains('item-desc'))) {
+                e.target.style.height = 'auto';
+                e.target.style.height = e.target.scrollHeight + 'px';
+            }
+        });
+    },
+
+    /**
+     * Show changes another tab saved. Lists are drawn again; the editor and
+     * the settings form are left alone so nothing typed is lost.
+     */
+    handleExternalChange() {
+        const reloads = {
+            dashboard: () => this.refreshDashboard(),
+            quotes: () => this.loadQuotes(),
+            clients: () => this.loadClients(),
+            catalog: () => this.loadCatalog(),
+            recurring: () => this.loadRecurring(),
+            reports: () => this.loadReports(),
+            trash: () => this.loadTrash()
+        };
+        const reload = reloads[UI.getActiveView()];
+        if (reload) reload();
+    },
+
+    /**
+     * Load and display the dashboard
+     */
+    loadDashboard() {
+        // Only adds to the status history; the list doesn't wait for the write
+        Storage.markOverdueInvoices();
+        this.refreshDashboard();
+        UI.showView('dashboard');
+    },
+
+    /**
+     * Render the dashboard list from the current search, filters, sorting and page
+     */
+    refreshDashboard() {
+        const state = this.dashboardState;
+        const all = Storage.getInvoices();
+        const sorted = this.getDashboardInvoices();
+
+        const pageCount = Math.max(1, Math.ceil(sorted.length / state.pageSize));
+        state.page = Math.min(Math.max(1, state.page), pageCount);
+
+        // Only what the search and filters show stays selected, so bulk actions never reach hidden rows
+        const listed = new Set(sorted.map(inv => inv.id));
+        this.selectedIds.forEach(id => {
+            if (!listed.has(id)) this.selectedIds.delete(id);
+        });
+
+        const clientNames = [...new Set(all.map(inv => inv.client.name).filter(Boolean))]
+            .sort((a, b) => a.localeCompare(b));
+        UI.renderInvoiceFilters(state, clientNames, Model.listCurrencies(all));
+        UI.renderDashboard(sorted, {
+            sort: state.sort,
+            page: state.page,
+            pageSize: state.pageSize,
+            narrowed: sorted.length !== all.length,
+            selected: this.selectedIds
+        });
+        Storage.saveViewState('dashboard', state);
+        this.updateBulkExportCount();
+    },
+
+    /**
+     * Invoices and credit notes matching the dashboard search and filters, in list order
+     * @returns {Array}
+     */
+    getDashboardInvoices() {
+        const state = this.dashboardState;
+        const found = state.search ? Storage.searchInvoices(state.search) : Storage.getInvoices();
+        const filtered = Model.filterInvoices(found, state.filters);
+        return Model.sortInvoices(filtered, state.sort.field, state.sort.direction);
+    },
+
+    /**
+     * Check or uncheck one invoice in the dashboard list
+     * @param {string} id
+     * @param {boolean} checked
+     */
+    handleSelectInvoice(id, checked) {
+        if (checked) {
+            this.selectedIds.add(id);
+        } else {
+            this.selectedIds.delete(id);
+        }
+        UI.renderSelection(this.getDashboardInvoices(), this.selectedIds);
+    },
+
+    /**
+     * Select every invoice the search and filters show, on all pages, or none
+     * @param {boolean} checked
+     */
+    handleSelectAll(checked) {
+        this.selectedIds = new Set(checked ? this.getDashboardInvoices().map(inv => inv.id) : []);
+        this.refreshDashboard();
+    },
+
+    /**
+     * Selected invoices and credit notes, in list order
+     * @returns {Array}
+     */
+    getSelectedInvoices() {
+        return this.getDashboardInvoices().filter(inv => this.selectedIds.has(inv.id));
+    },
+
+    /**
+     * Run a bulk action on the selected documents
+     * @param {string} action - sent | paid | duplicate | export | print | delete | clear
+     */
+    handleBulkAction(action) {
+        const invoices = this.getSelectedInvoices();
+        if (action === 'clear' || invoices.length === 0) {
+            this.selectedIds.clear();
+            this.refreshDashboard();
+            return;
+        }
+
+        if (action === 'sent') {
+            this.handleBulkMarkSent(invoices);
+        } else if (action === 'paid') {
+            this.handleBulkMarkPaid(invoices, UI.getBulkPaymentDate());
+        } else if (action === 'duplicate') {
+            this.handleBulkDuplicate(invoices);
+        } else if (action === 'export') {
+            UI.showBulkExportPanel('selected');
+            this.updateBulkExportCount();
+        } else if (action === 'print') {
+            this.handleBulkPrint(invoices);
+        } else if (action === 'delete') {
+            this.handleBulkDelete(invoices);
+        }
+    },
+
+    /**
+     * Save a change to each of several documents in one write, one revision each
+     * @param {Array} invoices - Copies from Storage; changed in place
+     * @param {Function} change - Applied to each document before it is saved
+     * @param {Object} note - { key, params } message stored with each revision
+     * @returns {Promise<Object>} { saved, failed } counts
+     */
+    async saveBulkChange(invoices, change, note) {
+        invoices.forEach(invoice => {
+            change(invoice);
+            Model.calculateInvoice(invoice);
+        });
+        try {
+            return await Storage.saveInvoices(invoices, { note: note });
+        } catch (e) {
+            alert(e.message);
+            return { saved: 0, failed: invoices.length };
+        }
+    },
+
+    /**
+     * Say how a bulk update went, including what it left alone
+     * @param {string} done - Plural message key for the saved count, e.g. 'bulk.markedPaid'
+     * @param {Object} result - { saved, failed } from saveBulkChange
+     * @param {number} skipped - Documents the action did not apply to
+     */
+    reportBulkChange(done, result, skipped) {
+        const parts = [I18n.plural(done, result.saved)];
+        if (skipped) parts.push(I18n.t('bulk.skipped', { count: skipped }));
+        if (result.failed) parts.push(I18n.t('bulk.failed', { count: result.failed }));
+        UI.showToast(parts.join(' '));
+    },
+
+    /**
+     * Mark the selected drafts as sent; documents already sent, paid or void are skipped
+     * @param {Array} invoices
+     */
+    async handleBulkMarkSent(invoices) {
+        const drafts = invoices.filter(inv => Model.isPayable(inv) && inv.status === 'draft');
+        const result = await this.saveBulkChange(drafts, inv => {
+            inv.status = 'sent';
+        }, { key: 'history.note.markedSent' });
+        this.refreshDashboard();
+        this.reportBulkChange('bulk.markedSent', result, invoices.length - drafts.length);
+    },
+
+    /**
+     * Record a payment of the balance due on each selected invoice, which marks it paid.
+     * Credit notes and paid or void invoices are skipped.
+     * @param {Array} invoices
+     * @param {string} date - Payment date, yyyy-mm-dd
+     */
+    async handleBulkMarkPaid(invoices, date) {
+        if (!date) {
+            alert(I18n.t('bulk.paymentDateRequired'));
+            return;
+        }
+        const unpaid = invoices.filter(inv => Model.isPayable(inv) && inv.status !== 'void' && inv.balanceDue > 0);
+        if (unpaid.length === 0) {
+            alert(I18n.t('bulk.noBalance'));
+            return;
+        }
+        if (!confirm(I18n.plural('bulk.confirmPaid', unpaid.length, { date: Model.formatDate(date) }))) {
+            return;
+        }
+
+        const result = await this.saveBulkChange(unpaid, inv => {
+            inv.payments = [...(inv.payments || []), Model.createPayment(inv.balanceDue, date)];
+        }, { key: 'history.note.markedPaid' });
+        this.refreshDashboard();
+        this.reportBulkChange('bulk.markedPaid', result, invoices.length - unpaid.length);
+    },
+
+    /**
+     * Copy each selected invoice as a new numbered draft dated today.
+     * Credit notes are skipped; each belongs to the invoice it credits.
+     * @param {Array} invoices
+     */
+    async handleBulkDuplicate(invoices) {
+        const originals = invoices.filter(inv => Model.isPayable(inv));
+        let created = 0;
+        try {
+            const copies = originals.map(invoice => Model.duplicateInvoice(invoice));
+            created = (await Storage.saveInvoices(copies, {
+                note: (copy, i) => ({ key: 'history.note.duplicatedFrom', params: { number: originals[i].invoiceNumber } }),
+                assignNumbers: true
+            })).saved;
+        } catch (e) {
+            alert(e.message);
+        }
+        this.refreshDashboard();
+        const skipped = invoices.length - originals.length;
+        UI.showToast(I18n.plural('bulk.duplicated', created) + (skipped ? ' ' + I18n.plural('bulk.creditNotesSkipped', skipped) : ''));
+    },
+
+    /**
+     * Move the selected documents to the trash, with Undo
+     * @param {Array} invoices
+     */
+    async handleBulkDelete(invoices) {
+        const ids = await Storage.deleteInvoices(invoices.map(inv => inv.id));
+        ids.forEach(id => this.selectedIds.delete(id));
+        this.refreshDashboard();
+        if (ids.length < invoices.length) {
+            alert(I18n.t('bulk.deleteFailed', { count: invoices.length - ids.length }));
+        }
+        if (ids.length === 0) return;
+
+        UI.showToast(I18n.plural('bulk.deleted', ids.length), {
+            actionLabel: I18n.t('action.undo'),
+            onAction: async () => {
+                await Storage.restoreInvoices(ids);
+                this.refreshDashboard();
+            }
+        });
+    },
+
+    /**
+     * Print the selected documents as one job, each on its own pages
+     * @param {Array} invoices
+     */
+    handleBulkPrint(invoices) {
+        UI.renderPrintBatch(invoices);
+        document.body.classList.add('printing-batch');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-batch');
+            UI.clearPrintBatch();
+        }, { once: true });
+        // Small delay to ensure DOM render before print
+        setTimeout(() => {
+            window.print();
+        }, 100);
+    },
+
+    /**
+     * Dashboard state saved by the last session, or the defaults
+     * @returns {Object}
+     */
+    loadDashboardState() {
+        const saved = Storage.getViewState('dashboard') || {};
+        const sort = saved.sort && Model.INVOICE_SORT_FIELDS[saved.sort.field]
+            ? { field: saved.sort.field, direction: saved.sort.direction === 'asc' ? 'asc' : 'desc' }
+            : { field: 'date', direction: 'desc' };
+
+        return {
+            search: typeof saved.search === 'string' ? saved.search : '',
+            filters: { ...Model.createInvoiceFilters(), ...saved.filters },
+            sort: sort,
+            page: 1,
+            pageSize: [25, 50, 100].includes(saved.pageSize) ? saved.pageSize : 25
+        };
+    },
+
+    /**
+     * Handle a change to the dashboard filter controls
+     */
+    handleFilterChange() {
+        this.dashboardState.filters = UI.getInvoiceFilters();
+        this.dashboardState.page = 1;
+        this.refreshDashboard();
+    },
+
+    /**
+     * Sort the dashboard by a column; the same column again flips the direction
+     * @param {string} field - Key of Model.INVOICE_SORT_FIELDS
+     */
+    handleSort(field) {
+        const sort = this.dashboardState.sort;
+        if (sort.field === field) {
+            sort.direction = sort.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            // Text columns start A-Z; dates and amounts start with the latest/largest
+            sort.field = field;
+            sort.direction = ['number', 'client', 'status'].includes(field) ? 'asc' : 'desc';
+        }
+        this.dashboardState.page = 1;
+        this.refreshDashboard();
+    },
+
+    /**
+     * Load the editor for creating or editing
+     * @param {string|null} id 
+     * @param {string} type - Document to create when there is no id: 'invoice' or 'quote'
+     */
+    loadEditor(id = null, type = 'invoice') {
+        let invoice;
+        if (id) {
+            invoice = Storage.getInvoice(id);
+            if (!invoice) {
+                alert(I18n.t('editor.notFound'));
+                this.loadDashboard();
+                return;
+            }
+        } else {
+            const settings = Storage.getSettings();
+            invoice = type === 'quote'
+                ? Model.createEmptyQuote(parseInt(settings.quoteValidityDays, 10) || 30)
+                : Model.createEmptyInvoice();
+            invoice.currency = settings.currency || 'USD';
+            invoice.rounding = { ...invoice.rounding, ...settings.rounding };
+            if (type !== 'quote') {
+                Model.applyPaymentTerms(invoice, Model.resolvePaymentTerms(settings));
+            }
+            // Pre-fill next number from the document's own sequence
+            invoice.invoiceNumber = type === 'quote' ? Storage.getNextQuoteNumber() : Storage.getNextInvoiceNumber();
+            invoice.items.push(this.createLineItem());
+        }
+
+        UI.renderEditor(invoice);
+        UI.showView('editor');
+    },
+
+    /**
+     * Recompute the editor's due date from the invoice date and payment terms.
+     * Invoices without terms keep the due date entered by hand.
+     */
+    updateDueDate() {
+        const el = UI.elements.editor;
+        UI.updatePaymentTermsFields(el.paymentTerms);
+        const terms = UI.getPaymentTermsFields(el.paymentTerms);
+        if (terms && el.date.value && Model.isPayable(UI._document)) {
+            el.dueDate.value = Model.computeDueDate(el.date.value, terms);
+        }
+    },
+
+    /**
+     * Give the invoice in the editor the payment terms of the client just picked,
+     * or the business terms when the client has none
+     * @param {Object} client
+     */
+    applyClientPaymentTerms(client) {
+        const el = UI.elements.editor;
+        if (!Model.isPayable(UI._document)) return;
+        const terms = Model.resolvePaymentTerms(Storage.getSettings(), client);
+        UI.setPaymentTermsFields(el.paymentTerms, terms, I18n.t('terms.option.none'));
+        this.updateDueDate();
+    },
+
+    /**
+     * Load and display the quotes, newest first
+     */
+    loadQuotes() {
+        const query = UI.elements.quotes.searchInput.value;
+        UI.renderQuotes(Model.sortInvoices(Storage.searchQuotes(query), 'date', 'desc'), !!query);
+        UI.showView('quotes');
+    },
+
+    /**
+     * Load and display the client address book
+     */
+    loadClients() {
+        const clients = Storage.searchClients(UI.elements.clients.searchInput.value);
+        const invoiceCounts = {};
+        Storage.getInvoices().forEach(inv => {
+            if (inv.clientId) {
+                invoiceCounts[inv.clientId] = (invoiceCounts[inv.clientId] || 0) + 1;
+            }
+        });
+
+        UI.renderClients(clients, invoiceCounts);
+        UI.showView('clients');
+    },
+
+    /**
+     * Save the client form to the address book
+     */
+    async handleSaveClient() {
+        const formData = UI.getClientFormData();
+        const existing = Storage.getClient(formData.id);
+        const client = existing ? { ...existing, ...formData } : Model.createClient(formData);
+
+        try {
+            if (await Storage.saveClient(client)) {
+                UI.hideClientForm();
+                this.loadClients();
+            } else {
+                alert(I18n.t('clients.saveFailed'));
+            }
+        } catch (e) {
+            alert(e.message);
+        }
+    },
+
+    /**
+     * Delete a client from the address book
+     * @param {string} id
+     */
+    async handleDeleteClient(id) {
+        if (confirm(I18n.t('clients.confirmDelete'))) {
+            if (await Storage.deleteClient(id)) {
+                this.loadClients();
+            } else {
+                alert(I18n.t('clients.deleteFailed'));
+            }
+        }
+    },
+
+    /**
+     * Suggest address book clients while typing the client name
+     * @param {HTMLInputElement} input
+     */
+    handleClientInput(input) {
+        const el = UI.elements.editor;
+
+        // Editing the name away from the linked client breaks the link
+        if (el.clientId.value) {
+            const linked = Storage.getClient(el.clientId.value);
+            if (!linked || linked.name !== input.value) {
+                el.clientId.value = '';
+            }
+        }
+        UI.updateClientLinkState();
+
+        const matches = input.value.trim() ? Storage.searchClients(input.value.trim()).slice(0, 8) : [];
+        UI.showSuggestions(
+            input,
+            matches.map(c => ({ label: c.name, detail: c.email })),
+            (index) => {
+                UI.fillClientFields(matches[index]);
+                this.applyClientPaymentTerms(matches[index]);
+            }
+        );
+    },
+
+    /**
+     * Link the invoice to an address book client, creating one if requested.
+     * Exact name matches are linked silently.
+     * @param {Object} invoiceData
+     */
+    async resolveInvoiceClient(invoiceData) {
+        if (invoiceData.clientId || !invoiceData.client.name.trim()) return;
+
+        const match = Storage.findClientByName(invoiceData.client.name);
+        if (match) {
+            invoiceData.clientId = match.id;
+        } else if (UI.elements.editor.clientSave.checked) {
+            const client = Model.createClient(invoiceData.client);
+            if (await Storage.saveClient(client)) {
+                invoiceData.clientId = client.id;
+            }
+        }
+    },
+
+    /**
+     * Load and display the product/service catalog
+     */
+    loadCatalog() {
+        UI.renderCatalog(Storage.searchCatalog(UI.elements.catalog.searchInput.value));
+        UI.showView('catalog');
+    },
+
+    /**
+     * Save the catalog form
+     */
+    async handleSaveCatalogItem() {
+        const formData = UI.getCatalogFormData();
+        const existing = Storage.getCatalogItem(formData.id);
+        const item = existing ? { ...existing, ...formData } : Model.createCatalogItem(formData);
+
+        try {
+            if (await Storage.saveCatalogItem(item)) {
+                UI.hideCatalogForm();
+                this.loadCatalog();
+            } else {
+                alert(I18n.t('catalog.saveFailed'));
+            }
+        } catch (e) {
+            alert(e.message);
+        }
+    },
+
+    /**
+     * Delete a catalog entry
+     * @param {string} id
+     */
+    async handleDeleteCatalogItem(id) {
+        if (confirm(I18n.t('catalog.confirmDelete'))) {
+            if (await Storage.deleteCatalogItem(id)) {
+                this.loadCatalog();
+            } else {
+                alert(I18n.t('catalog.deleteFailed'));
+            }
+        }
+    },
+
+    /**
+     * Download the catalog as a JSON file
+     */
+    handleExportCatalog() {
+        const payload = Storage.exportCatalog();
+        this.downloadFile(JSON.stringify(payload, null, 2), 'invoicer-catalog.json', 'application/json');
+    },
+
+    /**
+     * Import catalog entries from a JSON file
+     * @param {File} file
+     */
+    async handleImportCatalog(file) {
+        try {
+            const payload = JSON.parse(await file.text());
+            const result = await Storage.importCatalog(payload);
+            this.loadCatalog();
+            alert(I18n.t('catalog.imported', result));
+        } catch (e) {
+            console.error('Catalog import failed', e);
+            alert(e instanceof StorageError ? e.message : I18n.t('catalog.readFailed'));
+        }
+    },
+
+    /**
+     * Download a backup of all app data
+     */
+    handleExportBackup() {
+        const payload = Storage.exportBackup();
+        const date = payload.exportedAt.split('T')[0];
+        this.downloadFile(JSON.stringify(payload, null, 2), `invoicer-backup-${date}.json`, 'application/json');
+    },
+
+    /**
+     * Download the copy of the data kept from before the last upgrade. It restores
+     * like any backup file.
+     */
+    async handleExportUpgradeBackup() {
+        const payload = await Storage.getUpgradeBackup();
+        if (!payload) {
+            alert(I18n.t('backup.noUpgradeBackup'));
+            return;
+        }
+        this.downloadFile(JSON.stringify(payload, null, 2), `invoicer-backup-${payload.version}.json`, 'application/json');
+    },
+
+    /**
+     * Read and validate a backup file, then show the restore options
+     * @param {File} file
+     */
+    async handleImportBackup(file) {
+        try {
+            const payload = JSON.parse(await file.text());
+            const backupData = Storage.parseBackup(payload);
+            this._pendingRestore = backupData;
+            UI.showRestorePanel(backupData, Storage.findBackupConflicts(backupData), payload.exportedAt);
+        } catch (e) {
+            console.error('Backup import failed', e);
+            alert(e instanceof StorageError ? e.message : I18n.t('backup.readFailed'));
+        }
+    },
+
+    /**
+     * Restore the pending backup with the chosen mode and conflict resolutions
+     */
+    async handleRestoreBackup() {
+        if (!this._pendingRestore) return;
+
+        const options = UI.getRestoreOptions();
+        if (options.mode === 'replace' &&
+            !confirm(I18n.t('backup.confirmReplace'))) {
+            return;
+        }
+
+        try {
+            const result = await Storage.restoreBackup(this._pendingRestore, options);
+            this._pendingRestore = null;
+            UI.hideRestorePanel();
+            alert(I18n.t(options.mode === 'replace' ? 'backup.restored' : 'backup.merged', result));
+            this.loadSettings();
+        } catch (e) {
+            alert(e.message);
+        }
+    },
+
+    /**
+     * Read the first sheet of a CSV, XLSX or ODS file and show the column mapping
+     * @param {File} file
+     */
+    async handleImportSpreadsheet(file) {
+        try {
+            // raw: text files keep dates as written, to be read in the chosen date order
+            const workbook = XLSX.read(await file.arrayBuffer(), { cellDates: true, raw: true });
+            const sheet = workbook.Sheets[workbook.SheetNames[0]];
+            const [headers = [], ...rows] = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: false });
+            if (rows.length === 0) {
+                alert(I18n.t('import.noRows'));
+                return;
+            }
+            this._pendingImport = { rows: rows, preview: null };
+            const headings = headers.map(header => Model.importCellText(header));
+            UI.showImportPanel(file.name, headings, rows[0], Model.guessImportMapping(headings), rows.length);
+        } catch (e) {
+            console.error('Spreadsheet import failed', e);
+            alert(I18n.t('import.readFailed'));
+        }
+    },
+
+    /**
+     * Build the invoices from the chosen column mapping and show the dry run
+     */
+    handleImportPreview() {
+        if (!this._pendingImport) return;
+
+        const mapping = UI.getImportMapping();
+        const missing = Model.IMPORT_REQUIRED_FIELDS.filter(field => !mapping.includes(field));
+        if (missing.length) {
+            alert(I18n.t('import.missingColumns', { fields: missing.map(field => I18n.t('import.field.' + field)).join(', ') }));
+            return;
+        }
+        const duplicate = mapping.find((field, i) => field && mapping.indexOf(field) !== i);
+        if (duplicate) {
+            alert(I18n.t('import.duplicateColumn', { field: I18n.t('import.field.' + duplicate) }));
+            return;
+        }
+
+        const entries = Model.buildImportedInvoices(this._pendingImport.rows, mapping, Storage.getSettings(), UI.getImportDateOrder(), UI.getImportDecimal());
+        this._pendingImport.preview = Storage.previewImport(entries);
+        UI.renderImportPreview(this._pendingImport.preview);
+    },
+
+    /**
+     * Save the previewed invoices that have no problems
+     */
+    async handleConfirmImport() {
+        const pending = this._pendingImport;
+        if (!pending || !pending.preview) return;
+
+        try {
+            const result = await Storage.importInvoices(pending.preview, { addClients: UI.elements.import.addClients.checked });
+            this._pendingImport = null;
+            UI.hideImportPanel();
+            alert(I18n.t('import.finished', result));
+        } catch (e) {
+            alert(e.message);
+        }
+    },
+
+    /**
+     * Documents a bulk export covers: the dashboard list as searched and filtered,
+     * the documents selected in it, or every invoice and credit note dated within
+     * a range, oldest first
+     * @param {Object} options - From UI.getBulkExportOptions
+     * @returns {Array}
+     */
+    getBulkExportInvoices(options) {
+        if (options.scope === 'filtered') return this.getDashboardInvoices();
+        if (options.scope === 'selected') return this.getSelectedInvoices();
+        if (!options.from || !options.to) return [];
+        const inRange = Model.filterInvoices(Storage.getInvoices(), { dateFrom: options.from, dateTo: options.to });
+        return Model.sortInvoices(inRange, 'date', 'asc');
+    },
+
+    /**
+     * Keep the bulk export panel's document count in step with its choices
+     */
+    updateBulkExportCount() {
+        if (UI.elements.dashboard.bulkExport.panel.classList.contains('hidden')) return;
+        UI.updateBulkExportCount(this.getBulkExportInvoices(UI.getBulkExportOptions()).length);
+    },
+
+    /**
+     * Export the chosen documents as a workbook, a line item ledger or a ZIP of PDFs
+     */
+    async handleBulkExport() {
+        const options = UI.getBulkExportOptions();
+        if (options.scope === 'range' && (!options.from || !options.to || options.from > options.to)) {
+            alert(I18n.t('export.rangeInvalid'));
+            return;
+        }
+        const invoices = this.getBulkExportInvoices(options);
+        if (invoices.length === 0) {
+            alert(I18n.t('export.nothing'));
+            return;
+        }
+        if (options.format === 'zip' && (typeof window.jspdf === 'undefined' || typeof JSZip === 'undefined')) {
+            alert(I18n.t('app.pdfLibraryMissing'));
+            return;
+        }
+        if (options.format !== 'zip' && typeof XLSX === 'undefined') {
+            alert(I18n.t('app.spreadsheetLibraryMissing'));
+            return;
+        }
+
+        const fileName = options.scope === 'range'
+            ? `invoices-${options.from}-to-${options.to}`
+            : `invoices-${new Date().toISOString().split('T')[0]}`;
+        try {
+            if (options.format === 'csv') {
+                this.exportLedger(invoices, fileName);
+            } else if (options.format === 'zip') {
+                await this.exportPDFBatch(invoices, fileName);
+            } else {
+                this.exportWorkbook(invoices, fileName, options.format);
+            }
+            UI.hideBulkExportPanel();
+        } catch (e) {
+            console.error('Bulk export failed', e);
+            alert(I18n.t('export.failed'));
+        }
+    },
+
+    /**
+     * Download one workbook: a summary sheet listing the documents, then a sheet for each
+     * @param {Array} invoices
+     * @param {string} fileName - Without extension
+     * @param {string} format - ods | xlsx
+     */
+    exportWorkbook(invoices, fileName, format) {
+        const summary = [['number', 'type', 'date', 'dueDate', 'client', 'status', 'currency',
+            'subtotal', 'discount', 'tax', 'total', 'paid', 'balanceDue'].map(key => I18n.t('export.' + key))];
+        invoices.forEach(inv => {
+            summary.push([
+                inv.invoiceNumber, Model.documentLabels(inv).name, inv.createdDate, inv.dueDate || '',
+                inv.client.name, Model.formatStatus(Model.getDisplayStatus(inv)), inv.currency || 'USD',
+                inv.subtotal, inv.discountAmount, inv.taxAmount, inv.total, inv.amountPaid, inv.balanceDue
+            ]);
+        });
+
+        const wb = XLSX.utils.book_new();
+        const summarySheet = XLSX.utils.aoa_to_sheet(summary);
+        summarySheet['!cols'] = summary[0].map((heading, i) => ({ wch: i === 4 ? 30 : 14 }));
+        const summaryName = I18n.t('export.summarySheet');
+        XLSX.utils.book_append_sheet(wb, summarySheet, summaryName);
+
+        // Sheet names are unique, at most 31 characters and free of []:*?/\
+        const used = new Set([summaryName.toLowerCase()]);
+        invoices.forEach(inv => {
+            const { ws, sheetName } = this.buildDocumentSheet(inv);
+            const base = (inv.invoiceNumber || sheetName).replace(/[[\]:*?\/\\]/g, '-');
+            let name = base.substring(0, 31);
+            for (let n = 2; used.has(name.toLowerCase()); n++) {
+                const suffix = ` (${n})`;
+                name = base.substring(0, 31 - suffix.length) + suffix;
+            }
+            used.add(name.toLowerCase());
+            XLSX.utils.book_append_sheet(wb, ws, name);
+        });
+
+        XLSX.writeFile(wb, `${fileName}.${format}`, { bookType: format });
+    },
+
+    /**
+     * Download a flat CSV with one row per line item, for the accountant's ledger
+     * @param {Array} invoices
+     * @param {string} fileName - Without extension
+     */
+    exportLedger(invoices, fileName) {
+        const data = [['invoice', 'type', 'date', 'client', 'status', 'currency', 'item', 'description',
+            'quantity', 'unit', 'rate', 'discount', 'taxCategory', 'amount'].map(key => I18n.t('export.' + key))];
+        invoices.forEach(inv => {
+            inv.items.forEach(item => {
+                const category = Model.findTaxCategory(inv.taxCategories, item.taxCategory);
+                data.push([
+                    inv.invoiceNumber, Model.documentLabels(inv).name, inv.createdDate, inv.client.name,
+                    Model.formatStatus(Model.getDisplayStatus(inv)), inv.currency || 'USD',
+                    item.itemName || '', item.description || '', item.quantity, item.unit || '', item.rate,
+                    Model.formatDiscountInput(item.discount), category ? category.name : '', item.amount
+                ]);
+            });
+        });
+
+        const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(data), I18n.t('export.ledgerSheet'));
+        XLSX.writeFile(wb, `${fileName}-ledger.csv`, { bookType: 'csv' });
+    },
+
+    /**
+     * Download a ZIP holding a PDF for each document
+     * @param {Array} invoices
+     * @param {string} fileName - Without extension
+     */
+    async exportPDFBatch(invoices, fileName) {
+        const zip = new JSZip();
+        const used = new Set();
+        for (const invoice of invoices) {
+            const pdf = await this.buildPDF(invoice);
+            let name = pdf.fileName;
+            for (let n = 2; used.has(name); n++) name = `${pdf.fileName}-${n}`;
+            used.add(name);
+            zip.file(`${name}.pdf`, pdf.doc.output('blob'));
+        }
+        const blob = await zip.generateAsync({ type: 'blob' });
+        this.downloadFile(blob, `${fileName}-pdf.zip`, 'application/zip');
+    },
+
+    /**
+     * Trigger a browser download for generated content
+     * @param {string|Blob} content
+     * @param {string} filename
+     * @param {string} type - MIME type
+     */
+    downloadFile(content, filename, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    /**
+     * Load and display recurring profiles
+     */
+    loadRecurring() {
+        UI.renderRecurring(Storage.getRecurringProfiles());
+        UI.showView('recurring');
+    },
+
+    /**
+     * Start a recurring schedule from a saved invoice, or edit the existing one
+     * @param {string} invoiceId
+     */
+    handleMakeRecurring(invoiceId) {
+        const invoice = Storage.getInvoice(invoiceId);
+        if (!invoice) {
+            alert(I18n.t('editor.saveForRecurring'));
+            return;
+        }
+
+        const existing = Storage.getRecurringProfiles().find(p => p.sourceInvoiceId === invoice.id);
+        this.loadRecurring();
+        UI.showRecurringForm(existing || Model.createRecurringProfile(invoice));
+    },
+
+    /**
+     * Save the recurring profile form
+     */
+    async handleSaveRecurring() {
+        const formData = UI.getRecurringFormData();
+        let profile = Storage.getRecurringProfile(formData.id);
+
+        if (!profile) {
+            const invoice = Storage.getInvoice(formData.sourceInvoiceId);
+            if (!invoice) {
+                alert(I18n.t('recurring.sourceMissing'));
+                return;
+            }
+            profile = Model.createRecurringProfile(invoice);
+        }
+
+        if (formData.endDate && formData.endDate < formData.startDate) {
+            alert(I18n.t('recurring.endBeforeStart'));
+            return;
+        }
+        if (formData.nextRunDate < formData.startDate) {
+            formData.nextRunDate = formData.startDate;
+        }
+
+        try {
+            if (await Storage.saveRecurringProfile({ ...profile, ...formData })) {
+                UI.hideRecurringForm();
+                this.loadRecurring();
+            } else {
+                alert(I18n.t('recurring.saveFailed'));
+            }
+        } catch (e) {
+            alert(e.message);
+        }
+    },
 
-            if (!cdrData) return;
+    /**
+     * Pause or resume a recurring profile
+     * @param {Object} profile
+     */
+    async handleToggleRecurring(profile) {
+        try {
+            await Storage.saveRecurringProfile({ ...profile, active: !profile.active });
+            this.loadRecurring();
+        } catch (e) {
+            alert(e.message);
+        }
+    },
 
-            const link = document.createElement('a');
-            link.href = cdrData;
-            link.download = cdrName;
-            link.click();
-        });
+    /**
+     * Delete a recurring profile
+     * @param {string} id
+     */
+    async handleDeleteRecurring(id) {
+        if (confirm(I18n.t('recurring.confirmDelete'))) {
+            if (await Storage.deleteRecurringProfile(id)) {
+                this.loadRecurring();
+            } else {
+                alert(I18n.t('recurring.deleteFailed'));
+            }
+        }
+    },
 
-        // Clear CDR
-        document.getElementById('btn-clear-cdr').addEventListener('click', () => {
-            this._pendingCDR = null;
-            this._clearCDR = true;
-            document.getElementById('cdr-logo-info').classList.add('hidden');
-            document.getElementById('settings-cdr-logo').value = '';
-        });
+    /**
+     * Generate the invoices of every active profile whose next run is due,
+     * catching up on runs missed while the app was closed
+     * @returns {Promise<number>} Number of invoices generated
+     */
+    async runRecurringProfiles() {
+        const today = new Date().toISOString().split('T')[0];
+        const invoices = [];
+        const profiles = [];
 
-        document.getElementById('btn-clear-logo').addEventListener('click', () => {
-            const settings = Storage.getSettings();
-            settings.logo = null;
-            // We don't save immediately, just update UI context.
-            // Actually, better to update the form state visually.
-            // Since renderSettings takes an object, we can pass the modified one.
-            // But we need to store this pending change somewhere or just rely on what's in the "session"
-            // if we were strictly MVC. For simplicity, we'll update the UI and let saveSettings handle the final persistence
-            // but we need a way to know the logo was cleared if we don't persist it here.
-            // Easier approach: Update the UI elements directly or persist to a temp state?
-            // Let's just update the UI elements to show empty. The save logic needs to know though.
-            // For now, we'll update the Storage settings temporarily or assume the user hits save?
-            // Let's just clear the input and preview.
-            // The save handler needs to read the current state.
-            // Since we don't have a "getSettingsFromForm" method in UI,
-            // we'll actually modify the storage settings object in memory if we want to persist it on save?
-            // Or better, let's just save it to a temp variable?
-            // Simplest for this architecture: Just update the UI and clear the file input.
-            // But wait, how does handleSaveSettings know?
-            // Let's assume handleSaveSettings reads values.
-            // Logo is special. Let's store the draft logo in a property on App or just directly update Storage?
-            // No, standard pattern is "Save" commits changes.
-            // We'll attach the draft logo to the form element data-attribute or similar?
-            // Or simply: The preview image src IS the data source for the save operation if we want to be clever.
-            
-            // Let's update the UI preview to hidden.
-            const preview = document.getElementById('settings-logo-preview');
-            preview.src = '';
-            preview.classList.add('hidden');
-            document.getElementById('logo-placeholder').classList.remove('hidden');
-            document.getElementById('btn-clear-logo').classList.add('hidden');
-            document.getElementById('settings-logo').value = ''; // clear input
-        });
+        for (const profile of Storage.getRecurringProfiles()) {
+            if (!profile.active) continue;
 
-        // Line Items Management
-        document.getElementById('btn-add-item').addEventListener('click', () => {
-            this.addLineItem();
-        });
+            const anchorDay = Model.recurringAnchorDay(profile);
+            const due = [];
+            try {
+                while (profile.nextRunDate <= today && (!profile.endDate || profile.nextRunDate <= profile.endDate)) {
+                    const invoice = Model.buildRecurringInvoice(profile, profile.nextRunDate);
+                    invoice.invoiceNumber = '';
+                    due.push(invoice);
 
-        document.getElementById('line-items-body').addEventListener('click', (e) => {
-            if (e.target.closest('.remove-item')) {
-                const row = e.target.closest('tr');
-                row.remove();
-                this.updateRealtimeTotals();
+                    profile.lastRunDate = profile.nextRunDate;
+                    profile.nextRunDate = Model.addInterval(profile.nextRunDate, profile.frequency, anchorDay);
+                }
+            } catch (e) {
+                console.error('Recurring invoice generation failed:', e.message);
+                continue;
             }
-        });
 
-        // Real-time Calculations + Auto-resize textareas
-        const form = document.getElementById('invoice-form');
-        form.addEventListener('input', (e) => {
-            if (
-                e.target.classList.contains('item-qty') ||
-                e.target.classList.contains('item-rate') ||
-                e.target.id === 'tax-rate'
-            ) {
-                this.updateRealtimeTotals();
-            }
-            // Auto-resize line item textareas
-            if (e.target.tagName === 'TEXTAREA' && (e.target.classList.contains('item-name') || e.target.classList.contains('item-desc'))) {
-                e.target.style.height = 'auto';
-                e.target.style.height = e.target.scrollHeight + 'px';
+            if (due.length > 0) {
+                invoices.push(...due);
+                profiles.push(profile);
             }
-        });
+        }
+
+        if (invoices.length === 0) return 0;
+
+        // The invoices, their numbers and the profiles' next runs go in one write,
+        // so a failed write can't leave invoices behind for runs that will come round again
+        try {
+            const result = await Storage.saveInvoices(invoices, { assignNumbers: true, recurring: profiles });
+            return result.saved;
+        } catch (e) {
+            console.error('Recurring invoice generation failed:', e.message);
+            return 0;
+        }
     },
 
     /**
-     * Load and display the dashboard
+     * Load and display the reports
      */
-    loadDashboard() {
+    loadReports() {
+        UI.renderReports(this.buildReports());
+        UI.showView('reports');
+    },
+
+    /**
+     * Compute the reports for the options chosen in the reports view
+     * @returns {Object} { revenue, clients, aging }
+     */
+    buildReports() {
+        const el = UI.elements.reports;
+        if (!el.agingDate.value) {
+            el.agingDate.value = new Date().toISOString().split('T')[0];
+        }
+
         const invoices = Storage.getInvoices();
-        UI.renderDashboard(invoices);
-        UI.showView('dashboard');
+        return {
+            revenue: Model.revenueByPeriod(invoices, el.period.value),
+            clients: Model.clientTotals(invoices, el.clientRank.value),
+            aging: Model.receivablesAging(invoices, el.agingDate.value)
+        };
     },
 
     /**
-     * Load the editor for creating or editing
-     * @param {string|null} id 
+     * Export one report as a spreadsheet
+     * @param {string} name - revenue | clients | aging
+     * @param {string} format - ods | csv
      */
-    loadEditor(id = null) {
-        let invoice;
-        if (id) {
-            invoice = Storage.getInvoice(id);
-            if (!invoice) {
-                alert('Invoice not found');
-                this.loadDashboard();
-                return;
-            }
+    handleExportReport(name, format) {
+        if (typeof XLSX === 'undefined') {
+            alert(I18n.t('app.spreadsheetLibraryMissing'));
+            return;
+        }
+
+        const el = UI.elements.reports;
+        const rows = this.buildReports()[name];
+        const data = [];
+        let sheetName;
+        let filename;
+
+        if (name === 'revenue') {
+            sheetName = I18n.t('reports.sheet.revenue');
+            filename = `revenue-by-${el.period.value}`;
+            data.push(['reports.period', 'field.currency', 'field.invoices', 'reports.billed', 'reports.received'].map(key => I18n.t(key)));
+            rows.forEach(row => {
+                data.push([Model.formatPeriod(row.period), row.currency, row.invoices, row.billed, row.paid]);
+            });
+        } else if (name === 'clients') {
+            sheetName = I18n.t('reports.sheet.clients');
+            filename = `top-clients-by-${el.clientRank.value}`;
+            data.push(['field.client', 'field.currency', 'field.invoices', 'reports.billed', 'reports.paid', 'reports.outstanding'].map(key => I18n.t(key)));
+            rows.forEach(row => {
+                data.push([row.client, row.currency, row.invoices, row.billed, row.paid, row.outstanding]);
+            });
         } else {
-            invoice = Model.createEmptyInvoice();
-            const settings = Storage.getSettings();
-            if (settings.defaultTaxRate) {
-                invoice.taxRate = settings.defaultTaxRate;
-            }
-            // Pre-fill next invoice number
-            invoice.invoiceNumber = Storage.getNextInvoiceNumber();
-            invoice.items.push(Model.createLineItem());
+            const columns = [...Model.AGING_BUCKETS.map(b => b.key), 'total'];
+            sheetName = I18n.t('reports.sheet.aging');
+            filename = `receivables-aging-${el.agingDate.value}`;
+            data.push([I18n.t('reports.asOf'), Model.formatDate(el.agingDate.value)]);
+            data.push([]);
+            data.push(['field.client', 'field.currency', ...Model.AGING_BUCKETS.map(b => 'aging.' + b.key), 'field.total'].map(key => I18n.t(key)));
+            rows.forEach(row => {
+                data.push([row.client, row.currency, ...columns.map(key => row[key])]);
+            });
         }
 
-        UI.renderEditor(invoice);
-        UI.showView('editor');
+        const ws = XLSX.utils.aoa_to_sheet(data);
+        ws['!cols'] = data[data.length - 1].map((cell, i) => ({ wch: i === 0 ? 30 : 15 }));
+
+        const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, ws, sheetName);
+        XLSX.writeFile(wb, `${filename}.${format}`, { bookType: format });
     },
 
     /**
@@ -266,12 +1785,16 @@ const App = {
         const settings = Storage.getSettings();
         UI.renderSettings(settings);
         UI.showView('settings');
+        // Offered only once an upgrade has kept a copy of the older data
+        Storage.getUpgradeBackup().then(backup => {
+            UI.elements.backup.upgradeBackupBtn.classList.toggle('hidden', !backup);
+        });
     },
 
     /**
      * Handle saving settings
      */
-    handleSaveSettings() {
+    async handleSaveSettings() {
         const el = UI.elements.settings;
 
         let logo = null;
@@ -279,14 +1802,37 @@ const App = {
             logo = el.logoPreview.src;
         }
 
+        const taxCategories = UI.getTaxCategoriesFormData();
+        const duplicate = taxCategories.find((c, i) => taxCategories.findIndex(o => o.id === c.id) !== i);
+        if (duplicate) {
+            alert(I18n.t('settings.duplicateTaxCode', { code: duplicate.id }));
+            return;
+        }
+
         const settings = {
             name: el.name.value,
             address: el.address.value,
-            defaultTaxRate: parseFloat(el.defaultTax.value) || 0,
+            documentTemplate: UI.getTemplateFormData(),
+            language: el.language.value,
+            documentLanguage: el.documentLanguage.value,
+            paymentTerms: UI.getPaymentTermsFields(el.paymentTerms),
+            currency: el.currency.value,
+            taxCategories: taxCategories,
+            defaultTaxCategory: el.defaultTaxCategory.value,
+            rounding: {
+                mode: el.roundingMode.value,
+                policy: el.roundingPolicy.value
+            },
             logo: logo,
             invoicePrefix: el.invoicePrefix.value,
             nextInvoiceNumber: parseInt(el.nextNumber.value, 10) || 1,
-            invoiceNumberPadding: parseInt(el.numberPadding.value, 10) || 4
+            invoiceNumberPadding: parseInt(el.numberPadding.value, 10) || 4,
+            creditNotePrefix: el.creditNotePrefix.value,
+            nextCreditNoteNumber: parseInt(el.nextCreditNoteNumber.value, 10) || 1,
+            quotePrefix: el.quotePrefix.value,
+            nextQuoteNumber: parseInt(el.nextQuoteNumber.value, 10) || 1,
+            quoteValidityDays: Math.max(1, parseInt(el.quoteValidityDays.value, 10) || 30),
+            trashRetentionDays: Math.max(0, parseInt(el.trashRetention.value, 10) || 0)
         };
 
         // CDR logo handling
@@ -301,10 +1847,13 @@ const App = {
         }
 
         try {
-            if (Storage.saveSettings(settings)) {
-                alert('Settings saved successfully.');
+            if (await Storage.saveSettings(settings)) {
+                this.applyLanguage();
+                // Options and lists built in code pick up a changed language on the next render
+                this.loadSettings();
+                alert(I18n.t('settings.saved'));
             } else {
-                alert('Failed to save settings.');
+                alert(I18n.t('settings.saveFailed'));
             }
         } catch (e) {
             alert(e.message);
@@ -315,25 +1864,42 @@ const App = {
      * Add a new line item row to the editor
      */
     addLineItem() {
-        const item = Model.createLineItem();
-        // Append to UI (we're not fully re-rendering the whole list to preserve focus/state if wanted, 
-        // but UI.renderLineItems replaces content. For appending, let's use a helper or just add to the DOM)
-        
-        // Alternative: Get current data, add item, re-render. 
-        // But that resets focus. Let's append DOM element manually using UI logic if possible.
-        // For simplicity/robustness, we can just append a row HTML.
-        
-        const tbody = document.getElementById('line-items-body');
-        const tr = document.createElement('tr');
-        tr.innerHTML = `
-            <td><textarea class="item-name" placeholder="Item code" rows="1"></textarea></td>
-            <td><textarea class="item-desc" placeholder="Description" required rows="1"></textarea></td>
-            <td><input type="number" class="item-qty" value="1" min="0" step="0.01" required></td>
-            <td><input type="number" class="item-rate" value="0" min="0" step="0.01" required></td>
-            <td class="item-amount">$0.00</td>
-            <td><button type="button" class="btn-icon remove-item" title="Remove">×</button></td>
-        `;
-        tbody.appendChild(tr);
+        const row = UI.addLineItemRow(this.createLineItem());
+        row.querySelector('.item-name').focus();
+    },
+
+    /**
+     * Create a line item, falling back to the default tax category from settings
+     * @param {Object|null} catalogItem - Optional catalog entry to fill the line from
+     * @returns {Object} Line item
+     */
+    createLineItem(catalogItem = null) {
+        const item = Model.createLineItem(catalogItem);
+        if (!item.taxCategory) {
+            item.taxCategory = Storage.getSettings().defaultTaxCategory || '';
+        }
+        return item;
+    },
+
+    /**
+     * Suggest catalog entries while typing into a line item code
+     * @param {HTMLTextAreaElement} input
+     */
+    handleItemNameInput(input) {
+        const term = input.value.trim();
+        const matches = term ? Storage.searchCatalog(term).slice(0, 8) : [];
+        UI.showSuggestions(
+            input,
+            matches.map(entry => ({
+                label: entry.code || entry.description,
+                detail: [entry.code ? entry.description : '', Model.formatCurrency(entry.rate, Storage.getSettings().currency) + (entry.unit ? ' / ' + entry.unit : '')]
+                    .filter(Boolean).join(' · ')
+            })),
+            (index) => {
+                UI.fillLineItemRow(input.closest('tr'), this.createLineItem(matches[index]));
+                this.updateRealtimeTotals();
+            }
+        );
     },
 
     /**
@@ -350,7 +1916,7 @@ const App = {
             if (rows[index]) {
                 const amountCell = rows[index].querySelector('.item-amount');
                 if (amountCell) {
-                    amountCell.textContent = Model.formatCurrency(item.amount);
+                    amountCell.textContent = Model.formatCurrency(item.amount, invoiceData.currency);
                 }
             }
         });
@@ -364,45 +1930,59 @@ const App = {
      * @param {string} query 
      */
     handleSearch(query) {
-        const results = Storage.searchInvoices(query);
-        UI.renderDashboard(results);
+        this.dashboardState.search = query;
+        this.dashboardState.page = 1;
+        this.refreshDashboard();
     },
 
     /**
      * Save the current invoice
      */
-    handleSave() {
+    async handleSave() {
         const invoiceData = UI.getFormData();
         const isNew = !invoiceData.id;
+        const quote = Model.isQuote(invoiceData);
+        const label = Model.documentLabels(invoiceData).name;
+        // Quotes are numbered in their own sequence
+        const nextNumber = () => (quote ? Storage.getNextQuoteNumber() : Storage.getNextInvoiceNumber());
         let usedAutoNumber = false;
 
         // Auto-assign invoice number for new invoices with empty number
         if (isNew && !invoiceData.invoiceNumber) {
-            invoiceData.invoiceNumber = Storage.getNextInvoiceNumber();
+            invoiceData.invoiceNumber = nextNumber();
             usedAutoNumber = true;
         }
 
         // Warn on duplicate invoice number
         if (invoiceData.invoiceNumber) {
-            const existing = Storage.getInvoices().find(
+            const existing = (quote ? Storage.getQuotes() : Storage.getInvoices()).find(
                 inv => inv.invoiceNumber === invoiceData.invoiceNumber && inv.id !== invoiceData.id
             );
             if (existing) {
-                if (!confirm(`Invoice number "${invoiceData.invoiceNumber}" is already used. Save anyway?`)) {
+                if (!confirm(I18n.t('editor.numberUsed', { name: label, number: invoiceData.invoiceNumber }))) {
                     return;
                 }
             }
         }
 
         try {
-            const success = Storage.saveInvoice(invoiceData);
+            await this.resolveInvoiceClient(invoiceData);
+            const success = await Storage.saveInvoice(invoiceData);
             if (success) {
-                if (isNew && (usedAutoNumber || invoiceData.invoiceNumber === Storage.getNextInvoiceNumber())) {
-                    Storage.incrementInvoiceNumber();
+                if (isNew && (usedAutoNumber || invoiceData.invoiceNumber === nextNumber())) {
+                    if (quote) {
+                        await Storage.incrementQuoteNumber();
+                    } else {
+                        await Storage.incrementInvoiceNumber();
+                    }
+                }
+                if (quote) {
+                    this.loadQuotes();
+                } else {
+                    this.loadDashboard();
                 }
-                this.loadDashboard();
             } else {
-                alert('Failed to save invoice. Please check data.');
+                alert(I18n.t('editor.saveFailed'));
             }
         } catch (e) {
             alert(e.message);
@@ -410,19 +1990,134 @@ const App = {
     },
 
     /**
-     * Delete an invoice
-     * @param {string} id 
+     * Issue a credit note for the lines selected in the credit note panel
+     * and open it in the editor
      */
-    handleDelete(id) {
-        if (confirm('Are you sure you want to delete this invoice?')) {
-            if (Storage.deleteInvoice(id)) {
-                this.loadDashboard();
+    async handleCreateCreditNote() {
+        const invoice = Storage.getInvoice(UI.elements.editor.id.value);
+        if (!invoice) return;
+
+        const lines = UI.getCreditNoteSelection();
+        if (lines.length === 0) {
+            alert(I18n.t('creditNote.noLines'));
+            return;
+        }
+
+        const language = Model.resolveLanguage(Storage.getSettings(), invoice, Storage.getClient(invoice.clientId));
+        const note = Model.createCreditNote(invoice, lines.length === invoice.items.length ? null : lines, language);
+        note.invoiceNumber = Storage.getNextCreditNoteNumber();
+        try {
+            if (await Storage.saveInvoice(note)) {
+                await Storage.incrementCreditNoteNumber();
+                this.loadEditor(note.id);
+            } else {
+                alert(I18n.t('creditNote.failed'));
+            }
+        } catch (e) {
+            alert(e.message);
+        }
+    },
+
+    /**
+     * Turn a quote into a draft invoice with the same client, lines and taxes,
+     * mark the quote accepted and link the two, then open the invoice
+     * @param {string} id - Quote ID
+     */
+    async handleConvertQuote(id) {
+        const quote = Storage.getInvoice(id);
+        if (!quote || !Model.isQuote(quote)) return;
+
+        const existing = quote.convertedInvoiceId && Storage.getInvoice(quote.convertedInvoiceId);
+        if (existing) {
+            if (confirm(I18n.t('quotes.alreadyConverted', { quote: quote.invoiceNumber, invoice: existing.invoiceNumber }))) {
+                this.loadEditor(existing.id);
+            }
+            return;
+        }
+        if (quote.status === 'declined' &&
+            !confirm(I18n.t('quotes.confirmDeclined', { quote: quote.invoiceNumber }))) {
+            return;
+        }
+
+        const invoice = Model.createInvoiceFromQuote(quote);
+        Model.applyPaymentTerms(invoice, Model.resolvePaymentTerms(Storage.getSettings(), Storage.getClient(invoice.clientId)));
+        invoice.invoiceNumber = Storage.getNextInvoiceNumber();
+        try {
+            if (!await Storage.saveInvoice(invoice, { key: 'editor.fromQuote', params: { number: quote.invoiceNumber } })) {
+                alert(I18n.t('quotes.convertFailed'));
+                return;
+            }
+            await Storage.incrementInvoiceNumber();
+            await Storage.saveInvoice({
+                ...quote,
+                status: 'accepted',
+                convertedInvoiceId: invoice.id,
+                convertedInvoiceNumber: invoice.invoiceNumber
+            }, { key: 'editor.convertedTo', params: { number: invoice.invoiceNumber } });
+            this.loadEditor(invoice.id);
+        } catch (e) {
+            alert(e.message);
+        }
+    },
+
+    /**
+     * Restore an earlier revision of the invoice open in the editor
+     * @param {Object} revision
+     */
+    async handleRestoreRevision(revision) {
+        if (!confirm(I18n.t('history.confirmRestore', { number: revision.number }))) {
+            return;
+        }
+
+        try {
+            if (await Storage.restoreRevision(revision.id)) {
+                this.loadEditor(revision.invoiceId);
+                UI.renderHistory(Storage.getRevisions(revision.invoiceId));
             } else {
-                alert('Failed to delete invoice.');
+                alert(I18n.t('history.restoreFailed'));
             }
+        } catch (e) {
+            alert(e.message);
+        }
+    },
+
+    /**
+     * Delete an invoice
+     * @param {string} id 
+     */
+    async handleDelete(id) {
+        const invoice = Storage.getInvoice(id);
+        if (!invoice) return;
+
+        // Go back to the list the document was deleted from
+        const reload = () => (Model.isQuote(invoice) ? this.loadQuotes() : this.loadDashboard());
+        if (await Storage.deleteInvoice(id)) {
+            reload();
+            const name = Model.documentLabels(invoice).name;
+            const message = invoice.invoiceNumber
+                ? I18n.t('editor.movedToTrash', { name: name, number: invoice.invoiceNumber })
+                : I18n.t('editor.movedToTrashUnnumbered', { name: name });
+            UI.showToast(message, {
+                actionLabel: I18n.t('action.undo'),
+                onAction: async () => {
+                    await Storage.restoreInvoice(id);
+                    reload();
+                }
+            });
+        } else {
+            alert(I18n.t('editor.deleteFailed'));
         }
     },
 
+    /**
+     * Load and display the trash
+     */
+    loadTrash() {
+        const retention = parseInt(Storage.getSettings().trashRetentionDays, 10) || 0;
+        UI.renderTrash(Storage.getTrash(), retention);
+        UI.showView('trash');
+    },
+
     /**
      * Handle print action
      * @param {string} id 
@@ -452,21 +2147,41 @@ const App = {
      */
     async handleExportPDF(invoice) {
         if (typeof window.jspdf === 'undefined') {
-            alert('PDF library not loaded. Please check your internet connection and reload.');
+            alert(I18n.t('app.pdfLibraryMissing'));
             return;
         }
 
+        const { doc, fileName } = await this.buildPDF(invoice);
+        doc.save(fileName + '.pdf');
+    },
+
+    /**
+     * Lay out an invoice as a PDF
+     * @param {Object} invoice
+     * @returns {Promise<Object>} { doc, fileName } - jsPDF document, file name without extension
+     */
+    async buildPDF(invoice) {
         const { jsPDF } = window.jspdf;
         const doc = new jsPDF();
-        const settings = Storage.getSettings();
-        const invoiceNum = invoice.invoiceNumber || invoice.id;
+        // jsPDF's built-in fonts have no narrow or non-breaking space, which Intl puts
+        // in French and other numbers and dates; print them as plain spaces
+        const documentModel = JSON.parse(JSON.stringify(
+            Model.buildDocument(invoice, Storage.getSettings(), Storage.getClient(invoice.clientId)),
+            (key, value) => (typeof value === 'string' ? value.replace(/[\u202F\u00A0]/g, ' ') : value)
+        ));
+        // Layout, colour, font and fields come from the template, as in the print view
+        const template = documentModel.template;
+        const accent = Model.hexToRgb(template.accentColor);
+        const font = template.font;
+        const size = template.fontSize;
+        const lineHeight = size / 2;
         let yPos = 20;
 
         // Logo
-        if (settings.logo) {
+        if (documentModel.logo) {
             try {
-                let logoData = settings.logo;
-                const isSVG = settings.logo.startsWith('data:image/svg');
+                let logoData = documentModel.logo;
+                const isSVG = logoData.startsWith('data:image/svg');
 
                 if (isSVG) {
                     // Rasterize SVG to PNG via canvas
@@ -481,7 +2196,7 @@ const App = {
                             resolve(canvas.toDataURL('image/png'));
                         };
                         img.onerror = () => resolve(null);
-                        img.src = settings.logo;
+                        img.src = documentModel.logo;
                     });
                 }
 
@@ -495,126 +2210,127 @@ const App = {
         }
 
         // Header
-        doc.setFontSize(24);
-        doc.setFont('helvetica', 'bold');
-        doc.text('INVOICE', 200, yPos + 5, { align: 'right' });
+        doc.setFontSize(template.titleSize);
+        doc.setFont(font, 'bold');
+        if (template.accentTitle) doc.setTextColor(...accent);
+        doc.text(documentModel.title, 200, yPos + 5, { align: 'right' });
+        doc.setTextColor(0);
 
         yPos += 15;
-        doc.setFontSize(10);
-        doc.setFont('helvetica', 'normal');
-        doc.text('Invoice #: ' + invoiceNum, 200, yPos, { align: 'right' });
-        yPos += 5;
-        doc.text('Date: ' + Model.formatDate(invoice.createdDate), 200, yPos, { align: 'right' });
-        yPos += 5;
-        doc.text('Due: ' + Model.formatDate(invoice.dueDate), 200, yPos, { align: 'right' });
-        yPos += 5;
-        doc.text('Status: ' + invoice.status.toUpperCase(), 200, yPos, { align: 'right' });
+        doc.setFontSize(size);
+        doc.setFont(font, 'normal');
+        documentModel.meta.forEach((entry, i) => {
+            if (i > 0) yPos += lineHeight;
+            doc.text(entry.label + ': ' + entry.text, 200, yPos, { align: 'right' });
+        });
 
         // Line
         yPos += 8;
-        doc.setLineWidth(0.5);
-        doc.line(14, yPos, 200, yPos);
+        if (template.rules) {
+            doc.setLineWidth(0.5);
+            doc.line(14, yPos, 200, yPos);
+        }
         yPos += 10;
 
         // From / To
-        doc.setFontSize(8);
-        doc.setFont('helvetica', 'bold');
-        doc.text('FROM:', 14, yPos);
-        doc.text('BILL TO:', 110, yPos);
-
-        yPos += 5;
-        doc.setFont('helvetica', 'normal');
-        doc.setFontSize(10);
-
-        const fromLines = [
-            settings.name || 'Invoicer User',
-            ...(settings.address || '').split('\n').filter(Boolean)
-        ];
+        doc.setFontSize(size - 2);
+        doc.setFont(font, 'bold');
+        doc.text(documentModel.from.heading.toUpperCase() + ':', 14, yPos);
+        doc.text(documentModel.to.heading.toUpperCase() + ':', 110, yPos);
+
+        yPos += lineHeight;
+        doc.setFont(font, 'normal');
+        doc.setFontSize(size);
+
         let leftY = yPos;
-        fromLines.forEach(line => {
+        documentModel.from.lines.forEach(line => {
             doc.text(line, 14, leftY);
-            leftY += 5;
+            leftY += lineHeight;
         });
 
-        const toLines = [
-            invoice.client.name,
-            invoice.client.email,
-            ...(invoice.client.address || '').split('\n')
-        ].filter(Boolean);
         let rightY = yPos;
-        toLines.forEach(line => {
+        documentModel.to.lines.forEach(line => {
             doc.text(line, 110, rightY);
-            rightY += 5;
+            rightY += lineHeight;
         });
 
         yPos = Math.max(leftY, rightY) + 10;
 
         // Items table
-        const tableData = invoice.items.map(item => [
-            item.itemName || '',
-            item.description,
-            item.quantity.toString(),
-            Model.formatCurrency(item.rate),
-            Model.formatCurrency(item.amount)
-        ]);
+        const columnStyles = {};
+        documentModel.columns.forEach((column, col) => {
+            if (column.align === 'right') columnStyles[col] = { halign: 'right' };
+        });
 
         doc.autoTable({
             startY: yPos,
-            head: [['Item', 'Description', 'Qty', 'Rate', 'Amount']],
-            body: tableData,
-            theme: 'striped',
-            headStyles: {
-                fillColor: [184, 115, 51],
+            head: [documentModel.columns.map(column => column.label)],
+            body: documentModel.rows.map(row => row.map(cell => cell.text)),
+            theme: template.tableStyle,
+            styles: { font: font, fontSize: size - 1 },
+            // 'plain' tables put the accent on the header text instead of filling it
+            headStyles: template.tableStyle === 'plain' ? {
+                textColor: accent,
+                fontStyle: 'bold'
+            } : {
+                fillColor: accent,
                 textColor: 255,
                 fontStyle: 'bold'
             },
-            columnStyles: {
-                2: { halign: 'right' },
-                3: { halign: 'right' },
-                4: { halign: 'right' }
-            },
+            columnStyles: columnStyles,
             margin: { left: 14, right: 14 }
         });
 
         yPos = doc.lastAutoTable.finalY + 10;
 
-        // Totals
+        // Totals: a rule and larger type for the document total, bold for the balance
         const totalsX = 140;
-        doc.setFontSize(10);
-        doc.text('Subtotal:', totalsX, yPos);
-        doc.text(Model.formatCurrency(invoice.subtotal), 200, yPos, { align: 'right' });
-        yPos += 6;
-
-        doc.text('Tax (' + invoice.taxRate + '%):', totalsX, yPos);
-        doc.text(Model.formatCurrency(invoice.taxAmount), 200, yPos, { align: 'right' });
-        yPos += 6;
-
-        doc.setLineWidth(0.3);
-        doc.line(totalsX, yPos, 200, yPos);
-        yPos += 6;
-
-        doc.setFont('helvetica', 'bold');
-        doc.setFontSize(12);
-        doc.text('Total:', totalsX, yPos);
-        doc.text(Model.formatCurrency(invoice.total), 200, yPos, { align: 'right' });
+        documentModel.totals.forEach(row => {
+            if (row.style === 'total') {
+                doc.setLineWidth(0.3);
+                doc.line(totalsX, yPos, 200, yPos);
+                yPos += lineHeight + 1;
+            }
+            doc.setFont(font, row.style ? 'bold' : 'normal');
+            doc.setFontSize(row.style === 'total' ? size + 2 : size);
+            doc.text(row.label + ':', totalsX, yPos);
+            doc.text(row.text, 200, yPos, { align: 'right' });
+            yPos += lineHeight + 1;
+        });
         yPos += 10;
 
+        // Payment terms and any early payment discount
+        if (documentModel.paymentTerms.length) {
+            doc.setFont(font, 'normal');
+            doc.setFontSize(size - 1);
+            const termLines = doc.splitTextToSize(documentModel.paymentTerms.join('\n'), 180);
+            doc.text(termLines, 14, yPos);
+            yPos += termLines.length * (size - 1) / 2 + 6;
+        }
+
         // Notes
-        if (invoice.notes) {
-            doc.setFont('helvetica', 'normal');
-            doc.setFontSize(9);
+        if (documentModel.notes) {
+            doc.setFont(font, 'normal');
+            doc.setFontSize(size - 1);
             doc.setLineWidth(0.2);
             doc.line(14, yPos, 200, yPos);
-            yPos += 6;
-            doc.setFont('helvetica', 'bold');
-            doc.text('Notes:', 14, yPos);
-            yPos += 5;
-            doc.setFont('helvetica', 'normal');
-            const noteLines = doc.splitTextToSize(invoice.notes, 180);
+            yPos += lineHeight + 1;
+            doc.setFont(font, 'bold');
+            doc.text(documentModel.labels.notes + ':', 14, yPos);
+            yPos += lineHeight;
+            doc.setFont(font, 'normal');
+            const noteLines = doc.splitTextToSize(documentModel.notes, 180);
             doc.text(noteLines, 14, yPos);
+            yPos += noteLines.length * (size - 1) / 2 + 6;
+        }
+
+        if (documentModel.terms) {
+            doc.setFont(font, 'italic');
+            doc.setFontSize(size - 1);
+            doc.text(doc.splitTextToSize(documentModel.terms, 180), 14, yPos);
         }
 
-        doc.save('invoice-' + invoiceNum + '.pdf');
+        return { doc: doc, fileName: documentModel.fileName };
     },
 
     /**
@@ -623,56 +2339,72 @@ const App = {
      */
     handleExportODS(invoice) {
         if (typeof XLSX === 'undefined') {
-            alert('Spreadsheet library not loaded. Please check your internet connection and reload.');
+            alert(I18n.t('app.spreadsheetLibraryMissing'));
             return;
         }
 
-        const settings = Storage.getSettings();
-        const invoiceNum = invoice.invoiceNumber || invoice.id;
+        const { ws, sheetName, fileName } = this.buildDocumentSheet(invoice);
+        const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, ws, sheetName);
+        XLSX.writeFile(wb, fileName + '.ods', { bookType: 'ods' });
+    },
+
+    /**
+     * Lay out an invoice as a worksheet
+     * @param {Object} invoice
+     * @returns {Object} { ws, sheetName, fileName } - SheetJS worksheet, file name without extension
+     */
+    buildDocumentSheet(invoice) {
+        const documentModel = Model.buildDocument(invoice, Storage.getSettings(), Storage.getClient(invoice.clientId));
+        const width = documentModel.columns.length;
+        // Totals and payment amounts line up under the last two columns
+        const pad = (cells) => [...new Array(Math.max(width - cells.length, 0)).fill(''), ...cells];
 
         const data = [];
-        data.push(['Invoice Number', invoiceNum]);
-        data.push(['Date', Model.formatDate(invoice.createdDate)]);
-        data.push(['Due Date', Model.formatDate(invoice.dueDate)]);
-        data.push(['Status', invoice.status.toUpperCase()]);
-        data.push([]);
-        data.push(['From', settings.name || 'Invoicer User']);
-        data.push(['Address', settings.address || '']);
-        data.push([]);
-        data.push(['Bill To', invoice.client.name]);
-        data.push(['Email', invoice.client.email || '']);
-        data.push(['Address', invoice.client.address || '']);
+        data.push([documentModel.title]);
+        documentModel.meta.forEach(entry => data.push([entry.label, entry.text]));
+        data.push([documentModel.labels.currency, documentModel.currency]);
         data.push([]);
-
-        // Items
-        data.push(['Item', 'Description', 'Quantity', 'Rate', 'Amount']);
-        invoice.items.forEach(item => {
-            data.push([item.itemName || '', item.description, item.quantity, item.rate, item.amount]);
+        [documentModel.from, documentModel.to].forEach(party => {
+            party.lines.forEach((line, i) => data.push([i === 0 ? party.heading : '', line]));
+            data.push([]);
         });
+
+        // Items: numbers stay numeric so the sheet can recalculate
+        data.push(documentModel.columns.map(column => column.label));
+        documentModel.rows.forEach(row => data.push(row.map(cell => cell.value)));
         data.push([]);
 
         // Totals
-        data.push(['', '', '', 'Subtotal', invoice.subtotal]);
-        data.push(['', '', '', 'Tax (' + invoice.taxRate + '%)', invoice.taxAmount]);
-        data.push(['', '', '', 'Total', invoice.total]);
+        documentModel.totals.forEach(row => data.push(pad([row.label, row.value])));
 
-        if (invoice.notes) {
+        // Payments
+        if (documentModel.payments.length) {
             data.push([]);
-            data.push(['Notes', invoice.notes]);
+            const labels = documentModel.labels;
+            data.push(pad([labels.paymentDate, labels.paymentMethod, labels.paymentReference, labels.amount]));
+            documentModel.payments.forEach(payment => {
+                data.push(pad([payment.date, payment.method, payment.reference, payment.value]));
+            });
         }
 
-        const ws = XLSX.utils.aoa_to_sheet(data);
-        ws['!cols'] = [
-            { wch: 15 },
-            { wch: 30 },
-            { wch: 12 },
-            { wch: 15 },
-            { wch: 15 }
-        ];
+        if (documentModel.paymentTerms.length) {
+            data.push([]);
+            documentModel.paymentTerms.forEach(line => data.push([line]));
+        }
+        if (documentModel.notes) {
+            data.push([]);
+            data.push([documentModel.labels.notes, documentModel.notes]);
+        }
+        if (documentModel.terms) {
+            data.push([]);
+            data.push([documentModel.terms]);
+        }
 
-        const wb = XLSX.utils.book_new();
-        XLSX.utils.book_append_sheet(wb, ws, 'Invoice');
-        XLSX.writeFile(wb, 'invoice-' + invoiceNum + '.ods', { bookType: 'ods' });
+        const ws = XLSX.utils.aoa_to_sheet(data);
+        const columnWidths = { itemName: 15, description: 30, quantity: 12, unit: 10, rate: 15, discount: 15, amount: 15 };
+        ws['!cols'] = documentModel.columns.map(column => ({ wch: columnWidths[column.key] }));
+        return { ws: ws, sheetName: documentModel.sheetName, fileName: documentModel.fileName };
     }
 };
 
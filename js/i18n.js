@@ -0,0 +1,2173 @@
+/**
+ * I18n
+ * Translation catalog and the Intl locale for each supported language.
+ * The app UI follows the language in settings; printed, PDF and ODS documents
+ * follow their own document language (see Model.resolveLanguage).
+ *
+ * To add a language, add it to LANGUAGES and give it a block in CATALOG.
+ * Keys missing from a block fall back to English, so a new language can be
+ * translated a part at a time. Static markup is translated through
+ * data-i18n attributes (see translatePage).
+ */
+
+const I18n = {
+    // Language code -> display name (in that language) and the locale for dates and numbers
+    LANGUAGES: {
+        en: { name: 'English', locale: 'en-US' },
+        de: { name: 'Deutsch', locale: 'de-DE' },
+        fr: { name: 'Français', locale: 'fr-FR' }
+    },
+
+    DEFAULT_LANGUAGE: 'en',
+
+    // Language of the app UI, set from settings on load
+    language: 'en',
+
+    CATALOG: {
+        en: {
+            // Navigation and views
+            'nav.dashboard': 'Dashboard',
+            'nav.newInvoice': 'New Invoice',
+            'nav.quotes': 'Quotes',
+            'nav.clients': 'Clients',
+            'nav.catalog': 'Catalog',
+            'nav.recurring': 'Recurring',
+            'nav.reports': 'Reports',
+            'nav.settings': 'Settings',
+            'view.trash': 'Trash',
+            'view.recurring': 'Recurring Invoices',
+
+            // Shared actions
+            'action.cancel': 'Cancel',
+            'action.close': 'Close',
+            'action.createInvoice': 'Create Invoice',
+            'action.createQuote': 'Create Quote',
+            'action.addClient': 'Add Client',
+            'action.addItem': 'Add Item',
+            'action.emptyTrash': 'Empty Trash',
+            'action.printPreview': 'Print Preview',
+            'action.exportPdf': 'Export PDF',
+            'action.exportOds': 'Export ODS',
+            'action.makeRecurring': 'Make Recurring',
+            'action.creditNote': 'Credit Note',
+            'action.convertQuote': 'Convert to Invoice',
+            'action.history': 'History',
+            'action.addLine': '+ Add Item',
+            'action.recordPayment': '+ Record Payment',
+            'action.recordFullBalance': 'Record Full Balance',
+            'action.saveSettings': 'Save Settings',
+            'action.clearFilters': 'Clear Filters',
+            'action.bulkExport': 'Export',
+            'action.previous': 'Previous',
+            'action.next': 'Next',
+            'action.markSent': 'Mark Sent',
+            'action.markPaid': 'Mark Paid',
+            'action.duplicate': 'Duplicate',
+            'action.print': 'Print',
+            'action.delete': 'Delete',
+            'action.clearSelection': 'Clear Selection',
+
+            // Dashboard
+            'dashboard.search': 'Search invoices...',
+            'dashboard.totalRevenue': 'Total Revenue',
+            'dashboard.pending': 'Pending',
+            'dashboard.perPage': 'Per page',
+            'dashboard.selectAll': 'Select all invoices',
+            'filter.all': 'All',
+            'filter.from': 'From',
+            'filter.to': 'To',
+            'filter.minTotal': 'Min Total',
+            'filter.maxTotal': 'Max Total',
+            'quotes.search': 'Search quotes...',
+            'clients.search': 'Search clients...',
+
+            // Table columns and form fields
+            'field.invoiceNumber': 'Invoice #',
+            'field.quoteNumber': 'Quote #',
+            'field.client': 'Client',
+            'field.name': 'Name',
+            'field.email': 'Email',
+            'field.address': 'Address',
+            'field.date': 'Date',
+            'field.dueDate': 'Due Date',
+            'field.validUntil': 'Valid Until',
+            'field.total': 'Total',
+            'field.amount': 'Amount',
+            'field.status': 'Status',
+            'field.actions': 'Actions',
+            'field.invoices': 'Invoices',
+            'field.currency': 'Currency',
+            'field.template': 'Template',
+            'field.language': 'Document Language',
+            'field.paymentTerms': 'Payment Terms',
+            'field.paymentDate': 'Payment Date',
+            'field.termsDays': 'Days',
+            'field.earlyDiscount': 'Early Payment Discount (%)',
+            'field.earlyDiscountDays': 'If Paid Within (days)',
+            'field.notes': 'Notes',
+
+            // Editor
+            'editor.clientDetails': 'Client Details',
+            'editor.saveClient': 'Save to client list',
+            'editor.items': 'Items',
+            'editor.payments': 'Payments',
+            'editor.taxAmount': 'Tax Amount',
+            'editor.newTitle': 'New {name}',
+            'editor.editTitle': 'Edit {name}',
+            'editor.details': '{name} Details',
+            'editor.number': '{name} Number',
+            'editor.save': 'Save {name}',
+            'editor.languageDefault': 'Default ({name})',
+
+            // Settings
+            'settings.language': 'Language',
+            'settings.appLanguage': 'App Language',
+            'settings.documentLanguage': 'Default Document Language',
+            'settings.languageHelp': 'Documents use the invoice\'s language, then the client\'s, then this default. Dates and amounts are formatted for that language.',
+            'settings.branding': 'Company Branding',
+            'settings.sender': 'Sender Details',
+            'settings.template': 'Document Template',
+            'settings.currency': 'Currency',
+            'settings.taxes': 'Taxes',
+            'settings.rounding': 'Rounding',
+            'settings.numbering': 'Invoice Numbering',
+            'settings.trash': 'Trash',
+            'settings.businessDefault': 'Business default',
+            'settings.paymentTerms': 'Payment Terms',
+            'settings.paymentTermsHelp': 'Used for new invoices unless the client has its own terms. The due date is worked out from the invoice date.',
+
+            // Payment terms
+            'terms.option.none': 'None',
+            'terms.option.receipt': 'Due on receipt',
+            'terms.option.net15': 'Net 15',
+            'terms.option.net30': 'Net 30',
+            'terms.option.net60': 'Net 60',
+            'terms.option.eom': 'End of month + N days',
+            'terms.option.custom': 'Custom',
+            'terms.receipt': 'Due on receipt',
+            'terms.net': 'Net {days}',
+            'terms.eom': 'End of month + {days} days',
+            'terms.eomOnly': 'End of month',
+
+            // Statuses
+            'status.draft': 'Draft',
+            'status.sent': 'Sent',
+            'status.partial': 'Partially Paid',
+            'status.paid': 'Paid',
+            'status.void': 'Void',
+            'status.overdue': 'Overdue',
+            'status.accepted': 'Accepted',
+            'status.declined': 'Declined',
+            'status.expired': 'Expired',
+
+            // Printed, PDF and ODS documents
+            'document.invoice': 'Invoice',
+            'document.invoiceTitle': 'INVOICE',
+            'document.invoiceNumber': 'Invoice #',
+            'document.creditNote': 'Credit Note',
+            'document.creditNoteTitle': 'CREDIT NOTE',
+            'document.creditNoteNumber': 'Credit Note #',
+            'document.quote': 'Quote',
+            'document.quoteTitle': 'QUOTE',
+            'document.quoteNumber': 'Quote #',
+            'document.from': 'From',
+            'document.billTo': 'Bill To',
+            'document.preparedFor': 'Prepared For',
+            'document.date': 'Date',
+            'document.dueDate': 'Due Date',
+            'document.validUntil': 'Valid Until',
+            'document.creditsInvoice': 'Credits Invoice #',
+            'document.status': 'Status',
+            'document.currency': 'Currency',
+            'document.item': 'Item',
+            'document.description': 'Description',
+            'document.quantity': 'Qty',
+            'document.unit': 'Unit',
+            'document.rate': 'Rate',
+            'document.discount': 'Discount',
+            'document.discountPercent': 'Discount ({value}%)',
+            'document.amount': 'Amount',
+            'document.subtotal': 'Subtotal',
+            'document.tax': 'Tax',
+            'document.taxRate': '{name} ({rate}%)',
+            'document.taxRateCompound': '{name} ({rate}%, compound)',
+            'document.total': 'Total',
+            'document.totalCredit': 'Total Credit',
+            'document.quoteTotal': 'Quote Total',
+            'document.creditNotes': 'Credit Notes',
+            'document.amountPaid': 'Amount Paid',
+            'document.balanceDue': 'Balance Due',
+            'document.notes': 'Notes',
+            'document.paymentDate': 'Payment Date',
+            'document.paymentMethod': 'Method',
+            'document.paymentReference': 'Reference',
+            'document.quoteTerms': 'This quote is valid until {date}. It is an estimate, not a request for payment.',
+            'document.quoteTermsOpen': 'This quote is an estimate, not a request for payment.',
+            'document.paymentTermsDue': 'Payment terms: {terms}. Please pay by {date}.',
+            'document.paymentTermsOnly': 'Payment terms: {terms}.',
+            'document.earlyPayment': 'Pay by {date} to deduct a {percent}% early payment discount of {amount}.',
+
+            // App shell
+            'app.navigation': 'Main Navigation',
+            'app.toggleTheme': 'Toggle theme',
+            'app.toggleThemeLabel': 'Toggle dark/light mode',
+            'app.footer': '© 2026 Local Storage Invoicer. Data stored locally.',
+            'app.readOnly': '{message}\n\nYour data has not been changed. Changes can\'t be saved until this is resolved; you can still download a backup from Settings.',
+            'app.recurringGenerated.one': 'Generated {count} invoice from recurring schedules.',
+            'app.recurringGenerated.other': 'Generated {count} invoices from recurring schedules.',
+            'app.pdfLibraryMissing': 'PDF library not loaded. Please check your internet connection and reload.',
+            'app.spreadsheetLibraryMissing': 'Spreadsheet library not loaded. Please check your internet connection and reload.',
+
+            // More shared actions
+            'action.edit': 'Edit',
+            'action.view': 'View',
+            'action.remove': 'Remove',
+            'action.restore': 'Restore',
+            'action.deletePermanently': 'Delete Permanently',
+            'action.undo': 'Undo',
+            'action.compare': 'Compare',
+            'action.import': 'Import',
+            'action.export': 'Export',
+            'action.pause': 'Pause',
+            'action.resume': 'Resume',
+            'action.previewRuns': 'Preview Upcoming',
+            'action.saveClient': 'Save Client',
+            'action.saveItem': 'Save Item',
+            'action.saveSchedule': 'Save Schedule',
+            'action.createCreditNote': 'Create Credit Note',
+            'action.back': 'Back',
+            'action.preview': 'Preview',
+
+            // Dashboard list
+            'dashboard.empty': 'No invoices found. Create one to get started.',
+            'dashboard.noMatches': 'No invoices match the current search and filters.',
+            'dashboard.select': 'Select {number}',
+            'dashboard.selectUnnumbered': 'Select invoice',
+            'dashboard.selectedInvoices': 'Selected invoices',
+            'dashboard.selected': '{count} selected',
+            'dashboard.selectedTotal': 'Total: {amount}',
+            'dashboard.selectedBalance': 'Balance due: {amount}',
+            'dashboard.showing.one': 'Showing {from}–{to} of {count} invoice',
+            'dashboard.showing.other': 'Showing {from}–{to} of {count} invoices',
+            'dashboard.chooseCurrency': 'Choose a currency to filter by total',
+
+            // Bulk actions
+            'bulk.markedSent.one': '{count} invoice marked sent.',
+            'bulk.markedSent.other': '{count} invoices marked sent.',
+            'bulk.markedPaid.one': '{count} invoice marked paid.',
+            'bulk.markedPaid.other': '{count} invoices marked paid.',
+            'bulk.skipped': '{count} skipped.',
+            'bulk.failed': '{count} could not be saved.',
+            'bulk.paymentDateRequired': 'Enter the payment date.',
+            'bulk.noBalance': 'None of the selected invoices has a balance due.',
+            'bulk.confirmPaid.one': 'Record payments dated {date} for the balance due on {count} invoice?',
+            'bulk.confirmPaid.other': 'Record payments dated {date} for the balance due on {count} invoices?',
+            'bulk.duplicated.one': '{count} draft created.',
+            'bulk.duplicated.other': '{count} drafts created.',
+            'bulk.creditNotesSkipped.one': '{count} credit note skipped.',
+            'bulk.creditNotesSkipped.other': '{count} credit notes skipped.',
+            'bulk.deleted.one': '{count} document moved to trash.',
+            'bulk.deleted.other': '{count} documents moved to trash.',
+            'bulk.deleteFailed': '{count} of the selected documents could not be deleted.',
+
+            // Editor
+            'editor.numberPlaceholder': 'Auto-generated',
+            'editor.numberHelp': 'Leave blank to auto-generate, or enter a custom number.',
+            'editor.statusHelp': 'Paid and partially paid are set from the recorded payments. Sent invoices past their due date show as overdue.',
+            'editor.statusHelpQuote': 'Convert an accepted quote to bill it. Sent quotes past their valid-until date show as expired.',
+            'editor.discountPlaceholder': '10% or 25',
+            'editor.discountHelp': 'Percentage (e.g. 10%) or fixed amount',
+            'editor.itemCode': 'Item code',
+            'editor.lineDiscount': 'Line discount',
+            'editor.taxCategory': 'Tax category',
+            'editor.noTax': 'No tax',
+            'editor.paymentDate': 'Payment date',
+            'editor.paymentAmount': 'Payment amount',
+            'editor.paymentMethod': 'Payment method',
+            'editor.paymentReference': 'Payment reference',
+            'editor.templateDefault': 'Business default ({name})',
+            'editor.creditsInvoice': 'Credits invoice {number}.',
+            'editor.fromQuote': 'Created from quote {number}.',
+            'editor.convertedTo': 'Converted to invoice {number}.',
+            'editor.creditNotes': 'Credit notes: {numbers}',
+            'editor.notFound': 'Invoice not found',
+            'editor.noBalance': 'This invoice has no balance due.',
+            'editor.numberUsed': '{name} number "{number}" is already used. Save anyway?',
+            'editor.saveFailed': 'Failed to save. Please check the data.',
+            'editor.saveForHistory': 'Save the invoice to start its revision history.',
+            'editor.saveForRecurring': 'Save the invoice before making it recurring.',
+            'editor.movedToTrash': '{name} {number} moved to trash.',
+            'editor.movedToTrashUnnumbered': '{name} moved to trash.',
+            'editor.deleteFailed': 'Failed to delete invoice.',
+            'field.item': 'Item',
+            'field.description': 'Description',
+            'field.quantity': 'Qty',
+            'field.rate': 'Rate',
+            'field.discount': 'Discount',
+            'field.tax': 'Tax',
+            'field.action': 'Action',
+            'field.method': 'Method',
+            'field.reference': 'Reference',
+            'field.code': 'Code',
+            'field.unit': 'Unit',
+            'field.taxCategory': 'Tax Category',
+            'field.frequency': 'Frequency',
+            'field.invoice': 'Invoice',
+            'field.invoiceDate': 'Invoice Date',
+            'field.nextRun': 'Next Run',
+            'field.deleted': 'Deleted',
+
+            // Revision history
+            'history.title': 'Revision History',
+            'history.revision': 'Revision',
+            'history.saved': 'Saved',
+            'history.changes': 'Changes',
+            'history.compareFrom': 'Compare revision',
+            'history.compareWith': 'with',
+            'history.empty': 'No revisions recorded yet.',
+            'history.current': '#{number} (current)',
+            'history.more': '{changes} +{count} more',
+            'history.line': 'Line',
+            'history.revisionTitle': 'Revision #{number}, saved {date}',
+            'history.diffTitle': 'Changes from revision #{from} to #{to}',
+            'history.field': 'Field',
+            'history.noDifferences': 'No differences.',
+            'history.confirmRestore': 'Restore revision #{number}? Unsaved changes in the editor are discarded. Recorded payments are kept.',
+            'history.restoreFailed': 'Failed to restore revision.',
+            'history.note.created': 'Created',
+            'history.note.imported': 'Imported',
+            'history.note.restored': 'Restored revision {number}',
+            'history.note.beforeHistory': 'Recorded before revision history',
+            'history.note.markedSent': 'Marked sent',
+            'history.note.markedPaid': 'Marked paid',
+            'history.note.duplicatedFrom': 'Duplicated from {number}',
+
+            // Changed fields between revisions
+            'diff.invoiceNumber': 'Invoice number',
+            'diff.client': 'Client',
+            'diff.clientEmail': 'Client email',
+            'diff.clientAddress': 'Client address',
+            'diff.createdDate': 'Invoice date',
+            'diff.dueDate': 'Due date',
+            'diff.validUntil': 'Valid until',
+            'diff.status': 'Status',
+            'diff.currency': 'Currency',
+            'diff.discount': 'Invoice discount',
+            'diff.template': 'Template',
+            'diff.language': 'Document language',
+            'diff.defaultLanguage': 'Default',
+            'diff.paymentTerms': 'Payment terms',
+            'diff.notes': 'Notes',
+            'diff.untitled': 'Untitled',
+            'diff.lineDiscount': 'less {discount}',
+            'diff.lineAdded': 'Line added: {name}',
+            'diff.lineRenamed': 'Line renamed: {name}',
+            'diff.line': 'Line: {name}',
+            'diff.lineRemoved': 'Line removed: {name}',
+            'diff.payment': 'Payment',
+            'diff.paymentRemoved': 'Payment removed',
+            'diff.subtotal': 'Subtotal',
+            'diff.discountAmount': 'Discount',
+            'diff.tax': 'Tax',
+            'diff.total': 'Total',
+            'diff.balanceDue': 'Balance due',
+
+            // Credit notes
+            'creditNote.help': 'Credit the whole invoice or only the selected lines. The credit note gets its own number and reduces the invoice\'s balance due.',
+            'creditNote.selectAll': 'Select all lines',
+            'creditNote.selectLine': 'Credit this line',
+            'creditNote.alreadyCredited': 'Already credited: {notes}',
+            'creditNote.sentOnly': 'Only sent invoices can be credited. Save the invoice as sent first.',
+            'creditNote.noLines': 'Select at least one line to credit.',
+            'creditNote.failed': 'Failed to create credit note.',
+            'creditNote.notes': 'Credit for invoice {number}',
+
+            // Quotes
+            'quotes.help': 'Quotes have their own numbers and don\'t count towards revenue. Convert an accepted quote to bill it as an invoice.',
+            'quotes.empty': 'No quotes yet. Create one to get started.',
+            'quotes.noMatches': 'No quotes match the search.',
+            'quotes.invoiced': 'Invoiced',
+            'quotes.invoicedAs': 'Invoiced {number}',
+            'quotes.alreadyConverted': 'Quote {quote} was already converted to invoice {invoice}. Open it?',
+            'quotes.confirmDeclined': 'Quote {quote} was declined. Convert it to an invoice anyway?',
+            'quotes.convertFailed': 'Failed to create invoice.',
+
+            // Clients
+            'clients.new': 'New Client',
+            'clients.edit': 'Edit Client',
+            'clients.empty': 'No clients yet. Add one or save it from an invoice.',
+            'clients.saveFailed': 'Failed to save client. A name is required.',
+            'clients.confirmDelete': 'Delete this client? Existing invoices keep their copy of the client details.',
+            'clients.deleteFailed': 'Failed to delete client.',
+
+            // Catalog
+            'catalog.search': 'Search catalog...',
+            'catalog.new': 'New Catalog Item',
+            'catalog.edit': 'Edit Catalog Item',
+            'catalog.code': 'Item Code',
+            'catalog.codePlaceholder': 'e.g. DEV-HR',
+            'catalog.defaultRate': 'Default Rate',
+            'catalog.unitPlaceholder': 'e.g. hr, pcs, month',
+            'catalog.defaultTaxCategory': 'Default',
+            'catalog.empty': 'No catalog items yet. Add products and services you bill often.',
+            'catalog.saveFailed': 'Failed to save catalog item. A code or description is required.',
+            'catalog.confirmDelete': 'Delete this catalog item? Invoices that already use it are not changed.',
+            'catalog.deleteFailed': 'Failed to delete catalog item.',
+            'catalog.imported': 'Catalog imported: {added} added, {updated} updated, {skipped} skipped.',
+            'catalog.readFailed': 'Could not read the catalog file.',
+
+            // Trash
+            'trash.empty': 'Trash is empty.',
+            'trash.retention.one': 'Invoices in the trash are deleted permanently after {count} day.',
+            'trash.retention.other': 'Invoices in the trash are deleted permanently after {count} days.',
+            'trash.retentionNever': 'Invoices stay in the trash until you delete them permanently.',
+            'trash.purgedOn': '(purged {date})',
+            'trash.confirmEmpty.one': 'Permanently delete {count} invoice in the trash? This cannot be undone.',
+            'trash.confirmEmpty.other': 'Permanently delete {count} invoices in the trash? This cannot be undone.',
+            'trash.confirmPurge': 'Permanently delete this invoice and its history? This cannot be undone.',
+            'trash.restoreFailed': 'Failed to restore invoice.',
+
+            // Recurring schedules
+            'recurring.help': 'Due invoices are generated as drafts each time the app opens. Use "Make Recurring" in the invoice editor to add a schedule.',
+            'recurring.new': 'New Schedule',
+            'recurring.edit': 'Edit Schedule',
+            'recurring.dueDays': 'Payment Due (days after invoice date)',
+            'recurring.dueDaysHelp': 'Used when the invoice has no payment terms; otherwise the terms set the due date.',
+            'recurring.active': 'Active',
+            'recurring.startDate': 'Start Date',
+            'recurring.endDate': 'End Date (optional)',
+            'recurring.upcoming': 'Upcoming Runs',
+            'recurring.upcomingFor': 'Upcoming Runs: {name}',
+            'recurring.upcomingForPaused': 'Upcoming Runs: {name} (paused)',
+            'recurring.empty': 'No recurring schedules yet.',
+            'recurring.noRuns': 'No upcoming runs before the end date.',
+            'recurring.status.active': 'Active',
+            'recurring.status.paused': 'Paused',
+            'recurring.status.ended': 'Ended',
+            'recurring.sourceMissing': 'The invoice for this schedule no longer exists.',
+            'recurring.endBeforeStart': 'The end date must be after the start date.',
+            'recurring.saveFailed': 'Failed to save schedule. Name, frequency, start and next run dates are required.',
+            'recurring.confirmDelete': 'Delete this schedule? Invoices it already generated are kept.',
+            'recurring.deleteFailed': 'Failed to delete schedule.',
+            'frequency.weekly': 'Weekly',
+            'frequency.monthly': 'Monthly',
+            'frequency.quarterly': 'Quarterly',
+            'frequency.yearly': 'Yearly',
+
+            // Reports
+            'reports.help': 'Drafts and void invoices are left out. Amounts in different currencies are reported on separate rows.',
+            'reports.revenue': 'Revenue by Period',
+            'reports.period': 'Period',
+            'reports.period.month': 'Monthly',
+            'reports.period.quarter': 'Quarterly',
+            'reports.period.year': 'Yearly',
+            'reports.topClients': 'Top Clients',
+            'reports.rankBy': 'Rank clients by',
+            'reports.byBilled': 'By Billed',
+            'reports.byPaid': 'By Paid',
+            'reports.aging': 'Receivables Aging',
+            'reports.asOf': 'As of',
+            'reports.billed': 'Billed',
+            'reports.received': 'Received',
+            'reports.paid': 'Paid',
+            'reports.outstanding': 'Outstanding',
+            'reports.noBilled': 'No billed invoices yet.',
+            'reports.noOutstanding': 'No outstanding balances.',
+            'reports.totalIn': 'Total {currency}',
+            'reports.sheet.revenue': 'Revenue',
+            'reports.sheet.clients': 'Clients',
+            'reports.sheet.aging': 'Aging',
+            'aging.current': 'Current',
+            'aging.days30': '1–30 Days',
+            'aging.days60': '31–60 Days',
+            'aging.days90': '61–90 Days',
+            'aging.over90': '90+ Days',
+
+            // Settings form
+            'settings.noLogo': 'No Logo',
+            'settings.logo': 'Display Logo (PNG, JPG, SVG)',
+            'settings.logoHelp': 'Used on invoices and print. Recommended max 500KB.',
+            'settings.removeLogo': 'Remove Display Logo',
+            'settings.cdrLogo': 'Original Logo File (CDR/CorelDRAW)',
+            'settings.cdrHelp': 'Optional. Stored for download only; browsers cannot render CDR files.',
+            'settings.cdrFile': 'File: {name}',
+            'settings.downloadCdr': 'Download CDR',
+            'settings.removeCdr': 'Remove CDR',
+            'settings.companyName': 'Company Name',
+            'settings.companyNamePlaceholder': 'Your Company Name',
+            'settings.addressPlaceholder': '123 Business Rd, City, Country',
+            'settings.layout': 'Layout',
+            'settings.accentColour': 'Accent Colour',
+            'settings.font': 'Font',
+            'settings.showOnDocuments': 'Show on Documents',
+            'settings.templateHelp': 'Used for printing and PDF export. Each invoice can pick a different layout in the editor.',
+            'settings.baseCurrency': 'Base Currency',
+            'settings.currencyHelp': 'Default for new invoices and catalog rates. Each invoice can use its own currency.',
+            'settings.taxesHelp': 'Tax categories are assigned per line item. Components apply in order; a compound component is charged on the amount plus the taxes above it.',
+            'settings.addTaxCategory': '+ Add Tax Category',
+            'settings.defaultTaxCategory': 'Default Tax Category',
+            'settings.defaultTaxCategoryHelp': 'Applied to new line items.',
+            'settings.taxCode': 'Code (e.g. standard)',
+            'settings.taxCodeLabel': 'Tax category code',
+            'settings.taxName': 'Name (e.g. Standard)',
+            'settings.taxNameLabel': 'Tax category name',
+            'settings.addTaxComponent': '+ Component',
+            'settings.taxComponent': 'Component (e.g. GST)',
+            'settings.taxComponentLabel': 'Tax component name',
+            'settings.taxComponentRate': 'Tax component rate (%)',
+            'settings.compound': 'Compound',
+            'settings.removeTaxComponent': 'Remove component',
+            'settings.roundingMode': 'Rounding Mode',
+            'settings.roundingHalfUp': 'Half up (0.5 rounds away from zero)',
+            'settings.roundingHalfEven': 'Half even (banker\'s rounding)',
+            'settings.taxRounding': 'Tax Rounding',
+            'settings.roundingLine': 'Per line (round each line\'s tax)',
+            'settings.roundingTotal': 'Per total (round each tax once on the invoice total)',
+            'settings.roundingHelp': 'Applies to new invoices. Existing invoices keep the rounding they were created with.',
+            'settings.invoicePrefix': 'Invoice Prefix',
+            'settings.invoicePrefixHelp': 'Optional prefix before the number (e.g., "INV-", "2026-")',
+            'settings.nextNumber': 'Next Invoice Number',
+            'settings.nextNumberHelp': 'Adjust to continue from a previous system.',
+            'settings.numberPadding': 'Number Padding',
+            'settings.numberPaddingHelp': 'Zero-pad width (4 = "0001", 6 = "000001")',
+            'settings.creditNotePrefix': 'Credit Note Prefix',
+            'settings.nextCreditNoteNumber': 'Next Credit Note Number',
+            'settings.creditNoteNumberHelp': 'Credit notes are numbered in their own sequence, with the same padding.',
+            'settings.quotePrefix': 'Quote Prefix',
+            'settings.nextQuoteNumber': 'Next Quote Number',
+            'settings.quoteValidity': 'Quotes Valid For (days)',
+            'settings.quoteNumberHelp': 'Quotes have their own sequence too. New quotes are valid this many days from their date.',
+            'settings.trashRetention': 'Delete Permanently After (days)',
+            'settings.trashRetentionHelp': 'Deleted invoices stay in the trash this long. 0 keeps them until you empty the trash.',
+            'settings.saved': 'Settings saved successfully.',
+            'settings.saveFailed': 'Failed to save settings.',
+            'settings.duplicateTaxCode': 'Tax category code "{code}" is used more than once.',
+            'settings.logoFailed': 'Failed to load image. Please try another file.',
+            'settings.cdrOnly': 'Please upload a .cdr (CorelDRAW) file.',
+            'settings.cdrLarge': 'This CDR file is larger than 2MB. Large files may cause storage issues. Continue?',
+            'settings.cdrFailed': 'Failed to read CDR file.',
+            'template.classic': 'Classic',
+            'template.minimal': 'Minimal',
+            'template.compact': 'Compact',
+            'font.helvetica': 'Sans-serif',
+            'font.times': 'Serif',
+            'font.courier': 'Monospace',
+            'templateField.logo': 'Logo',
+            'templateField.status': 'Status',
+            'templateField.clientEmail': 'Client email',
+            'templateField.itemCode': 'Item codes',
+            'templateField.taxBreakdown': 'Tax breakdown',
+            'templateField.notes': 'Notes',
+
+            // Backup and restore
+            'backup.title': 'Backup & Restore',
+            'backup.help': 'Download everything (invoices, clients, catalog, recurring schedules, settings and logos) as one JSON file, or restore from one.',
+            'backup.download': 'Download Backup',
+            'backup.restoreFrom': 'Restore from Backup',
+            'backup.downloadUpgrade': 'Download Pre-Upgrade Backup',
+            'backup.downloadUpgradeHelp': 'Your data as it was before it was last upgraded to a new version of Invoicer',
+            'backup.restoreTitle': 'Restore Backup',
+            'backup.merge': 'Merge into current data',
+            'backup.replace': 'Replace all current data',
+            'backup.conflictsHelp': 'These invoices exist in both places with different content. Choose which copy to keep.',
+            'backup.current': 'Current',
+            'backup.backup': 'Backup',
+            'backup.keep': 'Keep',
+            'backup.copyToKeep': 'Copy to keep',
+            'backup.summary': 'Backup from {date}: {invoices}, {clients}, {catalog}, {recurring}.',
+            'backup.unknownDate': 'an unknown date',
+            'backup.invoices.one': '{count} invoice',
+            'backup.invoices.other': '{count} invoices',
+            'backup.clients.one': '{count} client',
+            'backup.clients.other': '{count} clients',
+            'backup.catalog.one': '{count} catalog item',
+            'backup.catalog.other': '{count} catalog items',
+            'backup.recurring.one': '{count} recurring schedule',
+            'backup.recurring.other': '{count} recurring schedules',
+            'backup.copy': '{amount}, {status}',
+            'backup.copySaved': '{amount}, {status}, saved {date}',
+            'backup.noUpgradeBackup': 'No data was kept from before an upgrade.',
+            'backup.readFailed': 'Could not read the backup file.',
+            'backup.confirmReplace': 'Replace all current invoices, clients, catalog items and settings with the backup? This cannot be undone.',
+            'backup.restored': 'Backup restored: {added} invoices.',
+            'backup.merged': 'Backup merged: {added} added, {replaced} replaced, {kept} kept.',
+
+            // Storage errors
+            'error.unavailable': 'LocalStorage is not available',
+            'error.databaseInUse': 'The database is in use by another tab.',
+            'error.storageFull': 'Storage full. Please delete some invoices.',
+            'error.writeFailed': 'Failed to save data.',
+            'error.backupWriteFailed': 'Could not store the backup.',
+            'error.readOnly': 'Changes can\'t be saved. {message}',
+            'error.invalidInvoice': 'Invalid invoice data',
+            'error.revisionMissing': 'That revision or its invoice no longer exists.',
+            'error.invalidCatalog': 'Not a valid catalog file.',
+            'error.invalidBackup': 'Not a valid backup file.',
+            'error.backupNoInvoices': 'The backup contains no invoice list.',
+            'error.backupInvalidInvoices.one': 'The backup contains {count} invalid invoice.',
+            'error.backupInvalidInvoices.other': 'The backup contains {count} invalid invoices.',
+            'error.statusChange': '{name} status can\'t change from {from} to {to}.',
+            'error.creditedMissing': 'The invoice this credit note is for no longer exists.',
+            'error.creditSentOnly': 'Only sent invoices can be credited.',
+            'error.creditCurrency': 'A credit note must be in the currency of its invoice.',
+            'error.creditTooLarge': 'This credit note is more than the {amount} left to credit on invoice {number}.',
+            'error.newerTab': 'Invoicer {version} was opened in another tab. Reload this tab to keep working.',
+            'error.newerData': 'This data was saved by a newer version of Invoicer ({version}) than this one ({current}). Reload the page to update.',
+            'error.migrationFailed': 'Upgrading data from version {from} to {to} failed: {message}',
+            'error.noMigration': 'Don\'t know how to upgrade data from version {version}.',
+
+            // Spreadsheet import
+            'import.title': 'Import Invoices',
+            'import.help': 'Bring in invoices and clients from another tool as CSV, Excel or OpenDocument spreadsheet. Rows with the same invoice number become one invoice, one line item per row.',
+            'import.button': 'Import Spreadsheet',
+            'import.mappingHelp': 'Choose what each column holds. Invoice number, invoice date and client name are required.',
+            'import.columnHeading': 'Column',
+            'import.firstValue': 'First Value',
+            'import.importAs': 'Import As',
+            'import.columnAs': 'Import column as',
+            'import.skipColumn': 'Don\'t import',
+            'import.column': 'Column {number}',
+            'import.row': 'Row {number}',
+            'import.datesWritten': 'Dates Are Written',
+            'import.datesDmy': 'Day/month/year (31/01/2026)',
+            'import.datesMdy': 'Month/day/year (01/31/2026)',
+            'import.datesHelp': 'Applies to dates typed as text; dates like 2026-01-31 and date cells read the same either way.',
+            'import.decimalWritten': 'Decimal Separator',
+            'import.decimalPoint': 'Point (1,234.50)',
+            'import.decimalComma': 'Comma (1.234,50)',
+            'import.decimalHelp': 'Applies to numbers typed as text: 1.234 reads as 1.234 with a point and as 1234 with a comma.',
+            'import.addClients': 'Add new clients to the address book',
+            'import.lines': 'Lines',
+            'import.problems': 'Problems',
+            'import.summary': '{file}: {rows}, {columns}.',
+            'import.rows.one': '{count} row',
+            'import.rows.other': '{count} rows',
+            'import.columns.one': '{count} column',
+            'import.columns.other': '{count} columns',
+            'import.ready.one': '{count} invoice ready to import.',
+            'import.ready.other': '{count} invoices ready to import.',
+            'import.skipped.one': '{count} invoice with problems will be skipped.',
+            'import.skipped.other': '{count} invoices with problems will be skipped.',
+            'import.newClients.one': '{count} new client will be added to the address book.',
+            'import.newClients.other': '{count} new clients will be added to the address book.',
+            'import.group.invoice': 'Invoice',
+            'import.group.client': 'Client',
+            'import.group.item': 'Line item',
+            'import.field.invoiceNumber': 'Invoice number',
+            'import.field.createdDate': 'Invoice date',
+            'import.field.dueDate': 'Due date',
+            'import.field.status': 'Status',
+            'import.field.currency': 'Currency',
+            'import.field.amountPaid': 'Amount paid',
+            'import.field.notes': 'Notes',
+            'import.field.clientName': 'Client name',
+            'import.field.clientEmail': 'Client email',
+            'import.field.clientAddress': 'Client address',
+            'import.field.itemName': 'Item code',
+            'import.field.description': 'Description',
+            'import.field.quantity': 'Quantity',
+            'import.field.unit': 'Unit',
+            'import.field.rate': 'Rate',
+            'import.field.lineAmount': 'Line amount',
+            'import.field.discount': 'Line discount',
+            'import.field.taxCategory': 'Tax category',
+            'import.order.dmy': 'day/month/year',
+            'import.order.mdy': 'month/day/year',
+            'import.noRows': 'The spreadsheet has no rows to import.',
+            'import.readFailed': 'Could not read the spreadsheet.',
+            'import.missingColumns': 'Choose a column for: {fields}.',
+            'import.duplicateColumn': '"{field}" is chosen for more than one column.',
+            'import.finished': 'Import finished: {added} invoices added, {skipped} skipped, {clients} new clients.',
+            'import.missingNumber': 'Missing invoice number.',
+            'import.missingDate': 'Missing invoice date.',
+            'import.notCurrency': '"{value}" is not a currency code.',
+            'import.notDateInOrder': '"{value}" is not a {order} date.',
+            'import.notDate': '"{value}" is not a date.',
+            'import.ambiguousDate': '"{value}" could be {dmy} or {mdy}; the file has dates written both ways.',
+            'import.unknownStatus': 'Unknown status "{value}".',
+            'import.notNumber': 'Row {row}: "{value}" is not a number.',
+            'import.unknownTaxCategory': 'Row {row}: unknown tax category "{value}".',
+            'import.notAmount': '"{value}" is not an amount.',
+            'import.partialNeedsAmount': 'Partially paid invoices need an amount paid.',
+            'import.needsClientAndLines': 'Needs a client name and at least one line item.',
+            'import.numberExists': 'Invoice number {number} already exists.',
+
+            // Bulk export
+            'export.title': 'Export Invoices',
+            'export.scopeFiltered': 'The invoices listed below, with the current search and filters',
+            'export.scopeSelected': 'The selected invoices',
+            'export.scopeRange': 'All invoices dated in a range',
+            'export.format': 'Format',
+            'export.formatOds': 'Workbook (ODS): a summary sheet and a sheet per invoice',
+            'export.formatXlsx': 'Workbook (XLSX): a summary sheet and a sheet per invoice',
+            'export.formatCsv': 'Line item ledger (CSV)',
+            'export.formatZip': 'PDFs (ZIP): one PDF per invoice',
+            'export.count.one': '{count} document will be exported.',
+            'export.count.other': '{count} documents will be exported.',
+            'export.rangeInvalid': 'Choose a start date on or before the end date.',
+            'export.nothing': 'There are no invoices to export.',
+            'export.failed': 'The export could not be created.',
+            'export.summarySheet': 'Summary',
+            'export.ledgerSheet': 'Ledger',
+            'export.number': 'Number',
+            'export.invoice': 'Invoice',
+            'export.type': 'Type',
+            'export.date': 'Date',
+            'export.dueDate': 'Due Date',
+            'export.client': 'Client',
+            'export.status': 'Status',
+            'export.currency': 'Currency',
+            'export.item': 'Item',
+            'export.description': 'Description',
+            'export.quantity': 'Quantity',
+            'export.unit': 'Unit',
+            'export.rate': 'Rate',
+            'export.taxCategory': 'Tax Category',
+            'export.amount': 'Amount',
+            'export.subtotal': 'Subtotal',
+            'export.discount': 'Discount',
+            'export.tax': 'Tax',
+            'export.total': 'Total',
+            'export.paid': 'Paid',
+            'export.balanceDue': 'Balance Due'
+        },
+
+        de: {
+            'nav.dashboard': 'Übersicht',
+            'nav.newInvoice': 'Neue Rechnung',
+            'nav.quotes': 'Angebote',
+            'nav.clients': 'Kunden',
+            'nav.catalog': 'Katalog',
+            'nav.recurring': 'Wiederkehrend',
+            'nav.reports': 'Berichte',
+            'nav.settings': 'Einstellungen',
+            'view.trash': 'Papierkorb',
+            'view.recurring': 'Wiederkehrende Rechnungen',
+
+            'action.cancel': 'Abbrechen',
+            'action.close': 'Schließen',
+            'action.createInvoice': 'Rechnung erstellen',
+            'action.createQuote': 'Angebot erstellen',
+            'action.addClient': 'Kunde hinzufügen',
+            'action.addItem': 'Artikel hinzufügen',
+            'action.emptyTrash': 'Papierkorb leeren',
+            'action.printPreview': 'Druckvorschau',
+            'action.exportPdf': 'PDF exportieren',
+            'action.exportOds': 'ODS exportieren',
+            'action.makeRecurring': 'Wiederkehrend machen',
+            'action.creditNote': 'Gutschrift',
+            'action.convertQuote': 'In Rechnung umwandeln',
+            'action.history': 'Verlauf',
+            'action.addLine': '+ Position hinzufügen',
+            'action.recordPayment': '+ Zahlung erfassen',
+            'action.recordFullBalance': 'Restbetrag als bezahlt erfassen',
+            'action.saveSettings': 'Einstellungen speichern',
+            'action.clearFilters': 'Filter zurücksetzen',
+            'action.bulkExport': 'Exportieren',
+            'action.previous': 'Zurück',
+            'action.next': 'Weiter',
+            'action.markSent': 'Als versendet markieren',
+            'action.markPaid': 'Als bezahlt markieren',
+            'action.duplicate': 'Duplizieren',
+            'action.print': 'Drucken',
+            'action.delete': 'Löschen',
+            'action.clearSelection': 'Auswahl aufheben',
+
+            'dashboard.search': 'Rechnungen suchen...',
+            'dashboard.totalRevenue': 'Gesamtumsatz',
+            'dashboard.pending': 'Ausstehend',
+            'dashboard.perPage': 'Pro Seite',
+            'dashboard.selectAll': 'Alle Rechnungen auswählen',
+            'filter.all': 'Alle',
+            'filter.from': 'Von',
+            'filter.to': 'Bis',
+            'filter.minTotal': 'Mindestbetrag',
+            'filter.maxTotal': 'Höchstbetrag',
+            'quotes.search': 'Angebote suchen...',
+            'clients.search': 'Kunden suchen...',
+
+            'field.invoiceNumber': 'Rechnungsnr.',
+            'field.quoteNumber': 'Angebotsnr.',
+            'field.client': 'Kunde',
+            'field.name': 'Name',
+            'field.email': 'E-Mail',
+            'field.address': 'Adresse',
+            'field.date': 'Datum',
+            'field.dueDate': 'Fällig am',
+            'field.validUntil': 'Gültig bis',
+            'field.total': 'Gesamt',
+            'field.amount': 'Betrag',
+            'field.status': 'Status',
+            'field.actions': 'Aktionen',
+            'field.invoices': 'Rechnungen',
+            'field.currency': 'Währung',
+            'field.template': 'Vorlage',
+            'field.language': 'Dokumentsprache',
+            'field.paymentTerms': 'Zahlungsbedingungen',
+            'field.paymentDate': 'Zahlungsdatum',
+            'field.termsDays': 'Tage',
+            'field.earlyDiscount': 'Skonto (%)',
+            'field.earlyDiscountDays': 'Bei Zahlung innerhalb von (Tagen)',
+            'field.notes': 'Anmerkungen',
+
+            'editor.clientDetails': 'Kundendaten',
+            'editor.saveClient': 'In Kundenliste speichern',
+            'editor.items': 'Positionen',
+            'editor.payments': 'Zahlungen',
+            'editor.taxAmount': 'Steuerbetrag',
+            'editor.newTitle': '{name} erstellen',
+            'editor.editTitle': '{name} bearbeiten',
+            'editor.details': 'Dokumentdaten',
+            'editor.number': 'Nummer',
+            'editor.save': '{name} speichern',
+            'editor.languageDefault': 'Standard ({name})',
+
+            'settings.language': 'Sprache',
+            'settings.appLanguage': 'Sprache der App',
+            'settings.documentLanguage': 'Standardsprache für Dokumente',
+            'settings.languageHelp': 'Dokumente verwenden die Sprache der Rechnung, sonst die des Kunden, sonst diesen Standard. Datum und Beträge werden passend zur Sprache formatiert.',
+            'settings.branding': 'Firmenlogo',
+            'settings.sender': 'Absender',
+            'settings.template': 'Dokumentvorlage',
+            'settings.currency': 'Währung',
+            'settings.taxes': 'Steuern',
+            'settings.rounding': 'Rundung',
+            'settings.numbering': 'Rechnungsnummern',
+            'settings.trash': 'Papierkorb',
+            'settings.businessDefault': 'Firmenstandard',
+            'settings.paymentTerms': 'Zahlungsbedingungen',
+            'settings.paymentTermsHelp': 'Gilt für neue Rechnungen, sofern der Kunde keine eigenen Bedingungen hat. Das Fälligkeitsdatum wird aus dem Rechnungsdatum berechnet.',
+
+            // Payment terms
+            'terms.option.none': 'Keine',
+            'terms.option.receipt': 'Sofort fällig',
+            'terms.option.net15': 'Netto 15',
+            'terms.option.net30': 'Netto 30',
+            'terms.option.net60': 'Netto 60',
+            'terms.option.eom': 'Monatsende + N Tage',
+            'terms.option.custom': 'Benutzerdefiniert',
+            'terms.receipt': 'Zahlbar sofort',
+            'terms.net': 'Zahlbar innerhalb von {days} Tagen',
+            'terms.eom': 'Zahlbar {days} Tage nach Monatsende',
+            'terms.eomOnly': 'Zahlbar zum Monatsende',
+
+            'status.draft': 'Entwurf',
+            'status.sent': 'Versendet',
+            'status.partial': 'Teilweise bezahlt',
+            'status.paid': 'Bezahlt',
+            'status.void': 'Storniert',
+            'status.overdue': 'Überfällig',
+            'status.accepted': 'Angenommen',
+            'status.declined': 'Abgelehnt',
+            'status.expired': 'Abgelaufen',
+
+            'document.invoice': 'Rechnung',
+            'document.invoiceTitle': 'RECHNUNG',
+            'document.invoiceNumber': 'Rechnungsnr.',
+            'document.creditNote': 'Gutschrift',
+            'document.creditNoteTitle': 'GUTSCHRIFT',
+            'document.creditNoteNumber': 'Gutschriftsnr.',
+            'document.quote': 'Angebot',
+            'document.quoteTitle': 'ANGEBOT',
+            'document.quoteNumber': 'Angebotsnr.',
+            'document.from': 'Von',
+            'document.billTo': 'Rechnungsempfänger',
+            'document.preparedFor': 'Erstellt für',
+            'document.date': 'Datum',
+            'document.dueDate': 'Fällig am',
+            'document.validUntil': 'Gültig bis',
+            'document.creditsInvoice': 'Zu Rechnung Nr.',
+            'document.status': 'Status',
+            'document.currency': 'Währung',
+            'document.item': 'Artikel',
+            'document.description': 'Beschreibung',
+            'document.quantity': 'Menge',
+            'document.unit': 'Einheit',
+            'document.rate': 'Einzelpreis',
+            'document.discount': 'Rabatt',
+            'document.discountPercent': 'Rabatt ({value} %)',
+            'document.amount': 'Betrag',
+            'document.subtotal': 'Zwischensumme',
+            'document.tax': 'Steuer',
+            'document.taxRate': '{name} ({rate} %)',
+            'document.taxRateCompound': '{name} ({rate} %, kumulativ)',
+            'document.total': 'Gesamtbetrag',
+            'document.totalCredit': 'Gutschriftsbetrag',
+            'document.quoteTotal': 'Angebotssumme',
+            'document.creditNotes': 'Gutschriften',
+            'document.amountPaid': 'Bereits bezahlt',
+            'document.balanceDue': 'Offener Betrag',
+            'document.notes': 'Anmerkungen',
+            'document.paymentDate': 'Zahlungsdatum',
+            'document.paymentMethod': 'Zahlungsart',
+            'document.paymentReference': 'Referenz',
+            'document.quoteTerms': 'Dieses Angebot ist gültig bis {date}. Es ist ein Kostenvoranschlag, keine Zahlungsaufforderung.',
+            'document.quoteTermsOpen': 'Dieses Angebot ist ein Kostenvoranschlag, keine Zahlungsaufforderung.',
+            'document.paymentTermsDue': 'Zahlungsbedingungen: {terms}. Bitte zahlen Sie bis zum {date}.',
+            'document.paymentTermsOnly': 'Zahlungsbedingungen: {terms}.',
+            'document.earlyPayment': 'Bei Zahlung bis zum {date} gewähren wir {percent} % Skonto ({amount}).',
+
+            'app.navigation': 'Hauptnavigation',
+            'app.toggleTheme': 'Design wechseln',
+            'app.toggleThemeLabel': 'Zwischen hellem und dunklem Design wechseln',
+            'app.footer': '© 2026 Local Storage Invoicer. Daten werden lokal gespeichert.',
+            'app.readOnly': '{message}\n\nIhre Daten wurden nicht verändert. Änderungen können erst gespeichert werden, wenn das behoben ist; eine Sicherung können Sie weiterhin unter Einstellungen herunterladen.',
+            'app.recurringGenerated.one': '{count} Rechnung aus wiederkehrenden Zeitplänen erstellt.',
+            'app.recurringGenerated.other': '{count} Rechnungen aus wiederkehrenden Zeitplänen erstellt.',
+            'app.pdfLibraryMissing': 'Die PDF-Bibliothek wurde nicht geladen. Bitte prüfen Sie die Internetverbindung und laden Sie die Seite neu.',
+            'app.spreadsheetLibraryMissing': 'Die Tabellen-Bibliothek wurde nicht geladen. Bitte prüfen Sie die Internetverbindung und laden Sie die Seite neu.',
+
+            'action.edit': 'Bearbeiten',
+            'action.view': 'Ansehen',
+            'action.remove': 'Entfernen',
+            'action.restore': 'Wiederherstellen',
+            'action.deletePermanently': 'Endgültig löschen',
+            'action.undo': 'Rückgängig',
+            'action.compare': 'Vergleichen',
+            'action.import': 'Importieren',
+            'action.export': 'Exportieren',
+            'action.pause': 'Pausieren',
+            'action.resume': 'Fortsetzen',
+            'action.previewRuns': 'Nächste Läufe anzeigen',
+            'action.saveClient': 'Kunde speichern',
+            'action.saveItem': 'Artikel speichern',
+            'action.saveSchedule': 'Zeitplan speichern',
+            'action.createCreditNote': 'Gutschrift erstellen',
+            'action.back': 'Zurück',
+            'action.preview': 'Vorschau',
+
+            'dashboard.empty': 'Keine Rechnungen vorhanden. Erstellen Sie eine, um zu beginnen.',
+            'dashboard.noMatches': 'Keine Rechnungen entsprechen der aktuellen Suche und den Filtern.',
+            'dashboard.select': '{number} auswählen',
+            'dashboard.selectUnnumbered': 'Rechnung auswählen',
+            'dashboard.selectedInvoices': 'Ausgewählte Rechnungen',
+            'dashboard.selected': '{count} ausgewählt',
+            'dashboard.selectedTotal': 'Gesamt: {amount}',
+            'dashboard.selectedBalance': 'Offen: {amount}',
+            'dashboard.showing.one': '{from}–{to} von {count} Rechnung',
+            'dashboard.showing.other': '{from}–{to} von {count} Rechnungen',
+            'dashboard.chooseCurrency': 'Wählen Sie eine Währung, um nach Betrag zu filtern',
+
+            'bulk.markedSent.one': '{count} Rechnung als versendet markiert.',
+            'bulk.markedSent.other': '{count} Rechnungen als versendet markiert.',
+            'bulk.markedPaid.one': '{count} Rechnung als bezahlt markiert.',
+            'bulk.markedPaid.other': '{count} Rechnungen als bezahlt markiert.',
+            'bulk.skipped': '{count} übersprungen.',
+            'bulk.failed': '{count} konnten nicht gespeichert werden.',
+            'bulk.paymentDateRequired': 'Geben Sie das Zahlungsdatum ein.',
+            'bulk.noBalance': 'Keine der ausgewählten Rechnungen hat einen offenen Betrag.',
+            'bulk.confirmPaid.one': 'Zahlungen zum {date} über den offenen Betrag von {count} Rechnung erfassen?',
+            'bulk.confirmPaid.other': 'Zahlungen zum {date} über den offenen Betrag von {count} Rechnungen erfassen?',
+            'bulk.duplicated.one': '{count} Entwurf erstellt.',
+            'bulk.duplicated.other': '{count} Entwürfe erstellt.',
+            'bulk.creditNotesSkipped.one': '{count} Gutschrift übersprungen.',
+            'bulk.creditNotesSkipped.other': '{count} Gutschriften übersprungen.',
+            'bulk.deleted.one': '{count} Dokument in den Papierkorb verschoben.',
+            'bulk.deleted.other': '{count} Dokumente in den Papierkorb verschoben.',
+            'bulk.deleteFailed': '{count} der ausgewählten Dokumente konnten nicht gelöscht werden.',
+
+            'editor.numberPlaceholder': 'Automatisch',
+            'editor.numberHelp': 'Leer lassen für eine automatische Nummer oder eine eigene Nummer eingeben.',
+            'editor.statusHelp': 'Bezahlt und teilweise bezahlt ergeben sich aus den erfassten Zahlungen. Versendete Rechnungen nach dem Fälligkeitsdatum werden als überfällig angezeigt.',
+            'editor.statusHelpQuote': 'Wandeln Sie ein angenommenes Angebot in eine Rechnung um. Versendete Angebote nach ihrem Gültigkeitsdatum werden als abgelaufen angezeigt.',
+            'editor.discountPlaceholder': '10% oder 25',
+            'editor.discountHelp': 'Prozentsatz (z. B. 10%) oder fester Betrag',
+            'editor.itemCode': 'Artikelnummer',
+            'editor.lineDiscount': 'Positionsrabatt',
+            'editor.taxCategory': 'Steuerkategorie',
+            'editor.noTax': 'Keine Steuer',
+            'editor.paymentDate': 'Zahlungsdatum',
+            'editor.paymentAmount': 'Zahlungsbetrag',
+            'editor.paymentMethod': 'Zahlungsart',
+            'editor.paymentReference': 'Zahlungsreferenz',
+            'editor.templateDefault': 'Firmenstandard ({name})',
+            'editor.creditsInvoice': 'Gutschrift zu Rechnung {number}.',
+            'editor.fromQuote': 'Erstellt aus Angebot {number}.',
+            'editor.convertedTo': 'In Rechnung {number} umgewandelt.',
+            'editor.creditNotes': 'Gutschriften: {numbers}',
+            'editor.notFound': 'Rechnung nicht gefunden',
+            'editor.noBalance': 'Diese Rechnung hat keinen offenen Betrag.',
+            'editor.numberUsed': 'Die Nummer „{number}“ wird bereits verwendet. Trotzdem speichern?',
+            'editor.saveFailed': 'Speichern fehlgeschlagen. Bitte prüfen Sie die Angaben.',
+            'editor.saveForHistory': 'Speichern Sie die Rechnung, um ihren Änderungsverlauf zu beginnen.',
+            'editor.saveForRecurring': 'Speichern Sie die Rechnung, bevor Sie sie wiederkehrend machen.',
+            'editor.movedToTrash': '{name} {number} in den Papierkorb verschoben.',
+            'editor.movedToTrashUnnumbered': '{name} in den Papierkorb verschoben.',
+            'editor.deleteFailed': 'Die Rechnung konnte nicht gelöscht werden.',
+            'field.item': 'Artikel',
+            'field.description': 'Beschreibung',
+            'field.quantity': 'Menge',
+            'field.rate': 'Preis',
+            'field.discount': 'Rabatt',
+            'field.tax': 'Steuer',
+            'field.action': 'Aktion',
+            'field.method': 'Zahlungsart',
+            'field.reference': 'Referenz',
+            'field.code': 'Nummer',
+            'field.unit': 'Einheit',
+            'field.taxCategory': 'Steuerkategorie',
+            'field.frequency': 'Intervall',
+            'field.invoice': 'Rechnung',
+            'field.invoiceDate': 'Rechnungsdatum',
+            'field.nextRun': 'Nächster Lauf',
+            'field.deleted': 'Gelöscht',
+
+            'history.title': 'Änderungsverlauf',
+            'history.revision': 'Version',
+            'history.saved': 'Gespeichert',
+            'history.changes': 'Änderungen',
+            'history.compareFrom': 'Version',
+            'history.compareWith': 'vergleichen mit',
+            'history.empty': 'Noch keine Versionen gespeichert.',
+            'history.current': '#{number} (aktuell)',
+            'history.more': '{changes} +{count} weitere',
+            'history.line': 'Position',
+            'history.revisionTitle': 'Version #{number}, gespeichert {date}',
+            'history.diffTitle': 'Änderungen von Version #{from} zu #{to}',
+            'history.field': 'Feld',
+            'history.noDifferences': 'Keine Unterschiede.',
+            'history.confirmRestore': 'Version #{number} wiederherstellen? Nicht gespeicherte Änderungen im Editor gehen verloren. Erfasste Zahlungen bleiben erhalten.',
+            'history.restoreFailed': 'Die Version konnte nicht wiederhergestellt werden.',
+            'history.note.created': 'Erstellt',
+            'history.note.imported': 'Importiert',
+            'history.note.restored': 'Version {number} wiederhergestellt',
+            'history.note.beforeHistory': 'Vor dem Änderungsverlauf gespeichert',
+            'history.note.markedSent': 'Als versendet markiert',
+            'history.note.markedPaid': 'Als bezahlt markiert',
+            'history.note.duplicatedFrom': 'Dupliziert von {number}',
+
+            'diff.invoiceNumber': 'Rechnungsnummer',
+            'diff.client': 'Kunde',
+            'diff.clientEmail': 'E-Mail des Kunden',
+            'diff.clientAddress': 'Adresse des Kunden',
+            'diff.createdDate': 'Rechnungsdatum',
+            'diff.dueDate': 'Fälligkeitsdatum',
+            'diff.validUntil': 'Gültig bis',
+            'diff.status': 'Status',
+            'diff.currency': 'Währung',
+            'diff.discount': 'Rechnungsrabatt',
+            'diff.template': 'Vorlage',
+            'diff.language': 'Dokumentsprache',
+            'diff.defaultLanguage': 'Standard',
+            'diff.paymentTerms': 'Zahlungsbedingungen',
+            'diff.notes': 'Anmerkungen',
+            'diff.untitled': 'Ohne Titel',
+            'diff.lineDiscount': 'abzüglich {discount}',
+            'diff.lineAdded': 'Position hinzugefügt: {name}',
+            'diff.lineRenamed': 'Position umbenannt: {name}',
+            'diff.line': 'Position: {name}',
+            'diff.lineRemoved': 'Position entfernt: {name}',
+            'diff.payment': 'Zahlung',
+            'diff.paymentRemoved': 'Zahlung entfernt',
+            'diff.subtotal': 'Zwischensumme',
+            'diff.discountAmount': 'Rabatt',
+            'diff.tax': 'Steuer',
+            'diff.total': 'Gesamt',
+            'diff.balanceDue': 'Offener Betrag',
+
+            'creditNote.help': 'Schreiben Sie die ganze Rechnung oder nur die ausgewählten Positionen gut. Die Gutschrift erhält eine eigene Nummer und verringert den offenen Betrag der Rechnung.',
+            'creditNote.selectAll': 'Alle Positionen auswählen',
+            'creditNote.selectLine': 'Diese Position gutschreiben',
+            'creditNote.alreadyCredited': 'Bereits gutgeschrieben: {notes}',
+            'creditNote.sentOnly': 'Nur versendete Rechnungen können gutgeschrieben werden. Speichern Sie die Rechnung zuerst als versendet.',
+            'creditNote.noLines': 'Wählen Sie mindestens eine Position zum Gutschreiben aus.',
+            'creditNote.failed': 'Die Gutschrift konnte nicht erstellt werden.',
+            'creditNote.notes': 'Gutschrift zu Rechnung {number}',
+
+            'quotes.help': 'Angebote haben eigene Nummern und zählen nicht zum Umsatz. Wandeln Sie ein angenommenes Angebot in eine Rechnung um, um es abzurechnen.',
+            'quotes.empty': 'Noch keine Angebote. Erstellen Sie eines, um zu beginnen.',
+            'quotes.noMatches': 'Keine Angebote entsprechen der Suche.',
+            'quotes.invoiced': 'Abgerechnet',
+            'quotes.invoicedAs': 'Abgerechnet {number}',
+            'quotes.alreadyConverted': 'Angebot {quote} wurde bereits in Rechnung {invoice} umgewandelt. Öffnen?',
+            'quotes.confirmDeclined': 'Angebot {quote} wurde abgelehnt. Trotzdem in eine Rechnung umwandeln?',
+            'quotes.convertFailed': 'Die Rechnung konnte nicht erstellt werden.',
+
+            'clients.new': 'Neuer Kunde',
+            'clients.edit': 'Kunde bearbeiten',
+            'clients.empty': 'Noch keine Kunden. Legen Sie einen an oder speichern Sie ihn aus einer Rechnung.',
+            'clients.saveFailed': 'Der Kunde konnte nicht gespeichert werden. Ein Name ist erforderlich.',
+            'clients.confirmDelete': 'Diesen Kunden löschen? Bestehende Rechnungen behalten ihre Kopie der Kundendaten.',
+            'clients.deleteFailed': 'Der Kunde konnte nicht gelöscht werden.',
+
+            'catalog.search': 'Katalog durchsuchen...',
+            'catalog.new': 'Neuer Katalogartikel',
+            'catalog.edit': 'Katalogartikel bearbeiten',
+            'catalog.code': 'Artikelnummer',
+            'catalog.codePlaceholder': 'z. B. DEV-HR',
+            'catalog.defaultRate': 'Standardpreis',
+            'catalog.unitPlaceholder': 'z. B. Std., Stk., Monat',
+            'catalog.defaultTaxCategory': 'Standard',
+            'catalog.empty': 'Noch keine Katalogartikel. Legen Sie Produkte und Leistungen an, die Sie häufig abrechnen.',
+            'catalog.saveFailed': 'Der Artikel konnte nicht gespeichert werden. Eine Nummer oder Beschreibung ist erforderlich.',
+            'catalog.confirmDelete': 'Diesen Katalogartikel löschen? Rechnungen, die ihn bereits verwenden, bleiben unverändert.',
+            'catalog.deleteFailed': 'Der Katalogartikel konnte nicht gelöscht werden.',
+            'catalog.imported': 'Katalog importiert: {added} hinzugefügt, {updated} aktualisiert, {skipped} übersprungen.',
+            'catalog.readFailed': 'Die Katalogdatei konnte nicht gelesen werden.',
+
+            'trash.empty': 'Der Papierkorb ist leer.',
+            'trash.retention.one': 'Rechnungen im Papierkorb werden nach {count} Tag endgültig gelöscht.',
+            'trash.retention.other': 'Rechnungen im Papierkorb werden nach {count} Tagen endgültig gelöscht.',
+            'trash.retentionNever': 'Rechnungen bleiben im Papierkorb, bis Sie sie endgültig löschen.',
+            'trash.purgedOn': '(wird am {date} gelöscht)',
+            'trash.confirmEmpty.one': '{count} Rechnung im Papierkorb endgültig löschen? Das kann nicht rückgängig gemacht werden.',
+            'trash.confirmEmpty.other': '{count} Rechnungen im Papierkorb endgültig löschen? Das kann nicht rückgängig gemacht werden.',
+            'trash.confirmPurge': 'Diese Rechnung und ihren Verlauf endgültig löschen? Das kann nicht rückgängig gemacht werden.',
+            'trash.restoreFailed': 'Die Rechnung konnte nicht wiederhergestellt werden.',
+
+            'recurring.help': 'Fällige Rechnungen werden bei jedem Öffnen der App als Entwürfe erstellt. Mit „Wiederkehrend machen“ im Rechnungseditor legen Sie einen Zeitplan an.',
+            'recurring.new': 'Neuer Zeitplan',
+            'recurring.edit': 'Zeitplan bearbeiten',
+            'recurring.dueDays': 'Zahlung fällig (Tage nach Rechnungsdatum)',
+            'recurring.dueDaysHelp': 'Gilt, wenn die Rechnung keine Zahlungsbedingungen hat; sonst bestimmen diese das Fälligkeitsdatum.',
+            'recurring.active': 'Aktiv',
+            'recurring.startDate': 'Beginn',
+            'recurring.endDate': 'Ende (optional)',
+            'recurring.upcoming': 'Nächste Läufe',
+            'recurring.upcomingFor': 'Nächste Läufe: {name}',
+            'recurring.upcomingForPaused': 'Nächste Läufe: {name} (pausiert)',
+            'recurring.empty': 'Noch keine wiederkehrenden Zeitpläne.',
+            'recurring.noRuns': 'Keine weiteren Läufe vor dem Enddatum.',
+            'recurring.status.active': 'Aktiv',
+            'recurring.status.paused': 'Pausiert',
+            'recurring.status.ended': 'Beendet',
+            'recurring.sourceMissing': 'Die Rechnung zu diesem Zeitplan existiert nicht mehr.',
+            'recurring.endBeforeStart': 'Das Enddatum muss nach dem Beginn liegen.',
+            'recurring.saveFailed': 'Der Zeitplan konnte nicht gespeichert werden. Name, Intervall, Beginn und nächster Lauf sind erforderlich.',
+            'recurring.confirmDelete': 'Diesen Zeitplan löschen? Bereits erstellte Rechnungen bleiben erhalten.',
+            'recurring.deleteFailed': 'Der Zeitplan konnte nicht gelöscht werden.',
+            'frequency.weekly': 'Wöchentlich',
+            'frequency.monthly': 'Monatlich',
+            'frequency.quarterly': 'Vierteljährlich',
+            'frequency.yearly': 'Jährlich',
+
+            'reports.help': 'Entwürfe und stornierte Rechnungen sind nicht enthalten. Beträge in verschiedenen Währungen stehen in getrennten Zeilen.',
+            'reports.revenue': 'Umsatz nach Zeitraum',
+            'reports.period': 'Zeitraum',
+            'reports.period.month': 'Monatlich',
+            'reports.period.quarter': 'Vierteljährlich',
+            'reports.period.year': 'Jährlich',
+            'reports.topClients': 'Top-Kunden',
+            'reports.rankBy': 'Kunden sortieren nach',
+            'reports.byBilled': 'Nach Rechnungsbetrag',
+            'reports.byPaid': 'Nach Zahlungen',
+            'reports.aging': 'Fälligkeitsanalyse',
+            'reports.asOf': 'Stichtag',
+            'reports.billed': 'Berechnet',
+            'reports.received': 'Eingegangen',
+            'reports.paid': 'Bezahlt',
+            'reports.outstanding': 'Offen',
+            'reports.noBilled': 'Noch keine berechneten Rechnungen.',
+            'reports.noOutstanding': 'Keine offenen Beträge.',
+            'reports.totalIn': 'Gesamt {currency}',
+            'reports.sheet.revenue': 'Umsatz',
+            'reports.sheet.clients': 'Kunden',
+            'reports.sheet.aging': 'Fälligkeiten',
+            'aging.current': 'Nicht fällig',
+            'aging.days30': '1–30 Tage',
+            'aging.days60': '31–60 Tage',
+            'aging.days90': '61–90 Tage',
+            'aging.over90': 'Über 90 Tage',
+
+            'settings.noLogo': 'Kein Logo',
+            'settings.logo': 'Anzeigelogo (PNG, JPG, SVG)',
+            'settings.logoHelp': 'Wird auf Rechnungen und im Druck verwendet. Empfohlen höchstens 500 KB.',
+            'settings.removeLogo': 'Anzeigelogo entfernen',
+            'settings.cdrLogo': 'Original-Logodatei (CDR/CorelDRAW)',
+            'settings.cdrHelp': 'Optional. Nur zum Herunterladen gespeichert; Browser können CDR-Dateien nicht anzeigen.',
+            'settings.cdrFile': 'Datei: {name}',
+            'settings.downloadCdr': 'CDR herunterladen',
+            'settings.removeCdr': 'CDR entfernen',
+            'settings.companyName': 'Firmenname',
+            'settings.companyNamePlaceholder': 'Name Ihrer Firma',
+            'settings.addressPlaceholder': 'Musterstraße 1, 12345 Musterstadt',
+            'settings.layout': 'Layout',
+            'settings.accentColour': 'Akzentfarbe',
+            'settings.font': 'Schrift',
+            'settings.showOnDocuments': 'Auf Dokumenten anzeigen',
+            'settings.templateHelp': 'Gilt für Druck und PDF-Export. Jede Rechnung kann im Editor ein anderes Layout wählen.',
+            'settings.baseCurrency': 'Basiswährung',
+            'settings.currencyHelp': 'Standard für neue Rechnungen und Katalogpreise. Jede Rechnung kann eine eigene Währung verwenden.',
+            'settings.taxesHelp': 'Steuerkategorien werden je Position zugeordnet. Bestandteile gelten der Reihe nach; ein kumulativer Bestandteil wird auf den Betrag zuzüglich der darüber stehenden Steuern berechnet.',
+            'settings.addTaxCategory': '+ Steuerkategorie hinzufügen',
+            'settings.defaultTaxCategory': 'Standard-Steuerkategorie',
+            'settings.defaultTaxCategoryHelp': 'Gilt für neue Positionen.',
+            'settings.taxCode': 'Kürzel (z. B. standard)',
+            'settings.taxCodeLabel': 'Kürzel der Steuerkategorie',
+            'settings.taxName': 'Name (z. B. Normalsatz)',
+            'settings.taxNameLabel': 'Name der Steuerkategorie',
+            'settings.addTaxComponent': '+ Bestandteil',
+            'settings.taxComponent': 'Bestandteil (z. B. MwSt.)',
+            'settings.taxComponentLabel': 'Name des Steuerbestandteils',
+            'settings.taxComponentRate': 'Satz des Steuerbestandteils (%)',
+            'settings.compound': 'Kumulativ',
+            'settings.removeTaxComponent': 'Bestandteil entfernen',
+            'settings.roundingMode': 'Rundungsart',
+            'settings.roundingHalfUp': 'Kaufmännisch (0,5 wird von null weg gerundet)',
+            'settings.roundingHalfEven': 'Mathematisch (auf die gerade Ziffer)',
+            'settings.taxRounding': 'Steuerrundung',
+            'settings.roundingLine': 'Je Position (Steuer jeder Position runden)',
+            'settings.roundingTotal': 'Auf die Summe (jede Steuer einmal auf die Rechnungssumme runden)',
+            'settings.roundingHelp': 'Gilt für neue Rechnungen. Bestehende Rechnungen behalten ihre Rundung.',
+            'settings.invoicePrefix': 'Präfix für Rechnungsnummern',
+            'settings.invoicePrefixHelp': 'Optionales Präfix vor der Nummer (z. B. „RE-“, „2026-“)',
+            'settings.nextNumber': 'Nächste Rechnungsnummer',
+            'settings.nextNumberHelp': 'Anpassen, um an ein bisheriges System anzuschließen.',
+            'settings.numberPadding': 'Stellenzahl',
+            'settings.numberPaddingHelp': 'Mit Nullen auffüllen (4 = „0001“, 6 = „000001“)',
+            'settings.creditNotePrefix': 'Präfix für Gutschriften',
+            'settings.nextCreditNoteNumber': 'Nächste Gutschriftsnummer',
+            'settings.creditNoteNumberHelp': 'Gutschriften haben einen eigenen Nummernkreis mit derselben Stellenzahl.',
+            'settings.quotePrefix': 'Präfix für Angebote',
+            'settings.nextQuoteNumber': 'Nächste Angebotsnummer',
+            'settings.quoteValidity': 'Angebote gültig für (Tage)',
+            'settings.quoteNumberHelp': 'Auch Angebote haben einen eigenen Nummernkreis. Neue Angebote gelten so viele Tage ab ihrem Datum.',
+            'settings.trashRetention': 'Endgültig löschen nach (Tagen)',
+            'settings.trashRetentionHelp': 'So lange bleiben gelöschte Rechnungen im Papierkorb. 0 behält sie, bis Sie den Papierkorb leeren.',
+            'settings.saved': 'Einstellungen gespeichert.',
+            'settings.saveFailed': 'Die Einstellungen konnten nicht gespeichert werden.',
+            'settings.duplicateTaxCode': 'Das Kürzel „{code}“ wird für mehrere Steuerkategorien verwendet.',
+            'settings.logoFailed': 'Das Bild konnte nicht geladen werden. Bitte versuchen Sie eine andere Datei.',
+            'settings.cdrOnly': 'Bitte laden Sie eine .cdr-Datei (CorelDRAW) hoch.',
+            'settings.cdrLarge': 'Diese CDR-Datei ist größer als 2 MB. Große Dateien können den Speicher füllen. Fortfahren?',
+            'settings.cdrFailed': 'Die CDR-Datei konnte nicht gelesen werden.',
+            'template.classic': 'Klassisch',
+            'template.minimal': 'Minimal',
+            'template.compact': 'Kompakt',
+            'font.helvetica': 'Serifenlos',
+            'font.times': 'Serifen',
+            'font.courier': 'Festbreite',
+            'templateField.logo': 'Logo',
+            'templateField.status': 'Status',
+            'templateField.clientEmail': 'E-Mail des Kunden',
+            'templateField.itemCode': 'Artikelnummern',
+            'templateField.taxBreakdown': 'Steueraufschlüsselung',
+            'templateField.notes': 'Anmerkungen',
+
+            'backup.title': 'Sicherung & Wiederherstellung',
+            'backup.help': 'Laden Sie alles (Rechnungen, Kunden, Katalog, wiederkehrende Zeitpläne, Einstellungen und Logos) als eine JSON-Datei herunter oder stellen Sie daraus wieder her.',
+            'backup.download': 'Sicherung herunterladen',
+            'backup.restoreFrom': 'Aus Sicherung wiederherstellen',
+            'backup.downloadUpgrade': 'Sicherung vor dem Update herunterladen',
+            'backup.downloadUpgradeHelp': 'Ihre Daten, wie sie vor dem letzten Update auf eine neue Version von Invoicer waren',
+            'backup.restoreTitle': 'Sicherung wiederherstellen',
+            'backup.merge': 'Mit den aktuellen Daten zusammenführen',
+            'backup.replace': 'Alle aktuellen Daten ersetzen',
+            'backup.conflictsHelp': 'Diese Rechnungen gibt es an beiden Orten mit unterschiedlichem Inhalt. Wählen Sie, welche Fassung erhalten bleibt.',
+            'backup.current': 'Aktuell',
+            'backup.backup': 'Sicherung',
+            'backup.keep': 'Behalten',
+            'backup.copyToKeep': 'Zu behaltende Fassung',
+            'backup.summary': 'Sicherung vom {date}: {invoices}, {clients}, {catalog}, {recurring}.',
+            'backup.unknownDate': 'unbekannten Datum',
+            'backup.invoices.one': '{count} Rechnung',
+            'backup.invoices.other': '{count} Rechnungen',
+            'backup.clients.one': '{count} Kunde',
+            'backup.clients.other': '{count} Kunden',
+            'backup.catalog.one': '{count} Katalogartikel',
+            'backup.catalog.other': '{count} Katalogartikel',
+            'backup.recurring.one': '{count} wiederkehrender Zeitplan',
+            'backup.recurring.other': '{count} wiederkehrende Zeitpläne',
+            'backup.copy': '{amount}, {status}',
+            'backup.copySaved': '{amount}, {status}, gespeichert am {date}',
+            'backup.noUpgradeBackup': 'Aus der Zeit vor einem Update wurden keine Daten aufbewahrt.',
+            'backup.readFailed': 'Die Sicherungsdatei konnte nicht gelesen werden.',
+            'backup.confirmReplace': 'Alle aktuellen Rechnungen, Kunden, Katalogartikel und Einstellungen durch die Sicherung ersetzen? Das kann nicht rückgängig gemacht werden.',
+            'backup.restored': 'Sicherung wiederhergestellt: {added} Rechnungen.',
+            'backup.merged': 'Sicherung zusammengeführt: {added} hinzugefügt, {replaced} ersetzt, {kept} behalten.',
+
+            'error.unavailable': 'LocalStorage ist nicht verfügbar',
+            'error.databaseInUse': 'Die Datenbank wird von einem anderen Tab verwendet.',
+            'error.storageFull': 'Der Speicher ist voll. Bitte löschen Sie einige Rechnungen.',
+            'error.writeFailed': 'Die Daten konnten nicht gespeichert werden.',
+            'error.backupWriteFailed': 'Die Sicherung konnte nicht gespeichert werden.',
+            'error.readOnly': 'Änderungen können nicht gespeichert werden. {message}',
+            'error.invalidInvoice': 'Ungültige Rechnungsdaten',
+            'error.revisionMissing': 'Diese Version oder ihre Rechnung existiert nicht mehr.',
+            'error.invalidCatalog': 'Keine gültige Katalogdatei.',
+            'error.invalidBackup': 'Keine gültige Sicherungsdatei.',
+            'error.backupNoInvoices': 'Die Sicherung enthält keine Rechnungsliste.',
+            'error.backupInvalidInvoices.one': 'Die Sicherung enthält {count} ungültige Rechnung.',
+            'error.backupInvalidInvoices.other': 'Die Sicherung enthält {count} ungültige Rechnungen.',
+            'error.statusChange': '{name}: Der Status kann nicht von „{from}“ zu „{to}“ wechseln.',
+            'error.creditedMissing': 'Die Rechnung zu dieser Gutschrift existiert nicht mehr.',
+            'error.creditSentOnly': 'Nur versendete Rechnungen können gutgeschrieben werden.',
+            'error.creditCurrency': 'Eine Gutschrift muss in der Währung ihrer Rechnung sein.',
+            'error.creditTooLarge': 'Diese Gutschrift übersteigt die {amount}, die auf Rechnung {number} noch gutgeschrieben werden können.',
+            'error.newerTab': 'Invoicer {version} wurde in einem anderen Tab geöffnet. Laden Sie diesen Tab neu, um weiterzuarbeiten.',
+            'error.newerData': 'Diese Daten wurden von einer neueren Version von Invoicer ({version}) gespeichert als dieser ({current}). Laden Sie die Seite neu, um zu aktualisieren.',
+            'error.migrationFailed': 'Das Aktualisieren der Daten von Version {from} auf {to} ist fehlgeschlagen: {message}',
+            'error.noMigration': 'Daten der Version {version} können nicht aktualisiert werden.',
+            'import.title': 'Rechnungen importieren',
+            'import.help': 'Übernehmen Sie Rechnungen und Kunden aus einem anderen Programm als CSV-, Excel- oder OpenDocument-Tabelle. Zeilen mit derselben Rechnungsnummer ergeben eine Rechnung, mit einer Position je Zeile.',
+            'import.button': 'Tabelle importieren',
+            'import.mappingHelp': 'Wählen Sie, was jede Spalte enthält. Rechnungsnummer, Rechnungsdatum und Kundenname sind erforderlich.',
+            'import.columnHeading': 'Spalte',
+            'import.firstValue': 'Erster Wert',
+            'import.importAs': 'Importieren als',
+            'import.columnAs': 'Spalte importieren als',
+            'import.skipColumn': 'Nicht importieren',
+            'import.column': 'Spalte {number}',
+            'import.row': 'Zeile {number}',
+            'import.datesWritten': 'Datumsformat',
+            'import.datesDmy': 'Tag/Monat/Jahr (31/01/2026)',
+            'import.datesMdy': 'Monat/Tag/Jahr (01/31/2026)',
+            'import.datesHelp': 'Gilt für als Text geschriebene Daten; Daten wie 2026-01-31 und Datumszellen werden in beiden Fällen gleich gelesen.',
+            'import.decimalWritten': 'Dezimaltrennzeichen',
+            'import.decimalPoint': 'Punkt (1,234.50)',
+            'import.decimalComma': 'Komma (1.234,50)',
+            'import.decimalHelp': 'Gilt für als Text geschriebene Zahlen: 1.234 wird mit Punkt als 1,234 und mit Komma als 1234 gelesen.',
+            'import.addClients': 'Neue Kunden in die Kundenliste aufnehmen',
+            'import.lines': 'Positionen',
+            'import.problems': 'Probleme',
+            'import.summary': '{file}: {rows}, {columns}.',
+            'import.rows.one': '{count} Zeile',
+            'import.rows.other': '{count} Zeilen',
+            'import.columns.one': '{count} Spalte',
+            'import.columns.other': '{count} Spalten',
+            'import.ready.one': '{count} Rechnung bereit zum Import.',
+            'import.ready.other': '{count} Rechnungen bereit zum Import.',
+            'import.skipped.one': '{count} Rechnung mit Problemen wird übersprungen.',
+            'import.skipped.other': '{count} Rechnungen mit Problemen werden übersprungen.',
+            'import.newClients.one': '{count} neuer Kunde wird in die Kundenliste aufgenommen.',
+            'import.newClients.other': '{count} neue Kunden werden in die Kundenliste aufgenommen.',
+            'import.group.invoice': 'Rechnung',
+            'import.group.client': 'Kunde',
+            'import.group.item': 'Position',
+            'import.field.invoiceNumber': 'Rechnungsnummer',
+            'import.field.createdDate': 'Rechnungsdatum',
+            'import.field.dueDate': 'Fälligkeitsdatum',
+            'import.field.status': 'Status',
+            'import.field.currency': 'Währung',
+            'import.field.amountPaid': 'Bezahlter Betrag',
+            'import.field.notes': 'Anmerkungen',
+            'import.field.clientName': 'Kundenname',
+            'import.field.clientEmail': 'E-Mail des Kunden',
+            'import.field.clientAddress': 'Adresse des Kunden',
+            'import.field.itemName': 'Artikelnummer',
+            'import.field.description': 'Beschreibung',
+            'import.field.quantity': 'Menge',
+            'import.field.unit': 'Einheit',
+            'import.field.rate': 'Preis',
+            'import.field.lineAmount': 'Positionsbetrag',
+            'import.field.discount': 'Positionsrabatt',
+            'import.field.taxCategory': 'Steuerkategorie',
+            'import.order.dmy': 'Tag/Monat/Jahr',
+            'import.order.mdy': 'Monat/Tag/Jahr',
+            'import.noRows': 'Die Tabelle enthält keine Zeilen zum Importieren.',
+            'import.readFailed': 'Die Tabelle konnte nicht gelesen werden.',
+            'import.missingColumns': 'Wählen Sie eine Spalte für: {fields}.',
+            'import.duplicateColumn': '„{field}“ ist für mehr als eine Spalte gewählt.',
+            'import.finished': 'Import abgeschlossen: {added} Rechnungen hinzugefügt, {skipped} übersprungen, {clients} neue Kunden.',
+            'import.missingNumber': 'Rechnungsnummer fehlt.',
+            'import.missingDate': 'Rechnungsdatum fehlt.',
+            'import.notCurrency': '„{value}“ ist kein Währungscode.',
+            'import.notDateInOrder': '„{value}“ ist kein Datum im Format {order}.',
+            'import.notDate': '„{value}“ ist kein Datum.',
+            'import.ambiguousDate': '„{value}“ kann {dmy} oder {mdy} sein; die Datei enthält Daten in beiden Schreibweisen.',
+            'import.unknownStatus': 'Unbekannter Status „{value}“.',
+            'import.notNumber': 'Zeile {row}: „{value}“ ist keine Zahl.',
+            'import.unknownTaxCategory': 'Zeile {row}: unbekannte Steuerkategorie „{value}“.',
+            'import.notAmount': '„{value}“ ist kein Betrag.',
+            'import.partialNeedsAmount': 'Für teilweise bezahlte Rechnungen wird der bezahlte Betrag benötigt.',
+            'import.needsClientAndLines': 'Benötigt einen Kundennamen und mindestens eine Position.',
+            'import.numberExists': 'Die Rechnungsnummer {number} ist bereits vorhanden.',
+            'export.title': 'Rechnungen exportieren',
+            'export.scopeFiltered': 'Die unten aufgeführten Rechnungen, mit aktueller Suche und Filtern',
+            'export.scopeSelected': 'Die ausgewählten Rechnungen',
+            'export.scopeRange': 'Alle Rechnungen aus einem Zeitraum',
+            'export.format': 'Format',
+            'export.formatOds': 'Arbeitsmappe (ODS): ein Übersichtsblatt und ein Blatt je Rechnung',
+            'export.formatXlsx': 'Arbeitsmappe (XLSX): ein Übersichtsblatt und ein Blatt je Rechnung',
+            'export.formatCsv': 'Positionsjournal (CSV)',
+            'export.formatZip': 'PDFs (ZIP): ein PDF je Rechnung',
+            'export.count.one': '{count} Dokument wird exportiert.',
+            'export.count.other': '{count} Dokumente werden exportiert.',
+            'export.rangeInvalid': 'Wählen Sie ein Anfangsdatum, das nicht nach dem Enddatum liegt.',
+            'export.nothing': 'Es gibt keine Rechnungen zum Exportieren.',
+            'export.failed': 'Der Export konnte nicht erstellt werden.',
+            'export.summarySheet': 'Übersicht',
+            'export.ledgerSheet': 'Journal',
+            'export.number': 'Nummer',
+            'export.invoice': 'Rechnung',
+            'export.type': 'Art',
+            'export.date': 'Datum',
+            'export.dueDate': 'Fällig am',
+            'export.client': 'Kunde',
+            'export.status': 'Status',
+            'export.currency': 'Währung',
+            'export.item': 'Artikel',
+            'export.description': 'Beschreibung',
+            'export.quantity': 'Menge',
+            'export.unit': 'Einheit',
+            'export.rate': 'Preis',
+            'export.taxCategory': 'Steuerkategorie',
+            'export.amount': 'Betrag',
+            'export.subtotal': 'Zwischensumme',
+            'export.discount': 'Rabatt',
+            'export.tax': 'Steuer',
+            'export.total': 'Gesamt',
+            'export.paid': 'Bezahlt',
+            'export.balanceDue': 'Offener Betrag'
+        },
+
+        fr: {
+            'nav.dashboard': 'Tableau de bord',
+            'nav.newInvoice': 'Nouvelle facture',
+            'nav.quotes': 'Devis',
+            'nav.clients': 'Clients',
+            'nav.catalog': 'Catalogue',
+            'nav.recurring': 'Récurrentes',
+            'nav.reports': 'Rapports',
+            'nav.settings': 'Paramètres',
+            'view.trash': 'Corbeille',
+            'view.recurring': 'Factures récurrentes',
+
+            'action.cancel': 'Annuler',
+            'action.close': 'Fermer',
+            'action.createInvoice': 'Créer une facture',
+            'action.createQuote': 'Créer un devis',
+            'action.addClient': 'Ajouter un client',
+            'action.addItem': 'Ajouter un article',
+            'action.emptyTrash': 'Vider la corbeille',
+            'action.printPreview': 'Aperçu avant impression',
+            'action.exportPdf': 'Exporter en PDF',
+            'action.exportOds': 'Exporter en ODS',
+            'action.makeRecurring': 'Rendre récurrente',
+            'action.creditNote': 'Avoir',
+            'action.convertQuote': 'Convertir en facture',
+            'action.history': 'Historique',
+            'action.addLine': '+ Ajouter une ligne',
+            'action.recordPayment': '+ Enregistrer un paiement',
+            'action.recordFullBalance': 'Enregistrer le solde',
+            'action.saveSettings': 'Enregistrer les paramètres',
+            'action.clearFilters': 'Effacer les filtres',
+            'action.bulkExport': 'Exporter',
+            'action.previous': 'Précédent',
+            'action.next': 'Suivant',
+            'action.markSent': 'Marquer comme envoyée',
+            'action.markPaid': 'Marquer comme payée',
+            'action.duplicate': 'Dupliquer',
+            'action.print': 'Imprimer',
+            'action.delete': 'Supprimer',
+            'action.clearSelection': 'Désélectionner',
+
+            'dashboard.search': 'Rechercher des factures...',
+            'dashboard.totalRevenue': 'Chiffre d\'affaires',
+            'dashboard.pending': 'En attente',
+            'dashboard.perPage': 'Par page',
+            'dashboard.selectAll': 'Sélectionner toutes les factures',
+            'filter.all': 'Tous',
+            'filter.from': 'Du',
+            'filter.to': 'Au',
+            'filter.minTotal': 'Total min.',
+            'filter.maxTotal': 'Total max.',
+            'quotes.search': 'Rechercher des devis...',
+            'clients.search': 'Rechercher des clients...',
+
+            'field.invoiceNumber': 'Facture n°',
+            'field.quoteNumber': 'Devis n°',
+            'field.client': 'Client',
+            'field.name': 'Nom',
+            'field.email': 'E-mail',
+            'field.address': 'Adresse',
+            'field.date': 'Date',
+            'field.dueDate': 'Échéance',
+            'field.validUntil': 'Valable jusqu\'au',
+            'field.total': 'Total',
+            'field.amount': 'Montant',
+            'field.status': 'Statut',
+            'field.actions': 'Actions',
+            'field.invoices': 'Factures',
+            'field.currency': 'Devise',
+            'field.template': 'Modèle',
+            'field.language': 'Langue du document',
+            'field.paymentTerms': 'Conditions de paiement',
+            'field.paymentDate': 'Date de paiement',
+            'field.termsDays': 'Jours',
+            'field.earlyDiscount': 'Escompte (%)',
+            'field.earlyDiscountDays': 'Si payé sous (jours)',
+            'field.notes': 'Remarques',
+
+            'editor.clientDetails': 'Coordonnées du client',
+            'editor.saveClient': 'Enregistrer dans la liste des clients',
+            'editor.items': 'Lignes',
+            'editor.payments': 'Paiements',
+            'editor.taxAmount': 'Montant des taxes',
+            'editor.newTitle': 'Nouveau document : {name}',
+            'editor.editTitle': 'Modifier : {name}',
+            'editor.details': 'Détails du document',
+            'editor.number': 'Numéro',
+            'editor.save': 'Enregistrer',
+            'editor.languageDefault': 'Par défaut ({name})',
+
+            'settings.language': 'Langue',
+            'settings.appLanguage': 'Langue de l\'application',
+            'settings.documentLanguage': 'Langue des documents par défaut',
+            'settings.languageHelp': 'Les documents utilisent la langue de la facture, sinon celle du client, sinon celle-ci. Les dates et montants sont formatés selon cette langue.',
+            'settings.branding': 'Logo de l\'entreprise',
+            'settings.sender': 'Expéditeur',
+            'settings.template': 'Modèle de document',
+            'settings.currency': 'Devise',
+            'settings.taxes': 'Taxes',
+            'settings.rounding': 'Arrondi',
+            'settings.numbering': 'Numérotation des factures',
+            'settings.trash': 'Corbeille',
+            'settings.businessDefault': 'Valeur par défaut de l\'entreprise',
+            'settings.paymentTerms': 'Conditions de paiement',
+            'settings.paymentTermsHelp': 'Appliquées aux nouvelles factures, sauf si le client a ses propres conditions. La date d\'échéance est calculée à partir de la date de facture.',
+
+            // Payment terms
+            'terms.option.none': 'Aucune',
+            'terms.option.receipt': 'À réception',
+            'terms.option.net15': '15 jours',
+            'terms.option.net30': '30 jours',
+            'terms.option.net60': '60 jours',
+            'terms.option.eom': 'Fin de mois + N jours',
+            'terms.option.custom': 'Personnalisé',
+            'terms.receipt': 'Paiement à réception',
+            'terms.net': 'Paiement à {days} jours',
+            'terms.eom': 'Paiement à {days} jours fin de mois',
+            'terms.eomOnly': 'Paiement fin de mois',
+
+            'status.draft': 'Brouillon',
+            'status.sent': 'Envoyé',
+            'status.partial': 'Partiellement payé',
+            'status.paid': 'Payé',
+            'status.void': 'Annulé',
+            'status.overdue': 'En retard',
+            'status.accepted': 'Accepté',
+            'status.declined': 'Refusé',
+            'status.expired': 'Expiré',
+
+            'document.invoice': 'Facture',
+            'document.invoiceTitle': 'FACTURE',
+            'document.invoiceNumber': 'Facture n°',
+            'document.creditNote': 'Avoir',
+            'document.creditNoteTitle': 'AVOIR',
+            'document.creditNoteNumber': 'Avoir n°',
+            'document.quote': 'Devis',
+            'document.quoteTitle': 'DEVIS',
+            'document.quoteNumber': 'Devis n°',
+            'document.from': 'De',
+            'document.billTo': 'Facturé à',
+            'document.preparedFor': 'Établi pour',
+            'document.date': 'Date',
+            'document.dueDate': 'Date d\'échéance',
+            'document.validUntil': 'Valable jusqu\'au',
+            'document.creditsInvoice': 'Avoir sur la facture n°',
+            'document.status': 'Statut',
+            'document.currency': 'Devise',
+            'document.item': 'Article',
+            'document.description': 'Description',
+            'document.quantity': 'Qté',
+            'document.unit': 'Unité',
+            'document.rate': 'Prix unitaire',
+            'document.discount': 'Remise',
+            'document.discountPercent': 'Remise ({value} %)',
+            'document.amount': 'Montant',
+            'document.subtotal': 'Sous-total',
+            'document.tax': 'Taxes',
+            'document.taxRate': '{name} ({rate} %)',
+            'document.taxRateCompound': '{name} ({rate} %, cumulée)',
+            'document.total': 'Total',
+            'document.totalCredit': 'Total de l\'avoir',
+            'document.quoteTotal': 'Total du devis',
+            'document.creditNotes': 'Avoirs',
+            'document.amountPaid': 'Montant payé',
+            'document.balanceDue': 'Solde dû',
+            'document.notes': 'Remarques',
+            'document.paymentDate': 'Date de paiement',
+            'document.paymentMethod': 'Mode de paiement',
+            'document.paymentReference': 'Référence',
+            'document.quoteTerms': 'Ce devis est valable jusqu\'au {date}. Il s\'agit d\'une estimation et non d\'une demande de paiement.',
+            'document.quoteTermsOpen': 'Ce devis est une estimation et non une demande de paiement.',
+            'document.paymentTermsDue': 'Conditions de paiement : {terms}. Merci de régler avant le {date}.',
+            'document.paymentTermsOnly': 'Conditions de paiement : {terms}.',
+            'document.earlyPayment': 'Escompte de {percent} % ({amount}) pour tout paiement avant le {date}.',
+
+            'app.navigation': 'Navigation principale',
+            'app.toggleTheme': 'Changer de thème',
+            'app.toggleThemeLabel': 'Basculer entre le thème clair et sombre',
+            'app.footer': '© 2026 Local Storage Invoicer. Données stockées localement.',
+            'app.readOnly': '{message}\n\nVos données n\'ont pas été modifiées. Les modifications ne peuvent pas être enregistrées tant que le problème n\'est pas résolu ; vous pouvez toujours télécharger une sauvegarde depuis les Paramètres.',
+            'app.recurringGenerated.one': '{count} facture générée à partir des planifications récurrentes.',
+            'app.recurringGenerated.other': '{count} factures générées à partir des planifications récurrentes.',
+            'app.pdfLibraryMissing': 'La bibliothèque PDF n\'est pas chargée. Vérifiez votre connexion Internet et rechargez la page.',
+            'app.spreadsheetLibraryMissing': 'La bibliothèque de tableurs n\'est pas chargée. Vérifiez votre connexion Internet et rechargez la page.',
+
+            'action.edit': 'Modifier',
+            'action.view': 'Afficher',
+            'action.remove': 'Retirer',
+            'action.restore': 'Restaurer',
+            'action.deletePermanently': 'Supprimer définitivement',
+            'action.undo': 'Annuler',
+            'action.compare': 'Comparer',
+            'action.import': 'Importer',
+            'action.export': 'Exporter',
+            'action.pause': 'Suspendre',
+            'action.resume': 'Reprendre',
+            'action.previewRuns': 'Voir les prochaines exécutions',
+            'action.saveClient': 'Enregistrer le client',
+            'action.saveItem': 'Enregistrer l\'article',
+            'action.saveSchedule': 'Enregistrer la planification',
+            'action.createCreditNote': 'Créer un avoir',
+            'action.back': 'Retour',
+            'action.preview': 'Aperçu',
+
+            'dashboard.empty': 'Aucune facture. Créez-en une pour commencer.',
+            'dashboard.noMatches': 'Aucune facture ne correspond à la recherche et aux filtres.',
+            'dashboard.select': 'Sélectionner {number}',
+            'dashboard.selectUnnumbered': 'Sélectionner la facture',
+            'dashboard.selectedInvoices': 'Factures sélectionnées',
+            'dashboard.selected': 'Sélection : {count}',
+            'dashboard.selectedTotal': 'Total : {amount}',
+            'dashboard.selectedBalance': 'Solde dû : {amount}',
+            'dashboard.showing.one': '{from}–{to} sur {count} facture',
+            'dashboard.showing.other': '{from}–{to} sur {count} factures',
+            'dashboard.chooseCurrency': 'Choisissez une devise pour filtrer par total',
+
+            'bulk.markedSent.one': '{count} facture marquée comme envoyée.',
+            'bulk.markedSent.other': '{count} factures marquées comme envoyées.',
+            'bulk.markedPaid.one': '{count} facture marquée comme payée.',
+            'bulk.markedPaid.other': '{count} factures marquées comme payées.',
+            'bulk.skipped': 'Ignorées : {count}.',
+            'bulk.failed': 'Non enregistrées : {count}.',
+            'bulk.paymentDateRequired': 'Saisissez la date de paiement.',
+            'bulk.noBalance': 'Aucune des factures sélectionnées n\'a de solde dû.',
+            'bulk.confirmPaid.one': 'Enregistrer des paiements datés du {date} pour le solde dû de {count} facture ?',
+            'bulk.confirmPaid.other': 'Enregistrer des paiements datés du {date} pour le solde dû de {count} factures ?',
+            'bulk.duplicated.one': '{count} brouillon créé.',
+            'bulk.duplicated.other': '{count} brouillons créés.',
+            'bulk.creditNotesSkipped.one': '{count} avoir ignoré.',
+            'bulk.creditNotesSkipped.other': '{count} avoirs ignorés.',
+            'bulk.deleted.one': '{count} document placé dans la corbeille.',
+            'bulk.deleted.other': '{count} documents placés dans la corbeille.',
+            'bulk.deleteFailed': '{count} des documents sélectionnés n\'ont pas pu être supprimés.',
+
+            'editor.numberPlaceholder': 'Généré automatiquement',
+            'editor.numberHelp': 'Laissez vide pour une numérotation automatique, ou saisissez un numéro personnalisé.',
+            'editor.statusHelp': 'Les statuts payé et partiellement payé découlent des paiements enregistrés. Les factures envoyées dont l\'échéance est passée apparaissent en retard.',
+            'editor.statusHelpQuote': 'Convertissez un devis accepté pour le facturer. Les devis envoyés dont la date de validité est passée apparaissent expirés.',
+            'editor.discountPlaceholder': '10% ou 25',
+            'editor.discountHelp': 'Pourcentage (par ex. 10%) ou montant fixe',
+            'editor.itemCode': 'Référence',
+            'editor.lineDiscount': 'Remise sur la ligne',
+            'editor.taxCategory': 'Catégorie de taxe',
+            'editor.noTax': 'Sans taxe',
+            'editor.paymentDate': 'Date du paiement',
+            'editor.paymentAmount': 'Montant du paiement',
+            'editor.paymentMethod': 'Mode de paiement',
+            'editor.paymentReference': 'Référence du paiement',
+            'editor.templateDefault': 'Valeur par défaut de l\'entreprise ({name})',
+            'editor.creditsInvoice': 'Avoir sur la facture {number}.',
+            'editor.fromQuote': 'Créée à partir du devis {number}.',
+            'editor.convertedTo': 'Converti en facture {number}.',
+            'editor.creditNotes': 'Avoirs : {numbers}',
+            'editor.notFound': 'Facture introuvable',
+            'editor.noBalance': 'Cette facture n\'a pas de solde dû.',
+            'editor.numberUsed': 'Le numéro « {number} » est déjà utilisé. Enregistrer quand même ?',
+            'editor.saveFailed': 'Échec de l\'enregistrement. Vérifiez les données.',
+            'editor.saveForHistory': 'Enregistrez la facture pour commencer son historique des révisions.',
+            'editor.saveForRecurring': 'Enregistrez la facture avant de la rendre récurrente.',
+            'editor.movedToTrash': 'Dans la corbeille : {name} {number}.',
+            'editor.movedToTrashUnnumbered': 'Dans la corbeille : {name}.',
+            'editor.deleteFailed': 'Impossible de supprimer la facture.',
+            'field.item': 'Article',
+            'field.description': 'Description',
+            'field.quantity': 'Qté',
+            'field.rate': 'Prix',
+            'field.discount': 'Remise',
+            'field.tax': 'Taxe',
+            'field.action': 'Action',
+            'field.method': 'Mode',
+            'field.reference': 'Référence',
+            'field.code': 'Référence',
+            'field.unit': 'Unité',
+            'field.taxCategory': 'Catégorie de taxe',
+            'field.frequency': 'Fréquence',
+            'field.invoice': 'Facture',
+            'field.invoiceDate': 'Date de facture',
+            'field.nextRun': 'Prochaine exécution',
+            'field.deleted': 'Supprimée le',
+
+            'history.title': 'Historique des révisions',
+            'history.revision': 'Révision',
+            'history.saved': 'Enregistrée le',
+            'history.changes': 'Modifications',
+            'history.compareFrom': 'Comparer la révision',
+            'history.compareWith': 'avec',
+            'history.empty': 'Aucune révision enregistrée pour l\'instant.',
+            'history.current': 'n° {number} (actuelle)',
+            'history.more': '{changes} +{count} autres',
+            'history.line': 'Ligne',
+            'history.revisionTitle': 'Révision n° {number}, enregistrée le {date}',
+            'history.diffTitle': 'Modifications de la révision n° {from} à n° {to}',
+            'history.field': 'Champ',
+            'history.noDifferences': 'Aucune différence.',
+            'history.confirmRestore': 'Restaurer la révision n° {number} ? Les modifications non enregistrées dans l\'éditeur seront perdues. Les paiements enregistrés sont conservés.',
+            'history.restoreFailed': 'Impossible de restaurer la révision.',
+            'history.note.created': 'Créé',
+            'history.note.imported': 'Importé',
+            'history.note.restored': 'Révision {number} restaurée',
+            'history.note.beforeHistory': 'Enregistré avant l\'historique des révisions',
+            'history.note.markedSent': 'Marqué comme envoyé',
+            'history.note.markedPaid': 'Marqué comme payé',
+            'history.note.duplicatedFrom': 'Dupliqué depuis {number}',
+
+            'diff.invoiceNumber': 'Numéro de facture',
+            'diff.client': 'Client',
+            'diff.clientEmail': 'E-mail du client',
+            'diff.clientAddress': 'Adresse du client',
+            'diff.createdDate': 'Date de facture',
+            'diff.dueDate': 'Échéance',
+            'diff.validUntil': 'Valable jusqu\'au',
+            'diff.status': 'Statut',
+            'diff.currency': 'Devise',
+            'diff.discount': 'Remise sur la facture',
+            'diff.template': 'Modèle',
+            'diff.language': 'Langue du document',
+            'diff.defaultLanguage': 'Par défaut',
+            'diff.paymentTerms': 'Conditions de paiement',
+            'diff.notes': 'Remarques',
+            'diff.untitled': 'Sans titre',
+            'diff.lineDiscount': 'moins {discount}',
+            'diff.lineAdded': 'Ligne ajoutée : {name}',
+            'diff.lineRenamed': 'Ligne renommée : {name}',
+            'diff.line': 'Ligne : {name}',
+            'diff.lineRemoved': 'Ligne supprimée : {name}',
+            'diff.payment': 'Paiement',
+            'diff.paymentRemoved': 'Paiement supprimé',
+            'diff.subtotal': 'Sous-total',
+            'diff.discountAmount': 'Remise',
+            'diff.tax': 'Taxes',
+            'diff.total': 'Total',
+            'diff.balanceDue': 'Solde dû',
+
+            'creditNote.help': 'Créditez toute la facture ou seulement les lignes sélectionnées. L\'avoir reçoit son propre numéro et réduit le solde dû de la facture.',
+            'creditNote.selectAll': 'Sélectionner toutes les lignes',
+            'creditNote.selectLine': 'Créditer cette ligne',
+            'creditNote.alreadyCredited': 'Déjà crédité : {notes}',
+            'creditNote.sentOnly': 'Seules les factures envoyées peuvent faire l\'objet d\'un avoir. Enregistrez d\'abord la facture comme envoyée.',
+            'creditNote.noLines': 'Sélectionnez au moins une ligne à créditer.',
+            'creditNote.failed': 'Impossible de créer l\'avoir.',
+            'creditNote.notes': 'Avoir sur la facture {number}',
+
+            'quotes.help': 'Les devis ont leur propre numérotation et ne comptent pas dans le chiffre d\'affaires. Convertissez un devis accepté pour le facturer.',
+            'quotes.empty': 'Aucun devis pour l\'instant. Créez-en un pour commencer.',
+            'quotes.noMatches': 'Aucun devis ne correspond à la recherche.',
+            'quotes.invoiced': 'Facturé',
+            'quotes.invoicedAs': 'Facturé {number}',
+            'quotes.alreadyConverted': 'Le devis {quote} a déjà été converti en facture {invoice}. L\'ouvrir ?',
+            'quotes.confirmDeclined': 'Le devis {quote} a été refusé. Le convertir en facture quand même ?',
+            'quotes.convertFailed': 'Impossible de créer la facture.',
+
+            'clients.new': 'Nouveau client',
+            'clients.edit': 'Modifier le client',
+            'clients.empty': 'Aucun client pour l\'instant. Ajoutez-en un ou enregistrez-le depuis une facture.',
+            'clients.saveFailed': 'Impossible d\'enregistrer le client. Un nom est requis.',
+            'clients.confirmDelete': 'Supprimer ce client ? Les factures existantes conservent leur copie des coordonnées du client.',
+            'clients.deleteFailed': 'Impossible de supprimer le client.',
+
+            'catalog.search': 'Rechercher dans le catalogue...',
+            'catalog.new': 'Nouvel article',
+            'catalog.edit': 'Modifier l\'article',
+            'catalog.code': 'Référence',
+            'catalog.codePlaceholder': 'par ex. DEV-HR',
+            'catalog.defaultRate': 'Prix par défaut',
+            'catalog.unitPlaceholder': 'par ex. h, pce, mois',
+            'catalog.defaultTaxCategory': 'Par défaut',
+            'catalog.empty': 'Aucun article pour l\'instant. Ajoutez les produits et services que vous facturez souvent.',
+            'catalog.saveFailed': 'Impossible d\'enregistrer l\'article. Une référence ou une description est requise.',
+            'catalog.confirmDelete': 'Supprimer cet article ? Les factures qui l\'utilisent déjà ne sont pas modifiées.',
+            'catalog.deleteFailed': 'Impossible de supprimer l\'article.',
+            'catalog.imported': 'Catalogue importé : {added} ajoutés, {updated} mis à jour, {skipped} ignorés.',
+            'catalog.readFailed': 'Impossible de lire le fichier du catalogue.',
+
+            'trash.empty': 'La corbeille est vide.',
+            'trash.retention.one': 'Les factures de la corbeille sont supprimées définitivement après {count} jour.',
+            'trash.retention.other': 'Les factures de la corbeille sont supprimées définitivement après {count} jours.',
+            'trash.retentionNever': 'Les factures restent dans la corbeille jusqu\'à ce que vous les supprimiez définitivement.',
+            'trash.purgedOn': '(suppression le {date})',
+            'trash.confirmEmpty.one': 'Supprimer définitivement {count} facture de la corbeille ? Cette action est irréversible.',
+            'trash.confirmEmpty.other': 'Supprimer définitivement {count} factures de la corbeille ? Cette action est irréversible.',
+            'trash.confirmPurge': 'Supprimer définitivement cette facture et son historique ? Cette action est irréversible.',
+            'trash.restoreFailed': 'Impossible de restaurer la facture.',
+
+            'recurring.help': 'Les factures dues sont générées en brouillon à chaque ouverture de l\'application. Utilisez « Rendre récurrente » dans l\'éditeur de facture pour ajouter une planification.',
+            'recurring.new': 'Nouvelle planification',
+            'recurring.edit': 'Modifier la planification',
+            'recurring.dueDays': 'Échéance (jours après la date de facture)',
+            'recurring.dueDaysHelp': 'Utilisé lorsque la facture n\'a pas de conditions de paiement ; sinon, les conditions fixent l\'échéance.',
+            'recurring.active': 'Active',
+            'recurring.startDate': 'Date de début',
+            'recurring.endDate': 'Date de fin (facultative)',
+            'recurring.upcoming': 'Prochaines exécutions',
+            'recurring.upcomingFor': 'Prochaines exécutions : {name}',
+            'recurring.upcomingForPaused': 'Prochaines exécutions : {name} (suspendue)',
+            'recurring.empty': 'Aucune planification récurrente pour l\'instant.',
+            'recurring.noRuns': 'Aucune exécution prévue avant la date de fin.',
+            'recurring.status.active': 'Active',
+            'recurring.status.paused': 'Suspendue',
+            'recurring.status.ended': 'Terminée',
+            'recurring.sourceMissing': 'La facture de cette planification n\'existe plus.',
+            'recurring.endBeforeStart': 'La date de fin doit être postérieure à la date de début.',
+            'recurring.saveFailed': 'Impossible d\'enregistrer la planification. Le nom, la fréquence, la date de début et la prochaine exécution sont requis.',
+            'recurring.confirmDelete': 'Supprimer cette planification ? Les factures déjà générées sont conservées.',
+            'recurring.deleteFailed': 'Impossible de supprimer la planification.',
+            'frequency.weekly': 'Hebdomadaire',
+            'frequency.monthly': 'Mensuelle',
+            'frequency.quarterly': 'Trimestrielle',
+            'frequency.yearly': 'Annuelle',
+
+            'reports.help': 'Les brouillons et les factures annulées sont exclus. Les montants dans des devises différentes figurent sur des lignes séparées.',
+            'reports.revenue': 'Chiffre d\'affaires par période',
+            'reports.period': 'Période',
+            'reports.period.month': 'Mensuel',
+            'reports.period.quarter': 'Trimestriel',
+            'reports.period.year': 'Annuel',
+            'reports.topClients': 'Meilleurs clients',
+            'reports.rankBy': 'Classer les clients par',
+            'reports.byBilled': 'Par montant facturé',
+            'reports.byPaid': 'Par montant payé',
+            'reports.aging': 'Balance âgée',
+            'reports.asOf': 'Au',
+            'reports.billed': 'Facturé',
+            'reports.received': 'Encaissé',
+            'reports.paid': 'Payé',
+            'reports.outstanding': 'Restant dû',
+            'reports.noBilled': 'Aucune facture émise pour l\'instant.',
+            'reports.noOutstanding': 'Aucun solde en attente.',
+            'reports.totalIn': 'Total {currency}',
+            'reports.sheet.revenue': 'Chiffre d\'affaires',
+            'reports.sheet.clients': 'Clients',
+            'reports.sheet.aging': 'Balance âgée',
+            'aging.current': 'Non échu',
+            'aging.days30': '1 à 30 jours',
+            'aging.days60': '31 à 60 jours',
+            'aging.days90': '61 à 90 jours',
+            'aging.over90': 'Plus de 90 jours',
+
+            'settings.noLogo': 'Aucun logo',
+            'settings.logo': 'Logo affiché (PNG, JPG, SVG)',
+            'settings.logoHelp': 'Utilisé sur les factures et à l\'impression. 500 Ko maximum recommandés.',
+            'settings.removeLogo': 'Retirer le logo affiché',
+            'settings.cdrLogo': 'Fichier logo d\'origine (CDR/CorelDRAW)',
+            'settings.cdrHelp': 'Facultatif. Conservé uniquement pour le téléchargement ; les navigateurs ne peuvent pas afficher les fichiers CDR.',
+            'settings.cdrFile': 'Fichier : {name}',
+            'settings.downloadCdr': 'Télécharger le CDR',
+            'settings.removeCdr': 'Retirer le CDR',
+            'settings.companyName': 'Nom de l\'entreprise',
+            'settings.companyNamePlaceholder': 'Nom de votre entreprise',
+            'settings.addressPlaceholder': '1 rue de l\'Exemple, 75001 Paris',
+            'settings.layout': 'Mise en page',
+            'settings.accentColour': 'Couleur d\'accent',
+            'settings.font': 'Police',
+            'settings.showOnDocuments': 'Afficher sur les documents',
+            'settings.templateHelp': 'Utilisé pour l\'impression et l\'export PDF. Chaque facture peut choisir une autre mise en page dans l\'éditeur.',
+            'settings.baseCurrency': 'Devise de base',
+            'settings.currencyHelp': 'Par défaut pour les nouvelles factures et les prix du catalogue. Chaque facture peut utiliser sa propre devise.',
+            'settings.taxesHelp': 'Les catégories de taxe sont attribuées par ligne. Les composantes s\'appliquent dans l\'ordre ; une composante cumulée est calculée sur le montant augmenté des taxes précédentes.',
+            'settings.addTaxCategory': '+ Ajouter une catégorie de taxe',
+            'settings.defaultTaxCategory': 'Catégorie de taxe par défaut',
+            'settings.defaultTaxCategoryHelp': 'Appliquée aux nouvelles lignes.',
+            'settings.taxCode': 'Code (par ex. standard)',
+            'settings.taxCodeLabel': 'Code de la catégorie de taxe',
+            'settings.taxName': 'Nom (par ex. Taux normal)',
+            'settings.taxNameLabel': 'Nom de la catégorie de taxe',
+            'settings.addTaxComponent': '+ Composante',
+            'settings.taxComponent': 'Composante (par ex. TVA)',
+            'settings.taxComponentLabel': 'Nom de la composante de taxe',
+            'settings.taxComponentRate': 'Taux de la composante (%)',
+            'settings.compound': 'Cumulée',
+            'settings.removeTaxComponent': 'Retirer la composante',
+            'settings.roundingMode': 'Mode d\'arrondi',
+            'settings.roundingHalfUp': 'Au plus proche (0,5 s\'éloigne de zéro)',
+            'settings.roundingHalfEven': 'Au pair le plus proche (arrondi bancaire)',
+            'settings.taxRounding': 'Arrondi des taxes',
+            'settings.roundingLine': 'Par ligne (arrondir la taxe de chaque ligne)',
+            'settings.roundingTotal': 'Sur le total (arrondir chaque taxe une fois sur le total de la facture)',
+            'settings.roundingHelp': 'S\'applique aux nouvelles factures. Les factures existantes conservent leur arrondi.',
+            'settings.invoicePrefix': 'Préfixe des factures',
+            'settings.invoicePrefixHelp': 'Préfixe facultatif avant le numéro (par ex. « FAC- », « 2026- »)',
+            'settings.nextNumber': 'Prochain numéro de facture',
+            'settings.nextNumberHelp': 'À ajuster pour reprendre la numérotation d\'un autre système.',
+            'settings.numberPadding': 'Nombre de chiffres',
+            'settings.numberPaddingHelp': 'Complété par des zéros (4 = « 0001 », 6 = « 000001 »)',
+            'settings.creditNotePrefix': 'Préfixe des avoirs',
+            'settings.nextCreditNoteNumber': 'Prochain numéro d\'avoir',
+            'settings.creditNoteNumberHelp': 'Les avoirs ont leur propre numérotation, avec le même nombre de chiffres.',
+            'settings.quotePrefix': 'Préfixe des devis',
+            'settings.nextQuoteNumber': 'Prochain numéro de devis',
+            'settings.quoteValidity': 'Validité des devis (jours)',
+            'settings.quoteNumberHelp': 'Les devis ont aussi leur propre numérotation. Les nouveaux devis sont valables ce nombre de jours à partir de leur date.',
+            'settings.trashRetention': 'Supprimer définitivement après (jours)',
+            'settings.trashRetentionHelp': 'Durée de conservation des factures supprimées dans la corbeille. 0 les conserve jusqu\'à ce que vous vidiez la corbeille.',
+            'settings.saved': 'Paramètres enregistrés.',
+            'settings.saveFailed': 'Impossible d\'enregistrer les paramètres.',
+            'settings.duplicateTaxCode': 'Le code de catégorie de taxe « {code} » est utilisé plusieurs fois.',
+            'settings.logoFailed': 'Impossible de charger l\'image. Essayez un autre fichier.',
+            'settings.cdrOnly': 'Veuillez choisir un fichier .cdr (CorelDRAW).',
+            'settings.cdrLarge': 'Ce fichier CDR dépasse 2 Mo. Les fichiers volumineux peuvent saturer le stockage. Continuer ?',
+            'settings.cdrFailed': 'Impossible de lire le fichier CDR.',
+            'template.classic': 'Classique',
+            'template.minimal': 'Minimal',
+            'template.compact': 'Compact',
+            'font.helvetica': 'Sans empattement',
+            'font.times': 'Avec empattement',
+            'font.courier': 'Chasse fixe',
+            'templateField.logo': 'Logo',
+            'templateField.status': 'Statut',
+            'templateField.clientEmail': 'E-mail du client',
+            'templateField.itemCode': 'Références des articles',
+            'templateField.taxBreakdown': 'Détail des taxes',
+            'templateField.notes': 'Remarques',
+
+            'backup.title': 'Sauvegarde et restauration',
+            'backup.help': 'Téléchargez tout (factures, clients, catalogue, planifications récurrentes, paramètres et logos) dans un seul fichier JSON, ou restaurez à partir d\'un tel fichier.',
+            'backup.download': 'Télécharger une sauvegarde',
+            'backup.restoreFrom': 'Restaurer une sauvegarde',
+            'backup.downloadUpgrade': 'Télécharger la sauvegarde d\'avant la mise à jour',
+            'backup.downloadUpgradeHelp': 'Vos données telles qu\'elles étaient avant la dernière mise à jour vers une nouvelle version d\'Invoicer',
+            'backup.restoreTitle': 'Restaurer la sauvegarde',
+            'backup.merge': 'Fusionner avec les données actuelles',
+            'backup.replace': 'Remplacer toutes les données actuelles',
+            'backup.conflictsHelp': 'Ces factures existent des deux côtés avec un contenu différent. Choisissez la version à conserver.',
+            'backup.current': 'Actuelle',
+            'backup.backup': 'Sauvegarde',
+            'backup.keep': 'Conserver',
+            'backup.copyToKeep': 'Version à conserver',
+            'backup.summary': 'Sauvegarde du {date} : {invoices}, {clients}, {catalog}, {recurring}.',
+            'backup.unknownDate': 'date inconnue',
+            'backup.invoices.one': '{count} facture',
+            'backup.invoices.other': '{count} factures',
+            'backup.clients.one': '{count} client',
+            'backup.clients.other': '{count} clients',
+            'backup.catalog.one': '{count} article du catalogue',
+            'backup.catalog.other': '{count} articles du catalogue',
+            'backup.recurring.one': '{count} planification récurrente',
+            'backup.recurring.other': '{count} planifications récurrentes',
+            'backup.copy': '{amount}, {status}',
+            'backup.copySaved': '{amount}, {status}, enregistrée le {date}',
+            'backup.noUpgradeBackup': 'Aucune donnée n\'a été conservée d\'avant une mise à jour.',
+            'backup.readFailed': 'Impossible de lire le fichier de sauvegarde.',
+            'backup.confirmReplace': 'Remplacer toutes les factures, clients, articles du catalogue et paramètres actuels par la sauvegarde ? Cette action est irréversible.',
+            'backup.restored': 'Sauvegarde restaurée : {added} factures.',
+            'backup.merged': 'Sauvegarde fusionnée : {added} ajoutées, {replaced} remplacées, {kept} conservées.',
+
+            'error.unavailable': 'LocalStorage n\'est pas disponible',
+            'error.databaseInUse': 'La base de données est utilisée par un autre onglet.',
+            'error.storageFull': 'Stockage plein. Supprimez quelques factures.',
+            'error.writeFailed': 'Impossible d\'enregistrer les données.',
+            'error.backupWriteFailed': 'Impossible de stocker la sauvegarde.',
+            'error.readOnly': 'Les modifications ne peuvent pas être enregistrées. {message}',
+            'error.invalidInvoice': 'Données de facture non valides',
+            'error.revisionMissing': 'Cette révision ou sa facture n\'existe plus.',
+            'error.invalidCatalog': 'Ce n\'est pas un fichier de catalogue valide.',
+            'error.invalidBackup': 'Ce n\'est pas un fichier de sauvegarde valide.',
+            'error.backupNoInvoices': 'La sauvegarde ne contient pas de liste de factures.',
+            'error.backupInvalidInvoices.one': 'La sauvegarde contient {count} facture non valide.',
+            'error.backupInvalidInvoices.other': 'La sauvegarde contient {count} factures non valides.',
+            'error.statusChange': 'Le statut ({name}) ne peut pas passer de « {from} » à « {to} ».',
+            'error.creditedMissing': 'La facture concernée par cet avoir n\'existe plus.',
+            'error.creditSentOnly': 'Seules les factures envoyées peuvent faire l\'objet d\'un avoir.',
+            'error.creditCurrency': 'Un avoir doit être dans la devise de sa facture.',
+            'error.creditTooLarge': 'Cet avoir dépasse les {amount} restant à créditer sur la facture {number}.',
+            'error.newerTab': 'Invoicer {version} a été ouvert dans un autre onglet. Rechargez cet onglet pour continuer.',
+            'error.newerData': 'Ces données ont été enregistrées par une version plus récente d\'Invoicer ({version}) que celle-ci ({current}). Rechargez la page pour mettre à jour.',
+            'error.migrationFailed': 'La mise à jour des données de la version {from} à {to} a échoué : {message}',
+            'error.noMigration': 'Impossible de mettre à jour les données de la version {version}.',
+            'import.title': 'Importer des factures',
+            'import.help': 'Reprenez les factures et les clients d\'un autre outil sous forme de tableur CSV, Excel ou OpenDocument. Les lignes ayant le même numéro de facture forment une facture, avec une ligne d\'article par ligne.',
+            'import.button': 'Importer un tableur',
+            'import.mappingHelp': 'Indiquez le contenu de chaque colonne. Le numéro de facture, la date de facture et le nom du client sont obligatoires.',
+            'import.columnHeading': 'Colonne',
+            'import.firstValue': 'Première valeur',
+            'import.importAs': 'Importer comme',
+            'import.columnAs': 'Importer la colonne comme',
+            'import.skipColumn': 'Ne pas importer',
+            'import.column': 'Colonne {number}',
+            'import.row': 'Ligne {number}',
+            'import.datesWritten': 'Format des dates',
+            'import.datesDmy': 'Jour/mois/année (31/01/2026)',
+            'import.datesMdy': 'Mois/jour/année (01/31/2026)',
+            'import.datesHelp': 'S\'applique aux dates saisies comme texte ; les dates comme 2026-01-31 et les cellules de date sont lues de la même façon dans les deux cas.',
+            'import.decimalWritten': 'Séparateur décimal',
+            'import.decimalPoint': 'Point (1,234.50)',
+            'import.decimalComma': 'Virgule (1.234,50)',
+            'import.decimalHelp': 'S\'applique aux nombres saisis comme texte : 1.234 est lu comme 1,234 avec un point et comme 1234 avec une virgule.',
+            'import.addClients': 'Ajouter les nouveaux clients au carnet d\'adresses',
+            'import.lines': 'Lignes',
+            'import.problems': 'Problèmes',
+            'import.summary': '{file} : {rows}, {columns}.',
+            'import.rows.one': '{count} ligne',
+            'import.rows.other': '{count} lignes',
+            'import.columns.one': '{count} colonne',
+            'import.columns.other': '{count} colonnes',
+            'import.ready.one': '{count} facture prête à importer.',
+            'import.ready.other': '{count} factures prêtes à importer.',
+            'import.skipped.one': '{count} facture avec des problèmes sera ignorée.',
+            'import.skipped.other': '{count} factures avec des problèmes seront ignorées.',
+            'import.newClients.one': '{count} nouveau client sera ajouté au carnet d\'adresses.',
+            'import.newClients.other': '{count} nouveaux clients seront ajoutés au carnet d\'adresses.',
+            'import.group.invoice': 'Facture',
+            'import.group.client': 'Client',
+            'import.group.item': 'Ligne',
+            'import.field.invoiceNumber': 'Numéro de facture',
+            'import.field.createdDate': 'Date de facture',
+            'import.field.dueDate': 'Date d\'échéance',
+            'import.field.status': 'Statut',
+            'import.field.currency': 'Devise',
+            'import.field.amountPaid': 'Montant payé',
+            'import.field.notes': 'Notes',
+            'import.field.clientName': 'Nom du client',
+            'import.field.clientEmail': 'E-mail du client',
+            'import.field.clientAddress': 'Adresse du client',
+            'import.field.itemName': 'Code article',
+            'import.field.description': 'Description',
+            'import.field.quantity': 'Quantité',
+            'import.field.unit': 'Unité',
+            'import.field.rate': 'Prix',
+            'import.field.lineAmount': 'Montant de la ligne',
+            'import.field.discount': 'Remise sur la ligne',
+            'import.field.taxCategory': 'Catégorie de taxe',
+            'import.order.dmy': 'jour/mois/année',
+            'import.order.mdy': 'mois/jour/année',
+            'import.noRows': 'Le tableur ne contient aucune ligne à importer.',
+            'import.readFailed': 'Impossible de lire le tableur.',
+            'import.missingColumns': 'Choisissez une colonne pour : {fields}.',
+            'import.duplicateColumn': '« {field} » est choisi pour plusieurs colonnes.',
+            'import.finished': 'Import terminé : {added} factures ajoutées, {skipped} ignorées, {clients} nouveaux clients.',
+            'import.missingNumber': 'Numéro de facture manquant.',
+            'import.missingDate': 'Date de facture manquante.',
+            'import.notCurrency': '« {value} » n\'est pas un code de devise.',
+            'import.notDateInOrder': '« {value} » n\'est pas une date au format {order}.',
+            'import.notDate': '« {value} » n\'est pas une date.',
+            'import.ambiguousDate': '« {value} » peut être au format {dmy} ou {mdy} ; le fichier contient des dates écrites des deux façons.',
+            'import.unknownStatus': 'Statut inconnu « {value} ».',
+            'import.notNumber': 'Ligne {row} : « {value} » n\'est pas un nombre.',
+            'import.unknownTaxCategory': 'Ligne {row} : catégorie de taxe inconnue « {value} ».',
+            'import.notAmount': '« {value} » n\'est pas un montant.',
+            'import.partialNeedsAmount': 'Les factures partiellement payées nécessitent un montant payé.',
+            'import.needsClientAndLines': 'Il faut un nom de client et au moins une ligne.',
+            'import.numberExists': 'Le numéro de facture {number} existe déjà.',
+            'export.title': 'Exporter des factures',
+            'export.scopeFiltered': 'Les factures listées ci-dessous, avec la recherche et les filtres actuels',
+            'export.scopeSelected': 'Les factures sélectionnées',
+            'export.scopeRange': 'Toutes les factures datées d\'une période',
+            'export.format': 'Format',
+            'export.formatOds': 'Classeur (ODS) : une feuille récapitulative et une feuille par facture',
+            'export.formatXlsx': 'Classeur (XLSX) : une feuille récapitulative et une feuille par facture',
+            'export.formatCsv': 'Journal des lignes (CSV)',
+            'export.formatZip': 'PDF (ZIP) : un PDF par facture',
+            'export.count.one': '{count} document sera exporté.',
+            'export.count.other': '{count} documents seront exportés.',
+            'export.rangeInvalid': 'Choisissez une date de début antérieure ou égale à la date de fin.',
+            'export.nothing': 'Aucune facture à exporter.',
+            'export.failed': 'L\'export n\'a pas pu être créé.',
+            'export.summarySheet': 'Récapitulatif',
+            'export.ledgerSheet': 'Journal',
+            'export.number': 'Numéro',
+            'export.invoice': 'Facture',
+            'export.type': 'Type',
+            'export.date': 'Date',
+            'export.dueDate': 'Échéance',
+            'export.client': 'Client',
+            'export.status': 'Statut',
+            'export.currency': 'Devise',
+            'export.item': 'Article',
+            'export.description': 'Description',
+            'export.quantity': 'Quantité',
+            'export.unit': 'Unité',
+            'export.rate': 'Prix',
+            'export.taxCategory': 'Catégorie de taxe',
+            'export.amount': 'Montant',
+            'export.subtotal': 'Sous-total',
+            'export.discount': 'Remise',
+            'export.tax': 'Taxe',
+            'export.total': 'Total',
+            'export.paid': 'Payé',
+            'export.balanceDue': 'Solde dû'
+        }
+    },
+
+    /**
+     * Whether a language code is supported
+     * @param {string} language
+     * @returns {boolean}
+     */
+    isSupported(language) {
+        return Object.prototype.hasOwnProperty.call(this.LANGUAGES, language);
+    },
+
+    /**
+     * Translate a key, falling back to English and then to the key itself
+     * @param {string} key
+     * @param {Object} params - Values for {name} placeholders
+     * @param {string} language - Defaults to the UI language
+     * @returns {string}
+     */
+    t(key, params = {}, language = this.language) {
+        const catalog = this.CATALOG[language] || {};
+        const text = key in catalog ? catalog[key] : (this.CATALOG.en[key] || key);
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    /**
+     * Translate a message that depends on a count. The catalog has a key per
+     * plural category of the language, e.g. 'trash.retention.one' and
+     * 'trash.retention.other'; categories a language doesn't list use 'other'
+     * @param {string} key - Key without the category
+     * @param {number} count - Also available as {count}
+     * @param {Object} params - Values for other placeholders
+     * @param {string} language - Defaults to the UI language
+     * @returns {string}
+     */
+    plural(key, count, params = {}, language = this.language) {
+        const category = new Intl.PluralRules(this.locale(language)).select(count);
+        const exact = `${key}.${category}`;
+        const known = exact in (this.CATALOG[language] || {}) || exact in this.CATALOG.en;
+        return this.t(known ? exact : `${key}.other`, { count: count, ...params }, language);
+    },
+
+    /**
+     * Intl locale for a language
+     * @param {string} language - Defaults to the UI language
+     * @returns {string} e.g. 'de-DE'
+     */
+    locale(language = this.language) {
+        return (this.LANGUAGES[language] || this.LANGUAGES[this.DEFAULT_LANGUAGE]).locale;
+    },
+
+    /**
+     * Set the UI language; unsupported codes fall back to the default
+     * @param {string} language
+     */
+    setLanguage(language) {
+        this.language = this.isSupported(language) ? language : this.DEFAULT_LANGUAGE;
+    },
+
+    /**
+     * Translate static markup in the UI language:
+     *   data-i18n             - text content
+     *   data-i18n-placeholder - placeholder attribute
+     *   data-i18n-aria-label  - aria-label attribute
+     *   data-i18n-title       - title attribute
+     * @param {ParentNode} root
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(node => {
+            node.textContent = this.t(node.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(node => {
+            node.placeholder = this.t(node.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(node => {
+            node.setAttribute('aria-label', this.t(node.dataset.i18nAriaLabel));
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(node => {
+            node.title = this.t(node.dataset.i18nTitle);
+        });
+        document.documentElement.lang = this.language;
+    }
+};
@@ -10,10 +10,14 @@ const Model = {
     createEmptyInvoice() {
         return {
             id: '', // Will be generated by Storage on save if empty
+            type: 'invoice', // 'invoice', 'credit-note' or 'quote'
             invoiceNumber: '',
             createdDate: new Date().toISOString().split('T')[0],
             dueDate: new Date().toISOString().split('T')[0],
             status: 'draft',
+            statusHistory: [], // [{ status, date }] appended by Storage on each transition
+            currency: '', // Set from the base currency in settings
+            clientId: '', // Address book reference; `client` below is the snapshot printed on the invoice
             client: {
                 name: '',
                 email: '',
@@ -21,69 +25,1729 @@ const Model = {
             },
             items: [],
             subtotal: 0,
-            taxRate: 0,
+            discount: null, // Invoice-level discount: { type: 'percent' | 'fixed', value }
+            discountAmount: 0,
+            taxCategories: [], // Snapshot of the tax categories used by the items
+            taxes: [], // Calculated breakdown per tax component
             taxAmount: 0,
             total: 0,
+            payments: [], // { id, date, amount, method, reference }
+            amountPaid: 0,
+            creditedAmount: 0, // Total of the credit notes issued against this invoice, set by Storage
+            balanceDue: 0,
+            rounding: { ...this.DEFAULT_ROUNDING },
+            template: '', // Document template id; empty uses the business template from settings
+            language: '', // Document language; empty uses the client's language, then the business default
+            paymentTerms: null, // { id, days, discountPercent, discountDays } copied from the client or settings; invoices only
             notes: ''
         };
     },
 
     /**
-     * Create a new line item
+     * Whether a document is a credit note rather than an invoice
+     * @param {Object} invoice
+     * @returns {boolean}
+     */
+    isCreditNote(invoice) {
+        return !!invoice && invoice.type === 'credit-note';
+    },
+
+    /**
+     * Whether a document is a quote (estimate) rather than an invoice
+     * @param {Object} invoice
+     * @returns {boolean}
+     */
+    isQuote(invoice) {
+        return !!invoice && invoice.type === 'quote';
+    },
+
+    /**
+     * Whether a document takes payments and carries a balance due.
+     * Only invoices do; credit notes and quotes don't.
+     * @param {Object} invoice
+     * @returns {boolean}
+     */
+    isPayable(invoice) {
+        return !this.isCreditNote(invoice) && !this.isQuote(invoice);
+    },
+
+    /**
+     * Wording that changes with the document type, for the editor and printed output.
+     * The file name stays the same in every language.
+     * @param {Object} invoice
+     * @param {string} language - Defaults to the UI language
+     * @returns {Object} { name, title, number, party, total, fileName }
+     */
+    documentLabels(invoice, language = I18n.language) {
+        const t = (key) => I18n.t(key, {}, language);
+        if (this.isQuote(invoice)) {
+            return { name: t('document.quote'), title: t('document.quoteTitle'), number: t('document.quoteNumber'), party: t('document.preparedFor'), total: t('document.quoteTotal'), fileName: 'quote' };
+        }
+        if (this.isCreditNote(invoice)) {
+            return { name: t('document.creditNote'), title: t('document.creditNoteTitle'), number: t('document.creditNoteNumber'), party: t('document.billTo'), total: t('document.totalCredit'), fileName: 'credit-note' };
+        }
+        return { name: t('document.invoice'), title: t('document.invoiceTitle'), number: t('document.invoiceNumber'), party: t('document.billTo'), total: t('document.total'), fileName: 'invoice' };
+    },
+
+    /**
+     * Create a new empty quote, valid for a number of days from today
+     * @param {number} validDays
+     * @returns {Object}
      */
-    createLineItem() {
+    createEmptyQuote(validDays = 30) {
+        const quote = this.createEmptyInvoice();
+        quote.type = 'quote';
+        quote.dueDate = '';
+        quote.validUntil = this.addDays(quote.createdDate, validDays);
+        return quote;
+    },
+
+    /**
+     * Closing line printed on a quote
+     * @param {Object} quote
+     * @param {string} language - Defaults to the UI language
+     * @returns {string}
+     */
+    quoteTerms(quote, language = I18n.language) {
+        return quote.validUntil
+            ? I18n.t('document.quoteTerms', { date: this.formatDate(quote.validUntil, language) }, language)
+            : I18n.t('document.quoteTermsOpen', {}, language);
+    },
+
+    /**
+     * Build the invoice for an accepted quote: same client, lines, discount and taxes,
+     * dated today and linked back to the quote
+     * @param {Object} quote
+     * @returns {Object} Unsaved draft invoice, numbered by the caller
+     */
+    createInvoiceFromQuote(quote) {
+        const invoice = this.createEmptyInvoice();
+        Object.assign(invoice, {
+            quoteId: quote.id,
+            quoteNumber: quote.invoiceNumber || '',
+            currency: quote.currency || 'USD',
+            clientId: quote.clientId || '',
+            client: { ...quote.client },
+            items: quote.items.map(item => ({ ...item, id: crypto.randomUUID() })),
+            discount: quote.discount ? { ...quote.discount } : null,
+            taxCategories: JSON.parse(JSON.stringify(quote.taxCategories || [])),
+            rounding: { ...this.DEFAULT_ROUNDING, ...quote.rounding },
+            template: quote.template || '',
+            language: quote.language || '',
+            notes: quote.notes || ''
+        });
+        return this.calculateInvoice(invoice);
+    },
+
+    /**
+     * Build a credit note against an invoice, for all of it or selected lines.
+     * Lines keep their quantities and rates; the credit note's totals come out negative.
+     * @param {Object} invoice - The invoice being credited
+     * @param {Array<number>|null} lineIndexes - Lines to credit; null for the whole invoice
+     * @param {string} language - Document language the notes are written in; defaults to the UI language
+     * @returns {Object} Unsaved credit note, numbered by the caller
+     */
+    createCreditNote(invoice, lineIndexes = null, language = I18n.language) {
+        const currency = invoice.currency || 'USD';
+        const whole = !lineIndexes || lineIndexes.length === invoice.items.length;
+        const indexes = whole ? invoice.items.map((item, i) => i) : lineIndexes;
+
+        // A fixed invoice discount is credited in proportion to the lines taken,
+        // the same way calculateInvoice spread it over them
+        let discount = invoice.discount ? { ...invoice.discount } : null;
+        if (!whole && discount && discount.type === 'fixed') {
+            const nets = invoice.items.map(item => Math.max(Money.toMinor(item.amount || 0, currency), 0));
+            const shares = Money.allocate(Money.toMinor(invoice.discountAmount || 0, currency), nets);
+            const share = indexes.reduce((sum, i) => sum + shares[i], 0);
+            discount = share ? { type: 'fixed', value: Money.fromMinor(share, currency) } : null;
+        }
+
+        const note = this.createEmptyInvoice();
+        Object.assign(note, {
+            type: 'credit-note',
+            creditedInvoiceId: invoice.id,
+            creditedInvoiceNumber: invoice.invoiceNumber || '',
+            status: 'sent',
+            currency: currency,
+            clientId: invoice.clientId || '',
+            client: { ...invoice.client },
+            items: indexes.map(i => ({ ...invoice.items[i], id: crypto.randomUUID() })),
+            discount: discount,
+            taxCategories: JSON.parse(JSON.stringify(invoice.taxCategories || [])),
+            rounding: { ...this.DEFAULT_ROUNDING, ...invoice.rounding },
+            template: invoice.template || '',
+            language: invoice.language || '',
+            notes: I18n.t('creditNote.notes', { number: invoice.invoiceNumber || invoice.id }, language)
+        });
+        return this.calculateInvoice(note);
+    },
+
+    /**
+     * Create a new address book client
+     * @param {Object} details - Optional name/email/address/language to start from
+     */
+    createClient(details = {}) {
         return {
+            id: '', // Will be generated by Storage on save if empty
+            name: details.name || '',
+            email: details.email || '',
+            address: details.address || '',
+            language: details.language || '', // Document language for this client; empty uses the business default
+            paymentTerms: details.paymentTerms || null // Payment terms for this client; null uses the business default
+        };
+    },
+
+    /**
+     * Create a new line item
+     * @param {Object|null} catalogItem - Optional catalog entry to fill the line from
+     */
+    createLineItem(catalogItem = null) {
+        const item = {
             id: crypto.randomUUID(),
             itemName: '',
             description: '',
             quantity: 1,
+            unit: '',
             rate: 0,
+            discount: null, // { type: 'percent' | 'fixed', value }
+            taxCategory: '',
             amount: 0
         };
+
+        if (catalogItem) {
+            item.catalogItemId = catalogItem.id;
+            item.itemName = catalogItem.code || '';
+            item.description = catalogItem.description || '';
+            item.unit = catalogItem.unit || '';
+            item.rate = catalogItem.rate || 0;
+            item.taxCategory = catalogItem.taxCategory || '';
+        }
+
+        return item;
+    },
+
+    /**
+     * Create a payment record
+     * @param {number} amount
+     * @param {string} date - yyyy-mm-dd, defaults to today
+     */
+    createPayment(amount = 0, date = new Date().toISOString().split('T')[0]) {
+        return {
+            id: crypto.randomUUID(),
+            date: date,
+            amount: amount,
+            method: '',
+            reference: ''
+        };
+    },
+
+    /**
+     * Create a new catalog entry (reusable product or service)
+     * @param {Object} details - Optional fields to start from
+     */
+    createCatalogItem(details = {}) {
+        return {
+            id: '', // Will be generated by Storage on save if empty
+            code: details.code || '',
+            description: details.description || '',
+            rate: details.rate || 0,
+            unit: details.unit || '',
+            taxCategory: details.taxCategory || ''
+        };
+    },
+
+    /**
+     * Field-level differences between two versions of an invoice, as readable text
+     * @param {Object|null} before - Earlier version, or null for a new invoice
+     * @param {Object} after - Later version
+     * @returns {Array} [{ field, label, before, after }]
+     */
+    diffInvoices(before, after) {
+        const changes = [];
+        const add = (field, label, oldValue, newValue) => {
+            if (oldValue !== newValue) {
+                changes.push({ field: field, label: label, before: oldValue, after: newValue });
+            }
+        };
+        const prev = before || {};
+        const prevClient = prev.client || {};
+        const money = (invoice, amount) => amount === undefined ? '' : this.formatCurrency(amount || 0, invoice.currency);
+        const t = (key, params) => I18n.t('diff.' + key, params);
+
+        add('invoiceNumber', t('invoiceNumber'), prev.invoiceNumber || '', after.invoiceNumber || '');
+        add('client.name', t('client'), prevClient.name || '', after.client.name || '');
+        add('client.email', t('clientEmail'), prevClient.email || '', after.client.email || '');
+        add('client.address', t('clientAddress'), prevClient.address || '', after.client.address || '');
+        add('createdDate', t('createdDate'), prev.createdDate || '', after.createdDate || '');
+        add('dueDate', t('dueDate'), prev.dueDate || '', after.dueDate || '');
+        add('validUntil', t('validUntil'), prev.validUntil || '', after.validUntil || '');
+        add('status', t('status'), prev.status ? this.formatStatus(prev.status) : '', this.formatStatus(after.status));
+        add('currency', t('currency'), prev.currency || '', after.currency || '');
+        add('discount', t('discount'), this.formatDiscountInput(prev.discount), this.formatDiscountInput(after.discount));
+        const templateName = (id) => I18n.t(this.DOCUMENT_TEMPLATES[id] ? 'template.' + id : 'settings.businessDefault');
+        add('template', t('template'), before ? templateName(prev.template) : '', templateName(after.template));
+        const languageName = (code) => (I18n.isSupported(code) ? I18n.LANGUAGES[code].name : t('defaultLanguage'));
+        add('language', t('language'), before ? languageName(prev.language) : '', languageName(after.language));
+        const termsText = (terms) => (terms ? this.describePaymentTerms(terms) : '');
+        add('paymentTerms', t('paymentTerms'), termsText(prev.paymentTerms), termsText(after.paymentTerms));
+        add('notes', t('notes'), prev.notes || '', after.notes || '');
+
+        // Line items, matched by id
+        const describeItem = (invoice, item) => {
+            const unit = item.unit ? ' ' + item.unit : '';
+            const discount = item.discount ? ' ' + t('lineDiscount', { discount: this.formatDiscountInput(item.discount) }) : '';
+            return `${item.quantity}${unit} \u00d7 ${money(invoice, item.rate)}${discount} = ${money(invoice, item.amount)}`;
+        };
+        const itemName = (item) => item.itemName || item.description || t('untitled');
+        const oldItems = new Map((prev.items || []).map(item => [item.id, item]));
+        const newIds = new Set();
+        (after.items || []).forEach(item => {
+            newIds.add(item.id);
+            const old = oldItems.get(item.id);
+            if (!old) {
+                add('items', t('lineAdded', { name: itemName(item) }), '', describeItem(after, item));
+            } else {
+                if (itemName(old) !== itemName(item) || (old.description || '') !== (item.description || '')) {
+                    add('items', t('lineRenamed', { name: itemName(old) }), `${itemName(old)} \u2013 ${old.description || ''}`, `${itemName(item)} \u2013 ${item.description || ''}`);
+                }
+                add('items', t('line', { name: itemName(item) }), describeItem(prev, old), describeItem(after, item));
+            }
+        });
+        oldItems.forEach((item, id) => {
+            if (!newIds.has(id)) {
+                add('items', t('lineRemoved', { name: itemName(item) }), describeItem(prev, item), '');
+            }
+        });
+
+        // Payments, matched by id
+        const describePayment = (invoice, p) => `${p.date} ${money(invoice, p.amount)}${p.method ? ' ' + p.method : ''}${p.reference ? ' (' + p.reference + ')' : ''}`;
+        const oldPayments = new Map((prev.payments || []).map(p => [p.id, p]));
+        const newPaymentIds = new Set((after.payments || []).map(p => p.id));
+        (after.payments || []).forEach(p => {
+            add('payments', t('payment'), oldPayments.has(p.id) ? describePayment(prev, oldPayments.get(p.id)) : '', describePayment(after, p));
+        });
+        oldPayments.forEach((p, id) => {
+            if (!newPaymentIds.has(id)) add('payments', t('paymentRemoved'), describePayment(prev, p), '');
+        });
+
+        // Totals
+        add('subtotal', t('subtotal'), money(prev, prev.subtotal), money(after, after.subtotal));
+        add('discountAmount', t('discountAmount'), money(prev, prev.discountAmount), money(after, after.discountAmount));
+        add('taxAmount', t('tax'), money(prev, prev.taxAmount), money(after, after.taxAmount));
+        add('total', t('total'), money(prev, prev.total), money(after, after.total));
+        add('balanceDue', t('balanceDue'), money(prev, prev.balanceDue), money(after, after.balanceDue));
+
+        return changes;
+    },
+
+    /**
+     * Text of a revision's note in the UI language. Notes are stored as a message
+     * key and its parameters; revisions saved before that carry the English text.
+     * @param {Object} revision
+     * @returns {string}
+     */
+    revisionNote(revision) {
+        if (!revision.noteKey) return revision.note || '';
+        // Some notes reuse editor sentences; drop their full stop, the changes follow
+        return I18n.t(revision.noteKey, revision.noteParams).replace(/\.$/, '');
+    },
+
+    // Recurring schedule frequencies
+    RECURRING_FREQUENCIES: {
+        weekly: 'Weekly',
+        monthly: 'Monthly',
+        quarterly: 'Quarterly',
+        yearly: 'Yearly'
+    },
+
+    /**
+     * Create a recurring profile from an existing invoice.
+     * The first run is one period after the invoice date.
+     * @param {Object} invoice - Source invoice
+     */
+    createRecurringProfile(invoice) {
+        const startDate = this.addInterval(invoice.createdDate, 'monthly');
+        return {
+            id: '', // Will be generated by Storage on save if empty
+            name: invoice.client.name,
+            sourceInvoiceId: invoice.id,
+            template: this.recurringTemplate(invoice),
+            frequency: 'monthly',
+            startDate: startDate,
+            endDate: '',
+            nextRunDate: startDate,
+            dueDays: Math.max(0, this.daysBetween(invoice.createdDate, invoice.dueDate)),
+            active: true,
+            lastRunDate: ''
+        };
+    },
+
+    /**
+     * Copy the billable content of an invoice, without its number, dates,
+     * status or payments
+     * @param {Object} invoice
+     */
+    recurringTemplate(invoice) {
+        const template = JSON.parse(JSON.stringify(invoice));
+        ['id', 'invoiceNumber', 'createdDate', 'dueDate', 'status', 'statusHistory',
+            'payments', 'amountPaid', 'creditedAmount', 'balanceDue', 'updatedAt', 'recurringProfileId',
+            'deletedAt', 'quoteId', 'quoteNumber'].forEach(key => {
+            delete template[key];
+        });
+        return template;
+    },
+
+    /**
+     * Build the invoice a recurring profile produces for a run date. The due date
+     * follows the payment terms in the template, or the profile's days until due.
+     * @param {Object} profile
+     * @param {string} runDate - yyyy-mm-dd
+     * @returns {Object} Unsaved draft invoice (no number yet)
+     */
+    buildRecurringInvoice(profile, runDate) {
+        const invoice = { ...this.createEmptyInvoice(), ...JSON.parse(JSON.stringify(profile.template)) };
+        invoice.createdDate = runDate;
+        if (invoice.paymentTerms) {
+            this.applyPaymentTerms(invoice, invoice.paymentTerms);
+        } else {
+            invoice.dueDate = this.addDays(runDate, profile.dueDays || 0);
+        }
+        invoice.recurringProfileId = profile.id;
+        invoice.items.forEach(item => {
+            item.id = crypto.randomUUID();
+        });
+        return this.calculateInvoice(invoice);
+    },
+
+    /**
+     * Copy an invoice as a new draft dated today, with the same client, lines and
+     * terms but no payments or history. The due date follows the copied payment
+     * terms, or keeps the original's gap after the invoice date.
+     * @param {Object} invoice
+     * @param {string} today - yyyy-mm-dd, defaults to the current date
+     * @returns {Object} Unsaved draft invoice (no number yet)
+     */
+    duplicateInvoice(invoice, today = new Date().toISOString().split('T')[0]) {
+        const source = JSON.parse(JSON.stringify(invoice));
+        const copy = this.createEmptyInvoice();
+        ['currency', 'clientId', 'client', 'items', 'discount', 'taxCategories', 'rounding',
+            'template', 'language', 'notes'].forEach(key => {
+            if (source[key] !== undefined) copy[key] = source[key];
+        });
+        copy.items.forEach(item => {
+            item.id = crypto.randomUUID();
+        });
+
+        copy.createdDate = today;
+        if (source.paymentTerms) {
+            this.applyPaymentTerms(copy, source.paymentTerms);
+        } else {
+            copy.dueDate = source.dueDate
+                ? this.addDays(today, Math.max(0, this.daysBetween((source.createdDate || today).split('T')[0], source.dueDate)))
+                : '';
+        }
+        return this.calculateInvoice(copy);
+    },
+
+    /**
+     * Upcoming run dates of a recurring profile, stopping at its end date
+     * @param {Object} profile
+     * @param {number} count - Maximum number of dates
+     * @returns {Array<string>} yyyy-mm-dd dates
+     */
+    upcomingRuns(profile, count = 5) {
+        const runs = [];
+        const anchorDay = this.recurringAnchorDay(profile);
+        let date = profile.nextRunDate;
+        while (date && runs.length < count && (!profile.endDate || date <= profile.endDate)) {
+            runs.push(date);
+            date = this.addInterval(date, profile.frequency, anchorDay);
+        }
+        return runs;
+    },
+
+    /**
+     * Day of month runs fall on; months too short for it use their last day
+     * @param {Object} profile
+     * @returns {number}
+     */
+    recurringAnchorDay(profile) {
+        return parseInt((profile.startDate || '').split('-')[2], 10) || 1;
+    },
+
+    // Currencies offered in settings and the editor (ISO 4217)
+    CURRENCIES: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'JPY', 'INR'],
+
+    // Rounding used when an invoice has no snapshot of its own
+    DEFAULT_ROUNDING: { mode: 'half-up', policy: 'line' },
+
+    // Built-in layouts shared by print and PDF. Sizes are in points; tableStyle
+    // is the items table look: 'striped' (filled accent header), 'plain' or 'grid';
+    // rules draws the line under the header
+    DOCUMENT_TEMPLATES: {
+        classic: { name: 'Classic', titleSize: 24, fontSize: 10, tableStyle: 'striped', accentTitle: false, rules: true },
+        minimal: { name: 'Minimal', titleSize: 18, fontSize: 10, tableStyle: 'plain', accentTitle: true, rules: false },
+        compact: { name: 'Compact', titleSize: 16, fontSize: 8, tableStyle: 'grid', accentTitle: false, rules: true }
+    },
+
+    // Fonts available to templates: the PDF standard fonts and their print equivalents
+    TEMPLATE_FONTS: {
+        helvetica: { name: 'Sans-serif', css: 'Helvetica, Arial, sans-serif' },
+        times: { name: 'Serif', css: "'Times New Roman', Times, serif" },
+        courier: { name: 'Monospace', css: "'Courier New', Courier, monospace" }
+    },
+
+    // Optional parts of a printed document
+    TEMPLATE_FIELDS: {
+        logo: 'Logo',
+        status: 'Status',
+        clientEmail: 'Client email',
+        itemCode: 'Item codes',
+        taxBreakdown: 'Tax breakdown',
+        notes: 'Notes'
+    },
+
+    // Business template settings used until they are changed
+    DEFAULT_TEMPLATE: {
+        id: 'classic',
+        accentColor: '#b87333',
+        font: 'helvetica',
+        fields: { logo: true, status: true, clientEmail: true, itemCode: true, taxBreakdown: true, notes: true }
+    },
+
+    /**
+     * Work out the layout, colour, font and fields a document is printed with:
+     * the invoice's own template if it picked one, otherwise the business template
+     * @param {Object} templateSettings - settings.documentTemplate
+     * @param {Object} invoice
+     * @returns {Object} Layout from DOCUMENT_TEMPLATES plus { id, accentColor, font, fields }
+     */
+    resolveTemplate(templateSettings, invoice) {
+        const config = { ...this.DEFAULT_TEMPLATE, ...templateSettings };
+        const id = [invoice && invoice.template, config.id].find(key => key && this.DOCUMENT_TEMPLATES[key]) || 'classic';
+        return {
+            ...this.DOCUMENT_TEMPLATES[id],
+            id: id,
+            accentColor: /^#[0-9a-f]{6}$/i.test(config.accentColor || '') ? config.accentColor : this.DEFAULT_TEMPLATE.accentColor,
+            font: this.TEMPLATE_FONTS[config.font] ? config.font : this.DEFAULT_TEMPLATE.font,
+            fields: { ...this.DEFAULT_TEMPLATE.fields, ...config.fields }
+        };
+    },
+
+    /**
+     * Split a #rrggbb colour into its channels
+     * @param {string} hex
+     * @returns {Array<number>} [r, g, b]
+     */
+    hexToRgb(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    },
+
+    // Named payment terms. 'date' terms fall due a number of days after the invoice
+    // date, 'eom' terms that many days after the end of its month; days: null means
+    // the days are chosen with the term (end of month + N, custom)
+    PAYMENT_TERMS: {
+        receipt: { basis: 'date', days: 0 },
+        net15: { basis: 'date', days: 15 },
+        net30: { basis: 'date', days: 30 },
+        net60: { basis: 'date', days: 60 },
+        eom: { basis: 'eom', days: null },
+        custom: { basis: 'date', days: null }
+    },
+
+    // Business payment terms used until they are changed
+    DEFAULT_PAYMENT_TERMS: { id: 'net30', days: 0, discountPercent: 0, discountDays: 0 },
+
+    /**
+     * Clean up payment terms from a form or stored data: a known term id, the
+     * preset's own days where it has them, and non-negative discount figures
+     * @param {Object|null} terms
+     * @returns {Object} { id, days, discountPercent, discountDays }
+     */
+    normalizePaymentTerms(terms) {
+        const source = terms || {};
+        const id = this.PAYMENT_TERMS[source.id] ? source.id : this.DEFAULT_PAYMENT_TERMS.id;
+        const preset = this.PAYMENT_TERMS[id];
+        const whole = (value) => Math.max(0, parseInt(value, 10) || 0);
+        return {
+            id: id,
+            days: preset.days === null ? whole(source.days) : preset.days,
+            discountPercent: Math.min(100, Math.max(0, parseFloat(source.discountPercent) || 0)),
+            discountDays: whole(source.discountDays)
+        };
+    },
+
+    /**
+     * Payment terms for a new invoice: the client's own, otherwise the business terms
+     * @param {Object} settings
+     * @param {Object|null} client - Address book client
+     * @returns {Object} Normalized terms
+     */
+    resolvePaymentTerms(settings, client = null) {
+        return this.normalizePaymentTerms((client && client.paymentTerms) || settings.paymentTerms);
+    },
+
+    /**
+     * Due date that payment terms give for an invoice date
+     * @param {string} dateString - yyyy-mm-dd invoice date
+     * @param {Object} terms
+     * @returns {string} yyyy-mm-dd
+     */
+    computeDueDate(dateString, terms) {
+        const normalized = this.normalizePaymentTerms(terms);
+        if (this.PAYMENT_TERMS[normalized.id].basis === 'eom') {
+            const [year, month] = dateString.split('-').map(Number);
+            const monthEnd = new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0];
+            return this.addDays(monthEnd, normalized.days);
+        }
+        return this.addDays(dateString, normalized.days);
+    },
+
+    /**
+     * Set an invoice's payment terms and the due date they give
+     * @param {Object} invoice
+     * @param {Object} terms
+     * @returns {Object} The invoice
+     */
+    applyPaymentTerms(invoice, terms) {
+        invoice.paymentTerms = this.normalizePaymentTerms(terms);
+        invoice.dueDate = this.computeDueDate(invoice.createdDate, invoice.paymentTerms);
+        return invoice;
+    },
+
+    /**
+     * Name of payment terms, e.g. "Net 30" or "End of month + 15 days"
+     * @param {Object} terms
+     * @param {string} language - Defaults to the UI language
+     * @returns {string}
+     */
+    describePaymentTerms(terms, language = I18n.language) {
+        const normalized = this.normalizePaymentTerms(terms);
+        if (this.PAYMENT_TERMS[normalized.id].basis === 'eom') {
+            return normalized.days
+                ? I18n.t('terms.eom', { days: normalized.days }, language)
+                : I18n.t('terms.eomOnly', {}, language);
+        }
+        return normalized.days
+            ? I18n.t('terms.net', { days: normalized.days }, language)
+            : I18n.t('terms.receipt', {}, language);
+    },
+
+    /**
+     * Early payment discount an invoice's terms offer, if any
+     * @param {Object} invoice - Calculated invoice
+     * @returns {Object|null} { percent, date, amount } - pay by date to deduct amount
+     */
+    earlyPaymentDiscount(invoice) {
+        const terms = invoice.paymentTerms && this.normalizePaymentTerms(invoice.paymentTerms);
+        if (!terms || !terms.discountPercent || !terms.discountDays || !this.isPayable(invoice)) return null;
+
+        const currency = invoice.currency || 'USD';
+        const rounding = { ...this.DEFAULT_ROUNDING, ...invoice.rounding };
+        const minor = Money.percentOfMinor(Money.toMinor(invoice.total || 0, currency), terms.discountPercent, rounding.mode);
+        return {
+            percent: terms.discountPercent,
+            date: this.addDays(invoice.createdDate, terms.discountDays),
+            amount: Money.fromMinor(minor, currency)
+        };
     },
 
     /**
-     * Calculate totals for an invoice
+     * Work out the language a document is printed in: the invoice's own language
+     * if it picked one, then its client's, then the business default
+     * @param {Object} settings
+     * @param {Object} invoice
+     * @param {Object|null} client - Address book client the invoice is linked to
+     * @returns {string} Language code
+     */
+    resolveLanguage(settings, invoice, client = null) {
+        return [invoice && invoice.language, client && client.language, settings.documentLanguage]
+            .find(code => code && I18n.isSupported(code)) || I18n.DEFAULT_LANGUAGE;
+    },
+
+    /**
+     * Lay out a document once for every output (print, PDF, ODS): header,
+     * parties, line table, totals and notes, already worded and formatted for its
+     * type, template and language. Text is plain; each output escapes it as it needs.
+     * Money and quantity cells carry the number as well as its text.
+     * @param {Object} invoice - Calculated invoice, credit note or quote
+     * @param {Object} settings - Application settings (sender, logo, template, language)
+     * @param {Object|null} client - Linked address book client, for its document language
+     * @returns {Object} {
+     *   title, fileName, sheetName, currency, language, template, logo, labels: { key: text },
+     *   meta: [{ label, text }],
+     *   from, to: { heading, lines },
+     *   columns: [{ key, label, align? }], rows: [[{ text, value }]],
+     *   totals: [{ label, text, value, style? }] - style 'total' or 'balance',
+     *   payments: [{ date, method, reference, text, value }],
+     *   paymentTerms: [string], notes, terms
+     * }
+     */
+    buildDocument(invoice, settings, client = null) {
+        const template = this.resolveTemplate(settings.documentTemplate, invoice);
+        const fields = template.fields;
+        const language = this.resolveLanguage(settings, invoice, client);
+        const t = (key) => I18n.t(key, {}, language);
+        const labels = this.documentLabels(invoice, language);
+        const currency = invoice.currency || 'USD';
+        const number = invoice.invoiceNumber || invoice.id;
+        const quote = this.isQuote(invoice);
+        const money = (amount) => ({ text: this.formatCurrency(amount || 0, currency, language), value: amount || 0 });
+        const text = (value) => ({ text: value || '', value: value || '' });
+        const date = (value) => this.formatDate(value, language);
+
+        const meta = [
+            { label: labels.number, text: number },
+            { label: t('document.date'), text: date(invoice.createdDate) }
+        ];
+        if (this.isCreditNote(invoice)) {
+            meta.push({ label: t('document.creditsInvoice'), text: invoice.creditedInvoiceNumber || invoice.creditedInvoiceId });
+        } else {
+            meta.push(quote
+                ? { label: t('document.validUntil'), text: date(invoice.validUntil) }
+                : { label: t('document.dueDate'), text: date(invoice.dueDate) });
+            if (fields.status) {
+                meta.push({ label: t('document.status'), text: this.formatStatus(this.getDisplayStatus(invoice), language).toUpperCase() });
+            }
+        }
+
+        // Unit and discount columns only when a line has one
+        const columns = [
+            ...(fields.itemCode ? [{ key: 'itemName', label: t('document.item') }] : []),
+            { key: 'description', label: t('document.description') },
+            { key: 'quantity', label: t('document.quantity'), align: 'right' },
+            ...(invoice.items.some(item => item.unit) ? [{ key: 'unit', label: t('document.unit') }] : []),
+            { key: 'rate', label: t('document.rate'), align: 'right' },
+            ...(invoice.items.some(item => item.discountAmount) ? [{ key: 'discount', label: t('document.discount'), align: 'right' }] : []),
+            { key: 'amount', label: t('document.amount'), align: 'right' }
+        ];
+        const rows = invoice.items.map(item => {
+            const cells = {
+                itemName: text(item.itemName),
+                description: text(item.description),
+                quantity: { text: this.formatNumber(item.quantity, language), value: item.quantity },
+                unit: text(item.unit),
+                rate: money(item.rate),
+                discount: item.discountAmount ? money(-item.discountAmount) : { text: '', value: 0 },
+                amount: money(item.amount)
+            };
+            return columns.map(column => cells[column.key]);
+        });
+
+        const totals = [{ label: t('document.subtotal'), ...money(invoice.subtotal) }];
+        if (invoice.discountAmount) {
+            totals.push({ label: this.formatDiscountLabel(invoice.discount, language), ...money(-invoice.discountAmount) });
+        }
+        if (fields.taxBreakdown) {
+            (invoice.taxes || []).forEach(tax => totals.push({ label: this.formatTaxLabel(tax, language), ...money(tax.amount) }));
+        } else if (invoice.taxAmount) {
+            totals.push({ label: t('document.tax'), ...money(invoice.taxAmount) });
+        }
+        totals.push({ label: labels.total, ...money(invoice.total), style: 'total' });
+        if (this.isPayable(invoice)) {
+            if (invoice.creditedAmount) {
+                totals.push({ label: t('document.creditNotes'), ...money(-invoice.creditedAmount) });
+            }
+            if (invoice.amountPaid) {
+                totals.push({ label: t('document.amountPaid'), ...money(-invoice.amountPaid) });
+            }
+            totals.push({ label: t('document.balanceDue'), ...money(invoice.balanceDue), style: 'balance' });
+        }
+
+        return {
+            title: labels.title,
+            fileName: `${labels.fileName}-${number}`,
+            sheetName: labels.name,
+            currency: currency,
+            language: language,
+            template: template,
+            logo: fields.logo ? settings.logo || null : null,
+            // Headings the outputs add around the content
+            labels: {
+                currency: t('document.currency'),
+                notes: t('document.notes'),
+                paymentDate: t('document.paymentDate'),
+                paymentMethod: t('document.paymentMethod'),
+                paymentReference: t('document.paymentReference'),
+                amount: t('document.amount')
+            },
+            meta: meta,
+            from: {
+                heading: t('document.from'),
+                lines: [settings.name || 'Invoicer User', ...(settings.address || '').split('\n').filter(Boolean)]
+            },
+            to: {
+                heading: labels.party,
+                lines: [
+                    invoice.client.name,
+                    fields.clientEmail ? invoice.client.email : '',
+                    ...(invoice.client.address || '').split('\n')
+                ].filter(Boolean)
+            },
+            columns: columns,
+            rows: rows,
+            totals: totals,
+            payments: (this.isPayable(invoice) ? invoice.payments || [] : []).map(p => ({
+                date: date(p.date),
+                method: p.method || '',
+                reference: p.reference || '',
+                ...money(p.amount)
+            })),
+            paymentTerms: this.paymentTermsLines(invoice, language),
+            notes: fields.notes ? invoice.notes || '' : '',
+            terms: quote ? this.quoteTerms(invoice, language) : ''
+        };
+    },
+
+    /**
+     * Sentences printed for an invoice's payment terms and early payment discount
+     * @param {Object} invoice - Calculated invoice
+     * @param {string} language - Defaults to the UI language
+     * @returns {Array<string>} Empty when the invoice has no terms
+     */
+    paymentTermsLines(invoice, language = I18n.language) {
+        if (!this.isPayable(invoice) || !invoice.paymentTerms) return [];
+
+        const terms = this.describePaymentTerms(invoice.paymentTerms, language);
+        const lines = [invoice.dueDate && invoice.dueDate !== invoice.createdDate
+            ? I18n.t('document.paymentTermsDue', { terms: terms, date: this.formatDate(invoice.dueDate, language) }, language)
+            : I18n.t('document.paymentTermsOnly', { terms: terms }, language)];
+
+        const discount = this.earlyPaymentDiscount(invoice);
+        if (discount) {
+            lines.push(I18n.t('document.earlyPayment', {
+                percent: this.formatNumber(discount.percent, language),
+                amount: this.formatCurrency(discount.amount, invoice.currency || 'USD', language),
+                date: this.formatDate(discount.date, language)
+            }, language));
+        }
+        return lines;
+    },
+
+    /**
+     * Calculate totals for an invoice.
+     * All money is worked in integer minor units of the invoice currency (see Money).
+     * Order of application:
+     *   1. line amount = quantity x rate, rounded, less the line discount
+     *   2. subtotal = sum of discounted line amounts
+     *   3. invoice discount is taken off the subtotal, spread over the lines pro rata
+     *   4. each line is taxed on its share of the discounted subtotal, by the
+     *      components of its tax category in order; a compound component is
+     *      charged on the line base plus the taxes before it
+     *   5. total = subtotal - invoice discount + tax
+     *   6. balance due = total - recorded payments - credit notes; status follows
+     *      the payments, with credit notes counting towards settling the invoice
+     * Credit notes are worked the same way and every amount is then negated;
+     * they carry no payments or balance of their own. Neither do quotes.
+     * Rounding policy 'line' rounds each line's tax; 'total' taxes the summed
+     * base of each tax category and rounds once per component.
      * @param {Object} invoice
      * @returns {Object} Updated invoice with calculations
      */
     calculateInvoice(invoice) {
-        // Calculate item amounts
-        invoice.items.forEach(item => {
-            item.amount = (item.quantity || 0) * (item.rate || 0);
+        const currency = invoice.currency || 'USD';
+        const rounding = { ...this.DEFAULT_ROUNDING, ...invoice.rounding };
+        const mode = rounding.mode;
+        const categories = invoice.taxCategories || [];
+        const taxes = [];
+        const sign = this.isCreditNote(invoice) ? -1 : 1;
+
+        // Calculate item amounts after line discounts
+        const nets = invoice.items.map(item => {
+            const gross = Money.multiplyToMinor(item.quantity || 0, item.rate || 0, currency, mode);
+            const discount = this.calculateDiscount(item.discount, gross, currency, mode);
+            item.discountAmount = Money.fromMinor(sign * discount, currency);
+            item.amount = Money.fromMinor(sign * (gross - discount), currency);
+            return gross - discount;
         });
 
         // Calculate subtotal
-        invoice.subtotal = invoice.items.reduce((sum, item) => sum + item.amount, 0);
+        const subtotal = nets.reduce((sum, net) => sum + net, 0);
+
+        // Invoice-level discount, spread over the lines without losing a cent
+        const discount = this.calculateDiscount(invoice.discount, subtotal, currency, mode);
+        const discountShares = Money.allocate(discount, nets.map(net => Math.max(net, 0)));
+        const bases = nets.map((net, i) => net - discountShares[i]);
 
-        // Calculate tax
-        invoice.taxAmount = invoice.subtotal * ((invoice.taxRate || 0) / 100);
+        const addTax = (component, base, amount) => {
+            let entry = taxes.find(t =>
+                t.name === component.name && t.rate === component.rate && t.compound === Boolean(component.compound)
+            );
+            if (!entry) {
+                entry = { name: component.name, rate: component.rate, compound: Boolean(component.compound), base: 0, amount: 0 };
+                taxes.push(entry);
+            }
+            entry.base += base;
+            entry.amount += amount;
+        };
+
+        // Taxes each component of a category on a base, in order
+        const applyCategory = (category, categoryBase) => {
+            let taxSoFar = 0;
+            category.components.forEach(component => {
+                const base = component.compound ? categoryBase + taxSoFar : categoryBase;
+                const amount = Money.percentOfMinor(base, component.rate || 0, mode);
+                taxSoFar += amount;
+                addTax(component, base, amount);
+            });
+        };
+
+        if (rounding.policy === 'total') {
+            categories.forEach(category => {
+                const categoryBase = invoice.items.reduce((sum, item, i) => (
+                    this.findTaxCategory([category], item.taxCategory) ? sum + bases[i] : sum
+                ), 0);
+                if (categoryBase) applyCategory(category, categoryBase);
+            });
+        } else {
+            invoice.items.forEach((item, i) => {
+                const category = this.findTaxCategory(categories, item.taxCategory);
+                if (category) applyCategory(category, bases[i]);
+            });
+        }
+
+        const taxAmount = taxes.reduce((sum, t) => sum + t.amount, 0);
+        taxes.forEach(t => {
+            t.base = Money.fromMinor(sign * t.base, currency);
+            t.amount = Money.fromMinor(sign * t.amount, currency);
+        });
+
+        invoice.subtotal = Money.fromMinor(sign * subtotal, currency);
+        invoice.discountAmount = Money.fromMinor(sign * discount, currency);
+        invoice.taxes = taxes;
+        invoice.taxAmount = Money.fromMinor(sign * taxAmount, currency);
 
         // Calculate total
-        invoice.total = invoice.subtotal + invoice.taxAmount;
+        const total = subtotal - discount + taxAmount;
+        invoice.total = Money.fromMinor(sign * total, currency);
+
+        if (!this.isPayable(invoice)) {
+            invoice.payments = [];
+            invoice.amountPaid = 0;
+            invoice.balanceDue = 0;
+            return invoice;
+        }
+
+        // Payments, credit notes and balance
+        const paid = (invoice.payments || []).reduce((sum, p) => sum + Money.toMinor(p.amount || 0, currency, mode), 0);
+        const credited = Money.toMinor(invoice.creditedAmount || 0, currency);
+        invoice.amountPaid = Money.fromMinor(paid, currency);
+        invoice.balanceDue = Money.fromMinor(total - paid - credited, currency);
+        this.applyPaymentStatus(invoice, paid, total, credited);
 
         return invoice;
     },
 
+    /**
+     * Set status from recorded payments: fully paid, partially paid,
+     * or back to sent when payments were removed. Void invoices stay void.
+     * An invoice settled by payments and credit notes together counts as paid.
+     * @param {Object} invoice
+     * @param {number} paid - Minor units received
+     * @param {number} total - Minor units billed
+     * @param {number} credited - Minor units credited by credit notes
+     */
+    applyPaymentStatus(invoice, paid, total, credited = 0) {
+        if (invoice.status === 'void') return;
+
+        if (paid + credited > 0 && paid + credited >= total) {
+            invoice.status = 'paid';
+        } else if (paid > 0) {
+            invoice.status = 'partial';
+        } else if (invoice.status === 'paid' || invoice.status === 'partial') {
+            invoice.status = 'sent';
+        }
+    },
+
+    // Stored statuses. 'overdue' is never stored; it is derived from the due date.
+    STATUSES: ['draft', 'sent', 'partial', 'paid', 'void'],
+
+    // Statuses the user picks; partial and paid follow the payments
+    MANUAL_STATUSES: ['draft', 'sent', 'void'],
+
+    // Allowed moves between stored statuses
+    STATUS_TRANSITIONS: {
+        draft: ['sent', 'partial', 'paid', 'void'],
+        sent: ['partial', 'paid', 'void'],
+        partial: ['sent', 'paid'],
+        paid: ['sent', 'partial'],
+        void: []
+    },
+
+    // Quote statuses, all picked by the user. 'expired' is derived from the validity date.
+    QUOTE_STATUSES: ['draft', 'sent', 'accepted', 'declined'],
+
+    // Allowed moves between quote statuses; an answer can be corrected
+    QUOTE_TRANSITIONS: {
+        draft: ['sent', 'accepted', 'declined'],
+        sent: ['accepted', 'declined'],
+        accepted: ['sent', 'declined'],
+        declined: ['sent', 'accepted']
+    },
+
+    /**
+     * Check whether a document may move from one status to another
+     * @param {string} from
+     * @param {string} to
+     * @param {string} type - Document type; quotes have their own lifecycle
+     * @returns {boolean}
+     */
+    canTransition(from, to, type = 'invoice') {
+        if (from === to) return true;
+        const transitions = type === 'quote' ? this.QUOTE_TRANSITIONS : this.STATUS_TRANSITIONS;
+        return (transitions[from] || []).includes(to);
+    },
+
+    /**
+     * An invoice is overdue when it has been sent, is not fully paid,
+     * and its due date has passed
+     * @param {Object} invoice
+     * @param {string} today - YYYY-MM-DD, defaults to the current date
+     * @returns {boolean}
+     */
+    isOverdue(invoice, today = new Date().toISOString().split('T')[0]) {
+        return (invoice.status === 'sent' || invoice.status === 'partial') &&
+            !!invoice.dueDate && invoice.dueDate < today &&
+            (invoice.balanceDue || 0) > 0;
+    },
+
+    /**
+     * Status to show on badges and documents, with overdue derived
+     * @param {Object} invoice
+     * @returns {string}
+     */
+    getDisplayStatus(invoice) {
+        if (this.isQuote(invoice)) {
+            return this.isExpired(invoice) ? 'expired' : (invoice.status || 'draft');
+        }
+        return this.isOverdue(invoice) ? 'overdue' : (invoice.status || 'draft');
+    },
+
+    /**
+     * A quote has expired when it was sent, never answered, and its validity date has passed
+     * @param {Object} quote
+     * @param {string} today - YYYY-MM-DD, defaults to the current date
+     * @returns {boolean}
+     */
+    isExpired(quote, today = new Date().toISOString().split('T')[0]) {
+        return quote.status === 'sent' && !!quote.validUntil && quote.validUntil < today;
+    },
+
+    /**
+     * Human-readable status label
+     * @param {string} status
+     * @param {string} language - Defaults to the UI language
+     * @returns {string}
+     */
+    formatStatus(status, language = I18n.language) {
+        const key = 'status.' + status;
+        return key in I18n.CATALOG.en ? I18n.t(key, {}, language) : status;
+    },
+
+    // Dashboard sort keys -> value to compare for an invoice
+    INVOICE_SORT_FIELDS: {
+        number: inv => inv.invoiceNumber || '',
+        client: inv => (inv.client && inv.client.name) || '',
+        date: inv => inv.date || (inv.createdDate || '').split('T')[0],
+        dueDate: inv => inv.dueDate || '',
+        total: inv => inv.total || 0,
+        status: inv => Model.formatStatus(Model.getDisplayStatus(inv))
+    },
+
+    /**
+     * Dashboard filters, all optional
+     * @returns {Object}
+     */
+    createInvoiceFilters() {
+        return {
+            status: '',     // display status, so 'overdue' works too
+            dateFrom: '',   // YYYY-MM-DD, invoice date
+            dateTo: '',
+            client: '',     // client name as printed on the invoice
+            currency: '',   // ISO code
+            minAmount: '',  // total bounds, in the chosen currency or the list's only one
+            maxAmount: ''
+        };
+    },
+
+    /**
+     * Currencies used by a list of invoices
+     * @param {Array} invoices
+     * @returns {Array<string>} ISO codes, sorted
+     */
+    listCurrencies(invoices) {
+        return [...new Set(invoices.map(inv => inv.currency || 'USD'))].sort();
+    },
+
+    /**
+     * Keep the invoices matching every set filter. Amounts are never compared
+     * across currencies: the total bounds only apply once a currency is chosen
+     * or the list uses just one.
+     * @param {Array} invoices
+     * @param {Object} filters - See createInvoiceFilters
+     * @returns {Array}
+     */
+    filterInvoices(invoices, filters = {}) {
+        const amountsComparable = !!filters.currency || this.listCurrencies(invoices).length <= 1;
+        const bound = (value) => (!amountsComparable || value === '' || value == null ? null : parseFloat(value));
+        const min = bound(filters.minAmount);
+        const max = bound(filters.maxAmount);
+        const client = (filters.client || '').toLowerCase();
+
+        return invoices.filter(inv => {
+            const date = this.INVOICE_SORT_FIELDS.date(inv);
+            return (!filters.status || this.getDisplayStatus(inv) === filters.status) &&
+                (!filters.dateFrom || date >= filters.dateFrom) &&
+                (!filters.dateTo || date <= filters.dateTo) &&
+                (!client || ((inv.client && inv.client.name) || '').toLowerCase() === client) &&
+                (!filters.currency || (inv.currency || 'USD') === filters.currency) &&
+                (min === null || isNaN(min) || (inv.total || 0) >= min) &&
+                (max === null || isNaN(max) || (inv.total || 0) <= max);
+        });
+    },
+
+    /**
+     * Sort invoices by a dashboard column; ties keep the newest first.
+     * Totals are grouped by currency, then sorted within each currency.
+     * @param {Array} invoices
+     * @param {string} field - Key of INVOICE_SORT_FIELDS
+     * @param {string} direction - 'asc' or 'desc'
+     * @returns {Array} A new, sorted array
+     */
+    sortInvoices(invoices, field = 'date', direction = 'desc') {
+        const getValue = this.INVOICE_SORT_FIELDS[field] || this.INVOICE_SORT_FIELDS.date;
+        const sign = direction === 'asc' ? 1 : -1;
+        const byCurrency = field === 'total'
+            ? (a, b) => (a.currency || 'USD').localeCompare(b.currency || 'USD')
+            : () => 0;
+        const compare = (a, b) => (typeof a === 'number' && typeof b === 'number')
+            ? a - b
+            : String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+
+        return invoices
+            .map(inv => ({ inv, value: getValue(inv) }))
+            .sort((a, b) => byCurrency(a.inv, b.inv) || sign * compare(a.value, b.value) ||
+                (b.inv.createdDate || '').localeCompare(a.inv.createdDate || ''))
+            .map(entry => entry.inv);
+    },
+
+    /**
+     * Amount taken off by a discount, never more than the amount itself
+     * @param {Object|null} discount - { type: 'percent' | 'fixed', value }
+     * @param {number} amount - Minor units the discount applies to
+     * @param {string} currency
+     * @param {string} mode - Rounding mode
+     * @returns {number} Minor units
+     */
+    calculateDiscount(discount, amount, currency, mode) {
+        if (!discount || !discount.value || amount <= 0) return 0;
+        const value = discount.type === 'percent'
+            ? Money.percentOfMinor(amount, Math.min(discount.value, 100), mode)
+            : Money.toMinor(discount.value, currency, mode);
+        return Math.min(Math.max(value, 0), amount);
+    },
+
+    /**
+     * Parse discount input: "10%" is a percentage, "25" a fixed amount
+     * @param {string} text
+     * @returns {Object|null} { type, value } or null when empty/zero
+     */
+    parseDiscount(text) {
+        const input = String(text || '').trim();
+        const value = parseFloat(input);
+        if (!input || isNaN(value) || value <= 0) return null;
+        return { type: input.endsWith('%') ? 'percent' : 'fixed', value: value };
+    },
+
+    /**
+     * Format a discount back into its input form ("10%" or "25")
+     * @param {Object|null} discount
+     * @returns {string}
+     */
+    formatDiscountInput(discount) {
+        if (!discount || !discount.value) return '';
+        return discount.type === 'percent' ? discount.value + '%' : String(discount.value);
+    },
+
+    /**
+     * Label for a discount total row, e.g. "Discount (10%)"
+     * @param {Object|null} discount
+     * @param {string} language - Defaults to the UI language
+     * @returns {string}
+     */
+    formatDiscountLabel(discount, language = I18n.language) {
+        return discount && discount.type === 'percent'
+            ? I18n.t('document.discountPercent', { value: this.formatNumber(discount.value, language) }, language)
+            : I18n.t('document.discount', {}, language);
+    },
+
+    /**
+     * Find a tax category by ID
+     * @param {Array} categories
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    findTaxCategory(categories, id) {
+        if (!id) return null;
+        const term = String(id).toLowerCase();
+        return (categories || []).find(c => c.id.toLowerCase() === term) || null;
+    },
+
+    /**
+     * Label for a tax breakdown entry, e.g. "GST (5%)"
+     * @param {Object} tax - Breakdown entry or component
+     * @param {string} language - Defaults to the UI language
+     * @returns {string}
+     */
+    formatTaxLabel(tax, language = I18n.language) {
+        const params = { name: tax.name, rate: this.formatNumber(tax.rate, language) };
+        return I18n.t(tax.compound ? 'document.taxRateCompound' : 'document.taxRate', params, language);
+    },
+
+    /**
+     * Sum an amount per currency, never across currencies
+     * @param {Array} invoices
+     * @param {Function} getAmount - Amount to add for an invoice
+     * @returns {Object} Map of currency code to total
+     */
+    sumByCurrency(invoices, getAmount) {
+        const minorTotals = {};
+        invoices.forEach(inv => {
+            const currency = inv.currency || 'USD';
+            minorTotals[currency] = (minorTotals[currency] || 0) + Money.toMinor(getAmount(inv) || 0, currency);
+        });
+
+        const totals = {};
+        Object.keys(minorTotals).forEach(currency => {
+            totals[currency] = Money.fromMinor(minorTotals[currency], currency);
+        });
+        return totals;
+    },
+
+    REPORT_PERIODS: ['month', 'quarter', 'year'],
+
+    // Receivables aging buckets by days past the due date; max is inclusive
+    AGING_BUCKETS: [
+        { key: 'current', label: 'Current', max: 0 },
+        { key: 'days30', label: '1–30 Days', max: 30 },
+        { key: 'days60', label: '31–60 Days', max: 60 },
+        { key: 'days90', label: '61–90 Days', max: 90 },
+        { key: 'over90', label: '90+ Days', max: Infinity }
+    ],
+
+    /**
+     * Whether an invoice counts as billed in reports (drafts, void invoices and quotes don't)
+     * @param {Object} invoice
+     * @returns {boolean}
+     */
+    isBilled(invoice) {
+        return !this.isQuote(invoice) && invoice.status !== 'draft' && invoice.status !== 'void';
+    },
+
+    /**
+     * Reporting period a yyyy-mm-dd date falls in
+     * @param {string} dateString
+     * @param {string} period - month | quarter | year
+     * @returns {string} Sortable key: '2026-03', '2026-Q1' or '2026'
+     */
+    periodKey(dateString, period) {
+        const [year, month] = dateString.split('-');
+        if (period === 'year') return year;
+        if (period === 'quarter') return `${year}-Q${Math.ceil(parseInt(month, 10) / 3)}`;
+        return `${year}-${month}`;
+    },
+
+    /**
+     * Human-readable period label
+     * @param {string} key - From periodKey
+     * @param {string} language - Defaults to the UI language
+     * @returns {string} e.g. 'Mar 2026', 'Q1 2026', '2026'
+     */
+    formatPeriod(key, language = I18n.language) {
+        const [year, part] = key.split('-');
+        if (!part) return year;
+        if (part.startsWith('Q')) return `${part} ${year}`;
+        return new Intl.DateTimeFormat(I18n.locale(language), { year: 'numeric', month: 'short' })
+            .format(new Date(year, parseInt(part, 10) - 1, 1));
+    },
+
+    /**
+     * Billed and received amounts per period and currency. Billed follows the
+     * invoice date, received follows each payment's date
+     * @param {Array} invoices
+     * @param {string} period - month | quarter | year
+     * @returns {Array} [{ period, currency, billed, paid, invoices }], oldest first
+     */
+    revenueByPeriod(invoices, period = 'month') {
+        const rows = new Map();
+        const row = (date, currency) => {
+            const key = `${this.periodKey(date, period)}|${currency}`;
+            if (!rows.has(key)) {
+                rows.set(key, { period: this.periodKey(date, period), currency, billed: 0, paid: 0, invoices: 0 });
+            }
+            return rows.get(key);
+        };
+
+        invoices.filter(inv => this.isBilled(inv)).forEach(inv => {
+            const currency = inv.currency || 'USD';
+            const billed = row(this.INVOICE_SORT_FIELDS.date(inv), currency);
+            billed.billed += Money.toMinor(inv.total || 0, currency);
+            billed.invoices++;
+            (inv.payments || []).filter(p => p.date).forEach(p => {
+                row(p.date, currency).paid += Money.toMinor(p.amount || 0, currency);
+            });
+        });
+
+        return [...rows.values()]
+            .sort((a, b) => a.period.localeCompare(b.period) || a.currency.localeCompare(b.currency))
+            .map(r => ({
+                ...r,
+                billed: Money.fromMinor(r.billed, r.currency),
+                paid: Money.fromMinor(r.paid, r.currency)
+            }));
+    },
+
+    /**
+     * Billed, paid and outstanding amounts per client and currency
+     * @param {Array} invoices
+     * @param {string} rankBy - 'billed' or 'paid'
+     * @returns {Array} [{ client, currency, billed, paid, outstanding, invoices }], largest first
+     */
+    clientTotals(invoices, rankBy = 'billed') {
+        const rows = new Map();
+
+        invoices.filter(inv => this.isBilled(inv)).forEach(inv => {
+            const currency = inv.currency || 'USD';
+            const name = (inv.client && inv.client.name) || '';
+            // Group by address book entry when there is one, so renamed clients stay together
+            const key = `${inv.clientId || name.toLowerCase()}|${currency}`;
+            if (!rows.has(key)) {
+                rows.set(key, { client: name, currency, billed: 0, paid: 0, outstanding: 0, invoices: 0 });
+            }
+            const row = rows.get(key);
+            row.billed += Money.toMinor(inv.total || 0, currency);
+            row.paid += Money.toMinor(inv.amountPaid || 0, currency);
+            row.outstanding += Money.toMinor(inv.balanceDue || 0, currency);
+            row.invoices++;
+        });
+
+        const field = rankBy === 'paid' ? 'paid' : 'billed';
+        return [...rows.values()]
+            .sort((a, b) => b[field] - a[field] || a.client.localeCompare(b.client))
+            .map(r => ({
+                ...r,
+                billed: Money.fromMinor(r.billed, r.currency),
+                paid: Money.fromMinor(r.paid, r.currency),
+                outstanding: Money.fromMinor(r.outstanding, r.currency)
+            }));
+    },
+
+    /**
+     * Open balances per client and currency, bucketed by days past the due date
+     * @param {Array} invoices
+     * @param {string} today - yyyy-mm-dd, defaults to the current date
+     * @returns {Array} [{ client, currency, current, days30, days60, days90, over90, total }]
+     */
+    receivablesAging(invoices, today = new Date().toISOString().split('T')[0]) {
+        const rows = new Map();
+        const keys = [...this.AGING_BUCKETS.map(b => b.key), 'total'];
+
+        invoices
+            .filter(inv => (inv.status === 'sent' || inv.status === 'partial') && (inv.balanceDue || 0) > 0)
+            .forEach(inv => {
+                const currency = inv.currency || 'USD';
+                const name = (inv.client && inv.client.name) || '';
+                const key = `${inv.clientId || name.toLowerCase()}|${currency}`;
+                if (!rows.has(key)) {
+                    const row = { client: name, currency };
+                    keys.forEach(k => { row[k] = 0; });
+                    rows.set(key, row);
+                }
+
+                const row = rows.get(key);
+                const daysPastDue = inv.dueDate ? this.daysBetween(inv.dueDate, today) : 0;
+                const bucket = this.AGING_BUCKETS.find(b => daysPastDue <= b.max);
+                const balance = Money.toMinor(inv.balanceDue, currency);
+                row[bucket.key] += balance;
+                row.total += balance;
+            });
+
+        return [...rows.values()]
+            .sort((a, b) => a.currency.localeCompare(b.currency) || b.total - a.total)
+            .map(r => {
+                keys.forEach(k => { r[k] = Money.fromMinor(r[k], r.currency); });
+                return r;
+            });
+    },
+
+    // Invoice, client and line item fields a spreadsheet column can be imported into.
+    // The English label and the aliases are matched against the column headings to
+    // suggest a mapping; the UI shows the 'import.field.' and 'import.group.' messages.
+    IMPORT_FIELDS: {
+        invoiceNumber: { group: 'invoice', label: 'Invoice number', aliases: ['invoice', 'invoice no', 'invoice #', 'number', 'no'] },
+        createdDate: { group: 'invoice', label: 'Invoice date', aliases: ['date', 'issue date', 'issued'] },
+        dueDate: { group: 'invoice', label: 'Due date', aliases: ['due', 'payment due'] },
+        status: { group: 'invoice', label: 'Status', aliases: ['state'] },
+        currency: { group: 'invoice', label: 'Currency', aliases: ['ccy'] },
+        amountPaid: { group: 'invoice', label: 'Amount paid', aliases: ['paid', 'payments'] },
+        notes: { group: 'invoice', label: 'Notes', aliases: ['memo', 'comments'] },
+        clientName: { group: 'client', label: 'Client name', aliases: ['client', 'customer', 'customer name', 'company', 'bill to'] },
+        clientEmail: { group: 'client', label: 'Client email', aliases: ['email', 'e-mail', 'customer email'] },
+        clientAddress: { group: 'client', label: 'Client address', aliases: ['address', 'billing address', 'customer address'] },
+        itemName: { group: 'item', label: 'Item code', aliases: ['item', 'code', 'sku', 'product'] },
+        description: { group: 'item', label: 'Description', aliases: ['item description', 'details', 'service'] },
+        quantity: { group: 'item', label: 'Quantity', aliases: ['qty', 'hours', 'units'] },
+        unit: { group: 'item', label: 'Unit', aliases: ['uom'] },
+        rate: { group: 'item', label: 'Rate', aliases: ['price', 'unit price', 'unit cost'] },
+        lineAmount: { group: 'item', label: 'Line amount', aliases: ['amount', 'line total'] },
+        discount: { group: 'item', label: 'Line discount', aliases: [] },
+        taxCategory: { group: 'item', label: 'Tax category', aliases: ['tax', 'tax code', 'vat'] }
+    },
+
+    // Fields every import mapping needs
+    IMPORT_REQUIRED_FIELDS: ['invoiceNumber', 'createdDate', 'clientName'],
+
+    // Orders a date cell with day, month and year can be read in, with the message
+    // that names each; yyyy-mm-dd reads the same in both
+    IMPORT_DATE_ORDERS: { dmy: 'import.order.dmy', mdy: 'import.order.mdy' },
+
+    /**
+     * Date order usually written in the UI language: month first in US English, day first otherwise
+     * @param {string} language - Defaults to the UI language
+     * @returns {string} An IMPORT_DATE_ORDERS key
+     */
+    defaultImportDateOrder(language = I18n.language) {
+        return I18n.locale(language) === 'en-US' ? 'mdy' : 'dmy';
+    },
+
+    /**
+     * Decimal separator the UI language writes numbers with
+     * @param {string} language - Defaults to the UI language
+     * @returns {string} '.' or ','
+     */
+    defaultImportDecimal(language = I18n.language) {
+        const part = new Intl.NumberFormat(I18n.locale(language)).formatToParts(1.5).find(p => p.type === 'decimal');
+        return part && part.value === ',' ? ',' : '.';
+    },
+
+    /**
+     * Suggest a field for each column from its heading; each field is used once
+     * @param {Array<string>} headers - First row of the sheet
+     * @returns {Array<string>} IMPORT_FIELDS key per column, '' to skip it
+     */
+    guessImportMapping(headers) {
+        const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9#]+/g, ' ').trim();
+        const taken = new Set();
+        return headers.map(header => {
+            const name = normalize(header);
+            const field = Object.keys(this.IMPORT_FIELDS).find(key => {
+                const names = [key, this.IMPORT_FIELDS[key].label, ...this.IMPORT_FIELDS[key].aliases];
+                return !taken.has(key) && names.some(candidate => normalize(candidate) === name);
+            });
+            if (field) taken.add(field);
+            return field || '';
+        });
+    },
+
+    /**
+     * Group sheet rows into invoices by invoice number. Rows with the same number
+     * add line items to one invoice; a row with no number continues the invoice above.
+     * @param {Array<Array>} rows - Sheet rows after the heading row
+     * @param {Array<string>} mapping - IMPORT_FIELDS key per column
+     * @param {Object} settings - Currency, rounding, tax categories and payment terms to fall back on
+     * @param {string} dateOrder - IMPORT_DATE_ORDERS key the date cells are read in
+     * @param {string} decimal - Decimal separator of the number cells, '.' or ','
+     * @returns {Array} [{ invoice, errors, rows }] - rows: sheet row numbers the invoice came from
+     */
+    buildImportedInvoices(rows, mapping, settings, dateOrder = this.defaultImportDateOrder(), decimal = this.defaultImportDecimal()) {
+        const column = mapping.indexOf('invoiceNumber');
+        const groups = [];
+        const byNumber = new Map();
+        let current = null;
+
+        rows.forEach((row, index) => {
+            if (row.every(value => this.importCellText(value) === '')) return;
+            const number = column < 0 ? '' : this.importCellText(row[column]);
+            if (number || !current) {
+                current = byNumber.get(number);
+                if (!current) {
+                    current = { number: number, rows: [], rowNumbers: [] };
+                    groups.push(current);
+                    if (number) byNumber.set(number, current);
+                }
+            }
+            current.rows.push(row);
+            // +2: sheet rows count from 1 and the heading row comes first
+            current.rowNumbers.push(index + 2);
+        });
+
+        // A date that only reads in the other order means the file doesn't follow the chosen one
+        const other = dateOrder === 'mdy' ? 'dmy' : 'mdy';
+        const dateColumns = ['createdDate', 'dueDate'].map(field => mapping.indexOf(field)).filter(i => i >= 0);
+        const dates = {
+            order: dateOrder,
+            mixed: rows.some(row => dateColumns.some(i => (
+                !this.parseImportDate(row[i], dateOrder) && this.parseImportDate(row[i], other)
+            )))
+        };
+
+        return groups.map(group => this.buildImportedInvoice(group, mapping, settings, dates, decimal));
+    },
+
+    /**
+     * Build one invoice from its group of sheet rows
+     * @param {Object} group - { number, rows, rowNumbers }
+     * @param {Array<string>} mapping - IMPORT_FIELDS key per column
+     * @param {Object} settings
+     * @param {Object} dates - { order, mixed }: the date order, and whether some dates only read in the other
+     * @param {string} decimal - Decimal separator of the number cells
+     * @returns {Object} { invoice, errors, rows }
+     */
+    buildImportedInvoice(group, mapping, settings, dates, decimal) {
+        const errors = [];
+        const text = (value) => this.importCellText(value);
+        const cell = (row, field) => (mapping.includes(field) ? row[mapping.indexOf(field)] : '');
+        const first = (field) => {
+            const row = group.rows.find(r => text(cell(r, field)) !== '');
+            return row ? cell(row, field) : '';
+        };
+
+        const invoice = this.createEmptyInvoice();
+        invoice.invoiceNumber = group.number;
+        if (!group.number) errors.push(I18n.t('import.missingNumber'));
+        invoice.currency = (text(first('currency')) || settings.currency || 'USD').toUpperCase();
+        if (!this.isCurrencyCode(invoice.currency)) {
+            errors.push(I18n.t('import.notCurrency', { value: text(first('currency')) }));
+            invoice.currency = settings.currency || 'USD';
+        }
+        invoice.rounding = { ...invoice.rounding, ...settings.rounding };
+
+        // Dates read in the chosen order. When the file also has dates that only
+        // read in the other order, a date that reads both ways is not guessed.
+        const other = dates.order === 'mdy' ? 'dmy' : 'mdy';
+        const date = (value) => {
+            const parsed = this.parseImportDate(value, dates.order);
+            const otherwise = this.parseImportDate(value, other);
+            if (!parsed) {
+                errors.push(otherwise
+                    ? I18n.t('import.notDateInOrder', { value: text(value), order: I18n.t(this.IMPORT_DATE_ORDERS[dates.order]) })
+                    : I18n.t('import.notDate', { value: text(value) }));
+            } else if (dates.mixed && otherwise && otherwise !== parsed) {
+                errors.push(I18n.t('import.ambiguousDate', {
+                    value: text(value),
+                    dmy: I18n.t(this.IMPORT_DATE_ORDERS.dmy),
+                    mdy: I18n.t(this.IMPORT_DATE_ORDERS.mdy)
+                }));
+                return null;
+            }
+            return parsed;
+        };
+
+        if (text(first('createdDate'))) {
+            invoice.createdDate = date(first('createdDate')) || invoice.createdDate;
+        } else {
+            errors.push(I18n.t('import.missingDate'));
+        }
+        if (text(first('dueDate'))) {
+            invoice.dueDate = date(first('dueDate')) || invoice.dueDate;
+        } else {
+            invoice.dueDate = this.computeDueDate(invoice.createdDate, this.resolvePaymentTerms(settings));
+        }
+
+        const status = this.parseImportStatus(first('status'));
+        if (status) {
+            invoice.status = status;
+        } else {
+            errors.push(I18n.t('import.unknownStatus', { value: text(first('status')) }));
+        }
+
+        invoice.client = {
+            name: text(first('clientName')),
+            email: text(first('clientEmail')),
+            address: text(first('clientAddress'))
+        };
+        invoice.notes = text(first('notes'));
+
+        // One line item per row that has any line item field
+        const categories = settings.taxCategories || [];
+        const itemFields = Object.keys(this.IMPORT_FIELDS).filter(key => this.IMPORT_FIELDS[key].group === 'item');
+        group.rows.forEach((row, i) => {
+            if (itemFields.every(field => text(cell(row, field)) === '')) return;
+            const rowNumber = group.rowNumbers[i];
+            const number = (field, fallback) => {
+                if (text(cell(row, field)) === '') return fallback;
+                const value = this.parseImportNumber(cell(row, field), decimal);
+                if (value === null) errors.push(I18n.t('import.notNumber', { row: rowNumber, value: text(cell(row, field)) }));
+                return value === null ? fallback : value;
+            };
+
+            const item = this.createLineItem();
+            item.itemName = text(cell(row, 'itemName'));
+            item.description = text(cell(row, 'description'));
+            item.unit = text(cell(row, 'unit'));
+            item.quantity = number('quantity', 1);
+            const lineAmount = number('lineAmount', null);
+            item.rate = number('rate', lineAmount !== null && item.quantity ? lineAmount / item.quantity : 0);
+            item.discount = this.parseDiscount(text(cell(row, 'discount')));
+
+            const tax = text(cell(row, 'taxCategory')).toLowerCase();
+            const category = tax && categories.find(c => c.id.toLowerCase() === tax || (c.name || '').toLowerCase() === tax);
+            if (tax && !category) errors.push(I18n.t('import.unknownTaxCategory', { row: rowNumber, value: text(cell(row, 'taxCategory')) }));
+            item.taxCategory = tax ? (category ? category.id : '') : settings.defaultTaxCategory || '';
+            invoice.items.push(item);
+        });
+        invoice.taxCategories = JSON.parse(JSON.stringify(
+            categories.filter(c => invoice.items.some(item => item.taxCategory === c.id))
+        ));
+        this.calculateInvoice(invoice);
+
+        // What was paid becomes one payment on the due date; paid invoices with
+        // no amount are taken as paid in full
+        let paid = null;
+        if (text(first('amountPaid'))) {
+            paid = this.parseImportNumber(first('amountPaid'), decimal);
+            if (paid === null) errors.push(I18n.t('import.notAmount', { value: text(first('amountPaid')) }));
+        } else if (status === 'paid') {
+            paid = invoice.total;
+        }
+        if (paid > 0) {
+            invoice.payments = [this.createPayment(paid, invoice.dueDate)];
+        } else if (status === 'partial') {
+            errors.push(I18n.t('import.partialNeedsAmount'));
+        }
+        this.calculateInvoice(invoice);
+
+        return { invoice: invoice, errors: errors, rows: group.rowNumbers };
+    },
+
+    /**
+     * Text of a spreadsheet cell; date cells become yyyy-mm-dd
+     * @param {*} value
+     * @returns {string}
+     */
+    importCellText(value) {
+        if (value instanceof Date) return this.parseImportDate(value) || '';
+        return value === null || value === undefined ? '' : String(value).trim();
+    },
+
+    /**
+     * Read a date cell: a Date from the spreadsheet, yyyy-mm-dd (optionally with a
+     * time), or day, month and four-digit year separated by '/', '.' or '-' in the
+     * given order. Nothing else is guessed at.
+     * @param {*} value
+     * @param {string} order - IMPORT_DATE_ORDERS key for day-month-year cells
+     * @returns {string|null} yyyy-mm-dd, or null when it isn't a real date in that form
+     */
+    parseImportDate(value, order = 'dmy') {
+        const pad = (n) => String(n).padStart(2, '0');
+        if (value instanceof Date) {
+            return isNaN(value) ? null : `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+        }
+
+        const build = (year, month, day) => {
+            const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+            return date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day)
+                ? `${year}-${pad(month)}-${pad(day)}`
+                : null;
+        };
+        const input = String(value || '').trim();
+        const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/.exec(input);
+        if (iso) return build(iso[1], iso[2], iso[3]);
+
+        const parts = /^(\d{1,2})([/.-])(\d{1,2})\2(\d{4})$/.exec(input);
+        if (!parts) return null;
+        return order === 'mdy' ? build(parts[4], parts[1], parts[3]) : build(parts[4], parts[3], parts[1]);
+    },
+
+    /**
+     * Read a number cell with the given decimal separator; currency symbols are
+     * ignored and the other separator may only group thousands ("1,234.50" or
+     * "1.234,50"). "1.234" is 1.234 or 1234 depending on the separator, never a guess.
+     * @param {*} value
+     * @param {string} decimal - '.' or ','
+     * @returns {number|null} null when it isn't a number written that way
+     */
+    parseImportNumber(value, decimal = '.') {
+        if (typeof value === 'number') return isFinite(value) ? value : null;
+
+        const group = decimal === ',' ? '.' : ',';
+        const input = String(value || '').replace(/[^\d.,-]/g, '');
+        const [whole, fraction, extra] = input.split(decimal);
+        if (extra !== undefined || (fraction !== undefined && !/^\d+$/.test(fraction))) return null;
+        // Grouped digits come in threes, so "1,5" isn't read as 15 when the point is the decimal separator
+        if (whole.includes(group) && !new RegExp(`^-?\\d{1,3}(\\${group}\\d{3})+$`).test(whole)) return null;
+
+        const plain = whole.split(group).join('') + (fraction === undefined ? '' : '.' + fraction);
+        const number = Number(plain);
+        return plain === '' || isNaN(number) ? null : number;
+    },
+
+    /**
+     * Read a status cell by id or name, in English or the UI language.
+     * Empty cells are taken as sent; overdue is stored as sent.
+     * @param {*} value
+     * @returns {string|null} null when the status is unknown
+     */
+    parseImportStatus(value) {
+        const name = this.importCellText(value).toLowerCase();
+        if (!name) return 'sent';
+        if (name === 'overdue' || name === this.formatStatus('overdue').toLowerCase()) return 'sent';
+        return this.STATUSES.find(status => (
+            status === name ||
+            this.formatStatus(status, 'en').toLowerCase() === name ||
+            this.formatStatus(status).toLowerCase() === name
+        )) || null;
+    },
+
+    /**
+     * Whether Intl can format amounts in this currency
+     * @param {string} code
+     * @returns {boolean}
+     */
+    isCurrencyCode(code) {
+        if (!/^[A-Z]{3}$/.test(code)) return false;
+        try {
+            new Intl.NumberFormat('en', { style: 'currency', currency: code });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
     /**
      * Format currency
      * @param {number} amount
      * @param {string} currency
+     * @param {string} language - Defaults to the UI language
      * @returns {string}
      */
-    formatCurrency(amount, currency = 'USD') {
-        return new Intl.NumberFormat('en-US', {
+    formatCurrency(amount, currency = 'USD', language = I18n.language) {
+        return new Intl.NumberFormat(I18n.locale(language), {
             style: 'currency',
-            currency: currency
+            currency: currency || 'USD'
         }).format(amount);
     },
+
+    /**
+     * Format a plain number such as a quantity or rate, with the language's separators
+     * @param {number|string} value
+     * @param {string} language - Defaults to the UI language
+     * @returns {string}
+     */
+    formatNumber(value, language = I18n.language) {
+        const number = Number(value);
+        if (!isFinite(number)) return String(value);
+        return new Intl.NumberFormat(I18n.locale(language), { maximumFractionDigits: 10 }).format(number);
+    },
     
     /**
      * Format date
      * @param {string} dateString
+     * @param {string} language - Defaults to the UI language
      * @returns {string}
      */
-    formatDate(dateString) {
+    formatDate(dateString, language = I18n.language) {
         if (!dateString) return '';
         // Handle ISO date string (yyyy-mm-dd) to avoid timezone issues by treating as UTC or local consistently
         // For display simplicity we can just parse parts if needed, but Date object usually works if browser locale is set
@@ -91,7 +1755,7 @@ const Model = {
         const parts = dateString.split('-');
         if (parts.length === 3) {
             const date = new Date(parts[0], parts[1] - 1, parts[2]);
-            return new Intl.DateTimeFormat('en-US', {
+            return new Intl.DateTimeFormat(I18n.locale(language), {
                 year: 'numeric', 
                 month: 'short', 
                 day: 'numeric'
@@ -100,5 +1764,66 @@ const Model = {
         
         // Fallback
         return dateString;
+    },
+
+    /**
+     * Format an ISO timestamp with date and time
+     * @param {string} isoString
+     * @param {string} language - Defaults to the UI language
+     * @returns {string}
+     */
+    formatDateTime(isoString, language = I18n.language) {
+        if (!isoString) return '';
+        if (!isoString.includes('T')) return this.formatDate(isoString, language);
+        return new Intl.DateTimeFormat(I18n.locale(language), {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        }).format(new Date(isoString));
+    },
+
+    /**
+     * Add days to a yyyy-mm-dd date
+     * @param {string} dateString
+     * @param {number} days
+     * @returns {string} yyyy-mm-dd
+     */
+    addDays(dateString, days) {
+        const date = new Date(dateString + 'T00:00:00Z');
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    },
+
+    /**
+     * Whole days from one yyyy-mm-dd date to another
+     * @param {string} from
+     * @param {string} to
+     * @returns {number}
+     */
+    daysBetween(from, to) {
+        if (!from || !to) return 0;
+        return Math.round((new Date(to + 'T00:00:00Z') - new Date(from + 'T00:00:00Z')) / 86400000);
+    },
+
+    /**
+     * Advance a yyyy-mm-dd date by one period of a recurring frequency
+     * @param {string} dateString
+     * @param {string} frequency - weekly | monthly | quarterly | yearly
+     * @param {number} anchorDay - Preferred day of month; defaults to the date's own day
+     * @returns {string} yyyy-mm-dd
+     */
+    addInterval(dateString, frequency, anchorDay = null) {
+        if (frequency === 'weekly') {
+            return this.addDays(dateString, 7);
+        }
+
+        const months = { monthly: 1, quarterly: 3, yearly: 12 }[frequency] || 1;
+        const [year, month, day] = dateString.split('-').map(Number);
+        const target = new Date(Date.UTC(year, month - 1 + months, 1));
+        const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+        target.setUTCDate(Math.min(anchorDay || day, lastDay));
+        return target.toISOString().split('T')[0];
     }
 };
\ No newline at end of file
@@ -0,0 +1,180 @@
+/**
+ * Money
+ * Exact decimal arithmetic for monetary amounts.
+ * Amounts are worked in integer minor units (cents); decimal inputs such as
+ * quantities, rates and percentages are multiplied exactly with BigInt and
+ * rounded once, with an explicit rounding mode.
+ */
+
+const Money = {
+    ROUNDING_MODES: ['half-up', 'half-even'],
+
+    // Cache of currency code -> number of minor digits
+    _digits: {},
+
+    /**
+     * Number of minor unit digits for a currency (2 for USD, 0 for JPY)
+     * @param {string} currency
+     * @returns {number}
+     */
+    minorDigits(currency = 'USD') {
+        if (!(currency in this._digits)) {
+            try {
+                this._digits[currency] = new Intl.NumberFormat('en-US', {
+                    style: 'currency',
+                    currency: currency
+                }).resolvedOptions().maximumFractionDigits;
+            } catch (e) {
+                this._digits[currency] = 2;
+            }
+        }
+        return this._digits[currency];
+    },
+
+    /**
+     * Parse a number or numeric string into an exact decimal
+     * @param {number|string} value
+     * @returns {Object} { units: BigInt, scale: number } where value = units / 10^scale
+     */
+    decimal(value) {
+        const text = typeof value === 'number' ? String(value) : String(value || '0').trim();
+        const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+        if (!match || !isFinite(parseFloat(text))) {
+            return { units: 0n, scale: 0 };
+        }
+
+        const [, sign, whole, fraction = '', exponent = '0'] = match;
+        let digits = (whole || '0') + fraction;
+        let scale = fraction.length - parseInt(exponent, 10);
+        if (scale < 0) {
+            digits += '0'.repeat(-scale);
+            scale = 0;
+        }
+
+        const units = BigInt(digits);
+        return { units: sign === '-' ? -units : units, scale: scale };
+    },
+
+    /**
+     * Divide two BigInts, rounding the quotient to an integer
+     * @param {BigInt} numerator
+     * @param {BigInt} denominator - Must be positive
+     * @param {string} mode - 'half-up' (ties away from zero) or 'half-even'
+     * @returns {BigInt}
+     */
+    divRound(numerator, denominator, mode = 'half-up') {
+        const negative = numerator < 0n;
+        const n = negative ? -numerator : numerator;
+        let quotient = n / denominator;
+        const twiceRemainder = (n % denominator) * 2n;
+
+        if (twiceRemainder > denominator) {
+            quotient += 1n;
+        } else if (twiceRemainder === denominator) {
+            if (mode === 'half-even') {
+                quotient += quotient % 2n;
+            } else {
+                quotient += 1n;
+            }
+        }
+
+        return negative ? -quotient : quotient;
+    },
+
+    /**
+     * Round a major-unit amount to minor units
+     * @param {number|string} amount
+     * @param {string} currency
+     * @param {string} mode - Rounding mode
+     * @returns {number} Integer minor units
+     */
+    toMinor(amount, currency, mode) {
+        const d = this.decimal(amount);
+        const digits = this.minorDigits(currency);
+        return this._scaleToMinor(d.units, d.scale, digits, mode);
+    },
+
+    /**
+     * Convert minor units back to a major-unit number
+     * @param {number} minor - Integer minor units
+     * @param {string} currency
+     * @returns {number}
+     */
+    fromMinor(minor, currency) {
+        const digits = this.minorDigits(currency);
+        return digits === 0 ? minor : minor / Math.pow(10, digits);
+    },
+
+    /**
+     * Exact product of two decimals (e.g. quantity x rate), rounded to minor units
+     * @param {number|string} a
+     * @param {number|string} b
+     * @param {string} currency
+     * @param {string} mode - Rounding mode
+     * @returns {number} Integer minor units
+     */
+    multiplyToMinor(a, b, currency, mode) {
+        const x = this.decimal(a);
+        const y = this.decimal(b);
+        return this._scaleToMinor(x.units * y.units, x.scale + y.scale, this.minorDigits(currency), mode);
+    },
+
+    /**
+     * A percentage of a minor-unit amount, rounded to minor units
+     * @param {number} minor - Integer minor units
+     * @param {number|string} percent - e.g. 7.5 for 7.5%
+     * @param {string} mode - Rounding mode
+     * @returns {number} Integer minor units
+     */
+    percentOfMinor(minor, percent, mode) {
+        const p = this.decimal(percent);
+        const denominator = 100n * 10n ** BigInt(p.scale);
+        return Number(this.divRound(BigInt(minor) * p.units, denominator, mode));
+    },
+
+    /**
+     * Split a minor-unit amount over weights without losing a cent
+     * (largest remainder method)
+     * @param {number} totalMinor - Amount to split
+     * @param {Array<number>} weights - Non-negative minor-unit weights
+     * @returns {Array<number>} Shares, summing to totalMinor
+     */
+    allocate(totalMinor, weights) {
+        const weightSum = weights.reduce((sum, w) => sum + w, 0);
+        if (weightSum <= 0) return weights.map(() => 0);
+
+        const total = BigInt(totalMinor);
+        const sum = BigInt(weightSum);
+        const shares = weights.map(w => (total * BigInt(w)) / sum);
+        const remainders = weights.map((w, i) => ({ i, r: (total * BigInt(w)) % sum }));
+
+        let left = total - shares.reduce((acc, share) => acc + share, 0n);
+        remainders.sort((a, b) => (b.r > a.r ? 1 : b.r < a.r ? -1 : a.i - b.i));
+        for (let k = 0; left > 0n; k++, left--) {
+            shares[remainders[k].i] += 1n;
+        }
+
+        return shares.map(Number);
+    },
+
+    /**
+     * Sum major-unit amounts exactly
+     * @param {Array<number>} amounts
+     * @param {string} currency
+     * @returns {number} Major units
+     */
+    sum(amounts, currency) {
+        const minor = amounts.reduce((acc, amount) => acc + this.toMinor(amount || 0, currency), 0);
+        return this.fromMinor(minor, currency);
+    },
+
+    /**
+     * Internal: Rescale units/10^scale to minor units with rounding
+     */
+    _scaleToMinor(units, scale, digits, mode) {
+        if (scale <= digits) {
+            return Number(units * 10n ** BigInt(digits - scale));
+        }
+        return Number(this.divRound(units, 10n ** BigInt(scale - digits), mode));
+    }
+};
@@ -0,0 +1,377 @@
+/**
+ * Storage Adapters
+ * Persistence backends for Storage. Storage keeps the working data in memory
+ * and hands every change to one adapter.
+ *
+ * Adapter interface:
+ *   name           - Identifier shown in logs
+ *   isAvailable()  - Whether the backend can be used in this browser
+ *   open()         - async; prepare the backend (may reject)
+ *   load()         - async; resolve the stored application data, or null when empty
+ *   save(data)     - Persist the full application data. May return a Promise;
+ *                    failures throw/reject with a StorageError
+ *   clear()        - async; remove the application data
+ *   saveBackup(b)  - async; keep a copy of the data apart from it (see Storage._keepUpgradeBackup)
+ *   loadBackup()   - async; resolve that copy, or null
+ */
+
+const LocalStorageAdapter = {
+    name: 'localStorage',
+
+    /**
+     * Check that localStorage can be written
+     * @returns {boolean}
+     */
+    isAvailable() {
+        try {
+            const x = '__storage_test__';
+            localStorage.setItem(x, x);
+            localStorage.removeItem(x);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    async open() {
+        if (!this.isAvailable()) {
+            throw new StorageError(I18n.t('error.unavailable'), 'UNAVAILABLE');
+        }
+    },
+
+    /**
+     * Read the stored data blob
+     * @returns {Promise<Object|null>}
+     */
+    async load() {
+        const rawData = localStorage.getItem(STORAGE_KEY);
+        return rawData ? JSON.parse(rawData) : null;
+    },
+
+    /**
+     * Write the whole dataset as one string. Synchronous, so quota errors
+     * reach the caller immediately.
+     * @param {Object} data
+     * @throws {StorageError}
+     */
+    save(data) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+        } catch (e) {
+            if (this._isQuotaExceeded(e)) {
+                console.error('LocalStorage quota exceeded');
+                throw new StorageError(I18n.t('error.storageFull'), 'QUOTA_EXCEEDED');
+            } else {
+                console.error('Error saving to localStorage', e);
+                throw new StorageError(I18n.t('error.writeFailed'), 'WRITE_ERROR');
+            }
+        }
+    },
+
+    async clear() {
+        localStorage.removeItem(STORAGE_KEY);
+    },
+
+    /**
+     * Keep a backup under its own key
+     * @param {Object} backup
+     * @returns {Promise<void>} Rejects with a StorageError
+     */
+    async saveBackup(backup) {
+        try {
+            localStorage.setItem(UPGRADE_BACKUP_KEY, JSON.stringify(backup));
+        } catch (e) {
+            throw new StorageError(I18n.t('error.backupWriteFailed'), this._isQuotaExceeded(e) ? 'QUOTA_EXCEEDED' : 'WRITE_ERROR');
+        }
+    },
+
+    /**
+     * @returns {Promise<Object|null>}
+     */
+    async loadBackup() {
+        const rawData = localStorage.getItem(UPGRADE_BACKUP_KEY);
+        return rawData ? JSON.parse(rawData) : null;
+    },
+
+    /**
+     * Internal: Check if error is quota exceeded
+     */
+    _isQuotaExceeded(e) {
+        return (
+            e instanceof DOMException &&
+            // everything except Firefox
+            (e.code === 22 ||
+            // Firefox
+            e.code === 1014 ||
+            // test name field too, because code might not be present
+            // everything except Firefox
+            e.name === 'QuotaExceededError' ||
+            // Firefox
+            e.name === 'NS_ERROR_DOM_QUOTA_REACHED') &&
+            // acknowledge QuotaExceededError only if there's something already stored
+            (localStorage && localStorage.length !== 0)
+        );
+    }
+};
+
+const IndexedDBAdapter = {
+    name: 'indexedDB',
+    DB_NAME: 'invoicer',
+    DB_VERSION: 2,
+
+    // Collections stored one record per entry, keyed by id; everything else lives in the meta record
+    RECORD_STORES: ['invoices', 'revisions'],
+
+    // Settings fields holding uploaded files as data URLs; stored as Blobs in the assets store
+    ASSET_FIELDS: ['logo', 'logoOriginalCDR'],
+
+    _db: null,
+    // What was last written, as JSON per record, so each save only touches what changed
+    _written: null,
+    // Writes run one after another so diffs are taken against the previous write
+    _queue: Promise.resolve(),
+
+    /**
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    /**
+     * Open the database, creating the object stores on first use:
+     *   meta      - 'data' record: version, settings, clients, catalog, recurring;
+     *               'backup' record: the copy kept by saveBackup
+     *   invoices  - one record per invoice, keyed by id
+     *   revisions - one record per invoice revision, keyed by id (added in DB version 2)
+     *   assets    - Blobs for the ASSET_FIELDS, keyed by field name
+     * @returns {Promise<void>}
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                ['meta', 'assets'].forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+                });
+                this.RECORD_STORES.forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+                });
+            };
+            request.onsuccess = () => {
+                this._db = request.result;
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new StorageError(I18n.t('error.databaseInUse'), 'UNAVAILABLE'));
+        });
+    },
+
+    /**
+     * Assemble the application data from the stores
+     * @returns {Promise<Object|null>}
+     */
+    async load() {
+        const storeNames = ['meta', 'assets', ...this.RECORD_STORES];
+        const tx = this._db.transaction(storeNames, 'readonly');
+        const [meta, assetKeys, assetBlobs, ...records] = await Promise.all([
+            this._request(tx.objectStore('meta').get('data')),
+            this._request(tx.objectStore('assets').getAllKeys()),
+            this._request(tx.objectStore('assets').getAll()),
+            ...this.RECORD_STORES.map(name => this._request(tx.objectStore(name).getAll()))
+        ]);
+        if (!meta) return null;
+
+        const { recordOrder = {}, invoiceOrder, ...data } = meta;
+        data.settings = { ...data.settings };
+        const written = { meta: JSON.stringify(meta), records: {}, assets: {} };
+
+        this.RECORD_STORES.forEach((name, i) => {
+            // Restore the saved order; records come back sorted by id
+            const ids = recordOrder[name] || (name === 'invoices' && invoiceOrder) || [];
+            const order = new Map(ids.map((id, index) => [id, index]));
+            const position = (entry) => (order.has(entry.id) ? order.get(entry.id) : Infinity);
+            data[name] = records[i].sort((a, b) => position(a) - position(b));
+            written.records[name] = new Map(data[name].map(entry => [entry.id, JSON.stringify(entry)]));
+        });
+
+        for (let i = 0; i < assetKeys.length; i++) {
+            written.assets[assetKeys[i]] = await this._blobToDataUrl(assetBlobs[i]);
+            data.settings[assetKeys[i]] = written.assets[assetKeys[i]];
+        }
+
+        this._written = written;
+        return data;
+    },
+
+    /**
+     * Queue a write of the application data
+     * @param {Object} data
+     * @returns {Promise<void>} Rejects with a StorageError
+     */
+    save(data) {
+        this._queue = this._queue.catch(() => {}).then(() => this._write(data));
+        return this._queue;
+    },
+
+    /**
+     * Delete the database contents, apart from the backup record
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const storeNames = ['meta', 'assets', ...this.RECORD_STORES];
+        const tx = this._db.transaction(storeNames, 'readwrite');
+        storeNames.forEach(name => {
+            if (name === 'meta') {
+                tx.objectStore(name).delete('data');
+            } else {
+                tx.objectStore(name).clear();
+            }
+        });
+        await this._transactionDone(tx);
+        this._written = null;
+    },
+
+    /**
+     * Keep a backup in the meta store as one record, logos included as data URLs
+     * @param {Object} backup
+     * @returns {Promise<void>} Rejects with a StorageError
+     */
+    async saveBackup(backup) {
+        try {
+            const tx = this._db.transaction('meta', 'readwrite');
+            tx.objectStore('meta').put(backup, 'backup');
+            await this._transactionDone(tx);
+        } catch (e) {
+            throw new StorageError(I18n.t('error.backupWriteFailed'), e && e.name === 'QuotaExceededError' ? 'QUOTA_EXCEEDED' : 'WRITE_ERROR');
+        }
+    },
+
+    /**
+     * @returns {Promise<Object|null>}
+     */
+    async loadBackup() {
+        const tx = this._db.transaction('meta', 'readonly');
+        return (await this._request(tx.objectStore('meta').get('backup'))) || null;
+    },
+
+    /**
+     * Internal: Write only the records that changed since the last write
+     */
+    async _write(data) {
+        const written = this._written || { meta: null, records: {}, assets: {} };
+
+        // Binary settings go to the assets store; the meta record keeps null in their place
+        const settings = { ...data.settings };
+        const assets = {};
+        const blobs = {};
+        this.ASSET_FIELDS.forEach(field => {
+            assets[field] = settings[field] || null;
+            settings[field] = null;
+            if (assets[field] !== (written.assets[field] || null)) {
+                blobs[field] = assets[field] ? this._dataUrlToBlob(assets[field]) : null;
+            }
+        });
+
+        const meta = { ...data, settings: settings, recordOrder: {} };
+        const records = {};
+        this.RECORD_STORES.forEach(name => {
+            const entries = data[name] || [];
+            delete meta[name];
+            meta.recordOrder[name] = entries.map(entry => entry.id);
+            records[name] = new Map(entries.map(entry => [entry.id, JSON.stringify(entry)]));
+        });
+        const metaJson = JSON.stringify(meta);
+
+        try {
+            const tx = this._db.transaction(['meta', 'assets', ...this.RECORD_STORES], 'readwrite');
+            if (metaJson !== written.meta) {
+                tx.objectStore('meta').put(meta, 'data');
+            }
+
+            this.RECORD_STORES.forEach(name => {
+                const store = tx.objectStore(name);
+                const before = written.records[name] || new Map();
+                (data[name] || []).forEach(entry => {
+                    if (before.get(entry.id) !== records[name].get(entry.id)) {
+                        store.put(entry);
+                    }
+                });
+                before.forEach((json, id) => {
+                    if (!records[name].has(id)) store.delete(id);
+                });
+            });
+
+            const assetStore = tx.objectStore('assets');
+            Object.entries(blobs).forEach(([field, blob]) => {
+                if (blob) {
+                    assetStore.put(blob, field);
+                } else {
+                    assetStore.delete(field);
+                }
+            });
+
+            await this._transactionDone(tx);
+        } catch (e) {
+            if (e && e.name === 'QuotaExceededError') {
+                console.error('IndexedDB quota exceeded');
+                throw new StorageError(I18n.t('error.storageFull'), 'QUOTA_EXCEEDED');
+            }
+            console.error('Error saving to IndexedDB', e);
+            throw new StorageError(I18n.t('error.writeFailed'), 'WRITE_ERROR');
+        }
+
+        this._written = { meta: metaJson, records: records, assets: assets };
+    },
+
+    /**
+     * Internal: Resolve an IDBRequest
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Internal: Resolve when a transaction commits
+     */
+    _transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+        });
+    },
+
+    /**
+     * Internal: Decode a data URL into a Blob
+     */
+    _dataUrlToBlob(dataUrl) {
+        const comma = dataUrl.indexOf(',');
+        const header = dataUrl.substring(0, comma);
+        const body = dataUrl.substring(comma + 1);
+        const type = (/^data:([^;,]*)/.exec(header) || [])[1] || 'application/octet-stream';
+        const binary = header.includes(';base64') ? atob(body) : decodeURIComponent(body);
+
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: type });
+    },
+
+    /**
+     * Internal: Encode a Blob as a data URL
+     */
+    _blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+};
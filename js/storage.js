@@ -1,10 +1,15 @@
 /**
  * Storage Engine
- * Handles all interactions with localStorage with validation and error handling
+ * Validation, migrations and queries over the application data.
+ * Data is held in memory and persisted through an adapter (see storage-adapters.js):
+ * IndexedDB when available, localStorage otherwise. Writes are asynchronous and
+ * resolve once committed; other tabs reload the data when it changes.
  */
 
 const STORAGE_KEY = 'invoicer_data';
-const APP_VERSION = '1.1.0';
+// localStorage key of the copy of the data kept from before the last upgrade
+const UPGRADE_BACKUP_KEY = 'invoicer_upgrade_backup';
+const APP_VERSION = '1.16.0';
 
 class StorageError extends Error {
     constructor(message, code) {
@@ -14,222 +19,1480 @@ class StorageError extends Error {
     }
 }
 
+// Invoice totals the way they were calculated from 1.5.0 to 1.7.0, for the migrations
+// of those versions: lines after their discounts, the invoice discount spread over
+// the lines, per-category taxes and the total. Kept apart from Model.calculateInvoice
+// so that later changes to it don't change what these migrations do.
+// Sets the calculated fields and returns the total in minor units.
+function calculateMigratedInvoice(inv) {
+    const currency = inv.currency || 'USD';
+    const rounding = { mode: 'half-up', policy: 'line', ...inv.rounding };
+    const mode = rounding.mode;
+    const categories = inv.taxCategories || [];
+    const findCategory = (id) => (id ? categories.find(c => c.id.toLowerCase() === String(id).toLowerCase()) : null);
+    const discountOf = (discount, amount) => {
+        if (!discount || !discount.value || amount <= 0) return 0;
+        const value = discount.type === 'percent'
+            ? Money.percentOfMinor(amount, Math.min(discount.value, 100), mode)
+            : Money.toMinor(discount.value, currency, mode);
+        return Math.min(Math.max(value, 0), amount);
+    };
+
+    const nets = inv.items.map(item => {
+        const gross = Money.multiplyToMinor(item.quantity || 0, item.rate || 0, currency, mode);
+        const discount = discountOf(item.discount, gross);
+        item.discountAmount = Money.fromMinor(discount, currency);
+        item.amount = Money.fromMinor(gross - discount, currency);
+        return gross - discount;
+    });
+    const subtotal = nets.reduce((sum, net) => sum + net, 0);
+    const discount = discountOf(inv.discount, subtotal);
+    const shares = Money.allocate(discount, nets.map(net => Math.max(net, 0)));
+    const bases = nets.map((net, i) => net - shares[i]);
+
+    const taxes = [];
+    const applyCategory = (category, categoryBase) => {
+        let taxSoFar = 0;
+        category.components.forEach(component => {
+            const base = component.compound ? categoryBase + taxSoFar : categoryBase;
+            const amount = Money.percentOfMinor(base, component.rate || 0, mode);
+            taxSoFar += amount;
+            let entry = taxes.find(t =>
+                t.name === component.name && t.rate === component.rate && t.compound === Boolean(component.compound)
+            );
+            if (!entry) {
+                entry = { name: component.name, rate: component.rate, compound: Boolean(component.compound), base: 0, amount: 0 };
+                taxes.push(entry);
+            }
+            entry.base += base;
+            entry.amount += amount;
+        });
+    };
+    if (rounding.policy === 'total') {
+        categories.forEach(category => {
+            const categoryBase = inv.items.reduce((sum, item, i) => (findCategory(item.taxCategory) === category ? sum + bases[i] : sum), 0);
+            if (categoryBase) applyCategory(category, categoryBase);
+        });
+    } else {
+        inv.items.forEach((item, i) => {
+            const category = findCategory(item.taxCategory);
+            if (category) applyCategory(category, bases[i]);
+        });
+    }
+
+    const taxAmount = taxes.reduce((sum, t) => sum + t.amount, 0);
+    taxes.forEach(t => {
+        t.base = Money.fromMinor(t.base, currency);
+        t.amount = Money.fromMinor(t.amount, currency);
+    });
+    const total = subtotal - discount + taxAmount;
+    inv.subtotal = Money.fromMinor(subtotal, currency);
+    inv.discountAmount = Money.fromMinor(discount, currency);
+    inv.taxes = taxes;
+    inv.taxAmount = Money.fromMinor(taxAmount, currency);
+    inv.total = Money.fromMinor(total, currency);
+    return total;
+}
+
+// Ordered schema migrations. Each step upgrades the data from one version to the next;
+// Storage._migrate runs them in sequence on a copy, so a failed step leaves the original untouched.
+// Steps must not call into Model or Storage defaults: those follow the current version,
+// while a step has to do what it did when its version shipped.
+const MIGRATIONS = [
+    {
+        from: '1.0.0',
+        to: '1.1.0',
+        description: 'fill in new settings defaults and invoice numbers',
+        migrate(data) {
+            data.settings = {
+                currency: 'USD',
+                defaultTaxRate: 0,
+                invoicePrefix: '',
+                nextInvoiceNumber: 1,
+                invoiceNumberPadding: 4,
+                ...data.settings
+            };
+            data.invoices.forEach(inv => {
+                if (!inv.invoiceNumber) {
+                    inv.invoiceNumber = '';
+                }
+            });
+        }
+    },
+    {
+        from: '1.1.0',
+        to: '1.2.0',
+        description: 'build the client address book from existing invoices',
+        migrate(data) {
+            data.clients = data.clients || [];
+            const now = new Date().toISOString();
+            data.invoices.forEach(inv => {
+                if (!inv.client || !inv.client.name) return;
+                let client = data.clients.find(c =>
+                    c.name === inv.client.name && (c.email || '') === (inv.client.email || '')
+                );
+                if (!client) {
+                    client = {
+                        id: crypto.randomUUID(),
+                        name: inv.client.name,
+                        email: inv.client.email || '',
+                        address: inv.client.address || '',
+                        createdAt: now,
+                        updatedAt: now
+                    };
+                    data.clients.push(client);
+                }
+                inv.clientId = client.id;
+            });
+        }
+    },
+    {
+        from: '1.2.0',
+        to: '1.3.0',
+        description: 'add the product/service catalog',
+        migrate(data) {
+            data.catalog = data.catalog || [];
+        }
+    },
+    {
+        from: '1.3.0',
+        to: '1.4.0',
+        description: 'single tax rate becomes per-line tax categories',
+        migrate(data) {
+            const defaultRate = parseFloat(data.settings.defaultTaxRate) || 0;
+            data.settings.taxCategories = data.settings.taxCategories || [
+                { id: 'exempt', name: 'Exempt', components: [] }
+            ];
+            if (defaultRate > 0) {
+                data.settings.taxCategories.unshift({
+                    id: 'standard',
+                    name: 'Standard',
+                    components: [{ name: 'Tax', rate: defaultRate, compound: false }]
+                });
+                data.settings.defaultTaxCategory = 'standard';
+            } else {
+                data.settings.defaultTaxCategory = '';
+            }
+            delete data.settings.defaultTaxRate;
+
+            data.invoices.forEach(inv => {
+                const rate = parseFloat(inv.taxRate) || 0;
+                inv.taxCategories = [];
+                inv.taxes = [];
+                if (rate > 0) {
+                    inv.taxCategories.push({
+                        id: 'legacy',
+                        name: 'Tax',
+                        components: [{ name: 'Tax', rate: rate, compound: false }]
+                    });
+                    inv.taxes.push({ name: 'Tax', rate: rate, compound: false, base: inv.subtotal || 0, amount: inv.taxAmount || 0 });
+                }
+                inv.items.forEach(item => {
+                    item.taxCategory = rate > 0 ? 'legacy' : '';
+                });
+                delete inv.taxRate;
+            });
+        }
+    },
+    {
+        from: '1.4.0',
+        to: '1.5.0',
+        description: 'recalculate in exact minor units with a rounding snapshot',
+        migrate(data) {
+            data.settings.rounding = data.settings.rounding || { mode: 'half-up', policy: 'line' };
+            data.invoices.forEach(inv => {
+                inv.rounding = { ...data.settings.rounding };
+                calculateMigratedInvoice(inv);
+            });
+        }
+    },
+    {
+        from: '1.5.0',
+        to: '1.6.0',
+        description: 'every invoice carries its own currency',
+        migrate(data) {
+            data.settings.currency = data.settings.currency || 'USD';
+            data.invoices.forEach(inv => {
+                inv.currency = inv.currency || data.settings.currency;
+            });
+        }
+    },
+    {
+        from: '1.6.0',
+        to: '1.7.0',
+        description: 'payments ledger; invoices marked paid get a payment for their total',
+        migrate(data) {
+            data.invoices.forEach(inv => {
+                inv.payments = inv.payments || [];
+                if (inv.status === 'paid' && inv.payments.length === 0 && inv.total > 0) {
+                    inv.payments.push({
+                        id: crypto.randomUUID(),
+                        date: (inv.updatedAt || inv.dueDate || inv.createdDate || '').split('T')[0],
+                        amount: inv.total,
+                        method: '',
+                        reference: 'Recorded before payment tracking'
+                    });
+                }
+
+                const currency = inv.currency || 'USD';
+                const mode = (inv.rounding && inv.rounding.mode) || 'half-up';
+                const total = calculateMigratedInvoice(inv);
+                const paid = inv.payments.reduce((sum, p) => sum + Money.toMinor(p.amount || 0, currency, mode), 0);
+                inv.amountPaid = Money.fromMinor(paid, currency);
+                inv.balanceDue = Money.fromMinor(total - paid, currency);
+                if (paid > 0) {
+                    inv.status = paid >= total ? 'paid' : 'partial';
+                } else if (inv.status === 'paid') {
+                    inv.status = 'draft';
+                }
+            });
+        }
+    },
+    {
+        from: '1.7.0',
+        to: '1.8.0',
+        description: 'status lifecycle; overdue is derived, so stored overdue becomes sent',
+        migrate(data) {
+            data.invoices.forEach(inv => {
+                if (inv.status === 'overdue') {
+                    inv.status = 'sent';
+                }
+                if (!inv.statusHistory) {
+                    inv.statusHistory = [{ status: 'draft', date: inv.createdDate }];
+                    if (inv.status !== 'draft') {
+                        inv.statusHistory.push({ status: inv.status, date: inv.updatedAt || inv.createdDate });
+                    }
+                }
+            });
+        }
+    },
+    {
+        from: '1.8.0',
+        to: '1.9.0',
+        description: 'add recurring invoice profiles',
+        migrate(data) {
+            data.recurring = data.recurring || [];
+        }
+    },
+    {
+        from: '1.9.0',
+        to: '1.10.0',
+        description: 'revision history; each invoice starts with its current state as revision 1',
+        migrate(data) {
+            data.revisions = data.revisions || [];
+            data.invoices.forEach(inv => {
+                data.revisions.push({
+                    id: crypto.randomUUID(),
+                    invoiceId: inv.id,
+                    number: 1,
+                    savedAt: inv.updatedAt || inv.createdDate,
+                    noteKey: 'history.note.beforeHistory',
+                    noteParams: {},
+                    changes: [],
+                    snapshot: JSON.parse(JSON.stringify(inv))
+                });
+            });
+        }
+    },
+    {
+        from: '1.10.0',
+        to: '1.11.0',
+        description: 'deleted invoices go to the trash; add its retention setting',
+        migrate(data) {
+            if (data.settings.trashRetentionDays === undefined) {
+                data.settings.trashRetentionDays = 30;
+            }
+        }
+    },
+    {
+        from: '1.11.0',
+        to: '1.12.0',
+        description: 'credit notes, with their own number sequence',
+        migrate(data) {
+            data.settings.creditNotePrefix = data.settings.creditNotePrefix ?? 'CN-';
+            data.settings.nextCreditNoteNumber = data.settings.nextCreditNoteNumber || 1;
+            data.invoices.forEach(inv => {
+                inv.type = inv.type || 'invoice';
+            });
+        }
+    },
+    {
+        from: '1.12.0',
+        to: '1.13.0',
+        description: 'quotes, with their own number sequence and validity period',
+        migrate(data) {
+            data.settings.quotePrefix = data.settings.quotePrefix ?? 'QUO-';
+            data.settings.nextQuoteNumber = data.settings.nextQuoteNumber || 1;
+            data.settings.quoteValidityDays = data.settings.quoteValidityDays ?? 30;
+        }
+    },
+    {
+        from: '1.13.0',
+        to: '1.14.0',
+        description: 'document templates for print and PDF',
+        migrate(data) {
+            data.settings.documentTemplate = {
+                id: 'classic',
+                accentColor: '#b87333',
+                font: 'helvetica',
+                fields: { logo: true, status: true, clientEmail: true, itemCode: true, taxBreakdown: true, notes: true },
+                ...data.settings.documentTemplate
+            };
+        }
+    },
+    {
+        from: '1.14.0',
+        to: '1.15.0',
+        description: 'app language and default document language',
+        migrate(data) {
+            data.settings.language = data.settings.language || 'en';
+            data.settings.documentLanguage = data.settings.documentLanguage || 'en';
+        }
+    },
+    {
+        from: '1.15.0',
+        to: '1.16.0',
+        description: 'payment terms',
+        migrate(data) {
+            // Term ids of 1.16.0 with their fixed days; null days are chosen with the term
+            const presetDays = { receipt: 0, net15: 15, net30: 30, net60: 60, eom: null, custom: null };
+            const source = data.settings.paymentTerms || {};
+            const id = source.id in presetDays ? source.id : 'net30';
+            const whole = (value) => Math.max(0, parseInt(value, 10) || 0);
+            data.settings.paymentTerms = {
+                id: id,
+                days: presetDays[id] === null ? whole(source.days) : presetDays[id],
+                discountPercent: Math.min(100, Math.max(0, parseFloat(source.discountPercent) || 0)),
+                discountDays: whole(source.discountDays)
+            };
+        }
+    }
+];
+
 const Storage = {
+    // Active persistence backend and the in-memory copy of the data
+    _adapter: LocalStorageAdapter,
+    _cache: null,
+    // Last pending write, for flush()
+    _pendingWrite: null,
+    // Writes started so far; a reload that overlaps one starts again
+    _writeCount: 0,
+
+    // Set when the data can't be written safely (newer data version, failed migration)
+    _readOnly: null,
+
+    // Called with the StorageError when storage becomes read-only
+    onReadOnly: null,
+    // Called after another tab changed the data and this tab has reloaded it
+    onExternalChange: null,
+
+    // Revisions kept per invoice, by backend; each holds a full snapshot, and
+    // localStorage has to fit everything in a few megabytes
+    REVISION_LIMITS: { indexedDB: 100, localStorage: 20 },
+
     /**
-     * Initialize storage with schema check
+     * Initialize storage: pick a backend, load the data and migrate it.
+     * Called by App.init once all modules are loaded, since validation and defaults use Model.
+     * @returns {Promise<void>}
      */
-    init() {
+    async init() {
         try {
-            if (!this._isStorageAvailable()) {
-                console.error('LocalStorage is not available');
+            this._adapter = await this._openAdapter();
+            let data = await this._adapter.load();
+
+            // First run on IndexedDB: move the existing localStorage data across
+            let fromLocalStorage = false;
+            if (!data && this._adapter !== LocalStorageAdapter && LocalStorageAdapter.isAvailable()) {
+                data = await LocalStorageAdapter.load();
+                fromLocalStorage = !!data;
+            }
+
+            if (!data) {
+                await this._initializeDefaults();
                 return;
             }
 
-            const rawData = localStorage.getItem(STORAGE_KEY);
-            if (!rawData) {
-                this._initializeDefaults();
-            } else {
-                const data = JSON.parse(rawData);
-                if (!data.version) {
-                    data.version = '1.0.0';
-                    this.saveData(data);
-                }
-                // Migrate from 1.0.0 to 1.1.0
-                if (data.version === '1.0.0') {
-                    data.settings = { ...this._getDefaults().settings, ...data.settings };
-                    data.invoices.forEach(inv => {
-                        if (!inv.invoiceNumber) {
-                            inv.invoiceNumber = '';
-                        }
-                    });
-                    data.version = '1.1.0';
-                    this.saveData(data);
+            // Keep the loaded data as the pre-migration snapshot; on failure it is all we keep
+            const snapshot = data;
+            if (this._compareVersions(snapshot.version || '1.0.0', APP_VERSION) < 0) {
+                await this._keepUpgradeBackup(snapshot);
+            }
+            try {
+                data = this._migrate(snapshot);
+            } catch (e) {
+                console.error('Storage migration failed, data left unchanged:', e);
+                this._cache = snapshot;
+                this._setReadOnly(e);
+                return;
+            }
+            this._cache = data;
+
+            if (fromLocalStorage) {
+                try {
+                    await this._adapter.save(data);
+                    await LocalStorageAdapter.clear();
+                } catch (e) {
+                    console.error('Could not move data to ' + this._adapter.name + ', staying on localStorage:', e);
+                    this._adapter = LocalStorageAdapter;
+                    await this.saveData(data);
                 }
+            } else if (data.version !== snapshot.version) {
+                await this.saveData(data);
             }
         } catch (e) {
             console.error('Storage initialization failed:', e);
+        } finally {
+            this._connectTabs();
         }
     },
 
     /**
-     * Get all data from storage
-     * @returns {Object} Application data
+     * The reason writes are refused, if they are
+     * @returns {StorageError|null}
+     */
+    getReadOnlyError() {
+        return this._readOnly;
+    },
+
+    /**
+     * Name of the active backend
+     * @returns {string}
+     */
+    getBackendName() {
+        return this._adapter.name;
+    },
+
+    /**
+     * Wait for pending writes to finish
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this._pendingWrite || Promise.resolve();
+    },
+
+    /**
+     * Get all data, for a read-modify-write. Read-only callers use the narrower
+     * getters, which copy only what they return.
+     * @returns {Object} Application data (a copy; change it and pass it to saveData)
      */
     getData() {
+        return this._copy(this._read());
+    },
+
+    /**
+     * Save data through the active adapter. The object passed in becomes the
+     * in-memory copy, so don't change it afterwards. Resolves once the write
+     * has committed; when it fails, the in-memory copy goes back to what it was.
+     * @param {Object} data - Data to save, from getData
+     * @returns {Promise<void>} Rejects with a StorageError
+     */
+    async saveData(data) {
+        if (this._readOnly) {
+            throw new StorageError(I18n.t('error.readOnly', { message: this._readOnly.message }), 'READ_ONLY');
+        }
+
+        const previous = this._cache;
+        this._cache = data;
+        this._writeCount++;
+        // localStorage throws synchronously; either way the failure arrives as a rejection
+        const write = (async () => this._adapter.save(data))();
+        this._pendingWrite = write.catch(() => {});
+
         try {
-            const data = localStorage.getItem(STORAGE_KEY);
-            return data ? JSON.parse(data) : this._getDefaults();
+            await write;
         } catch (e) {
-            console.error('Error reading from localStorage', e);
-            // Return defaults to prevent app crash, but don't overwrite corrupt data automatically
-            return this._getDefaults();
+            console.error('Failed to write data:', e.message);
+            // A later write carries this one's changes too; only undo when nothing was written since
+            if (this._cache === data) this._cache = previous;
+            throw e;
         }
+        this._announceChange();
+    },
+
+    /**
+     * Get application settings
+     * @returns {Object} Settings object (a copy)
+     */
+    getSettings() {
+        return this._copy(this._settings());
+    },
+
+    /**
+     * Save application settings
+     * @param {Object} settings - Settings object
+     * @returns {Promise<boolean>} success
+     */
+    async saveSettings(settings) {
+        try {
+            const data = this.getData();
+            data.settings = { ...data.settings, ...this._copy(settings) };
+            await this.saveData(data);
+            return true;
+        } catch (e) {
+            console.error('Failed to save settings:', e);
+            if (e instanceof StorageError) throw e;
+            return false;
+        }
+    },
+
+    /**
+     * Get the saved state of a view (sorting, filters, page size). Kept per
+     * browser in localStorage, like the theme, rather than in the invoice data
+     * @param {string} view - View name, e.g. 'dashboard'
+     * @returns {Object|null}
+     */
+    getViewState(view) {
+        try {
+            const raw = localStorage.getItem(`invoicer_view_${view}`);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Remember the state of a view for the next session
+     * @param {string} view - View name
+     * @param {Object} state
+     */
+    saveViewState(view, state) {
+        try {
+            localStorage.setItem(`invoicer_view_${view}`, JSON.stringify(state));
+        } catch (e) {
+            console.warn('Could not save view state:', e);
+        }
+    },
+
+    /**
+     * Get all invoices and credit notes (not quotes)
+     * @returns {Array} List of invoices
+     */
+    getInvoices() {
+        return this._copy((this._read().invoices || []).filter(inv => !inv.deletedAt && !Model.isQuote(inv)));
+    },
+
+    /**
+     * Get all quotes
+     * @returns {Array} List of quotes
+     */
+    getQuotes() {
+        return this._copy((this._read().invoices || []).filter(inv => !inv.deletedAt && Model.isQuote(inv)));
+    },
+
+    /**
+     * Get invoices, credit notes and quotes in the trash, most recently deleted first
+     * @returns {Array} List of deleted invoices
+     */
+    getTrash() {
+        return this._copy((this._read().invoices || []).filter(inv => inv.deletedAt))
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
     },
 
     /**
-     * Save data to storage with quota management
-     * @param {Object} data - Data to save
+     * Get a single invoice, credit note or quote by ID (not in the trash)
+     * @param {string} id - Invoice ID
+     * @returns {Object|null} Invoice object or null
+     */
+    getInvoice(id) {
+        const invoice = (this._read().invoices || []).find(inv => inv.id === id && !inv.deletedAt);
+        return invoice ? this._copy(invoice) : null;
+    },
+
+    /**
+     * Save a single invoice (create or update), recording a revision
+     * @param {Object} invoice - Invoice object; gets its id, creation date and status history filled in
+     * @param {Object|null} note - Optional { key, params } message stored with the revision
+     * @returns {Promise<boolean>} success
+     */
+    async saveInvoice(invoice, note = null) {
+        if (!this._validateInvoice(invoice)) {
+            console.error('Invalid invoice data');
+            return false;
+        }
+
+        try {
+            const data = this.getData();
+            this._putInvoice(data, invoice, new Date().toISOString(), note);
+            await this.saveData(data);
+            return true;
+        } catch (e) {
+            console.error('Failed to save invoice:', e.message);
+            // Re-throw if it's a known storage error (like quota) so UI can handle it
+            if (e instanceof StorageError) throw e;
+            return false;
+        }
+    },
+
+    /**
+     * Save several invoices in one write, each with its own revision. Invoices
+     * that can't be saved (invalid, or a status change that isn't allowed) are
+     * counted and left out; the rest are still saved.
+     * @param {Array} invoices
+     * @param {Object} options - { note, assignNumbers, recurring }. note is a { key, params }
+     *   message or a function of (invoice, index) returning one; assignNumbers gives invoices without a number
+     *   the next numbers in the invoice sequence; recurring lists existing recurring
+     *   profiles to update in the same write
+     * @returns {Promise<Object>} { saved, failed }
+     * @throws {StorageError} When the write fails
+     */
+    async saveInvoices(invoices, options = {}) {
+        const data = this.getData();
+        const now = new Date().toISOString();
+        const result = { saved: 0, failed: 0 };
+
+        invoices.forEach((invoice, index) => {
+            const numbered = options.assignNumbers && !invoice.invoiceNumber;
+            const note = typeof options.note === 'function' ? options.note(invoice, index) : options.note;
+            try {
+                if (!this._validateInvoice(invoice)) {
+                    throw new StorageError(I18n.t('error.invalidInvoice'), 'INVALID_INVOICE');
+                }
+                if (numbered) {
+                    invoice.invoiceNumber = this._formatNumber(data.settings, 'invoicePrefix', 'nextInvoiceNumber');
+                }
+                this._putInvoice(data, invoice, now, note);
+                if (numbered) {
+                    data.settings.nextInvoiceNumber = (data.settings.nextInvoiceNumber || 1) + 1;
+                }
+                result.saved++;
+            } catch (e) {
+                console.error('Failed to save invoice:', e.message);
+                if (numbered) invoice.invoiceNumber = '';
+                result.failed++;
+            }
+        });
+
+        if (result.saved > 0) {
+            (options.recurring || []).forEach(profile => {
+                const index = (data.recurring || []).findIndex(p => p.id === profile.id);
+                if (index >= 0) {
+                    data.recurring[index] = { ...data.recurring[index], ...this._copy(profile), updatedAt: now };
+                }
+            });
+            await this.saveData(data);
+        }
+        return result;
+    },
+
+    /**
+     * Revisions of an invoice, oldest first
+     * @param {string} invoiceId
+     * @returns {Array} [{ id, invoiceId, number, savedAt, noteKey, noteParams, changes, snapshot }];
+     *   revisions from before notes were translated have the English note instead of noteKey
+     */
+    getRevisions(invoiceId) {
+        return this._copy((this._read().revisions || []).filter(r => r.invoiceId === invoiceId))
+            .sort((a, b) => a.number - b.number);
+    },
+
+    /**
+     * Get a single revision by ID
+     * @param {string} id - Revision ID
+     * @returns {Object|null}
+     */
+    getRevision(id) {
+        const revision = id && (this._read().revisions || []).find(r => r.id === id);
+        return revision ? this._copy(revision) : null;
+    },
+
+    /**
+     * Bring back the content of an earlier revision as a new revision.
+     * Payments and the status lifecycle are kept as they are now; status is
+     * re-derived from the payments against the restored totals.
+     * @param {string} revisionId
+     * @returns {Promise<boolean>} success
      * @throws {StorageError}
      */
-    saveData(data) {
+    async restoreRevision(revisionId) {
+        const revision = this.getRevision(revisionId);
+        const current = revision && this.getInvoice(revision.invoiceId);
+        if (!current) {
+            throw new StorageError(I18n.t('error.revisionMissing'), 'NOT_FOUND');
+        }
+
+        const restored = {
+            ...revision.snapshot,
+            status: current.status,
+            statusHistory: current.statusHistory,
+            payments: current.payments
+        };
+        Model.calculateInvoice(restored);
+        return this.saveInvoice(restored, { key: 'history.note.restored', params: { number: revision.number } });
+    },
+
+    /**
+     * Record invoices that have passed their due date unpaid.
+     * Overdue is derived, not stored as a status; this only logs the date it
+     * was first detected in the status history.
+     * @returns {Promise<number>} Number of invoices newly found overdue
+     */
+    async markOverdueInvoices() {
         try {
-            const serialized = JSON.stringify(data);
-            localStorage.setItem(STORAGE_KEY, serialized);
+            const data = this.getData();
+            const now = new Date().toISOString();
+            let count = 0;
+
+            data.invoices.filter(inv => !inv.deletedAt).forEach(inv => {
+                const history = inv.statusHistory || [];
+                const last = history[history.length - 1];
+                if (Model.isOverdue(inv) && (!last || last.status !== 'overdue')) {
+                    inv.statusHistory = [...history, { status: 'overdue', date: now }];
+                    count++;
+                }
+            });
+
+            if (count > 0) {
+                await this.saveData(data);
+            }
+            return count;
         } catch (e) {
-            if (this._isQuotaExceeded(e)) {
-                console.error('LocalStorage quota exceeded');
-                throw new StorageError('Storage full. Please delete some invoices.', 'QUOTA_EXCEEDED');
-            } else {
-                console.error('Error saving to localStorage', e);
-                throw new StorageError('Failed to save data.', 'WRITE_ERROR');
+            console.error('Failed to check overdue invoices:', e.message);
+            return 0;
+        }
+    },
+
+    /**
+     * Move an invoice to the trash
+     * @param {string} id - Invoice ID
+     * @returns {Promise<boolean>} success
+     */
+    async deleteInvoice(id) {
+        return (await this.deleteInvoices([id])).length > 0;
+    },
+
+    /**
+     * Move invoices to the trash in one write
+     * @param {Array<string>} ids - Invoice IDs
+     * @returns {Promise<Array<string>>} IDs of the invoices moved; empty when the write failed
+     */
+    async deleteInvoices(ids) {
+        try {
+            const data = this.getData();
+            const now = new Date().toISOString();
+            const deleted = data.invoices.filter(inv => ids.includes(inv.id) && !inv.deletedAt);
+
+            deleted.forEach(invoice => {
+                invoice.deletedAt = now;
+                this._applyCredits(data, invoice.creditedInvoiceId, now);
+            });
+            if (deleted.length > 0) {
+                await this.saveData(data);
             }
+            return deleted.map(inv => inv.id);
+        } catch (e) {
+            console.error('Failed to delete invoices:', e);
+            return [];
         }
     },
 
     /**
-     * Get application settings
-     * @returns {Object} Settings object
+     * Take an invoice back out of the trash
+     * @param {string} id - Invoice ID
+     * @returns {Promise<boolean>} success
      */
-    getSettings() {
+    async restoreInvoice(id) {
+        return (await this.restoreInvoices([id])).length > 0;
+    },
+
+    /**
+     * Take invoices back out of the trash in one write
+     * @param {Array<string>} ids - Invoice IDs
+     * @returns {Promise<Array<string>>} IDs of the invoices restored; empty when the write failed
+     */
+    async restoreInvoices(ids) {
+        try {
+            const data = this.getData();
+            const now = new Date().toISOString();
+            const restored = data.invoices.filter(inv => ids.includes(inv.id) && inv.deletedAt);
+
+            restored.forEach(invoice => {
+                delete invoice.deletedAt;
+                this._applyCredits(data, invoice.creditedInvoiceId, now);
+            });
+            if (restored.length > 0) {
+                await this.saveData(data);
+            }
+            return restored.map(inv => inv.id);
+        } catch (e) {
+            console.error('Failed to restore invoices:', e);
+            return [];
+        }
+    },
+
+    /**
+     * Permanently remove invoices from the trash, with their revisions
+     * @param {Array<string>} ids - Invoice IDs; only trashed invoices are removed
+     * @returns {Promise<number>} Number of invoices removed
+     */
+    async purgeInvoices(ids) {
+        try {
+            const data = this.getData();
+            const purge = new Set(data.invoices.filter(inv => inv.deletedAt && ids.includes(inv.id)).map(inv => inv.id));
+
+            if (purge.size > 0) {
+                data.invoices = data.invoices.filter(inv => !purge.has(inv.id));
+                data.revisions = (data.revisions || []).filter(r => !purge.has(r.invoiceId));
+                await this.saveData(data);
+            }
+            return purge.size;
+        } catch (e) {
+            console.error('Failed to purge invoices:', e);
+            return 0;
+        }
+    },
+
+    /**
+     * Permanently remove invoices that have been in the trash longer than the
+     * retention period in settings (trashRetentionDays; 0 keeps them until purged by hand)
+     * @returns {Promise<number>} Number of invoices removed
+     */
+    async purgeExpiredTrash() {
+        const days = parseInt(this._settings().trashRetentionDays, 10);
+        if (!days || days <= 0) return 0;
+
+        const cutoff = new Date(Date.now() - days * 86400000).toISOString();
+        const expired = (this._read().invoices || []).filter(inv => inv.deletedAt && inv.deletedAt < cutoff).map(inv => inv.id);
+        return expired.length ? this.purgeInvoices(expired) : 0;
+    },
+
+    /**
+     * Get the next formatted invoice number
+     * @returns {string}
+     */
+    getNextInvoiceNumber() {
+        return this._formatNumber(this._settings(), 'invoicePrefix', 'nextInvoiceNumber');
+    },
+
+    /**
+     * Increment the invoice number counter
+     */
+    async incrementInvoiceNumber() {
         const data = this.getData();
-        return data.settings || this._getDefaults().settings;
+        data.settings.nextInvoiceNumber = (data.settings.nextInvoiceNumber || 1) + 1;
+        await this.saveData(data);
     },
 
     /**
-     * Save application settings
-     * @param {Object} settings - Settings object
-     * @returns {boolean} success
+     * Get the next formatted credit note number. Credit notes have their own
+     * sequence; the padding is shared with invoice numbers.
+     * @returns {string}
+     */
+    getNextCreditNoteNumber() {
+        return this._formatNumber(this._settings(), 'creditNotePrefix', 'nextCreditNoteNumber');
+    },
+
+    /**
+     * Increment the credit note number counter
+     */
+    async incrementCreditNoteNumber() {
+        const data = this.getData();
+        data.settings.nextCreditNoteNumber = (data.settings.nextCreditNoteNumber || 1) + 1;
+        await this.saveData(data);
+    },
+
+    /**
+     * Get the next formatted quote number. Quotes have their own sequence,
+     * so estimates never use up invoice numbers; the padding is shared.
+     * @returns {string}
+     */
+    getNextQuoteNumber() {
+        return this._formatNumber(this._settings(), 'quotePrefix', 'nextQuoteNumber');
+    },
+
+    /**
+     * Increment the quote number counter
+     */
+    async incrementQuoteNumber() {
+        const data = this.getData();
+        data.settings.nextQuoteNumber = (data.settings.nextQuoteNumber || 1) + 1;
+        await this.saveData(data);
+    },
+
+    /**
+     * Credit notes issued against an invoice (not in the trash), oldest first
+     * @param {string} invoiceId
+     * @returns {Array}
+     */
+    getCreditNotes(invoiceId) {
+        return this.getInvoices()
+            .filter(inv => Model.isCreditNote(inv) && inv.creditedInvoiceId === invoiceId)
+            .sort((a, b) => (a.createdDate || '').localeCompare(b.createdDate || ''));
+    },
+
+    /**
+     * Search invoices by query string
+     * @param {string} query - Search term
+     * @returns {Array} Filtered invoices
      */
-    saveSettings(settings) {
+    searchInvoices(query) {
+        return this._searchDocuments(this.getInvoices(), query);
+    },
+
+    /**
+     * Search quotes by query string
+     * @param {string} query - Search term
+     * @returns {Array} Filtered quotes
+     */
+    searchQuotes(query) {
+        return this._searchDocuments(this.getQuotes(), query);
+    },
+
+    /**
+     * Get all clients from the address book
+     * @returns {Array} List of clients
+     */
+    getClients() {
+        return this._copy(this._read().clients || []);
+    },
+
+    /**
+     * Get a single client by ID
+     * @param {string} id - Client ID
+     * @returns {Object|null} Client object or null
+     */
+    getClient(id) {
+        const client = id && (this._read().clients || []).find(c => c.id === id);
+        return client ? this._copy(client) : null;
+    },
+
+    /**
+     * Find a client by exact (case-insensitive) name
+     * @param {string} name - Client name
+     * @returns {Object|null} Client object or null
+     */
+    findClientByName(name) {
+        if (!name) return null;
+        const term = name.trim().toLowerCase();
+        const client = (this._read().clients || []).find(c => c.name.trim().toLowerCase() === term);
+        return client ? this._copy(client) : null;
+    },
+
+    /**
+     * Save a single client (create or update)
+     * @param {Object} client - Client object
+     * @returns {Promise<boolean>} success
+     */
+    async saveClient(client) {
+        if (!this._validateClient(client)) {
+            console.error('Invalid client data');
+            return false;
+        }
+
         try {
             const data = this.getData();
-            data.settings = { ...data.settings, ...settings };
-            this.saveData(data);
+            data.clients = data.clients || [];
+            const index = data.clients.findIndex(c => c.id === client.id);
+            const now = new Date().toISOString();
+
+            if (index >= 0) {
+                data.clients[index] = { ...data.clients[index], ...this._copy(client), updatedAt: now };
+            } else {
+                if (!client.id) {
+                    client.id = crypto.randomUUID();
+                }
+                client.createdAt = client.createdAt || now;
+                client.updatedAt = now;
+                data.clients.push(this._copy(client));
+            }
+
+            await this.saveData(data);
             return true;
         } catch (e) {
-            console.error('Failed to save settings:', e);
+            console.error('Failed to save client:', e.message);
             if (e instanceof StorageError) throw e;
             return false;
         }
     },
 
     /**
-     * Get all invoices
-     * @returns {Array} List of invoices
+     * Delete a client by ID.
+     * Invoices keep their own snapshot of the client details.
+     * @param {string} id - Client ID
+     * @returns {Promise<boolean>} success
+     */
+    async deleteClient(id) {
+        try {
+            const data = this.getData();
+            const clients = data.clients || [];
+            data.clients = clients.filter(c => c.id !== id);
+
+            if (data.clients.length !== clients.length) {
+                await this.saveData(data);
+                return true;
+            }
+            return false;
+        } catch (e) {
+            console.error('Failed to delete client:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Search clients by query string
+     * @param {string} query - Search term
+     * @returns {Array} Filtered clients
+     */
+    searchClients(query) {
+        const clients = this._read().clients || [];
+        if (!query) return this._copy(clients);
+
+        const term = query.toLowerCase();
+        return this._copy(clients.filter(c =>
+            (c.name && c.name.toLowerCase().includes(term)) ||
+            (c.email && c.email.toLowerCase().includes(term)) ||
+            (c.address && c.address.toLowerCase().includes(term))
+        ));
+    },
+
+    /**
+     * Get all recurring invoice profiles
+     * @returns {Array} List of profiles
+     */
+    getRecurringProfiles() {
+        return this._copy(this._read().recurring || []);
+    },
+
+    /**
+     * Get a single recurring profile by ID
+     * @param {string} id - Profile ID
+     * @returns {Object|null} Profile or null
+     */
+    getRecurringProfile(id) {
+        if (!id) return null;
+        return this.getRecurringProfiles().find(p => p.id === id) || null;
+    },
+
+    /**
+     * Save a recurring profile (create or update)
+     * @param {Object} profile - Recurring profile
+     * @returns {Promise<boolean>} success
+     */
+    async saveRecurringProfile(profile) {
+        if (!this._validateRecurringProfile(profile)) {
+            console.error('Invalid recurring profile');
+            return false;
+        }
+
+        try {
+            const data = this.getData();
+            data.recurring = data.recurring || [];
+            const index = data.recurring.findIndex(p => p.id === profile.id);
+            const now = new Date().toISOString();
+
+            if (index >= 0) {
+                data.recurring[index] = { ...data.recurring[index], ...this._copy(profile), updatedAt: now };
+            } else {
+                if (!profile.id) {
+                    profile.id = crypto.randomUUID();
+                }
+                profile.createdAt = profile.createdAt || now;
+                profile.updatedAt = now;
+                data.recurring.push(this._copy(profile));
+            }
+
+            await this.saveData(data);
+            return true;
+        } catch (e) {
+            console.error('Failed to save recurring profile:', e.message);
+            if (e instanceof StorageError) throw e;
+            return false;
+        }
+    },
+
+    /**
+     * Delete a recurring profile. Invoices it already generated are kept.
+     * @param {string} id - Profile ID
+     * @returns {Promise<boolean>} success
+     */
+    async deleteRecurringProfile(id) {
+        try {
+            const data = this.getData();
+            const profiles = data.recurring || [];
+            data.recurring = profiles.filter(p => p.id !== id);
+
+            if (data.recurring.length !== profiles.length) {
+                await this.saveData(data);
+                return true;
+            }
+            return false;
+        } catch (e) {
+            console.error('Failed to delete recurring profile:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Get all catalog entries
+     * @returns {Array} List of catalog items
      */
-    getInvoices() {
-        const data = this.getData();
-        return data.invoices || [];
+    getCatalog() {
+        return this._copy(this._read().catalog || []);
     },
 
     /**
-     * Get a single invoice by ID
-     * @param {string} id - Invoice ID
-     * @returns {Object|null} Invoice object or null
+     * Get a single catalog entry by ID
+     * @param {string} id - Catalog item ID
+     * @returns {Object|null} Catalog item or null
      */
-    getInvoice(id) {
-        const invoices = this.getInvoices();
-        return invoices.find(inv => inv.id === id) || null;
+    getCatalogItem(id) {
+        if (!id) return null;
+        return this.getCatalog().find(item => item.id === id) || null;
     },
 
     /**
-     * Save a single invoice (create or update)
-     * @param {Object} invoice - Invoice object
-     * @returns {boolean} success
+     * Save a single catalog entry (create or update)
+     * @param {Object} item - Catalog item
+     * @returns {Promise<boolean>} success
      */
-    saveInvoice(invoice) {
-        if (!this._validateInvoice(invoice)) {
-            console.error('Invalid invoice data');
+    async saveCatalogItem(item) {
+        if (!this._validateCatalogItem(item)) {
+            console.error('Invalid catalog item');
             return false;
         }
 
         try {
             const data = this.getData();
-            const index = data.invoices.findIndex(inv => inv.id === invoice.id);
-            
-            // Update timestamp
+            data.catalog = data.catalog || [];
+            const index = data.catalog.findIndex(entry => entry.id === item.id);
             const now = new Date().toISOString();
-            
+
             if (index >= 0) {
-                // Update existing
-                data.invoices[index] = { ...data.invoices[index], ...invoice, updatedAt: now };
+                data.catalog[index] = { ...data.catalog[index], ...this._copy(item), updatedAt: now };
             } else {
-                // Create new
-                // Ensure ID exists
-                if (!invoice.id) {
-                    invoice.id = crypto.randomUUID();
-                }
-                // Ensure createdDate exists
-                if (!invoice.createdDate) {
-                    invoice.createdDate = now;
+                if (!item.id) {
+                    item.id = crypto.randomUUID();
                 }
-                
-                data.invoices.push(invoice);
+                item.createdAt = item.createdAt || now;
+                item.updatedAt = now;
+                data.catalog.push(this._copy(item));
             }
-            
-            this.saveData(data);
+
+            await this.saveData(data);
             return true;
         } catch (e) {
-            console.error('Failed to save invoice:', e.message);
-            // Re-throw if it's a known storage error (like quota) so UI can handle it
+            console.error('Failed to save catalog item:', e.message);
             if (e instanceof StorageError) throw e;
             return false;
         }
     },
 
     /**
-     * Delete an invoice by ID
-     * @param {string} id - Invoice ID
-     * @returns {boolean} success
+     * Delete a catalog entry by ID.
+     * Line items already on invoices are unaffected.
+     * @param {string} id - Catalog item ID
+     * @returns {Promise<boolean>} success
      */
-    deleteInvoice(id) {
+    async deleteCatalogItem(id) {
         try {
             const data = this.getData();
-            const initialLength = data.invoices.length;
-            data.invoices = data.invoices.filter(inv => inv.id !== id);
-            
-            if (data.invoices.length !== initialLength) {
-                this.saveData(data);
+            const catalog = data.catalog || [];
+            data.catalog = catalog.filter(item => item.id !== id);
+
+            if (data.catalog.length !== catalog.length) {
+                await this.saveData(data);
                 return true;
             }
             return false;
         } catch (e) {
-            console.error('Failed to delete invoice:', e);
+            console.error('Failed to delete catalog item:', e);
             return false;
         }
     },
 
     /**
-     * Get the next formatted invoice number
-     * @returns {string}
+     * Search catalog entries by code or description
+     * @param {string} query - Search term
+     * @returns {Array} Filtered catalog items
      */
-    getNextInvoiceNumber() {
-        const settings = this.getSettings();
-        const prefix = settings.invoicePrefix || '';
-        const num = settings.nextInvoiceNumber || 1;
-        const padding = settings.invoiceNumberPadding || 4;
-        return prefix + String(num).padStart(padding, '0');
+    searchCatalog(query) {
+        const catalog = this.getCatalog();
+        if (!query) return catalog;
+
+        const term = query.toLowerCase();
+        return catalog.filter(item =>
+            (item.code && item.code.toLowerCase().includes(term)) ||
+            (item.description && item.description.toLowerCase().includes(term))
+        );
     },
 
     /**
-     * Increment the invoice number counter
+     * Build a portable catalog export
+     * @returns {Object} Export payload
+     */
+    exportCatalog() {
+        return {
+            type: 'invoicer-catalog',
+            version: APP_VERSION,
+            exportedAt: new Date().toISOString(),
+            items: this.getCatalog().map(({ code, description, rate, unit, taxCategory }) => ({
+                code, description, rate, unit, taxCategory
+            }))
+        };
+    },
+
+    /**
+     * Import catalog entries. Entries whose code already exists are updated,
+     * everything else is added. Invalid entries are skipped.
+     * @param {Object} payload - Export payload from exportCatalog()
+     * @returns {Promise<Object>} { added, updated, skipped }
+     * @throws {StorageError}
      */
-    incrementInvoiceNumber() {
+    async importCatalog(payload) {
+        if (!payload || payload.type !== 'invoicer-catalog' || !Array.isArray(payload.items)) {
+            throw new StorageError(I18n.t('error.invalidCatalog'), 'INVALID_IMPORT');
+        }
+
         const data = this.getData();
-        data.settings.nextInvoiceNumber = (data.settings.nextInvoiceNumber || 1) + 1;
-        this.saveData(data);
+        data.catalog = data.catalog || [];
+        const now = new Date().toISOString();
+        const result = { added: 0, updated: 0, skipped: 0 };
+
+        payload.items.forEach(entry => {
+            const item = {
+                code: String(entry.code || '').trim(),
+                description: String(entry.description || ''),
+                rate: parseFloat(entry.rate) || 0,
+                unit: String(entry.unit || ''),
+                taxCategory: String(entry.taxCategory || '')
+            };
+            if (!this._validateCatalogItem(item)) {
+                result.skipped++;
+                return;
+            }
+
+            const existing = item.code &&
+                data.catalog.find(e => e.code && e.code.toLowerCase() === item.code.toLowerCase());
+            if (existing) {
+                Object.assign(existing, item, { updatedAt: now });
+                result.updated++;
+            } else {
+                data.catalog.push({ id: crypto.randomUUID(), ...item, createdAt: now, updatedAt: now });
+                result.added++;
+            }
+        });
+
+        await this.saveData(data);
+        return result;
     },
 
     /**
-     * Search invoices by query string
-     * @param {string} query - Search term
-     * @returns {Array} Filtered invoices
+     * Dry run of a spreadsheet import. Each invoice must pass _validateInvoice and
+     * use an invoice number not already taken; problems are added to the entry's errors.
+     * @param {Array} entries - [{ invoice, errors, rows }] from Model.buildImportedInvoices
+     * @returns {Object} { entries, valid, invalid, newClients } - newClients: names not in the address book
      */
-    searchInvoices(query) {
-        if (!query) return this.getInvoices();
+    previewImport(entries) {
+        const taken = this._takenInvoiceNumbers(this._read());
+        const newClients = new Map();
+
+        entries.forEach(entry => {
+            if (!this._validateInvoice(entry.invoice)) {
+                entry.errors.push(I18n.t('import.needsClientAndLines'));
+            }
+            if (taken.has(entry.invoice.invoiceNumber.toLowerCase())) {
+                entry.errors.push(I18n.t('import.numberExists', { number: entry.invoice.invoiceNumber }));
+            }
+            const name = entry.invoice.client.name;
+            if (entry.errors.length === 0 && !this.findClientByName(name)) {
+                newClients.set(name.toLowerCase(), name);
+            }
+        });
+
+        const valid = entries.filter(entry => entry.errors.length === 0).length;
+        return { entries: entries, valid: valid, invalid: entries.length - valid, newClients: [...newClients.values()] };
+    },
+
+    /**
+     * Save the invoices of an import preview that have no errors, in one write.
+     * Each is linked to the address book client of the same name; clients not in
+     * the address book are added when options.addClients is set.
+     * @param {Object} preview - Result of previewImport
+     * @param {Object} options - { addClients }
+     * @returns {Promise<Object>} { added, skipped, clients }
+     */
+    async importInvoices(preview, options = {}) {
+        const data = this.getData();
+        data.clients = data.clients || [];
+        const taken = this._takenInvoiceNumbers(data);
+        const now = new Date().toISOString();
+        const result = { added: 0, skipped: 0, clients: 0 };
+        const prefix = data.settings.invoicePrefix || '';
+
+        preview.entries.forEach(entry => {
+            const number = entry.invoice.invoiceNumber;
+            if (entry.errors.length || !this._validateInvoice(entry.invoice) || taken.has(number.toLowerCase())) {
+                result.skipped++;
+                return;
+            }
+
+            const invoice = JSON.parse(JSON.stringify(entry.invoice));
+            const name = invoice.client.name.trim().toLowerCase();
+            let client = data.clients.find(c => c.name.trim().toLowerCase() === name);
+            if (!client && options.addClients) {
+                client = { ...Model.createClient(invoice.client), id: crypto.randomUUID(), createdAt: now, updatedAt: now };
+                data.clients.push(client);
+                result.clients++;
+            }
+            invoice.clientId = client ? client.id : '';
+            invoice.id = crypto.randomUUID();
+            invoice.statusHistory = [{ status: invoice.status, date: now }];
+            data.invoices.push(invoice);
+            this._recordRevision(data, null, invoice, now, { key: 'history.note.imported' });
+            taken.add(number.toLowerCase());
+            result.added++;
+
+            // Keep the invoice sequence ahead of imported numbers in the same format
+            const sequence = number.startsWith(prefix) ? number.substring(prefix.length) : '';
+            if (/^\d+$/.test(sequence)) {
+                data.settings.nextInvoiceNumber = Math.max(data.settings.nextInvoiceNumber || 1, parseInt(sequence, 10) + 1);
+            }
+        });
+
+        await this.saveData(data);
+        return result;
+    },
+
+    /**
+     * Export the complete dataset as a versioned backup
+     * @returns {Object} Backup payload
+     */
+    exportBackup() {
+        return {
+            type: 'invoicer-backup',
+            version: APP_VERSION,
+            exportedAt: new Date().toISOString(),
+            data: this.getData()
+        };
+    },
+
+    /**
+     * The copy of the data kept from before the last upgrade to a new version,
+     * in the backup file format
+     * @returns {Promise<Object|null>} null when no upgrade kept one
+     */
+    async getUpgradeBackup() {
+        try {
+            return await this._adapter.loadBackup();
+        } catch (e) {
+            console.error('Failed to read the pre-upgrade backup:', e);
+            return null;
+        }
+    },
+
+    /**
+     * Validate a backup and migrate it to the current schema.
+     * Nothing is written; pass the result to restoreBackup.
+     * @param {Object} payload - Parsed backup file
+     * @returns {Object} Migrated application data
+     * @throws {StorageError}
+     */
+    parseBackup(payload) {
+        if (!payload || payload.type !== 'invoicer-backup' || !payload.data || typeof payload.data !== 'object') {
+            throw new StorageError(I18n.t('error.invalidBackup'), 'INVALID_BACKUP');
+        }
+
+        const data = JSON.parse(JSON.stringify(payload.data));
+        data.version = data.version || payload.version;
+        if (!Array.isArray(data.invoices)) {
+            throw new StorageError(I18n.t('error.backupNoInvoices'), 'INVALID_BACKUP');
+        }
+
+        const invalid = data.invoices.filter(inv => !this._validateInvoice(inv)).length;
+        if (invalid > 0) {
+            throw new StorageError(I18n.plural('error.backupInvalidInvoices', invalid), 'INVALID_BACKUP');
+        }
+
+        data.clients = data.clients || [];
+        data.catalog = data.catalog || [];
+        return this._migrate(data);
+    },
+
+    /**
+     * Invoices in a backup whose id exists here with different content
+     * @param {Object} backupData - Result of parseBackup
+     * @returns {Array} [{ current, incoming }]
+     */
+    findBackupConflicts(backupData) {
+        const current = new Map((this._read().invoices || []).map(inv => [inv.id, inv]));
+        return backupData.invoices
+            .filter(inv => current.has(inv.id) && JSON.stringify(current.get(inv.id)) !== JSON.stringify(inv))
+            .map(inv => ({ current: this._copy(current.get(inv.id)), incoming: inv }));
+    },
+
+    /**
+     * Restore a parsed backup.
+     * 'replace' swaps in the backup wholesale. 'merge' adds invoices, clients,
+     * catalog items and recurring profiles missing here; for invoices that exist
+     * on both sides, resolutions[id] === 'backup' takes the backup copy,
+     * anything else keeps the current one. Current settings are kept on merge.
+     * @param {Object} backupData - Result of parseBackup
+     * @param {Object} options - { mode: 'replace' | 'merge', resolutions: { [invoiceId]: 'current' | 'backup' } }
+     * @returns {Promise<Object>} { added, replaced, kept }
+     * @throws {StorageError}
+     */
+    async restoreBackup(backupData, options = {}) {
+        const mode = options.mode || 'merge';
+        const resolutions = options.resolutions || {};
+
+        if (mode === 'replace') {
+            await this.saveData(this._copy(backupData));
+            return { added: backupData.invoices.length, replaced: 0, kept: 0 };
+        }
+
+        // The backup's entries go into the stored data; keep the caller's copy apart
+        const incoming = this._copy(backupData);
+        const data = this.getData();
+        const result = { added: 0, replaced: 0, kept: 0 };
+
+        incoming.invoices.forEach(inv => {
+            const index = data.invoices.findIndex(existing => existing.id === inv.id);
+            if (index < 0) {
+                data.invoices.push(inv);
+                result.added++;
+            } else if (JSON.stringify(data.invoices[index]) === JSON.stringify(inv)) {
+                result.kept++;
+            } else if (resolutions[inv.id] === 'backup') {
+                data.invoices[index] = inv;
+                result.replaced++;
+            } else {
+                result.kept++;
+            }
+        });
+
+        ['clients', 'catalog', 'recurring', 'revisions'].forEach(collection => {
+            data[collection] = data[collection] || [];
+            const ids = new Set(data[collection].map(entry => entry.id));
+            (incoming[collection] || []).forEach(entry => {
+                if (!ids.has(entry.id)) data[collection].push(entry);
+            });
+        });
+
+        // Keep each number sequence ahead of every number either side has issued
+        ['nextInvoiceNumber', 'nextCreditNoteNumber', 'nextQuoteNumber'].forEach(key => {
+            data.settings[key] = Math.max(
+                parseInt(data.settings[key], 10) || 1,
+                parseInt(incoming.settings && incoming.settings[key], 10) || 1
+            );
+        });
+
+        await this.saveData(data);
+        return result;
+    },
+
+    /**
+     * Internal: Filter invoices or quotes by number, client, status, line items
+     * and payment references
+     * @param {Array} invoices
+     * @param {string} query
+     * @returns {Array}
+     */
+    _searchDocuments(invoices, query) {
+        if (!query) return invoices;
         
         const term = query.toLowerCase();
-        const invoices = this.getInvoices();
+        // Match against the current client records too, so invoices are found
+        // even when their snapshot predates a client rename
+        const clientIds = new Set(this.searchClients(query).map(c => c.id));
         
         return invoices.filter(inv => {
             // Search in basic fields
@@ -238,22 +1501,72 @@ const Storage = {
                 (inv.invoiceNumber && inv.invoiceNumber.toLowerCase().includes(term)) ||
                 (inv.client && inv.client.name && inv.client.name.toLowerCase().includes(term)) ||
                 (inv.client && inv.client.email && inv.client.email.toLowerCase().includes(term)) ||
-                (inv.status && inv.status.toLowerCase().includes(term))
+                Model.getDisplayStatus(inv).includes(term) ||
+                (inv.clientId && clientIds.has(inv.clientId))
             );
             
             if (basicMatch) return true;
 
             // Search in line items
             if (inv.items && Array.isArray(inv.items)) {
-                return inv.items.some(item => 
+                const itemMatch = inv.items.some(item => 
                     item.description && item.description.toLowerCase().includes(term)
                 );
+                if (itemMatch) return true;
             }
-            
-            return false;
+
+            // Search in payment references
+            return (inv.payments || []).some(payment =>
+                payment.reference && payment.reference.toLowerCase().includes(term)
+            );
         });
     },
 
+    /**
+     * Internal: Validate catalog item structure
+     * @param {Object} item
+     * @returns {boolean}
+     */
+    _validateCatalogItem(item) {
+        if (!item || typeof item !== 'object') return false;
+        const hasLabel = (item.code && String(item.code).trim()) || (item.description && String(item.description).trim());
+        return Boolean(hasLabel) && !isNaN(parseFloat(item.rate)) && parseFloat(item.rate) >= 0;
+    },
+
+    /**
+     * Internal: Validate client structure
+     * @param {Object} client
+     * @returns {boolean}
+     */
+    _validateClient(client) {
+        if (!client || typeof client !== 'object') return false;
+        return typeof client.name === 'string' && client.name.trim() !== '';
+    },
+
+    /**
+     * Internal: Validate recurring profile structure
+     * @param {Object} profile
+     * @returns {boolean}
+     */
+    _validateRecurringProfile(profile) {
+        if (!profile || typeof profile !== 'object') return false;
+        const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+        return typeof profile.name === 'string' && profile.name.trim() !== '' &&
+            Object.prototype.hasOwnProperty.call(Model.RECURRING_FREQUENCIES, profile.frequency) &&
+            isDate(profile.startDate) && isDate(profile.nextRunDate) &&
+            (!profile.endDate || isDate(profile.endDate)) &&
+            !!profile.template && Array.isArray(profile.template.items);
+    },
+
+    /**
+     * Internal: Invoice numbers in use, lower-cased. Credit notes and quotes have sequences of their own.
+     */
+    _takenInvoiceNumbers(data) {
+        return new Set(data.invoices
+            .filter(inv => Model.isPayable(inv) && inv.invoiceNumber)
+            .map(inv => inv.invoiceNumber.toLowerCase()));
+    },
+
     /**
      * Internal: Validate invoice structure
      * @param {Object} invoice 
@@ -278,37 +1591,361 @@ const Storage = {
     },
 
     /**
-     * Internal: Check if storage is available
+     * Internal: Add or update an invoice in the data being written, guarding
+     * the status lifecycle and recording the revision. Throws before changing
+     * the data when the invoice can't be saved.
+     * @param {Object} data - Application data being written
+     * @param {Object} invoice - Gets its id, creation date and status history filled in
+     * @param {string} now - ISO timestamp
+     * @param {Object|null} note - Optional { key, params } message stored with the revision
+     * @throws {StorageError} INVALID_TRANSITION or INVALID_CREDIT
+     */
+    _putInvoice(data, invoice, now, note) {
+        const index = data.invoices.findIndex(inv => inv.id === invoice.id);
+
+        // Guard the status lifecycle and record each transition
+        const previous = index >= 0 ? data.invoices[index] : null;
+        const from = previous ? previous.status : 'draft';
+        const to = invoice.status || from;
+        if (!Model.canTransition(from, to, invoice.type)) {
+            throw new StorageError(
+                I18n.t('error.statusChange', {
+                    name: Model.documentLabels(invoice).name,
+                    from: Model.formatStatus(from),
+                    to: Model.formatStatus(to)
+                }),
+                'INVALID_TRANSITION'
+            );
+        }
+        const history = (previous && previous.statusHistory) || invoice.statusHistory || [];
+        invoice.statusHistory = history.length ? [...history] : [{ status: 'draft', date: now }];
+        const lastStatus = invoice.statusHistory.filter(h => h.status !== 'overdue').pop();
+        if (!lastStatus || lastStatus.status !== to) {
+            invoice.statusHistory.push({ status: to, date: now });
+        }
+
+        if (Model.isCreditNote(invoice)) {
+            this._validateCreditNote(data, invoice);
+        }
+
+        let saved;
+        if (index >= 0) {
+            // Update existing
+            saved = data.invoices[index] = { ...data.invoices[index], ...this._copy(invoice), updatedAt: now };
+        } else {
+            // Create new
+            // Ensure ID exists
+            if (!invoice.id) {
+                invoice.id = crypto.randomUUID();
+            }
+            // Ensure createdDate exists
+            if (!invoice.createdDate) {
+                invoice.createdDate = now;
+            }
+
+            saved = this._copy(invoice);
+            data.invoices.push(saved);
+        }
+
+        // Credit notes change the balance of the invoice they credit
+        this._applyCredits(data, Model.isCreditNote(saved) ? saved.creditedInvoiceId : saved.id, now);
+        this._recordRevision(data, previous, saved, now, note);
+    },
+
+    /**
+     * Internal: Check a credit note against the invoice it credits
+     * @param {Object} data - Application data being written
+     * @param {Object} note - Credit note being saved
+     * @throws {StorageError} INVALID_CREDIT
+     */
+    _validateCreditNote(data, note) {
+        const original = data.invoices.find(inv => inv.id === note.creditedInvoiceId && !inv.deletedAt);
+        if (!original || !Model.isPayable(original)) {
+            throw new StorageError(I18n.t('error.creditedMissing'), 'INVALID_CREDIT');
+        }
+        if (!Model.isBilled(original)) {
+            throw new StorageError(I18n.t('error.creditSentOnly'), 'INVALID_CREDIT');
+        }
+        if (note.currency !== original.currency) {
+            throw new StorageError(I18n.t('error.creditCurrency'), 'INVALID_CREDIT');
+        }
+
+        const currency = original.currency;
+        const others = data.invoices.filter(inv =>
+            Model.isCreditNote(inv) && inv.creditedInvoiceId === original.id && inv.id !== note.id &&
+            !inv.deletedAt && Model.isBilled(inv)
+        );
+        const credited = others.reduce((sum, inv) => sum - Money.toMinor(inv.total || 0, currency), 0);
+        const available = Money.toMinor(original.total || 0, currency) - credited;
+        if (Model.isBilled(note) && -Money.toMinor(note.total || 0, currency) > available) {
+            throw new StorageError(
+                I18n.t('error.creditTooLarge', {
+                    amount: Model.formatCurrency(Money.fromMinor(available, currency), currency),
+                    number: original.invoiceNumber || original.id
+                }),
+                'INVALID_CREDIT'
+            );
+        }
+    },
+
+    /**
+     * Internal: Recalculate an invoice's balance from the credit notes against it.
+     * Only issued credit notes count (not drafts, void or trashed ones).
+     * @param {Object} data - Application data being written
+     * @param {string} invoiceId - Invoice to update; ignored when empty or not an invoice
+     * @param {string} now - ISO timestamp for the status history
+     */
+    _applyCredits(data, invoiceId, now) {
+        const invoice = invoiceId && data.invoices.find(inv => inv.id === invoiceId);
+        if (!invoice || !Model.isPayable(invoice)) return;
+
+        const currency = invoice.currency || 'USD';
+        const credited = data.invoices
+            .filter(inv => Model.isCreditNote(inv) && inv.creditedInvoiceId === invoiceId && !inv.deletedAt && Model.isBilled(inv))
+            .reduce((sum, inv) => sum - Money.toMinor(inv.total || 0, currency), 0);
+        invoice.creditedAmount = Money.fromMinor(credited, currency);
+
+        const status = invoice.status;
+        Model.calculateInvoice(invoice);
+        if (invoice.status !== status) {
+            invoice.statusHistory = [...(invoice.statusHistory || []), { status: invoice.status, date: now }];
+        }
+    },
+
+    /**
+     * Internal: Append a revision for a saved invoice, unless nothing changed,
+     * and drop the oldest beyond the backend's REVISION_LIMITS
+     * @param {Object} data - Application data being written
+     * @param {Object|null} previous - Invoice before the save
+     * @param {Object} saved - Invoice after the save
+     * @param {string} now - ISO timestamp
+     * @param {Object|null} note - Optional reason as a { key, params } message, e.g. a restore
+     */
+    _recordRevision(data, previous, saved, now, note) {
+        const changes = Model.diffInvoices(previous, saved);
+        if (previous && changes.length === 0) return;
+
+        data.revisions = data.revisions || [];
+        const number = data.revisions
+            .filter(r => r.invoiceId === saved.id)
+            .reduce((max, r) => Math.max(max, r.number), 0) + 1;
+        data.revisions.push({
+            id: crypto.randomUUID(),
+            invoiceId: saved.id,
+            number: number,
+            savedAt: now,
+            noteKey: note ? note.key : (previous ? '' : 'history.note.created'),
+            noteParams: (note && note.params) || {},
+            changes: changes,
+            snapshot: JSON.parse(JSON.stringify(saved))
+        });
+
+        const limit = this.REVISION_LIMITS[this._adapter.name] || this.REVISION_LIMITS.localStorage;
+        if (number > limit) {
+            const kept = number - limit;
+            data.revisions = data.revisions.filter(r => r.invoiceId !== saved.id || r.number > kept);
+        }
+    },
+
+    /**
+     * Internal: Stop all writes
+     * @param {StorageError} error - Why
+     */
+    _setReadOnly(error) {
+        this._readOnly = error;
+        if (this.onReadOnly) this.onReadOnly(error);
+    },
+
+    /**
+     * Internal: Keep in step with other open tabs. Tell them which data version
+     * this one writes, and go read-only if a newer version starts elsewhere, so
+     * an old tab never overwrites upgraded data. Reload the data when another
+     * tab saves, so this tab never writes back a stale copy over its changes:
+     * localStorage reports that through the storage event, IndexedDB tabs post
+     * 'changed' on the channel.
      */
-    _isStorageAvailable() {
+    _connectTabs() {
+        if (typeof window !== 'undefined' && !this._watchingStorageEvents) {
+            this._watchingStorageEvents = true;
+            window.addEventListener('storage', (e) => {
+                if (e.key === STORAGE_KEY && this._adapter === LocalStorageAdapter) this._reload();
+            });
+        }
+
+        if (typeof BroadcastChannel === 'undefined' || this._channel) return;
+
+        this._channel = new BroadcastChannel('invoicer-storage');
+        this._channel.onmessage = (e) => {
+            const version = e.data && e.data.version;
+            if (!this._readOnly && version && this._compareVersions(version, APP_VERSION) > 0) {
+                this._setReadOnly(new StorageError(
+                    I18n.t('error.newerTab', { version: version }),
+                    'VERSION_TOO_NEW'
+                ));
+            } else if (e.data && e.data.changed && this._adapter !== LocalStorageAdapter) {
+                this._reload();
+            }
+        };
+        this._channel.postMessage({ version: APP_VERSION });
+    },
+
+    /**
+     * Internal: Tell other tabs this one has written the data
+     */
+    _announceChange() {
+        if (this._channel && this._adapter !== LocalStorageAdapter) {
+            this._channel.postMessage({ changed: true });
+        }
+    },
+
+    /**
+     * Internal: Load the data again after another tab changed it. A write
+     * from this tab that overlaps the load would be lost, so the load waits
+     * for pending writes and starts over if one begins meanwhile.
+     * @returns {Promise<void>}
+     */
+    async _reload() {
+        if (this._readOnly) return;
+
+        let data;
+        let writes;
         try {
-            const x = '__storage_test__';
-            localStorage.setItem(x, x);
-            localStorage.removeItem(x);
-            return true;
+            do {
+                await this.flush();
+                writes = this._writeCount;
+                data = await this._adapter.load();
+            } while (writes !== this._writeCount);
+            if (!data) return;
+            data = this._migrate(data);
         } catch (e) {
-            return false;
+            console.error('Could not reload data changed in another tab:', e);
+            if (e instanceof StorageError && e.code === 'VERSION_TOO_NEW') this._setReadOnly(e);
+            return;
         }
+
+        this._cache = data;
+        if (this.onExternalChange) this.onExternalChange();
     },
 
     /**
-     * Internal: Check if error is quota exceeded
+     * Internal: The stored data itself, not a copy. Only for reading
      */
-    _isQuotaExceeded(e) {
-        return (
-            e instanceof DOMException &&
-            // everything except Firefox
-            (e.code === 22 ||
-            // Firefox
-            e.code === 1014 ||
-            // test name field too, because code might not be present
-            // everything except Firefox
-            e.name === 'QuotaExceededError' ||
-            // Firefox
-            e.name === 'NS_ERROR_DOM_QUOTA_REACHED') &&
-            // acknowledge QuotaExceededError only if there's something already stored
-            (localStorage && localStorage.length !== 0)
-        );
+    _read() {
+        return this._cache || this._getDefaults();
+    },
+
+    /**
+     * Internal: The stored settings themselves, not a copy. Only for reading
+     */
+    _settings() {
+        return this._read().settings || this._getDefaults().settings;
+    },
+
+    /**
+     * Internal: Deep copy of plain data, so callers can't change the stored data
+     */
+    _copy(value) {
+        return JSON.parse(JSON.stringify(value));
+    },
+
+    /**
+     * Internal: Format the next number of a sequence, e.g. invoicePrefix + nextInvoiceNumber.
+     * The padding is shared by all sequences.
+     */
+    _formatNumber(settings, prefixKey, counterKey) {
+        const num = settings[counterKey] || 1;
+        const padding = settings.invoiceNumberPadding || 4;
+        return (settings[prefixKey] || '') + String(num).padStart(padding, '0');
+    },
+
+    /**
+     * Internal: Open IndexedDB, falling back to localStorage
+     * @returns {Promise<Object>} The adapter to use
+     */
+    async _openAdapter() {
+        if (IndexedDBAdapter.isAvailable()) {
+            try {
+                await IndexedDBAdapter.open();
+                return IndexedDBAdapter;
+            } catch (e) {
+                console.warn('IndexedDB unavailable, falling back to localStorage:', e);
+            }
+        }
+        await LocalStorageAdapter.open();
+        return LocalStorageAdapter;
+    },
+
+    /**
+     * Internal: Store the data as it was before an upgrade, apart from the working
+     * data, so it can still be downloaded if the upgrade loses something. Replaces
+     * the copy kept by an earlier upgrade. An upgrade goes ahead without it if it
+     * can't be stored.
+     * @param {Object} snapshot - Data as loaded, before migration
+     * @returns {Promise<void>}
+     */
+    async _keepUpgradeBackup(snapshot) {
+        try {
+            await this._adapter.saveBackup({
+                type: 'invoicer-backup',
+                version: snapshot.version || '1.0.0',
+                exportedAt: new Date().toISOString(),
+                data: snapshot
+            });
+        } catch (e) {
+            console.warn('Could not keep a copy of the data before upgrading:', e);
+        }
+    },
+
+    /**
+     * Internal: Bring a data object up to the current schema by running the
+     * MIGRATIONS registry in order. Works on a copy: the data passed in is the
+     * pre-migration snapshot and is left as it was if any step fails.
+     * Used for stored data on load and for imported backups.
+     * @param {Object} data - Application data
+     * @returns {Object} Migrated copy
+     * @throws {StorageError} VERSION_TOO_NEW or MIGRATION_FAILED
+     */
+    _migrate(data) {
+        const version = data.version || '1.0.0';
+        if (this._compareVersions(version, APP_VERSION) > 0) {
+            throw new StorageError(
+                I18n.t('error.newerData', { version: version, current: APP_VERSION }),
+                'VERSION_TOO_NEW'
+            );
+        }
+
+        const migrated = JSON.parse(JSON.stringify(data));
+        migrated.version = version;
+
+        let step;
+        while ((step = MIGRATIONS.find(m => m.from === migrated.version))) {
+            try {
+                step.migrate(migrated);
+            } catch (e) {
+                console.error(`Migration ${step.from} -> ${step.to} failed:`, e);
+                throw new StorageError(I18n.t('error.migrationFailed', { from: step.from, to: step.to, message: e.message }), 'MIGRATION_FAILED');
+            }
+            migrated.version = step.to;
+        }
+
+        if (migrated.version !== APP_VERSION) {
+            throw new StorageError(I18n.t('error.noMigration', { version: migrated.version }), 'MIGRATION_FAILED');
+        }
+        return migrated;
+    },
+
+    /**
+     * Internal: Compare dotted version strings
+     * @returns {number} Negative, zero or positive like a sort comparator
+     */
+    _compareVersions(a, b) {
+        const partsA = String(a).split('.').map(n => parseInt(n, 10) || 0);
+        const partsB = String(b).split('.').map(n => parseInt(n, 10) || 0);
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
     },
 
     /**
@@ -318,12 +1955,37 @@ const Storage = {
         return {
             version: APP_VERSION,
             invoices: [],
+            clients: [],
+            catalog: [],
+            recurring: [],
+            revisions: [],
             settings: {
                 currency: 'USD',
-                defaultTaxRate: 0,
+                // Named tax categories assigned per line item; components stack in order
+                taxCategories: [
+                    { id: 'exempt', name: 'Exempt', components: [] }
+                ],
+                defaultTaxCategory: '',
+                // Money rounding: mode 'half-up' | 'half-even', policy 'line' | 'total'
+                rounding: { mode: 'half-up', policy: 'line' },
                 invoicePrefix: '',
                 nextInvoiceNumber: 1,
-                invoiceNumberPadding: 4
+                invoiceNumberPadding: 4,
+                creditNotePrefix: 'CN-',
+                nextCreditNoteNumber: 1,
+                quotePrefix: 'QUO-',
+                nextQuoteNumber: 1,
+                // Days a new quote stays valid
+                quoteValidityDays: 30,
+                // Print and PDF layout; invoices may pick another template of their own
+                documentTemplate: JSON.parse(JSON.stringify(Model.DEFAULT_TEMPLATE)),
+                // Language of the app UI, and of documents whose invoice and client don't pick one
+                language: 'en',
+                documentLanguage: 'en',
+                // Payment terms for new invoices; clients may have terms of their own
+                paymentTerms: { ...Model.DEFAULT_PAYMENT_TERMS },
+                // Days a deleted invoice stays in the trash; 0 keeps it until purged by hand
+                trashRetentionDays: 30
             }
         };
     },
@@ -332,9 +1994,6 @@ const Storage = {
      * Internal: Initialize default data
      */
     _initializeDefaults() {
-        this.saveData(this._getDefaults());
+        return this.saveData(this._getDefaults());
     }
 };
-
-// Initialize on load
-Storage.init();
\ No newline at end of file
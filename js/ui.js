@@ -9,7 +9,13 @@ const UI = {
         views: {
             dashboard: document.getElementById('view-dashboard'),
             editor: document.getElementById('view-editor'),
+            quotes: document.getElementById('view-quotes'),
             settings: document.getElementById('view-settings'),
+            clients: document.getElementById('view-clients'),
+            catalog: document.getElementById('view-catalog'),
+            recurring: document.getElementById('view-recurring'),
+            reports: document.getElementById('view-reports'),
+            trash: document.getElementById('view-trash'),
             print: document.getElementById('view-print')
         },
         settings: {
@@ -20,48 +26,234 @@ const UI = {
             clearLogoBtn: document.getElementById('btn-clear-logo'),
             name: document.getElementById('settings-name'),
             address: document.getElementById('settings-address'),
-            defaultTax: document.getElementById('settings-default-tax'),
+            template: document.getElementById('settings-template'),
+            templateAccent: document.getElementById('settings-template-accent'),
+            templateFont: document.getElementById('settings-template-font'),
+            templateFields: document.getElementById('settings-template-fields'),
+            language: document.getElementById('settings-language'),
+            documentLanguage: document.getElementById('settings-document-language'),
+            paymentTerms: document.getElementById('settings-payment-terms'),
+            taxCategories: document.getElementById('settings-tax-categories'),
+            defaultTaxCategory: document.getElementById('settings-default-tax-category'),
+            roundingMode: document.getElementById('settings-rounding-mode'),
+            roundingPolicy: document.getElementById('settings-rounding-policy'),
             invoicePrefix: document.getElementById('settings-invoice-prefix'),
             nextNumber: document.getElementById('settings-next-number'),
-            numberPadding: document.getElementById('settings-number-padding')
+            numberPadding: document.getElementById('settings-number-padding'),
+            creditNotePrefix: document.getElementById('settings-credit-note-prefix'),
+            nextCreditNoteNumber: document.getElementById('settings-next-credit-note-number'),
+            quotePrefix: document.getElementById('settings-quote-prefix'),
+            nextQuoteNumber: document.getElementById('settings-next-quote-number'),
+            quoteValidityDays: document.getElementById('settings-quote-validity'),
+            trashRetention: document.getElementById('settings-trash-retention'),
+            currency: document.getElementById('settings-currency')
         },
         dashboard: {
             list: document.getElementById('invoice-list'),
             revenue: document.getElementById('total-revenue'),
             pending: document.getElementById('total-pending'),
-            searchInput: document.getElementById('search-invoices')
+            searchInput: document.getElementById('search-invoices'),
+            sortHeaders: document.querySelectorAll('#invoice-table .sort-header'),
+            selectAll: document.getElementById('select-all-invoices'),
+            bulkActions: {
+                container: document.getElementById('bulk-actions'),
+                summary: document.getElementById('bulk-selection-summary'),
+                paymentDate: document.getElementById('bulk-payment-date')
+            },
+            filters: {
+                status: document.getElementById('filter-status'),
+                client: document.getElementById('filter-client'),
+                currency: document.getElementById('filter-currency'),
+                dateFrom: document.getElementById('filter-date-from'),
+                dateTo: document.getElementById('filter-date-to'),
+                minAmount: document.getElementById('filter-min-amount'),
+                maxAmount: document.getElementById('filter-max-amount')
+            },
+            pager: {
+                container: document.getElementById('invoice-pager'),
+                info: document.getElementById('pager-info'),
+                size: document.getElementById('pager-size'),
+                prev: document.getElementById('btn-page-prev'),
+                next: document.getElementById('btn-page-next')
+            },
+            bulkExport: {
+                panel: document.getElementById('bulk-export-panel'),
+                from: document.getElementById('bulk-export-from'),
+                to: document.getElementById('bulk-export-to'),
+                format: document.getElementById('bulk-export-format'),
+                count: document.getElementById('bulk-export-count')
+            }
+        },
+        clients: {
+            list: document.getElementById('client-list'),
+            searchInput: document.getElementById('search-clients'),
+            form: document.getElementById('client-form'),
+            formTitle: document.getElementById('client-form-title'),
+            id: document.getElementById('client-form-id'),
+            name: document.getElementById('client-form-name'),
+            email: document.getElementById('client-form-email'),
+            address: document.getElementById('client-form-address'),
+            language: document.getElementById('client-form-language'),
+            paymentTerms: document.getElementById('client-form-payment-terms')
+        },
+        catalog: {
+            list: document.getElementById('catalog-list'),
+            searchInput: document.getElementById('search-catalog'),
+            importFile: document.getElementById('catalog-import-file'),
+            form: document.getElementById('catalog-form'),
+            formTitle: document.getElementById('catalog-form-title'),
+            id: document.getElementById('catalog-form-id'),
+            code: document.getElementById('catalog-form-code'),
+            description: document.getElementById('catalog-form-description'),
+            rate: document.getElementById('catalog-form-rate'),
+            unit: document.getElementById('catalog-form-unit'),
+            taxCategory: document.getElementById('catalog-form-tax-category')
+        },
+        quotes: {
+            list: document.getElementById('quote-list'),
+            searchInput: document.getElementById('search-quotes')
+        },
+        trash: {
+            list: document.getElementById('trash-list'),
+            retention: document.getElementById('trash-retention')
+        },
+        toast: {
+            container: document.getElementById('toast'),
+            message: document.getElementById('toast-message'),
+            action: document.getElementById('toast-action')
+        },
+        history: {
+            panel: document.getElementById('history-panel'),
+            list: document.getElementById('history-list'),
+            compareFrom: document.getElementById('history-compare-from'),
+            compareTo: document.getElementById('history-compare-to'),
+            detail: document.getElementById('history-detail')
+        },
+        backup: {
+            importFile: document.getElementById('backup-import-file'),
+            upgradeBackupBtn: document.getElementById('btn-export-upgrade-backup'),
+            panel: document.getElementById('restore-panel'),
+            summary: document.getElementById('restore-summary'),
+            conflicts: document.getElementById('restore-conflicts'),
+            conflictList: document.getElementById('restore-conflict-list')
         },
+        import: {
+            file: document.getElementById('import-file'),
+            panel: document.getElementById('import-panel'),
+            summary: document.getElementById('import-summary'),
+            mappingStep: document.getElementById('import-mapping-step'),
+            mapping: document.getElementById('import-mapping'),
+            addClients: document.getElementById('import-add-clients'),
+            dateOrder: document.getElementById('import-date-order'),
+            decimal: document.getElementById('import-decimal'),
+            previewStep: document.getElementById('import-preview-step'),
+            previewSummary: document.getElementById('import-preview-summary'),
+            previewList: document.getElementById('import-preview-list'),
+            confirmButton: document.getElementById('btn-confirm-import')
+        },
+        recurring: {
+            list: document.getElementById('recurring-list'),
+            form: document.getElementById('recurring-form'),
+            formTitle: document.getElementById('recurring-form-title'),
+            id: document.getElementById('recurring-form-id'),
+            sourceInvoiceId: document.getElementById('recurring-form-source'),
+            name: document.getElementById('recurring-form-name'),
+            frequency: document.getElementById('recurring-form-frequency'),
+            dueDays: document.getElementById('recurring-form-due-days'),
+            active: document.getElementById('recurring-form-active'),
+            startDate: document.getElementById('recurring-form-start'),
+            endDate: document.getElementById('recurring-form-end'),
+            nextRunDate: document.getElementById('recurring-form-next'),
+            preview: document.getElementById('recurring-preview'),
+            previewTitle: document.getElementById('recurring-preview-title'),
+            previewList: document.getElementById('recurring-preview-list')
+        },
+        reports: {
+            period: document.getElementById('report-period'),
+            clientRank: document.getElementById('report-client-rank'),
+            agingDate: document.getElementById('report-aging-date'),
+            revenueList: document.getElementById('report-revenue-list'),
+            clientList: document.getElementById('report-client-list'),
+            agingHead: document.getElementById('report-aging-head'),
+            agingList: document.getElementById('report-aging-list')
+        },
+        autocomplete: document.getElementById('autocomplete-list'),
         editor: {
             form: document.getElementById('invoice-form'),
             id: document.getElementById('invoice-id'),
             invoiceNumber: document.getElementById('invoice-number'),
+            invoiceNumberLabel: document.getElementById('invoice-number-label'),
+            detailsTitle: document.getElementById('invoice-details-title'),
+            reference: document.getElementById('invoice-reference'),
             // Client
+            clientId: document.getElementById('client-id'),
+            clientSaveOption: document.getElementById('client-save-option'),
+            clientSave: document.getElementById('client-save'),
             clientName: document.getElementById('client-name'),
             clientEmail: document.getElementById('client-email'),
             clientAddress: document.getElementById('client-address'),
             // Details
             date: document.getElementById('invoice-date'),
+            paymentTerms: document.getElementById('invoice-payment-terms'),
             dueDate: document.getElementById('invoice-due-date'),
+            dueDateLabel: document.getElementById('invoice-due-date-label'),
+            currency: document.getElementById('invoice-currency'),
+            template: document.getElementById('invoice-template'),
+            language: document.getElementById('invoice-language'),
             status: document.getElementById('invoice-status'),
+            statusHelp: document.getElementById('invoice-status-help'),
+            statusHistory: document.getElementById('invoice-status-history'),
             // Items
             itemsBody: document.getElementById('line-items-body'),
             // Totals
             subtotal: document.getElementById('invoice-subtotal'),
-            taxRate: document.getElementById('tax-rate'),
+            discount: document.getElementById('invoice-discount'),
+            discountRow: document.getElementById('invoice-discount-row'),
+            discountLabel: document.getElementById('invoice-discount-label'),
+            discountAmount: document.getElementById('invoice-discount-amount'),
+            taxBreakdown: document.getElementById('invoice-tax-breakdown'),
             taxAmount: document.getElementById('invoice-tax-amount'),
             total: document.getElementById('invoice-total'),
-            notes: document.getElementById('invoice-notes')
+            creditsRow: document.getElementById('invoice-credits-row'),
+            credited: document.getElementById('invoice-credited'),
+            amountPaidRow: document.getElementById('invoice-amount-paid-row'),
+            amountPaid: document.getElementById('invoice-amount-paid'),
+            balanceDueRow: document.getElementById('invoice-balance-due-row'),
+            balanceDue: document.getElementById('invoice-balance-due'),
+            paymentsSection: document.getElementById('payments-section'),
+            paymentsBody: document.getElementById('payments-body'),
+            notes: document.getElementById('invoice-notes'),
+            saveButton: document.getElementById('btn-save'),
+            makeRecurring: document.getElementById('btn-make-recurring'),
+            creditNoteButton: document.getElementById('btn-credit-note'),
+            convertQuoteButton: document.getElementById('btn-convert-quote')
+        },
+        creditNote: {
+            panel: document.getElementById('credit-note-panel'),
+            all: document.getElementById('credit-note-all'),
+            lines: document.getElementById('credit-note-lines'),
+            existing: document.getElementById('credit-note-existing')
         },
         print: {
+            title: document.getElementById('print-title'),
             meta: document.getElementById('print-meta'),
             from: document.getElementById('print-from'),
             to: document.getElementById('print-to'),
             items: document.getElementById('print-items'),
             totals: document.getElementById('print-totals'),
-            notes: document.getElementById('print-notes')
+            notes: document.getElementById('print-notes'),
+            batch: document.getElementById('print-batch')
         }
     },
 
+    /**
+     * Name of the view on screen, e.g. 'dashboard'
+     * @returns {string}
+     */
+    getActiveView() {
+        return Object.keys(this.elements.views).find(key => this.elements.views[key].classList.contains('active')) || '';
+    },
+
     /**
      * Switch visible view
      * @param {string} viewId 
@@ -88,6 +280,11 @@ const UI = {
         const navMap = {
             'dashboard': 'nav-dashboard',
             'editor': 'nav-create',
+            'quotes': 'nav-quotes',
+            'clients': 'nav-clients',
+            'catalog': 'nav-catalog',
+            'recurring': 'nav-recurring',
+            'reports': 'nav-reports',
             'settings': 'nav-settings'
         };
         
@@ -101,44 +298,319 @@ const UI = {
     },
 
     /**
-     * Render the dashboard invoice list
-     * @param {Array} invoices 
+     * Render one page of the dashboard invoice list, the pager and the stats.
+     * Stats cover every invoice passed in, not just the page shown
+     * @param {Array} invoices - Filtered and sorted invoices
+     * @param {Object} options - { sort: { field, direction }, page, pageSize, narrowed, selected }
+     *   selected is a Set of the checked invoice ids
      */
-    renderDashboard(invoices) {
+    renderDashboard(invoices, options = {}) {
         const tbody = this.elements.dashboard.list;
-        tbody.innerHTML = '';
+        const pageSize = options.pageSize || invoices.length || 1;
+        const page = options.page || 1;
+        const selected = options.selected || new Set();
+
+        this.elements.dashboard.sortHeaders.forEach(btn => {
+            const active = options.sort && options.sort.field === btn.dataset.sort;
+            btn.parentElement.setAttribute('aria-sort',
+                active ? (options.sort.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+        });
+
+        this.updateStats(invoices);
+        this.renderPager(invoices.length, page, pageSize);
+        this.renderSelection(invoices, selected);
 
         if (invoices.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No invoices found. Create one to get started.</td></tr>';
+            const message = I18n.t(options.narrowed ? 'dashboard.noMatches' : 'dashboard.empty');
+            tbody.innerHTML = `<tr><td colspan="8" class="empty-state">${message}</td></tr>`;
             return;
         }
 
-        // Sort by date descending default
-        invoices.sort((a, b) => new Date(b.createdDate) - new Date(a.createdDate));
-
-        invoices.forEach(inv => {
-            const tr = document.createElement('tr');
-            const statusClass = `status-${inv.status}`; // e.g. status-paid, status-draft
+        const start = (page - 1) * pageSize;
+        tbody.innerHTML = invoices.slice(start, start + pageSize).map(inv => {
+            const status = Model.getDisplayStatus(inv); // overdue is derived from the due date
+            const statusClass = `status-${status}`; // e.g. status-paid, status-overdue
             
             const displayNum = inv.invoiceNumber ? this.escapeHtml(inv.invoiceNumber) : '#' + inv.id.substring(0, 8) + '...';
-            tr.innerHTML = `
-                <td>${displayNum}</td>
-                <td>${this.escapeHtml(inv.client.name)}</td>
-                <td>${Model.formatDate(inv.createdDate)}</td>
-                <td>${Model.formatCurrency(inv.total)}</td>
-                <td><span class="badge ${statusClass}">${inv.status}</span></td>
-                <td class="actions-cell">
-                    <button class="btn-icon edit-invoice" data-id="${inv.id}" title="Edit">&#9998;</button>
-                    <button class="btn-icon delete-invoice" data-id="${inv.id}" title="Delete">&#128465;</button>
-                    <button class="btn-icon print-invoice" data-id="${inv.id}" title="Print">&#128424;</button>
-                    <button class="btn-icon pdf-invoice" data-id="${inv.id}" title="Export PDF">&#128196;</button>
-                    <button class="btn-icon ods-invoice" data-id="${inv.id}" title="Export ODS">&#128202;</button>
-                </td>
+            const typeTag = Model.isCreditNote(inv) ? ` <span class="doc-type">${I18n.t('document.creditNote')}</span>` : '';
+            const checked = selected.has(inv.id) ? ' checked' : '';
+            return `
+                <tr>
+                    <td class="select-cell"><input type="checkbox" class="select-invoice" data-id="${inv.id}" aria-label="${this.escapeHtml(inv.invoiceNumber ? I18n.t('dashboard.select', { number: inv.invoiceNumber }) : I18n.t('dashboard.selectUnnumbered'))}"${checked}></td>
+                    <td>${displayNum}${typeTag}</td>
+                    <td>${this.escapeHtml(inv.client.name)}</td>
+                    <td>${Model.formatDate(Model.INVOICE_SORT_FIELDS.date(inv))}</td>
+                    <td>${inv.dueDate ? Model.formatDate(inv.dueDate) : ''}</td>
+                    <td>${Model.formatCurrency(inv.total, inv.currency)}</td>
+                    <td><span class="badge ${statusClass}">${Model.formatStatus(status)}</span></td>
+                    <td class="actions-cell">
+                        <button class="btn-icon edit-invoice" data-id="${inv.id}" title="${I18n.t('action.edit')}">&#9998;</button>
+                        <button class="btn-icon delete-invoice" data-id="${inv.id}" title="${I18n.t('action.delete')}">&#128465;</button>
+                        <button class="btn-icon print-invoice" data-id="${inv.id}" title="${I18n.t('action.print')}">&#128424;</button>
+                        <button class="btn-icon pdf-invoice" data-id="${inv.id}" title="${I18n.t('action.exportPdf')}">&#128196;</button>
+                        <button class="btn-icon ods-invoice" data-id="${inv.id}" title="${I18n.t('action.exportOds')}">&#128202;</button>
+                    </td>
+                </tr>
             `;
-            tbody.appendChild(tr);
+        }).join('');
+    },
+
+    /**
+     * Show the select-all state and, while anything is selected, the bulk actions
+     * with the count and totals of the selection
+     * @param {Array} invoices - Every invoice in the list, not just the page shown
+     * @param {Set} selected - Checked invoice ids, all within the list
+     */
+    renderSelection(invoices, selected) {
+        const el = this.elements.dashboard;
+        const chosen = invoices.filter(inv => selected.has(inv.id));
+
+        el.selectAll.checked = chosen.length > 0 && chosen.length === invoices.length;
+        el.selectAll.indeterminate = chosen.length > 0 && chosen.length < invoices.length;
+        el.selectAll.disabled = invoices.length === 0;
+
+        el.bulkActions.container.classList.toggle('hidden', chosen.length === 0);
+        if (chosen.length === 0) return;
+
+        if (!el.bulkActions.paymentDate.value) {
+            el.bulkActions.paymentDate.value = new Date().toISOString().split('T')[0];
+        }
+        const total = Model.sumByCurrency(chosen, inv => inv.total);
+        const balance = Model.sumByCurrency(chosen.filter(inv => inv.status !== 'void'), inv => inv.balanceDue);
+        el.bulkActions.summary.innerHTML =
+            `<strong>${I18n.t('dashboard.selected', { count: chosen.length })}</strong>` +
+            ` · ${I18n.t('dashboard.selectedTotal', { amount: this.formatCurrencyTotals(total) })}` +
+            ` · ${I18n.t('dashboard.selectedBalance', { amount: this.formatCurrencyTotals(balance) })}`;
+    },
+
+    /**
+     * Date entered for payments recorded by the bulk Mark Paid action
+     * @returns {string} yyyy-mm-dd, or empty
+     */
+    getBulkPaymentDate() {
+        return this.elements.dashboard.bulkActions.paymentDate.value;
+    },
+
+    /**
+     * Update the dashboard pager
+     * @param {number} count - Invoices in the list
+     * @param {number} page - Current page, from 1
+     * @param {number} pageSize
+     */
+    renderPager(count, page, pageSize) {
+        const el = this.elements.dashboard.pager;
+        const pageCount = Math.max(1, Math.ceil(count / pageSize));
+
+        el.info.textContent = count === 0
+            ? ''
+            : I18n.plural('dashboard.showing', count, { from: (page - 1) * pageSize + 1, to: Math.min(page * pageSize, count) });
+        el.size.value = String(pageSize);
+        el.prev.disabled = page <= 1;
+        el.next.disabled = page >= pageCount;
+    },
+
+    /**
+     * Show the dashboard search and filter values
+     * @param {Object} state - { search, filters }
+     * @param {Array<string>} clientNames - Client names to offer in the client filter
+     * @param {Array<string>} currencies - Currencies to offer in the currency filter
+     */
+    renderInvoiceFilters(state, clientNames, currencies) {
+        const el = this.elements.dashboard.filters;
+        if (this.elements.dashboard.searchInput.value !== state.search) {
+            this.elements.dashboard.searchInput.value = state.search;
+        }
+
+        // Keep a filtered client listed even when none of its invoices are left
+        const names = state.filters.client && !clientNames.includes(state.filters.client)
+            ? [state.filters.client, ...clientNames]
+            : clientNames;
+        el.client.innerHTML = `<option value="">${I18n.t('filter.all')}</option>` +
+            names.map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`).join('');
+
+        const codes = state.filters.currency && !currencies.includes(state.filters.currency)
+            ? [state.filters.currency, ...currencies]
+            : currencies;
+        el.currency.innerHTML = `<option value="">${I18n.t('filter.all')}</option>` +
+            codes.map(code => `<option value="${this.escapeHtml(code)}">${this.escapeHtml(code)}</option>`).join('');
+
+        Object.keys(el).forEach(key => {
+            el[key].value = state.filters[key] || '';
         });
 
-        this.updateStats(invoices);
+        // Totals in different currencies can't be compared; the bounds wait for a currency
+        const mixed = !state.filters.currency && currencies.length > 1;
+        [el.minAmount, el.maxAmount].forEach(input => {
+            input.disabled = mixed;
+            input.title = mixed ? I18n.t('dashboard.chooseCurrency') : '';
+        });
+    },
+
+    /**
+     * Read the dashboard filter controls
+     * @returns {Object} See Model.createInvoiceFilters
+     */
+    getInvoiceFilters() {
+        const el = this.elements.dashboard.filters;
+        const filters = Model.createInvoiceFilters();
+        Object.keys(filters).forEach(key => {
+            filters[key] = el[key].value;
+        });
+        return filters;
+    },
+
+    /**
+     * Show the bulk export panel. The date range starts out as the current quarter.
+     * @param {string} scope - Scope to pick, e.g. 'selected'; empty keeps the last choice
+     */
+    showBulkExportPanel(scope = '') {
+        const el = this.elements.dashboard.bulkExport;
+        if (scope) {
+            el.panel.querySelector(`input[name="bulk-export-scope"][value="${scope}"]`).checked = true;
+        }
+        if (!el.from.value && !el.to.value) {
+            const today = new Date();
+            const quarter = Math.floor(today.getMonth() / 3) * 3;
+            el.from.value = new Date(Date.UTC(today.getFullYear(), quarter, 1)).toISOString().split('T')[0];
+            el.to.value = new Date(Date.UTC(today.getFullYear(), quarter + 3, 0)).toISOString().split('T')[0];
+        }
+        el.panel.classList.remove('hidden');
+    },
+
+    /**
+     * Hide the bulk export panel
+     */
+    hideBulkExportPanel() {
+        this.elements.dashboard.bulkExport.panel.classList.add('hidden');
+    },
+
+    /**
+     * Read the bulk export choices
+     * @returns {Object} { scope: 'filtered' | 'selected' | 'range', from, to, format: 'ods' | 'xlsx' | 'csv' | 'zip' }
+     */
+    getBulkExportOptions() {
+        const el = this.elements.dashboard.bulkExport;
+        return {
+            scope: el.panel.querySelector('input[name="bulk-export-scope"]:checked').value,
+            from: el.from.value,
+            to: el.to.value,
+            format: el.format.value
+        };
+    },
+
+    /**
+     * Say how many documents the bulk export will include
+     * @param {number} count
+     */
+    updateBulkExportCount(count) {
+        this.elements.dashboard.bulkExport.count.textContent = I18n.plural('export.count', count);
+    },
+
+    /**
+     * Render the quotes list
+     * @param {Array} quotes - Newest first
+     * @param {boolean} narrowed - Whether a search is hiding some quotes
+     */
+    renderQuotes(quotes, narrowed = false) {
+        const tbody = this.elements.quotes.list;
+
+        if (quotes.length === 0) {
+            const message = I18n.t(narrowed ? 'quotes.noMatches' : 'quotes.empty');
+            tbody.innerHTML = `<tr><td colspan="7" class="empty-state">${message}</td></tr>`;
+            return;
+        }
+
+        tbody.innerHTML = quotes.map(quote => {
+            const status = Model.getDisplayStatus(quote); // expired is derived from the validity date
+            const displayNum = quote.invoiceNumber ? this.escapeHtml(quote.invoiceNumber) : '#' + quote.id.substring(0, 8) + '...';
+            const invoicedTag = quote.convertedInvoiceId
+                ? ` <span class="doc-type">${this.escapeHtml(quote.convertedInvoiceNumber ? I18n.t('quotes.invoicedAs', { number: quote.convertedInvoiceNumber }) : I18n.t('quotes.invoiced'))}</span>`
+                : '';
+            return `
+                <tr>
+                    <td>${displayNum}${invoicedTag}</td>
+                    <td>${this.escapeHtml(quote.client.name)}</td>
+                    <td>${Model.formatDate(quote.createdDate)}</td>
+                    <td>${quote.validUntil ? Model.formatDate(quote.validUntil) : ''}</td>
+                    <td>${Model.formatCurrency(quote.total, quote.currency)}</td>
+                    <td><span class="badge status-${status}">${Model.formatStatus(status)}</span></td>
+                    <td class="actions-cell">
+                        <button class="btn-icon edit-invoice" data-id="${quote.id}" title="${I18n.t('action.edit')}">&#9998;</button>
+                        <button class="btn-icon convert-quote" data-id="${quote.id}" title="${I18n.t('action.convertQuote')}">&#10145;</button>
+                        <button class="btn-icon delete-invoice" data-id="${quote.id}" title="${I18n.t('action.delete')}">&#128465;</button>
+                        <button class="btn-icon print-invoice" data-id="${quote.id}" title="${I18n.t('action.print')}">&#128424;</button>
+                        <button class="btn-icon pdf-invoice" data-id="${quote.id}" title="${I18n.t('action.exportPdf')}">&#128196;</button>
+                        <button class="btn-icon ods-invoice" data-id="${quote.id}" title="${I18n.t('action.exportOds')}">&#128202;</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Render the trash list
+     * @param {Array} invoices - Trashed invoices
+     * @param {number} retentionDays - Days before automatic purge; 0 for never
+     */
+    renderTrash(invoices, retentionDays) {
+        const el = this.elements.trash;
+        el.retention.textContent = retentionDays > 0
+            ? I18n.plural('trash.retention', retentionDays)
+            : I18n.t('trash.retentionNever');
+
+        if (invoices.length === 0) {
+            el.list.innerHTML = `<tr><td colspan="5" class="empty-state">${I18n.t('trash.empty')}</td></tr>`;
+            return;
+        }
+
+        el.list.innerHTML = invoices.map(inv => {
+            const purgeOn = retentionDays > 0
+                ? ' ' + I18n.t('trash.purgedOn', { date: Model.formatDate(Model.addDays(inv.deletedAt.split('T')[0], retentionDays)) })
+                : '';
+            const typeTag = Model.isPayable(inv) ? '' : ` <span class="doc-type">${Model.documentLabels(inv).name}</span>`;
+            return `
+                <tr>
+                    <td>${inv.invoiceNumber ? this.escapeHtml(inv.invoiceNumber) : '#' + inv.id.substring(0, 8) + '...'}${typeTag}</td>
+                    <td>${this.escapeHtml(inv.client.name)}</td>
+                    <td>${Model.formatCurrency(inv.total, inv.currency)}</td>
+                    <td>${Model.formatDateTime(inv.deletedAt)}${purgeOn}</td>
+                    <td class="actions-cell">
+                        <button class="btn-icon restore-invoice" data-id="${inv.id}" title="${I18n.t('action.restore')}">&#8634;</button>
+                        <button class="btn-icon purge-invoice" data-id="${inv.id}" title="${I18n.t('action.deletePermanently')}">&#128465;</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Show a short message at the bottom of the screen, optionally with an action button
+     * @param {string} message
+     * @param {Object} options - { actionLabel, onAction, duration (ms) }
+     */
+    showToast(message, options = {}) {
+        const el = this.elements.toast;
+        clearTimeout(this._toastTimer);
+
+        el.message.textContent = message;
+        el.action.textContent = options.actionLabel || '';
+        el.action.classList.toggle('hidden', !options.actionLabel);
+        el.action.onclick = () => {
+            this.hideToast();
+            if (options.onAction) options.onAction();
+        };
+        el.container.classList.remove('hidden');
+
+        this._toastTimer = setTimeout(() => this.hideToast(), options.duration || 6000);
+    },
+
+    /**
+     * Hide the toast
+     */
+    hideToast() {
+        clearTimeout(this._toastTimer);
+        this.elements.toast.container.classList.add('hidden');
+        this.elements.toast.action.onclick = null;
     },
 
     /**
@@ -146,16 +618,37 @@ const UI = {
      * @param {Array} invoices 
      */
     updateStats(invoices) {
-        const totalRevenue = invoices
-            .filter(i => i.status === 'paid')
-            .reduce((sum, i) => sum + (i.total || 0), 0);
-            
-        const totalPending = invoices
-            .filter(i => i.status === 'draft' || i.status === 'overdue')
-            .reduce((sum, i) => sum + (i.total || 0), 0);
+        // Revenue is money actually received; amounts in different currencies are never added together
+        const payments = [];
+        invoices.forEach(inv => {
+            (inv.payments || []).forEach(p => payments.push({ currency: inv.currency, amount: p.amount }));
+        });
+        const totalRevenue = Model.sumByCurrency(payments, p => p.amount);
+        const totalPending = Model.sumByCurrency(
+            invoices.filter(i => i.status !== 'paid' && i.status !== 'void'),
+            i => i.balanceDue
+        );
 
-        this.elements.dashboard.revenue.textContent = Model.formatCurrency(totalRevenue);
-        this.elements.dashboard.pending.textContent = Model.formatCurrency(totalPending);
+        this.elements.dashboard.revenue.innerHTML = this.formatCurrencyTotals(totalRevenue);
+        this.elements.dashboard.pending.innerHTML = this.formatCurrencyTotals(totalPending);
+    },
+
+    /**
+     * Format per-currency totals, base currency first, one line per currency
+     * @param {Object} totals - Map of currency code to amount
+     * @returns {string} HTML
+     */
+    formatCurrencyTotals(totals) {
+        const baseCurrency = Storage.getSettings().currency || 'USD';
+        const currencies = Object.keys(totals).sort((a, b) =>
+            (b === baseCurrency) - (a === baseCurrency) || a.localeCompare(b)
+        );
+        if (currencies.length === 0) {
+            return this.escapeHtml(Model.formatCurrency(0, baseCurrency));
+        }
+        return currencies
+            .map(code => `<span class="currency-total">${this.escapeHtml(Model.formatCurrency(totals[code], code))}</span>`)
+            .join('');
     },
 
     /**
@@ -164,27 +657,134 @@ const UI = {
      */
     renderEditor(invoice) {
         const el = this.elements.editor;
+        this.hideHistory();
+        this.hideCreditNotePanel();
         
         el.id.value = invoice.id || '';
         el.invoiceNumber.value = invoice.invoiceNumber || '';
+        el.clientId.value = invoice.clientId || '';
         el.clientName.value = invoice.client.name || '';
         el.clientEmail.value = invoice.client.email || '';
         el.clientAddress.value = invoice.client.address || '';
+        el.clientSave.checked = true;
+        this.updateClientLinkState();
+        const quote = Model.isQuote(invoice);
         el.date.value = invoice.createdDate || '';
-        el.dueDate.value = invoice.dueDate || '';
-        el.status.value = invoice.status || 'draft';
-        el.taxRate.value = invoice.taxRate || 0;
+        // Quotes use the due date input for their validity date
+        el.dueDate.value = (quote ? invoice.validUntil : invoice.dueDate) || '';
+        this.setPaymentTermsFields(el.paymentTerms, invoice.paymentTerms, I18n.t('terms.option.none'));
+        this.renderStatusControl(invoice);
+        el.currency.innerHTML = this.currencyOptions(invoice.currency);
+        el.currency.value = invoice.currency;
+        const businessTemplate = Model.resolveTemplate(Storage.getSettings().documentTemplate, null);
+        el.template.innerHTML = this.templateOptions(I18n.t('editor.templateDefault', { name: I18n.t('template.' + businessTemplate.id) }));
+        el.template.value = Model.DOCUMENT_TEMPLATES[invoice.template] ? invoice.template : '';
+        el.language.innerHTML = this.languageOptions(I18n.t('settings.businessDefault'));
+        el.language.value = I18n.isSupported(invoice.language) ? invoice.language : '';
+        this.updateLanguageDefault();
+        el.discount.value = Model.formatDiscountInput(invoice.discount);
         el.notes.value = invoice.notes || '';
+        // Rounding is fixed per invoice so later settings changes don't alter its totals
+        this._rounding = { ...Model.DEFAULT_ROUNDING, ...invoice.rounding };
+        // Document fields with no input of their own, carried through getFormData
+        this._document = {
+            type: invoice.type || 'invoice',
+            creditedInvoiceId: invoice.creditedInvoiceId || '',
+            creditedInvoiceNumber: invoice.creditedInvoiceNumber || '',
+            creditedAmount: invoice.creditedAmount || 0,
+            quoteId: invoice.quoteId || '',
+            quoteNumber: invoice.quoteNumber || '',
+            convertedInvoiceId: invoice.convertedInvoiceId || '',
+            convertedInvoiceNumber: invoice.convertedInvoiceNumber || ''
+        };
+
+        // Tax categories offered on the lines: the invoice's own snapshot first,
+        // so categories changed or removed in settings still show as saved
+        const settingsCategories = Storage.getSettings().taxCategories || [];
+        this._taxCategories = [
+            ...(invoice.taxCategories || []),
+            ...settingsCategories.filter(c => !Model.findTaxCategory(invoice.taxCategories, c.id))
+        ];
 
         // Render items
         this.renderLineItems(invoice.items);
+
+        // Render payments
+        el.paymentsBody.innerHTML = '';
+        (invoice.payments || []).forEach(payment => this.addPaymentRow(payment));
         
         // Update totals display
         this.updateEditorTotals(invoice);
         
         // Update title based on mode
-        const title = document.getElementById('editor-title');
-        title.textContent = invoice.id ? 'Edit Invoice' : 'New Invoice';
+        const labels = Model.documentLabels(invoice);
+        const creditNote = Model.isCreditNote(invoice);
+        document.getElementById('editor-title').textContent = I18n.t(invoice.id ? 'editor.editTitle' : 'editor.newTitle', { name: labels.name });
+
+        // Credit notes and quotes have no payments or schedules; invoices list the credit notes against them
+        const payable = Model.isPayable(invoice);
+        el.detailsTitle.textContent = I18n.t('editor.details', { name: labels.name });
+        el.invoiceNumberLabel.textContent = I18n.t('editor.number', { name: labels.name });
+        el.dueDateLabel.textContent = I18n.t(quote ? 'field.validUntil' : 'field.dueDate');
+        el.statusHelp.textContent = I18n.t(quote ? 'editor.statusHelpQuote' : 'editor.statusHelp');
+        el.saveButton.textContent = I18n.t('editor.save', { name: labels.name });
+        el.paymentsSection.classList.toggle('hidden', !payable);
+        el.paymentTerms.classList.toggle('hidden', !payable);
+        el.makeRecurring.classList.toggle('hidden', !payable);
+        el.creditNoteButton.classList.toggle('hidden', !payable || !invoice.id);
+        el.convertQuoteButton.classList.toggle('hidden', !quote || !invoice.id);
+
+        const references = [];
+        if (creditNote) {
+            references.push(I18n.t('editor.creditsInvoice', { number: invoice.creditedInvoiceNumber || invoice.creditedInvoiceId }));
+        }
+        if (invoice.quoteId) {
+            references.push(I18n.t('editor.fromQuote', { number: invoice.quoteNumber || invoice.quoteId }));
+        }
+        if (invoice.convertedInvoiceId) {
+            references.push(I18n.t('editor.convertedTo', { number: invoice.convertedInvoiceNumber || invoice.convertedInvoiceId }));
+        }
+        const creditNotes = payable && invoice.id ? Storage.getCreditNotes(invoice.id) : [];
+        if (creditNotes.length) {
+            references.push(I18n.t('editor.creditNotes', { numbers: creditNotes.map(cn => cn.invoiceNumber).join(', ') }));
+        }
+        el.reference.textContent = references.join(' ');
+        el.reference.classList.toggle('hidden', references.length === 0);
+    },
+
+    /**
+     * Fill the editor client fields from an address book client and link it
+     * @param {Object} client
+     */
+    fillClientFields(client) {
+        const el = this.elements.editor;
+        el.clientId.value = client.id;
+        el.clientName.value = client.name || '';
+        el.clientEmail.value = client.email || '';
+        el.clientAddress.value = client.address || '';
+        this.updateClientLinkState();
+    },
+
+    /**
+     * Show the "Save to client list" option only for unlinked, named clients
+     */
+    updateClientLinkState() {
+        const el = this.elements.editor;
+        const unlinked = !el.clientId.value && el.clientName.value.trim() !== '';
+        el.clientSaveOption.classList.toggle('hidden', !unlinked);
+        this.updateLanguageDefault();
+    },
+
+    /**
+     * Name the language the editor's "Default" document language stands for,
+     * which follows the linked client
+     */
+    updateLanguageDefault() {
+        const el = this.elements.editor;
+        const option = el.language.querySelector('option[value=""]');
+        if (!option) return;
+        const language = Model.resolveLanguage(Storage.getSettings(), null, Storage.getClient(el.clientId.value));
+        option.textContent = I18n.t('editor.languageDefault', { name: I18n.LANGUAGES[language].name });
     },
 
     /**
@@ -200,20 +800,360 @@ const UI = {
     /**
      * Add a single line item row to the table
      * @param {Object} item 
+     * @returns {HTMLTableRowElement} The new row
      */
     addLineItemRow(item) {
         const tbody = this.elements.editor.itemsBody;
         const tr = document.createElement('tr');
+        // Lines keep their id across saves so revisions can match them up
+        tr.dataset.id = item.id || crypto.randomUUID();
         
         tr.innerHTML = `
-            <td><textarea class="item-name" placeholder="Item code" rows="1">${this.escapeHtml(item.itemName || '')}</textarea></td>
-            <td><textarea class="item-desc" placeholder="Description" required rows="1">${this.escapeHtml(item.description)}</textarea></td>
-            <td><input type="number" class="item-qty" value="${item.quantity}" min="0" step="0.01" required></td>
-            <td><input type="number" class="item-rate" value="${item.rate}" min="0" step="0.01" required></td>
-            <td class="item-amount">${Model.formatCurrency(item.amount || 0)}</td>
-            <td><button type="button" class="btn-icon remove-item" title="Remove">×</button></td>
+            <td><textarea class="item-name" placeholder="${I18n.t('editor.itemCode')}" rows="1" autocomplete="off">${this.escapeHtml(item.itemName || '')}</textarea></td>
+            <td><textarea class="item-desc" placeholder="${I18n.t('field.description')}" required rows="1">${this.escapeHtml(item.description)}</textarea></td>
+            <td>
+                <input type="number" class="item-qty" value="${item.quantity}" min="0" step="0.01" required>
+                <input type="hidden" class="item-unit">
+                <span class="item-unit-label"></span>
+            </td>
+            <td>
+                <input type="number" class="item-rate" value="${item.rate}" min="0" step="0.01" required>
+                <input type="hidden" class="item-catalog-id">
+            </td>
+            <td><input type="text" class="item-discount" value="${this.escapeHtml(Model.formatDiscountInput(item.discount))}" placeholder="0" autocomplete="off" aria-label="${I18n.t('editor.lineDiscount')}" title="${I18n.t('editor.discountHelp')}"></td>
+            <td><select class="item-tax-category" aria-label="${I18n.t('editor.taxCategory')}">${this.taxCategoryOptions(this._taxCategories || [])}</select></td>
+            <td class="item-amount">${Model.formatCurrency(item.amount || 0, this.elements.editor.currency.value)}</td>
+            <td><button type="button" class="btn-icon remove-item" title="${I18n.t('action.remove')}">×</button></td>
         `;
+        this.setLineItemMeta(tr, item);
         tbody.appendChild(tr);
+        return tr;
+    },
+
+    /**
+     * Fill an existing line item row from a line item (e.g. a catalog pick).
+     * The row's quantity is kept.
+     * @param {HTMLTableRowElement} row
+     * @param {Object} item
+     */
+    fillLineItemRow(row, item) {
+        row.querySelector('.item-name').value = item.itemName || '';
+        row.querySelector('.item-desc').value = item.description || '';
+        row.querySelector('.item-rate').value = item.rate;
+        this.setLineItemMeta(row, item);
+    },
+
+    /**
+     * Store the line item fields that have no visible input on the row
+     * @param {HTMLTableRowElement} row
+     * @param {Object} item
+     */
+    setLineItemMeta(row, item) {
+        row.querySelector('.item-unit').value = item.unit || '';
+        row.querySelector('.item-unit-label').textContent = item.unit || '';
+        const category = Model.findTaxCategory(this._taxCategories, item.taxCategory);
+        row.querySelector('.item-tax-category').value = category ? category.id : '';
+        row.querySelector('.item-catalog-id').value = item.catalogItemId || '';
+    },
+
+    /**
+     * Limit the status select to transitions allowed from the saved status
+     * and show when each transition happened
+     * @param {Object} invoice
+     */
+    renderStatusControl(invoice) {
+        const el = this.elements.editor;
+        const saved = invoice.status || 'draft';
+        const quote = Model.isQuote(invoice);
+        const manual = quote ? Model.QUOTE_STATUSES : Model.MANUAL_STATUSES;
+        // Last status the user picked; partial/paid are applied on top from the payments
+        this._manualStatus = manual.includes(saved) ? saved : 'sent';
+
+        el.status.innerHTML = (quote ? Model.QUOTE_STATUSES : Model.STATUSES)
+            .map(status => `<option value="${status}">${Model.formatStatus(status)}</option>`)
+            .join('');
+        Array.from(el.status.options).forEach(option => {
+            option.disabled = !manual.includes(option.value) ||
+                !Model.canTransition(saved, option.value, invoice.type);
+        });
+        el.status.value = saved;
+
+        el.statusHistory.textContent = (invoice.statusHistory || [])
+            .map(h => `${Model.formatStatus(h.status)} ${Model.formatDate((h.date || '').split('T')[0])}`)
+            .join(' \u2192 ');
+    },
+
+    /**
+     * Show the revision history panel for an invoice
+     * @param {Array} revisions - Oldest first, from Storage.getRevisions
+     */
+    renderHistory(revisions) {
+        const el = this.elements.history;
+        const latest = revisions[revisions.length - 1];
+
+        el.list.innerHTML = revisions.length === 0
+            ? `<tr><td colspan="4" class="empty-state">${I18n.t('history.empty')}</td></tr>`
+            : [...revisions].reverse().map(rev => {
+                const labels = rev.changes.map(c => c.label);
+                const summary = labels.length > 3
+                    ? I18n.t('history.more', { changes: labels.slice(0, 3).join(', '), count: labels.length - 3 })
+                    : labels.join(', ');
+                return `
+                    <tr>
+                        <td>${rev === latest ? I18n.t('history.current', { number: rev.number }) : '#' + rev.number}</td>
+                        <td>${Model.formatDateTime(rev.savedAt)}</td>
+                        <td>${this.escapeHtml([Model.revisionNote(rev), summary].filter(Boolean).join(': '))}</td>
+                        <td class="actions-cell">
+                            <button type="button" class="btn-icon view-revision" data-id="${rev.id}" title="${I18n.t('action.view')}">&#128065;</button>
+                            ${rev === latest ? '' : `<button type="button" class="btn-icon restore-revision" data-id="${rev.id}" title="${I18n.t('action.restore')}">&#8634;</button>`}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+
+        const options = [...revisions].reverse()
+            .map(rev => `<option value="${rev.id}">#${rev.number} \u2013 ${Model.formatDateTime(rev.savedAt)}</option>`)
+            .join('');
+        el.compareFrom.innerHTML = options;
+        el.compareTo.innerHTML = options;
+        if (revisions.length > 1) {
+            el.compareFrom.value = revisions[revisions.length - 2].id;
+            el.compareTo.value = latest.id;
+        }
+
+        el.detail.innerHTML = '';
+        el.panel.classList.remove('hidden');
+    },
+
+    /**
+     * Show what an invoice looked like at a revision
+     * @param {Object} revision
+     */
+    showRevision(revision) {
+        const inv = revision.snapshot;
+        const rows = [
+            [I18n.t('diff.invoiceNumber'), inv.invoiceNumber],
+            [I18n.t('diff.client'), [inv.client.name, inv.client.email, inv.client.address].filter(Boolean).join(', ')],
+            [I18n.t('diff.createdDate'), Model.formatDate(inv.createdDate)],
+            [I18n.t('diff.dueDate'), Model.formatDate(inv.dueDate)],
+            [I18n.t('diff.status'), Model.formatStatus(inv.status)],
+            ...(inv.items || []).map(item => [
+                item.itemName || I18n.t('history.line'),
+                `${item.description || ''} \u2013 ${item.quantity}${item.unit ? ' ' + item.unit : ''} \u00d7 ${Model.formatCurrency(item.rate, inv.currency)} = ${Model.formatCurrency(item.amount, inv.currency)}`
+            ]),
+            [I18n.t('diff.subtotal'), Model.formatCurrency(inv.subtotal, inv.currency)],
+            [I18n.t('diff.tax'), Model.formatCurrency(inv.taxAmount, inv.currency)],
+            [I18n.t('diff.total'), Model.formatCurrency(inv.total, inv.currency)],
+            [I18n.t('diff.notes'), inv.notes || '']
+        ];
+
+        this.elements.history.detail.innerHTML = `
+            <h4>${this.escapeHtml(I18n.t('history.revisionTitle', { number: revision.number, date: Model.formatDateTime(revision.savedAt) }))}</h4>
+            <table class="invoice-table history-table">
+                <tbody>
+                    ${rows.map(([label, value]) => `<tr><th>${this.escapeHtml(label)}</th><td>${this.escapeHtml(value)}</td></tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    },
+
+    /**
+     * Show the field differences between two revisions
+     * @param {Object} from - Earlier revision
+     * @param {Object} to - Later revision
+     * @param {Array} changes - From Model.diffInvoices
+     */
+    showRevisionDiff(from, to, changes) {
+        this.elements.history.detail.innerHTML = `
+            <h4>${this.escapeHtml(I18n.t('history.diffTitle', { from: from.number, to: to.number }))}</h4>
+            <table class="invoice-table history-table">
+                <thead>
+                    <tr>
+                        <th>${I18n.t('history.field')}</th>
+                        <th>#${from.number}</th>
+                        <th>#${to.number}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${changes.length === 0
+                        ? `<tr><td colspan="3" class="empty-state">${I18n.t('history.noDifferences')}</td></tr>`
+                        : changes.map(c => `
+                            <tr>
+                                <td>${this.escapeHtml(c.label)}</td>
+                                <td class="diff-before">${this.escapeHtml(c.before)}</td>
+                                <td class="diff-after">${this.escapeHtml(c.after)}</td>
+                            </tr>
+                        `).join('')}
+                </tbody>
+            </table>
+        `;
+    },
+
+    /**
+     * Hide the revision history panel
+     */
+    hideHistory() {
+        this.elements.history.panel.classList.add('hidden');
+        this.elements.history.detail.innerHTML = '';
+    },
+
+    /**
+     * Show the credit note panel with the invoice's lines, all selected
+     * @param {Object} invoice - Saved invoice to credit
+     * @param {Array} creditNotes - Credit notes already issued against it
+     */
+    showCreditNotePanel(invoice, creditNotes) {
+        const el = this.elements.creditNote;
+        el.all.checked = true;
+        el.lines.innerHTML = invoice.items.map((item, i) => `
+            <tr>
+                <td><input type="checkbox" class="credit-note-line" data-index="${i}" aria-label="${I18n.t('creditNote.selectLine')}" checked></td>
+                <td>${this.escapeHtml(item.itemName || '')}</td>
+                <td>${this.escapeHtml(item.description || '')}</td>
+                <td>${Model.formatCurrency(item.amount, invoice.currency)}</td>
+            </tr>
+        `).join('');
+        el.existing.textContent = creditNotes.length
+            ? I18n.t('creditNote.alreadyCredited', { notes: creditNotes.map(cn => `${cn.invoiceNumber} (${Model.formatCurrency(cn.total, cn.currency)})`).join(', ') })
+            : '';
+        el.panel.classList.remove('hidden');
+    },
+
+    /**
+     * Hide the credit note panel
+     */
+    hideCreditNotePanel() {
+        this.elements.creditNote.panel.classList.add('hidden');
+    },
+
+    /**
+     * Lines ticked in the credit note panel
+     * @returns {Array<number>} Line indexes
+     */
+    getCreditNoteSelection() {
+        return Array.from(this.elements.creditNote.lines.querySelectorAll('.credit-note-line:checked'))
+            .map(box => parseInt(box.dataset.index, 10));
+    },
+
+    /**
+     * Add a payment row to the editor
+     * @param {Object} payment
+     * @returns {HTMLTableRowElement} The new row
+     */
+    addPaymentRow(payment) {
+        const tr = document.createElement('tr');
+        tr.dataset.id = payment.id;
+        tr.innerHTML = `
+            <td><input type="date" class="payment-date" value="${this.escapeHtml(payment.date)}" required aria-label="${I18n.t('editor.paymentDate')}"></td>
+            <td><input type="number" class="payment-amount" value="${payment.amount}" min="0" step="0.01" required aria-label="${I18n.t('editor.paymentAmount')}"></td>
+            <td><input type="text" class="payment-method" value="${this.escapeHtml(payment.method)}" list="payment-methods" aria-label="${I18n.t('editor.paymentMethod')}"></td>
+            <td><input type="text" class="payment-reference" value="${this.escapeHtml(payment.reference)}" aria-label="${I18n.t('editor.paymentReference')}"></td>
+            <td><button type="button" class="btn-icon remove-payment" title="${I18n.t('action.remove')}">×</button></td>
+        `;
+        this.elements.editor.paymentsBody.appendChild(tr);
+        return tr;
+    },
+
+    /**
+     * Build <option> markup for a currency select
+     * @param {string} selected - Currency that must be offered even if not in the list
+     * @returns {string}
+     */
+    currencyOptions(selected) {
+        const codes = Model.CURRENCIES.includes(selected) || !selected ? Model.CURRENCIES : [selected, ...Model.CURRENCIES];
+        return codes.map(code => `<option value="${this.escapeHtml(code)}">${this.escapeHtml(code)}</option>`).join('');
+    },
+
+    /**
+     * Build <option> markup for a language select
+     * @param {string} emptyLabel - Label for a leading "default" option; omitted when empty
+     * @returns {string}
+     */
+    languageOptions(emptyLabel = '') {
+        const options = Object.entries(I18n.LANGUAGES)
+            .map(([code, language]) => `<option value="${code}">${this.escapeHtml(language.name)}</option>`);
+        return (emptyLabel ? `<option value="">${this.escapeHtml(emptyLabel)}</option>` : '') + options.join('');
+    },
+
+    /**
+     * Build <option> markup for a document template select
+     * @param {string} emptyLabel - Label for a leading "no template" option; omitted when empty
+     * @returns {string}
+     */
+    templateOptions(emptyLabel = '') {
+        const options = Object.keys(Model.DOCUMENT_TEMPLATES)
+            .map(id => `<option value="${id}">${this.escapeHtml(I18n.t('template.' + id))}</option>`);
+        return (emptyLabel ? `<option value="">${this.escapeHtml(emptyLabel)}</option>` : '') + options.join('');
+    },
+
+    /**
+     * Fill a .payment-terms-fields block
+     * @param {HTMLElement} container
+     * @param {Object|null} terms - null selects the leading empty option
+     * @param {string} emptyLabel - Label for a leading "no terms" option; omitted when empty
+     */
+    setPaymentTermsFields(container, terms, emptyLabel = '') {
+        const select = container.querySelector('.terms-id');
+        const options = Object.keys(Model.PAYMENT_TERMS)
+            .map(id => `<option value="${id}">${this.escapeHtml(I18n.t('terms.option.' + id))}</option>`);
+        select.innerHTML = (emptyLabel ? `<option value="">${this.escapeHtml(emptyLabel)}</option>` : '') + options.join('');
+
+        const values = terms || !emptyLabel ? Model.normalizePaymentTerms(terms) : { ...Model.DEFAULT_PAYMENT_TERMS, id: '' };
+        select.value = values.id;
+        container.querySelector('.terms-days').value = values.days;
+        container.querySelector('.terms-discount-percent').value = values.discountPercent;
+        container.querySelector('.terms-discount-days').value = values.discountDays;
+        this.updatePaymentTermsFields(container);
+    },
+
+    /**
+     * Show the days input only for terms that take a number of days, and the
+     * discount inputs only when terms are selected
+     * @param {HTMLElement} container
+     */
+    updatePaymentTermsFields(container) {
+        const preset = Model.PAYMENT_TERMS[container.querySelector('.terms-id').value];
+        container.querySelector('.terms-days-field').classList.toggle('hidden', !preset || preset.days !== null);
+        container.querySelector('.terms-discount-fields').classList.toggle('hidden', !preset);
+    },
+
+    /**
+     * Read a .payment-terms-fields block
+     * @param {HTMLElement} container
+     * @returns {Object|null} Normalized terms, or null when the empty option is selected
+     */
+    getPaymentTermsFields(container) {
+        const id = container.querySelector('.terms-id').value;
+        if (!id) return null;
+        return Model.normalizePaymentTerms({
+            id: id,
+            days: container.querySelector('.terms-days').value,
+            discountPercent: container.querySelector('.terms-discount-percent').value,
+            discountDays: container.querySelector('.terms-discount-days').value
+        });
+    },
+
+    /**
+     * Build <option> markup for a tax category select
+     * @param {Array} categories
+     * @param {string} emptyLabel - Label for the "no category" option
+     * @returns {string}
+     */
+    taxCategoryOptions(categories, emptyLabel = I18n.t('editor.noTax')) {
+        return `<option value="">${this.escapeHtml(emptyLabel)}</option>` + categories.map(c =>
+            `<option value="${this.escapeHtml(c.id)}">${this.escapeHtml(c.name || c.id)}</option>`
+        ).join('');
+    },
+
+    /**
+     * Display name for a tax category ID, falling back to the raw ID
+     * @param {Array} categories
+     * @param {string} id
+     * @returns {string}
+     */
+    taxCategoryName(categories, id) {
+        const category = Model.findTaxCategory(categories, id);
+        return category ? category.name : (id || '');
     },
 
     /**
@@ -222,9 +1162,25 @@ const UI = {
      */
     updateEditorTotals(invoice) {
         const el = this.elements.editor;
-        el.subtotal.textContent = Model.formatCurrency(invoice.subtotal);
-        el.taxAmount.textContent = Model.formatCurrency(invoice.taxAmount);
-        el.total.textContent = Model.formatCurrency(invoice.total);
+        el.subtotal.textContent = Model.formatCurrency(invoice.subtotal, invoice.currency);
+        el.discountRow.classList.toggle('hidden', !invoice.discountAmount);
+        el.discountLabel.textContent = Model.formatDiscountLabel(invoice.discount) + ':';
+        el.discountAmount.textContent = Model.formatCurrency(-(invoice.discountAmount || 0), invoice.currency);
+        el.taxBreakdown.innerHTML = (invoice.taxes || []).map(tax => `
+            <div class="total-row">
+                <label>${this.escapeHtml(Model.formatTaxLabel(tax))}:</label>
+                <span>${Model.formatCurrency(tax.amount, invoice.currency)}</span>
+            </div>
+        `).join('');
+        el.taxAmount.textContent = Model.formatCurrency(invoice.taxAmount, invoice.currency);
+        el.total.textContent = Model.formatCurrency(invoice.total, invoice.currency);
+        el.creditsRow.classList.toggle('hidden', !invoice.creditedAmount);
+        el.credited.textContent = Model.formatCurrency(-(invoice.creditedAmount || 0), invoice.currency);
+        el.amountPaidRow.classList.toggle('hidden', !Model.isPayable(invoice));
+        el.balanceDueRow.classList.toggle('hidden', !Model.isPayable(invoice));
+        el.amountPaid.textContent = Model.formatCurrency(invoice.amountPaid || 0, invoice.currency);
+        el.balanceDue.textContent = Model.formatCurrency(invoice.balanceDue || 0, invoice.currency);
+        el.status.value = invoice.status;
     },
 
     /**
@@ -246,24 +1202,49 @@ const UI = {
         const rows = el.itemsBody.querySelectorAll('tr');
         rows.forEach(row => {
             items.push({
+                id: row.dataset.id,
                 itemName: row.querySelector('.item-name') ? row.querySelector('.item-name').value : '',
                 description: row.querySelector('.item-desc').value,
                 quantity: parseFloat(row.querySelector('.item-qty').value) || 0,
+                unit: row.querySelector('.item-unit').value,
                 rate: parseFloat(row.querySelector('.item-rate').value) || 0,
+                discount: Model.parseDiscount(row.querySelector('.item-discount').value),
+                taxCategory: row.querySelector('.item-tax-category').value,
+                catalogItemId: row.querySelector('.item-catalog-id').value,
                 amount: 0 // Will be calculated by Model
             });
         });
 
-        // Construct invoice
+        // Build payments array
+        const payments = Array.from(el.paymentsBody.querySelectorAll('tr')).map(row => ({
+            id: row.dataset.id,
+            date: row.querySelector('.payment-date').value,
+            amount: parseFloat(row.querySelector('.payment-amount').value) || 0,
+            method: row.querySelector('.payment-method').value.trim(),
+            reference: row.querySelector('.payment-reference').value.trim()
+        }));
+
+        // Construct invoice; quotes keep the due date input as their validity date
+        const quote = Model.isQuote(this._document);
         const invoice = {
+            ...this._document,
             id: el.id.value,
             invoiceNumber: el.invoiceNumber.value,
+            clientId: el.clientId.value,
             createdDate: el.date.value,
-            dueDate: el.dueDate.value,
-            status: el.status.value,
+            dueDate: quote ? '' : el.dueDate.value,
+            ...(quote ? { validUntil: el.dueDate.value } : {}),
+            currency: el.currency.value,
+            template: el.template.value,
+            language: el.language.value,
+            paymentTerms: Model.isPayable(this._document) ? this.getPaymentTermsFields(el.paymentTerms) : null,
+            status: this._manualStatus,
             client: client,
             items: items,
-            taxRate: parseFloat(el.taxRate.value) || 0,
+            discount: Model.parseDiscount(el.discount.value),
+            taxCategories: (this._taxCategories || []).filter(c => items.some(item => item.taxCategory === c.id)),
+            payments: payments,
+            rounding: { ...this._rounding },
             notes: el.notes.value
         };
 
@@ -272,101 +1253,107 @@ const UI = {
     },
 
     /**
-     * Render the print view
+     * Render the print view from the document model
      * @param {Object} invoice
      */
     renderPrintView(invoice) {
         const el = this.elements.print;
-        const settings = Storage.getSettings();
+        const doc = Model.buildDocument(invoice, Storage.getSettings(), Storage.getClient(invoice.clientId));
+        const template = doc.template;
+
+        // Template: print.css lays the page out by data-template; colour and font come in as variables
+        const view = this.elements.views.print;
+        view.lang = doc.language;
+        view.dataset.template = template.id;
+        view.style.setProperty('--print-accent', template.accentColor);
+        view.style.setProperty('--print-font', Model.TEMPLATE_FONTS[template.font].css);
+        view.style.setProperty('--print-font-size', template.fontSize + 'pt');
+        view.style.setProperty('--print-title-size', template.titleSize + 'pt');
 
         // Header with Logo
         const logoImg = document.getElementById('print-logo');
-        if (settings.logo) {
-            logoImg.src = settings.logo;
+        if (doc.logo) {
+            logoImg.src = doc.logo;
             logoImg.classList.remove('hidden');
         } else {
             logoImg.classList.add('hidden');
         }
-        
-        // Meta
-        el.meta.innerHTML = `
-            <p><strong>Invoice #:</strong> ${invoice.invoiceNumber || invoice.id}</p>
-            <p><strong>Date:</strong> ${Model.formatDate(invoice.createdDate)}</p>
-            <p><strong>Due Date:</strong> ${Model.formatDate(invoice.dueDate)}</p>
-            <p><strong>Status:</strong> ${invoice.status.toUpperCase()}</p>
-        `;
 
-        // Addresses
-        el.from.innerHTML = `
-            <h3>From:</h3>
-            <p><strong>${this.escapeHtml(settings.name || 'Invoicer User')}</strong></p>
-            <div class="address-block">${this.escapeHtml(settings.address || '').replace(/\n/g, '<br>')}</div>
-        `;
+        // Meta
+        el.title.textContent = doc.title;
+        el.meta.innerHTML = doc.meta.map(entry => `
+            <p><strong>${this.escapeHtml(entry.label)}:</strong> ${this.escapeHtml(entry.text)}</p>
+        `).join('');
 
-        el.to.innerHTML = `
-            <h3>Bill To:</h3>
-            <p><strong>${this.escapeHtml(invoice.client.name)}</strong></p>
-            <p>${this.escapeHtml(invoice.client.email)}</p>
-            <div class="address-block">${this.escapeHtml(invoice.client.address).replace(/\n/g, '<br>')}</div>
+        // Addresses: first line (the name) in bold
+        const party = (block) => `
+            <h3>${this.escapeHtml(block.heading)}:</h3>
+            ${block.lines.map((line, i) => `<p>${i === 0 ? `<strong>${this.escapeHtml(line)}</strong>` : this.escapeHtml(line)}</p>`).join('')}
         `;
+        el.from.innerHTML = party(doc.from);
+        el.to.innerHTML = party(doc.to);
 
         // Items Table
-        let itemsHtml = `
+        const align = (column) => (column.align === 'right' ? ' class="text-right"' : '');
+        el.items.innerHTML = `
             <table class="print-table">
                 <thead>
-                    <tr>
-                        <th>Item</th>
-                        <th>Description</th>
-                        <th class="text-right">Qty</th>
-                        <th class="text-right">Rate</th>
-                        <th class="text-right">Amount</th>
-                    </tr>
+                    <tr>${doc.columns.map(column => `<th${align(column)}>${this.escapeHtml(column.label)}</th>`).join('')}</tr>
                 </thead>
                 <tbody>
+                    ${doc.rows.map(row => `
+                        <tr>${row.map((cell, i) => `<td${align(doc.columns[i])}>${this.escapeHtml(cell.text)}</td>`).join('')}</tr>
+                    `).join('')}
+                </tbody>
+            </table>
         `;
 
-        invoice.items.forEach(item => {
-            itemsHtml += `
-                <tr>
-                    <td>${this.escapeHtml(item.itemName || '')}</td>
-                    <td>${this.escapeHtml(item.description)}</td>
-                    <td class="text-right">${item.quantity}</td>
-                    <td class="text-right">${Model.formatCurrency(item.rate)}</td>
-                    <td class="text-right">${Model.formatCurrency(item.amount)}</td>
-                </tr>
-            `;
-        });
-
-        itemsHtml += `</tbody></table>`;
-        el.items.innerHTML = itemsHtml;
-
         // Totals
-        el.totals.innerHTML = `
-            <div class="print-totals-row">
-                <span>Subtotal:</span>
-                <span>${Model.formatCurrency(invoice.subtotal)}</span>
+        const totalClasses = { total: ' grand-total', balance: ' balance-due' };
+        el.totals.innerHTML = doc.totals.map(row => `
+            <div class="print-totals-row${totalClasses[row.style] || ''}">
+                <span>${this.escapeHtml(row.label)}:</span>
+                <span>${this.escapeHtml(row.text)}</span>
             </div>
-            <div class="print-totals-row">
-                <span>Tax (${invoice.taxRate}%):</span>
-                <span>${Model.formatCurrency(invoice.taxAmount)}</span>
+        `).join('');
+
+        // Payment terms, notes, and on quotes how long the prices hold
+        el.notes.innerHTML = (doc.paymentTerms.length ? `
+            <div class="print-payment-terms">
+                ${doc.paymentTerms.map(line => `<p>${this.escapeHtml(line)}</p>`).join('')}
             </div>
-            <div class="print-totals-row grand-total">
-                <span>Total:</span>
-                <span>${Model.formatCurrency(invoice.total)}</span>
+        ` : '') + (doc.notes ? `
+            <div class="print-notes-section">
+                <h4>${this.escapeHtml(doc.labels.notes)}:</h4>
+                <p>${this.escapeHtml(doc.notes)}</p>
             </div>
-        `;
+        ` : '') + (doc.terms ? `
+            <p class="print-quote-terms">${this.escapeHtml(doc.terms)}</p>
+        ` : '');
+    },
 
-        // Notes
-        if (invoice.notes) {
-            el.notes.innerHTML = `
-                <div class="print-notes-section">
-                    <h4>Notes:</h4>
-                    <p>${this.escapeHtml(invoice.notes)}</p>
-                </div>
-            `;
-        } else {
-            el.notes.innerHTML = '';
-        }
+    /**
+     * Fill the print batch with a copy of the print view for each document,
+     * so a selection prints as one job with a page break between documents
+     * @param {Array} invoices
+     */
+    renderPrintBatch(invoices) {
+        const batch = this.elements.print.batch;
+        batch.innerHTML = '';
+        invoices.forEach(invoice => {
+            this.renderPrintView(invoice);
+            const copy = this.elements.views.print.cloneNode(true);
+            copy.removeAttribute('id');
+            copy.querySelectorAll('[id]').forEach(node => node.removeAttribute('id'));
+            batch.appendChild(copy);
+        });
+    },
+
+    /**
+     * Empty the print batch once it has printed
+     */
+    clearPrintBatch() {
+        this.elements.print.batch.innerHTML = '';
     },
 
     /**
@@ -378,7 +1365,39 @@ const UI = {
         
         el.name.value = settings.name || '';
         el.address.value = settings.address || '';
-        el.defaultTax.value = settings.defaultTaxRate || 0;
+
+        // Document template
+        const template = Model.resolveTemplate(settings.documentTemplate, null);
+        el.template.innerHTML = this.templateOptions();
+        el.template.value = template.id;
+        el.templateAccent.value = template.accentColor;
+        el.templateFont.innerHTML = Object.keys(Model.TEMPLATE_FONTS)
+            .map(id => `<option value="${id}">${this.escapeHtml(I18n.t('font.' + id))}</option>`).join('');
+        el.templateFont.value = template.font;
+        el.templateFields.innerHTML = Object.keys(Model.TEMPLATE_FIELDS).map(field => `
+            <label class="checkbox-label">
+                <input type="checkbox" class="template-field" data-field="${field}"${template.fields[field] ? ' checked' : ''}>
+                ${this.escapeHtml(I18n.t('templateField.' + field))}
+            </label>
+        `).join('');
+
+        // Language
+        el.language.innerHTML = this.languageOptions();
+        el.language.value = I18n.isSupported(settings.language) ? settings.language : I18n.DEFAULT_LANGUAGE;
+        el.documentLanguage.innerHTML = this.languageOptions();
+        el.documentLanguage.value = I18n.isSupported(settings.documentLanguage) ? settings.documentLanguage : I18n.DEFAULT_LANGUAGE;
+
+        this.setPaymentTermsFields(el.paymentTerms, settings.paymentTerms);
+
+        el.currency.innerHTML = this.currencyOptions(settings.currency || 'USD');
+        el.currency.value = settings.currency || 'USD';
+
+        // Taxes
+        this.renderTaxCategoryEditor(settings.taxCategories || []);
+        this.refreshDefaultTaxCategoryOptions(settings.defaultTaxCategory || '');
+        const rounding = { ...Model.DEFAULT_ROUNDING, ...settings.rounding };
+        el.roundingMode.value = rounding.mode;
+        el.roundingPolicy.value = rounding.policy;
 
         if (settings.logo) {
             el.logoPreview.src = settings.logo;
@@ -396,19 +1415,721 @@ const UI = {
         el.invoicePrefix.value = settings.invoicePrefix || '';
         el.nextNumber.value = settings.nextInvoiceNumber || 1;
         el.numberPadding.value = settings.invoiceNumberPadding || 4;
+        el.creditNotePrefix.value = settings.creditNotePrefix ?? 'CN-';
+        el.nextCreditNoteNumber.value = settings.nextCreditNoteNumber || 1;
+        el.quotePrefix.value = settings.quotePrefix ?? 'QUO-';
+        el.nextQuoteNumber.value = settings.nextQuoteNumber || 1;
+        el.quoteValidityDays.value = settings.quoteValidityDays || 30;
+        el.trashRetention.value = settings.trashRetentionDays ?? 30;
 
         // CDR logo
         const cdrInfo = document.getElementById('cdr-logo-info');
         if (cdrInfo) {
             if (settings.logoOriginalCDR) {
                 cdrInfo.classList.remove('hidden');
-                document.getElementById('cdr-logo-filename').textContent = 'File: ' + (settings.logoOriginalCDRName || 'logo.cdr');
+                document.getElementById('cdr-logo-filename').textContent = I18n.t('settings.cdrFile', { name: settings.logoOriginalCDRName || 'logo.cdr' });
             } else {
                 cdrInfo.classList.add('hidden');
             }
         }
     },
 
+    /**
+     * Render the client address book list
+     * @param {Array} clients
+     * @param {Object} invoiceCounts - Map of client ID to number of invoices
+     */
+    renderClients(clients, invoiceCounts = {}) {
+        const tbody = this.elements.clients.list;
+        tbody.innerHTML = '';
+
+        if (clients.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="5" class="empty-state">${I18n.t('clients.empty')}</td></tr>`;
+            return;
+        }
+
+        [...clients]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(client => {
+                const tr = document.createElement('tr');
+                const firstLine = (client.address || '').split('\n')[0];
+                tr.innerHTML = `
+                    <td>${this.escapeHtml(client.name)}</td>
+                    <td>${this.escapeHtml(client.email)}</td>
+                    <td>${this.escapeHtml(firstLine)}</td>
+                    <td>${invoiceCounts[client.id] || 0}</td>
+                    <td class="actions-cell">
+                        <button class="btn-icon edit-client" data-id="${client.id}" title="${I18n.t('action.edit')}">&#9998;</button>
+                        <button class="btn-icon invoice-client" data-id="${client.id}" title="${I18n.t('action.createInvoice')}">&#10133;</button>
+                        <button class="btn-icon delete-client" data-id="${client.id}" title="${I18n.t('action.delete')}">&#128465;</button>
+                    </td>
+                `;
+                tbody.appendChild(tr);
+            });
+    },
+
+    /**
+     * Show the client form, populated for editing or empty for a new client
+     * @param {Object|null} client
+     */
+    showClientForm(client = null) {
+        const el = this.elements.clients;
+        el.id.value = client ? client.id : '';
+        el.name.value = client ? client.name : '';
+        el.email.value = client ? client.email || '' : '';
+        el.address.value = client ? client.address || '' : '';
+        el.language.innerHTML = this.languageOptions(I18n.t('settings.businessDefault'));
+        el.language.value = client && I18n.isSupported(client.language) ? client.language : '';
+        this.setPaymentTermsFields(el.paymentTerms, client ? client.paymentTerms : null, I18n.t('settings.businessDefault'));
+        el.formTitle.textContent = I18n.t(client ? 'clients.edit' : 'clients.new');
+        el.form.classList.remove('hidden');
+        el.name.focus();
+    },
+
+    /**
+     * Hide and reset the client form
+     */
+    hideClientForm() {
+        const el = this.elements.clients;
+        el.form.reset();
+        el.id.value = '';
+        el.form.classList.add('hidden');
+    },
+
+    /**
+     * Read the client form
+     * @returns {Object} Client data
+     */
+    getClientFormData() {
+        const el = this.elements.clients;
+        return {
+            id: el.id.value,
+            name: el.name.value.trim(),
+            email: el.email.value.trim(),
+            address: el.address.value,
+            language: el.language.value,
+            paymentTerms: this.getPaymentTermsFields(el.paymentTerms)
+        };
+    },
+
+    /**
+     * Show what a backup contains and the invoices that conflict by id
+     * @param {Object} backupData - Parsed, migrated backup
+     * @param {Array} conflicts - [{ current, incoming }] from Storage.findBackupConflicts
+     * @param {string} exportedAt - ISO timestamp of the backup
+     */
+    showRestorePanel(backupData, conflicts, exportedAt) {
+        const el = this.elements.backup;
+        const count = (key) => I18n.plural('backup.' + key, (backupData[key] || []).length);
+        el.summary.textContent = I18n.t('backup.summary', {
+            date: Model.formatDate((exportedAt || '').split('T')[0]) || I18n.t('backup.unknownDate'),
+            invoices: count('invoices'),
+            clients: count('clients'),
+            catalog: count('catalog'),
+            recurring: count('recurring')
+        });
+
+        const describe = (inv) => {
+            const values = { amount: Model.formatCurrency(inv.total, inv.currency), status: Model.formatStatus(inv.status) };
+            return inv.updatedAt
+                ? I18n.t('backup.copySaved', { ...values, date: Model.formatDate(inv.updatedAt.split('T')[0]) })
+                : I18n.t('backup.copy', values);
+        };
+        el.conflictList.innerHTML = conflicts.map(({ current, incoming }) => `
+            <tr>
+                <td>${this.escapeHtml(current.invoiceNumber || current.id.substring(0, 8))} &middot; ${this.escapeHtml(current.client.name)}</td>
+                <td>${this.escapeHtml(describe(current))}</td>
+                <td>${this.escapeHtml(describe(incoming))}</td>
+                <td>
+                    <select class="restore-resolution" data-id="${incoming.id}" aria-label="${I18n.t('backup.copyToKeep')}">
+                        <option value="current">${I18n.t('backup.current')}</option>
+                        <option value="backup"${(incoming.updatedAt || '') > (current.updatedAt || '') ? ' selected' : ''}>${I18n.t('backup.backup')}</option>
+                    </select>
+                </td>
+            </tr>
+        `).join('');
+        el.conflicts.classList.toggle('hidden', conflicts.length === 0);
+        document.querySelector('input[name="restore-mode"][value="merge"]').checked = true;
+        el.panel.classList.remove('hidden');
+    },
+
+    /**
+     * Hide the restore panel
+     */
+    hideRestorePanel() {
+        this.elements.backup.panel.classList.add('hidden');
+        this.elements.backup.conflictList.innerHTML = '';
+    },
+
+    /**
+     * Read the restore choices
+     * @returns {Object} { mode, resolutions }
+     */
+    getRestoreOptions() {
+        const resolutions = {};
+        this.elements.backup.conflictList.querySelectorAll('.restore-resolution').forEach(select => {
+            resolutions[select.dataset.id] = select.value;
+        });
+        return {
+            mode: document.querySelector('input[name="restore-mode"]:checked').value,
+            resolutions: resolutions
+        };
+    },
+
+    /**
+     * Show the import panel at the column mapping step
+     * @param {string} fileName
+     * @param {Array<string>} headers - Column headings
+     * @param {Array} sample - First data row, shown next to each column
+     * @param {Array<string>} mapping - Suggested IMPORT_FIELDS key per column
+     * @param {number} rowCount - Data rows in the sheet
+     */
+    showImportPanel(fileName, headers, sample, mapping, rowCount) {
+        const el = this.elements.import;
+        el.summary.textContent = I18n.t('import.summary', {
+            file: fileName,
+            rows: I18n.plural('import.rows', rowCount),
+            columns: I18n.plural('import.columns', headers.length)
+        });
+
+        const groups = {};
+        Object.entries(Model.IMPORT_FIELDS).forEach(([key, field]) => {
+            groups[field.group] = (groups[field.group] || '') + `<option value="${key}">${this.escapeHtml(I18n.t('import.field.' + key))}</option>`;
+        });
+        const options = `<option value="">${this.escapeHtml(I18n.t('import.skipColumn'))}</option>` +
+            Object.entries(groups).map(([group, html]) => `<optgroup label="${this.escapeHtml(I18n.t('import.group.' + group))}">${html}</optgroup>`).join('');
+
+        el.mapping.innerHTML = headers.map((header, i) => `
+            <tr>
+                <td>${this.escapeHtml(header || I18n.t('import.column', { number: i + 1 }))}</td>
+                <td>${this.escapeHtml(Model.importCellText(sample[i]))}</td>
+                <td>
+                    <select class="import-field" data-column="${i}" aria-label="${this.escapeHtml(I18n.t('import.columnAs'))}">${options}</select>
+                </td>
+            </tr>
+        `).join('');
+        el.mapping.querySelectorAll('.import-field').forEach(select => {
+            select.value = mapping[select.dataset.column];
+        });
+
+        el.addClients.checked = true;
+        el.dateOrder.value = Model.defaultImportDateOrder();
+        el.decimal.value = Model.defaultImportDecimal();
+        this.showImportStep('mapping');
+        el.panel.classList.remove('hidden');
+    },
+
+    /**
+     * Switch the import panel between its 'mapping' and 'preview' steps
+     * @param {string} step
+     */
+    showImportStep(step) {
+        const el = this.elements.import;
+        el.mappingStep.classList.toggle('hidden', step !== 'mapping');
+        el.previewStep.classList.toggle('hidden', step !== 'preview');
+    },
+
+    /**
+     * Read the column mapping
+     * @returns {Array<string>} IMPORT_FIELDS key per column, '' to skip it
+     */
+    getImportMapping() {
+        return [...this.elements.import.mapping.querySelectorAll('.import-field')].map(select => select.value);
+    },
+
+    /**
+     * Order the import reads day-month-year dates in
+     * @returns {string} A Model.IMPORT_DATE_ORDERS key
+     */
+    getImportDateOrder() {
+        return this.elements.import.dateOrder.value;
+    },
+
+    /**
+     * Decimal separator the import reads number cells with
+     * @returns {string} '.' or ','
+     */
+    getImportDecimal() {
+        return this.elements.import.decimal.value;
+    },
+
+    /**
+     * Show the dry run: every invoice the import would create and what stops the invalid ones
+     * @param {Object} preview - Result of Storage.previewImport
+     */
+    renderImportPreview(preview) {
+        const el = this.elements.import;
+        const parts = [I18n.plural('import.ready', preview.valid)];
+        if (preview.invalid) parts.push(I18n.plural('import.skipped', preview.invalid));
+        if (el.addClients.checked && preview.newClients.length) {
+            parts.push(I18n.plural('import.newClients', preview.newClients.length));
+        }
+        el.previewSummary.textContent = parts.join(' ');
+
+        el.previewList.innerHTML = preview.entries.map(({ invoice, errors, rows }) => `
+            <tr class="${errors.length ? 'import-invalid' : ''}">
+                <td>${this.escapeHtml(invoice.invoiceNumber || I18n.t('import.row', { number: rows[0] }))}</td>
+                <td>${this.escapeHtml(invoice.client.name)}</td>
+                <td>${this.escapeHtml(Model.formatDate(invoice.createdDate))}</td>
+                <td>${invoice.items.length}</td>
+                <td>${this.escapeHtml(Model.formatCurrency(invoice.total, invoice.currency))}</td>
+                <td>${this.escapeHtml(Model.formatStatus(invoice.status))}</td>
+                <td class="import-errors">${errors.map(error => this.escapeHtml(error)).join('<br>')}</td>
+            </tr>
+        `).join('');
+
+        el.confirmButton.disabled = preview.valid === 0;
+        this.showImportStep('preview');
+    },
+
+    /**
+     * Hide and clear the import panel
+     */
+    hideImportPanel() {
+        const el = this.elements.import;
+        el.panel.classList.add('hidden');
+        el.mapping.innerHTML = '';
+        el.previewList.innerHTML = '';
+    },
+
+    /**
+     * Render the recurring profiles list
+     * @param {Array} profiles
+     */
+    renderRecurring(profiles) {
+        const tbody = this.elements.recurring.list;
+        tbody.innerHTML = '';
+
+        if (profiles.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="7" class="empty-state">${I18n.t('recurring.empty')}</td></tr>`;
+            return;
+        }
+
+        [...profiles]
+            .sort((a, b) => (a.nextRunDate || '').localeCompare(b.nextRunDate || ''))
+            .forEach(profile => {
+                const ended = Model.upcomingRuns(profile, 1).length === 0;
+                const status = ended ? 'ended' : (profile.active ? 'active' : 'paused');
+                const tr = document.createElement('tr');
+                tr.innerHTML = `
+                    <td>${this.escapeHtml(profile.name)}</td>
+                    <td>${this.escapeHtml(profile.template.client.name)}</td>
+                    <td>${I18n.t('frequency.' + profile.frequency)}</td>
+                    <td>${Model.formatCurrency(profile.template.total, profile.template.currency)}</td>
+                    <td>${ended ? '' : Model.formatDate(profile.nextRunDate)}</td>
+                    <td><span class="badge recurring-${status}">${I18n.t('recurring.status.' + status)}</span></td>
+                    <td class="actions-cell">
+                        <button class="btn-icon edit-recurring" data-id="${profile.id}" title="${I18n.t('action.edit')}">&#9998;</button>
+                        <button class="btn-icon toggle-recurring" data-id="${profile.id}" title="${I18n.t(profile.active ? 'action.pause' : 'action.resume')}">${profile.active ? '&#9208;' : '&#9654;'}</button>
+                        <button class="btn-icon preview-recurring" data-id="${profile.id}" title="${I18n.t('action.previewRuns')}">&#128065;</button>
+                        <button class="btn-icon delete-recurring" data-id="${profile.id}" title="${I18n.t('action.delete')}">&#128465;</button>
+                    </td>
+                `;
+                tbody.appendChild(tr);
+            });
+    },
+
+    /**
+     * Show the recurring profile form
+     * @param {Object} profile - Saved profile, or a new one from Model.createRecurringProfile
+     */
+    showRecurringForm(profile) {
+        const el = this.elements.recurring;
+        el.id.value = profile.id || '';
+        el.sourceInvoiceId.value = profile.sourceInvoiceId || '';
+        el.name.value = profile.name || '';
+        el.frequency.innerHTML = Object.keys(Model.RECURRING_FREQUENCIES)
+            .map(value => `<option value="${value}">${I18n.t('frequency.' + value)}</option>`)
+            .join('');
+        el.frequency.value = profile.frequency;
+        el.dueDays.value = profile.dueDays || 0;
+        el.active.checked = profile.active !== false;
+        el.startDate.value = profile.startDate || '';
+        el.endDate.value = profile.endDate || '';
+        el.nextRunDate.value = profile.nextRunDate || '';
+        el.formTitle.textContent = I18n.t(profile.id ? 'recurring.edit' : 'recurring.new');
+        this.hideRecurringPreview();
+        el.form.classList.remove('hidden');
+        el.name.focus();
+    },
+
+    /**
+     * Hide and reset the recurring profile form
+     */
+    hideRecurringForm() {
+        const el = this.elements.recurring;
+        el.form.reset();
+        el.id.value = '';
+        el.sourceInvoiceId.value = '';
+        el.form.classList.add('hidden');
+    },
+
+    /**
+     * Read the recurring profile form
+     * @returns {Object} Schedule fields
+     */
+    getRecurringFormData() {
+        const el = this.elements.recurring;
+        return {
+            id: el.id.value,
+            sourceInvoiceId: el.sourceInvoiceId.value,
+            name: el.name.value.trim(),
+            frequency: el.frequency.value,
+            dueDays: parseInt(el.dueDays.value, 10) || 0,
+            active: el.active.checked,
+            startDate: el.startDate.value,
+            endDate: el.endDate.value,
+            nextRunDate: el.nextRunDate.value
+        };
+    },
+
+    /**
+     * Show the invoices a profile will generate next
+     * @param {Object} profile
+     */
+    showRecurringPreview(profile) {
+        const el = this.elements.recurring;
+        const runs = Model.upcomingRuns(profile, 6);
+        el.previewTitle.textContent = I18n.t(profile.active ? 'recurring.upcomingFor' : 'recurring.upcomingForPaused', { name: profile.name });
+        el.previewList.innerHTML = runs.length === 0
+            ? `<tr><td colspan="4" class="empty-state">${I18n.t('recurring.noRuns')}</td></tr>`
+            : runs.map(date => {
+                const invoice = Model.buildRecurringInvoice(profile, date);
+                return `
+                    <tr>
+                        <td>${Model.formatDate(invoice.createdDate)}</td>
+                        <td>${Model.formatDate(invoice.dueDate)}</td>
+                        <td>${this.escapeHtml(invoice.client.name)}</td>
+                        <td>${Model.formatCurrency(invoice.total, invoice.currency)}</td>
+                    </tr>
+                `;
+            }).join('');
+        el.preview.classList.remove('hidden');
+    },
+
+    /**
+     * Hide the upcoming runs preview
+     */
+    hideRecurringPreview() {
+        this.elements.recurring.preview.classList.add('hidden');
+    },
+
+    /**
+     * Render the reports view
+     * @param {Object} reports - { revenue, clients, aging } rows from the Model report functions
+     */
+    renderReports(reports) {
+        const el = this.elements.reports;
+        const money = (amount, currency) => this.escapeHtml(Model.formatCurrency(amount, currency));
+        const empty = (colspan, message) => `<tr><td colspan="${colspan}" class="empty-state">${message}</td></tr>`;
+
+        el.revenueList.innerHTML = reports.revenue.length === 0
+            ? empty(4, I18n.t('reports.noBilled'))
+            : reports.revenue.map(row => `
+                <tr>
+                    <td>${this.escapeHtml(Model.formatPeriod(row.period))}</td>
+                    <td>${row.invoices}</td>
+                    <td>${money(row.billed, row.currency)}</td>
+                    <td>${money(row.paid, row.currency)}</td>
+                </tr>
+            `).join('');
+
+        el.clientList.innerHTML = reports.clients.length === 0
+            ? empty(5, I18n.t('reports.noBilled'))
+            : reports.clients.map(row => `
+                <tr>
+                    <td>${this.escapeHtml(row.client)}</td>
+                    <td>${row.invoices}</td>
+                    <td>${money(row.billed, row.currency)}</td>
+                    <td>${money(row.paid, row.currency)}</td>
+                    <td>${money(row.outstanding, row.currency)}</td>
+                </tr>
+            `).join('');
+
+        const buckets = Model.AGING_BUCKETS;
+        el.agingHead.innerHTML = `<th>${I18n.t('field.client')}</th>` +
+            buckets.map(b => `<th>${this.escapeHtml(I18n.t('aging.' + b.key))}</th>`).join('') + `<th>${I18n.t('field.total')}</th>`;
+
+        if (reports.aging.length === 0) {
+            el.agingList.innerHTML = empty(buckets.length + 2, I18n.t('reports.noOutstanding'));
+            return;
+        }
+
+        // One total row per currency
+        const columns = [...buckets.map(b => b.key), 'total'];
+        const totals = {};
+        columns.forEach(key => { totals[key] = Model.sumByCurrency(reports.aging, row => row[key]); });
+        const currencies = Object.keys(totals.total).sort();
+
+        el.agingList.innerHTML = reports.aging.map(row => `
+                <tr>
+                    <td>${this.escapeHtml(row.client)}</td>
+                    ${columns.map(key => `<td>${money(row[key], row.currency)}</td>`).join('')}
+                </tr>
+            `).join('') + currencies.map(currency => `
+                <tr class="report-total-row">
+                    <td>${currencies.length > 1 ? I18n.t('reports.totalIn', { currency: this.escapeHtml(currency) }) : I18n.t('field.total')}</td>
+                    ${columns.map(key => `<td>${money(totals[key][currency], currency)}</td>`).join('')}
+                </tr>
+            `).join('');
+    },
+
+    /**
+     * Render the product/service catalog list
+     * @param {Array} items
+     */
+    renderCatalog(items) {
+        const tbody = this.elements.catalog.list;
+        const settings = Storage.getSettings();
+        const categories = settings.taxCategories || [];
+        const baseCurrency = settings.currency;
+        tbody.innerHTML = '';
+
+        if (items.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="6" class="empty-state">${I18n.t('catalog.empty')}</td></tr>`;
+            return;
+        }
+
+        [...items]
+            .sort((a, b) => (a.code || a.description).localeCompare(b.code || b.description))
+            .forEach(item => {
+                const tr = document.createElement('tr');
+                tr.innerHTML = `
+                    <td>${this.escapeHtml(item.code)}</td>
+                    <td>${this.escapeHtml(item.description)}</td>
+                    <td>${Model.formatCurrency(item.rate, baseCurrency)}</td>
+                    <td>${this.escapeHtml(item.unit)}</td>
+                    <td>${this.escapeHtml(this.taxCategoryName(categories, item.taxCategory))}</td>
+                    <td class="actions-cell">
+                        <button class="btn-icon edit-catalog-item" data-id="${item.id}" title="${I18n.t('action.edit')}">&#9998;</button>
+                        <button class="btn-icon delete-catalog-item" data-id="${item.id}" title="${I18n.t('action.delete')}">&#128465;</button>
+                    </td>
+                `;
+                tbody.appendChild(tr);
+            });
+    },
+
+    /**
+     * Show the catalog form, populated for editing or empty for a new entry
+     * @param {Object|null} item
+     */
+    showCatalogForm(item = null) {
+        const el = this.elements.catalog;
+        el.id.value = item ? item.id : '';
+        el.code.value = item ? item.code || '' : '';
+        el.description.value = item ? item.description || '' : '';
+        el.rate.value = item ? item.rate : 0;
+        el.unit.value = item ? item.unit || '' : '';
+        const categories = Storage.getSettings().taxCategories || [];
+        const category = item && Model.findTaxCategory(categories, item.taxCategory);
+        el.taxCategory.innerHTML = this.taxCategoryOptions(categories, I18n.t('catalog.defaultTaxCategory'));
+        el.taxCategory.value = category ? category.id : '';
+        el.formTitle.textContent = I18n.t(item ? 'catalog.edit' : 'catalog.new');
+        el.form.classList.remove('hidden');
+        el.code.focus();
+    },
+
+    /**
+     * Hide and reset the catalog form
+     */
+    hideCatalogForm() {
+        const el = this.elements.catalog;
+        el.form.reset();
+        el.id.value = '';
+        el.form.classList.add('hidden');
+    },
+
+    /**
+     * Read the catalog form
+     * @returns {Object} Catalog item data
+     */
+    getCatalogFormData() {
+        const el = this.elements.catalog;
+        return {
+            id: el.id.value,
+            code: el.code.value.trim(),
+            description: el.description.value.trim(),
+            rate: parseFloat(el.rate.value) || 0,
+            unit: el.unit.value.trim(),
+            taxCategory: el.taxCategory.value
+        };
+    },
+
+    /**
+     * Show autocomplete suggestions under an input
+     * @param {HTMLElement} input - Input the list belongs to
+     * @param {Array} suggestions - [{ label, detail }]
+     * @param {Function} onSelect - Called with the index of the chosen suggestion
+     */
+    showSuggestions(input, suggestions, onSelect) {
+        const list = this.elements.autocomplete;
+        if (suggestions.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        this._suggestions = { input, onSelect, activeIndex: -1 };
+        list.innerHTML = suggestions.map((s, index) => `
+            <li role="option" data-index="${index}">
+                ${this.escapeHtml(s.label)}
+                ${s.detail ? `<small>${this.escapeHtml(s.detail)}</small>` : ''}
+            </li>
+        `).join('');
+
+        const rect = input.getBoundingClientRect();
+        list.style.top = (rect.bottom + window.scrollY) + 'px';
+        list.style.left = (rect.left + window.scrollX) + 'px';
+        list.style.width = Math.max(rect.width, 220) + 'px';
+        list.classList.remove('hidden');
+    },
+
+    /**
+     * Hide the autocomplete list
+     */
+    hideSuggestions() {
+        this._suggestions = null;
+        this.elements.autocomplete.classList.add('hidden');
+        this.elements.autocomplete.innerHTML = '';
+    },
+
+    /**
+     * Handle keyboard navigation inside the autocomplete list
+     * @param {KeyboardEvent} e
+     * @returns {boolean} true if the key was consumed
+     */
+    handleSuggestionKey(e) {
+        const state = this._suggestions;
+        if (!state || e.target !== state.input) return false;
+
+        const options = this.elements.autocomplete.querySelectorAll('li');
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            state.activeIndex = (state.activeIndex + step + options.length) % options.length;
+            options.forEach((li, i) => li.classList.toggle('active', i === state.activeIndex));
+            return true;
+        }
+        if (e.key === 'Enter' && state.activeIndex >= 0) {
+            this.selectSuggestion(state.activeIndex);
+            return true;
+        }
+        if (e.key === 'Escape') {
+            this.hideSuggestions();
+            return true;
+        }
+        return false;
+    },
+
+    /**
+     * Apply a suggestion by index
+     * @param {number} index
+     */
+    selectSuggestion(index) {
+        const state = this._suggestions;
+        if (!state) return;
+        this.hideSuggestions();
+        state.onSelect(index);
+    },
+
+    /**
+     * Render the tax category editor in settings
+     * @param {Array} categories
+     */
+    renderTaxCategoryEditor(categories) {
+        this.elements.settings.taxCategories.innerHTML = '';
+        categories.forEach(category => this.addTaxCategoryBlock(category));
+    },
+
+    /**
+     * Append a tax category block to the settings editor
+     * @param {Object} category
+     * @returns {HTMLElement} The new block
+     */
+    addTaxCategoryBlock(category = { id: '', name: '', components: [] }) {
+        const block = document.createElement('div');
+        block.className = 'tax-category';
+        block.innerHTML = `
+            <div class="tax-category-header">
+                <input type="text" class="tax-category-id" placeholder="${I18n.t('settings.taxCode')}" value="${this.escapeHtml(category.id)}" aria-label="${I18n.t('settings.taxCodeLabel')}">
+                <input type="text" class="tax-category-name" placeholder="${I18n.t('settings.taxName')}" value="${this.escapeHtml(category.name)}" aria-label="${I18n.t('settings.taxNameLabel')}">
+                <button type="button" class="secondary-btn remove-tax-category">${I18n.t('action.remove')}</button>
+            </div>
+            <div class="tax-components"></div>
+            <button type="button" class="secondary-btn add-tax-component">${I18n.t('settings.addTaxComponent')}</button>
+        `;
+        category.components.forEach(component => this.addTaxComponentRow(block, component));
+        this.elements.settings.taxCategories.appendChild(block);
+        return block;
+    },
+
+    /**
+     * Append a tax component row to a category block
+     * @param {HTMLElement} block
+     * @param {Object} component
+     */
+    addTaxComponentRow(block, component = { name: '', rate: 0, compound: false }) {
+        const row = document.createElement('div');
+        row.className = 'tax-component';
+        row.innerHTML = `
+            <input type="text" class="tax-component-name" placeholder="${I18n.t('settings.taxComponent')}" value="${this.escapeHtml(component.name)}" aria-label="${I18n.t('settings.taxComponentLabel')}">
+            <input type="number" class="tax-component-rate" min="0" step="0.001" value="${component.rate}" aria-label="${I18n.t('settings.taxComponentRate')}">
+            <label class="checkbox-label"><input type="checkbox" class="tax-component-compound"${component.compound ? ' checked' : ''}> ${I18n.t('settings.compound')}</label>
+            <button type="button" class="secondary-btn remove-tax-component" title="${I18n.t('settings.removeTaxComponent')}">×</button>
+        `;
+        block.querySelector('.tax-components').appendChild(row);
+    },
+
+    /**
+     * Read the document template settings
+     * @returns {Object} See Model.DEFAULT_TEMPLATE
+     */
+    getTemplateFormData() {
+        const el = this.elements.settings;
+        const fields = {};
+        el.templateFields.querySelectorAll('.template-field').forEach(box => {
+            fields[box.dataset.field] = box.checked;
+        });
+        return {
+            id: el.template.value,
+            accentColor: el.templateAccent.value,
+            font: el.templateFont.value,
+            fields: fields
+        };
+    },
+
+    /**
+     * Read the tax category editor
+     * @returns {Array} Tax categories
+     */
+    getTaxCategoriesFormData() {
+        const blocks = this.elements.settings.taxCategories.querySelectorAll('.tax-category');
+        return Array.from(blocks).map(block => {
+            const name = block.querySelector('.tax-category-name').value.trim();
+            const code = block.querySelector('.tax-category-id').value.trim() || name;
+            return {
+                id: code.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+                name: name || code,
+                components: Array.from(block.querySelectorAll('.tax-component'))
+                    .map(row => ({
+                        name: row.querySelector('.tax-component-name').value.trim(),
+                        rate: parseFloat(row.querySelector('.tax-component-rate').value) || 0,
+                        compound: row.querySelector('.tax-component-compound').checked
+                    }))
+                    .filter(component => component.name)
+            };
+        }).filter(category => category.id);
+    },
+
+    /**
+     * Rebuild the default tax category select from the editor's current state
+     * @param {string} selected - Category ID to keep selected
+     */
+    refreshDefaultTaxCategoryOptions(selected = this.elements.settings.defaultTaxCategory.value) {
+        const select = this.elements.settings.defaultTaxCategory;
+        select.innerHTML = this.taxCategoryOptions(this.getTaxCategoriesFormData());
+        select.value = selected;
+        if (select.value !== selected) select.value = '';
+    },
+
     /**
      * Handle logo upload and conversion to Base64
      * @param {File} file
@@ -431,9 +2152,9 @@ const UI = {
     escapeHtml(str) {
         if (!str) return '';
         return String(str)
-            .replace(/&/g, "&")
-            .replace(/</g, "<")
-            .replace(/>/g, ">")
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
             .replace(/"/g, "&quot;")
             .replace(/'/g, "&#039;");
     }